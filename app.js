@@ -6,11 +6,26 @@ const AppState = {
   employees: [],
   expenses: [],
   approvalRules: [],
+  delegations: [],
+  reports: [],
+  perDiemRates: [],
+  mileageRates: [],
+  policies: [],
   companies: [],
   currencies: [],
-  exchangeRates: {}
+  exchangeRates: {}, // lookup cache, not persisted
+  exchangeRateOverrides: [],
+  accountingExports: [],
+  departments: [],
+  costCenters: [],
+  paymentRuns: [],
+  bankAccounts: [], // admins see everyone's, employees only their own; not persisted
+  filterPresets: [],
+  session: null
 };
 
+const EXPENSE_CATEGORIES = ['Meals', 'Transport', 'Accommodation', 'Office Supplies', 'Entertainment', 'Per Diem', 'Mileage', 'Other'];
+
 
 
 const Utils = {
@@ -41,13 +56,106 @@ const Utils = {
     }, 3000);
   },
   
+  // Uses ISO 4217 minor units (e.g. JPY 0, KWD 3) from the bundled reference data
   formatCurrency: (amount, currency = 'USD') => {
-    return new Intl.NumberFormat('en-US', { 
-      style: 'currency', 
-      currency: currency 
-    }).format(amount);
+    const minorUnits = ReferenceDataService.getMinorUnits(currency);
+    
+    try {
+      return new Intl.NumberFormat('en-US', { 
+        style: 'currency', 
+        currency: currency,
+        minimumFractionDigits: minorUnits,
+        maximumFractionDigits: minorUnits
+      }).format(amount);
+    } catch (error) {
+      // Amounts are interpolated into markup, and an unknown code ends up here as it was given
+      const symbol = ReferenceDataService.getCurrency(currency)?.symbol || currency;
+      return Utils.escapeHtml(`${symbol} ${Number(amount).toFixed(minorUnits)}`);
+    }
+  },
+  
+  // Escapes text for interpolation into innerHTML templates, as element content or a quoted attribute
+  escapeHtml: (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]),
+  
+  // Rows of cells to RFC 4180 CSV
+  // Text that a spreadsheet would run as a formula gets a leading quote; plain numbers are left alone
+  toCSV: (rows) => {
+    const escape = value => {
+      let text = String(value ?? '');
+      if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+  },
+  
+  // RFC 4180 CSV to rows of cells; blank lines are dropped
+  parseCSV: (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+    
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+      
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    
+    row.push(cell);
+    rows.push(row);
+    return rows.filter(r => r.some(c => c.trim()));
+  },
+  
+  downloadFile: (fileName, content, type = 'text/plain') => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  },
+  
+  // Random one-time password, without characters that are easy to misread
+  generatePassword: (length = 12) => {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+    return Array.from(crypto.getRandomValues(new Uint32Array(length)), n => alphabet[n % alphabet.length]).join('');
   },
   
+  today: () => new Date().toISOString().split('T')[0],
+  
   formatDate: (date) => {
     return new Date(date).toLocaleDateString('en-US', { 
       year: 'numeric', 
@@ -59,1141 +167,9024 @@ const Utils = {
 
 
 const APIService = {
+  // Live ISO 3166 data; only used to refresh the bundled reference data
   async fetchCountries() {
-    try {
-      const response = await fetch('https://restcountries.com/v3.1/all?fields=name,currencies');
-      const data = await response.json();
-      return data.map(country => ({
-        name: country.name.common,
-        currency: Object.keys(country.currencies || {})[0] || 'USD',
-        currencyName: Object.values(country.currencies || {})[0]?.name || 'US Dollar'
-      })).sort((a, b) => a.name.localeCompare(b.name));
-    } catch (error) {
-      console.error('Error fetching countries:', error);
-      return [];
-    }
-  },
-  
-  async fetchExchangeRates(baseCurrency = 'USD') {
-    try {
-      const response = await fetch(`https://api.exchangerate-api.com/v4/latest/${baseCurrency}`);
-      const data = await response.json();
-      return data.rates;
-    } catch (error) {
-      console.error('Error fetching exchange rates:', error);
-      return {};
-    }
-  },
-  
-  async convertCurrency(amount, fromCurrency, toCurrency) {
-    if (fromCurrency === toCurrency) return amount;
-    
-    if (!AppState.exchangeRates[fromCurrency]) {
-      AppState.exchangeRates[fromCurrency] = await this.fetchExchangeRates(fromCurrency);
+    const response = await fetch('https://restcountries.com/v3.1/all?fields=cca2,name,currencies');
+    if (!response.ok) {
+      throw new Error(`Country service returned ${response.status}`);
     }
     
-    const rate = AppState.exchangeRates[fromCurrency][toCurrency];
-    return rate ? amount * rate : amount;
+    const data = await response.json();
+    return data.map(country => ({
+      code: country.cca2,
+      name: country.name?.common,
+      currencies: country.currencies || {}
+    }));
   },
   
-
+  // Local OCR; every field comes back as { value, confidence }
   async performOCR(imageFile) {
-    return new Promise((resolve) => {
-      setTimeout(() => {
-
-        resolve({
-          amount: (Math.random() * 500 + 50).toFixed(2),
-          date: new Date().toISOString().split('T')[0],
-          category: ['Meals', 'Transport', 'Accommodation', 'Office Supplies'][Math.floor(Math.random() * 4)],
-          description: 'Auto-extracted from receipt',
-          merchant: 'Sample Restaurant'
-        });
-      }, 1500);
-    });
+    return OCRService.scanReceipt(imageFile);
   }
 };
 
 
-const StorageService = {
-  save() {
-    console.log('Data saved to memory', AppState);
-  },
+const ReferenceDataService = {
+  // Refreshed copies of the bundled data are kept next to the app data
+  STORAGE_KEY: 'referenceData',
+  REFRESH_INTERVAL_MS: 7 * 24 * 60 * 60 * 1000,
   
-  load() {
-    console.log('Data loaded from memory');
-  }
-};
-
-const AuthService = {
-  async signup(name, email, password, companyName, country) {
-    Utils.showLoader();
+  countries: [],
+  currencies: {},
+  refreshedAt: null,
+  
+  // Bundled data first, then any newer copy from a previous online refresh
+  async load() {
+    this.apply(REFERENCE_DATA);
     
     try {
-      // Check if company already exists
-      const existingCompany = AppState.companies.find(c => 
-        c.name.toLowerCase() === companyName.toLowerCase()
-      );
-      
-      if (existingCompany) {
-        throw new Error('Company already exists');
+      const backend = await StorageService.init();
+      const cached = await backend.get(this.STORAGE_KEY);
+      if (cached?.countries?.length) {
+        this.apply(cached);
+        this.refreshedAt = cached.refreshedAt || null;
       }
-      
-      const countryData = AppState.currencies.find(c => c.name === country);
-      const currency = countryData?.currency || 'USD';
-      
-      const company = {
-        id: Utils.generateId('COMP'),
-        name: companyName,
-        country: country,
-        baseCurrency: currency,
-        createdAt: new Date().toISOString()
-      };
-      
-      const admin = {
-        id: Utils.generateId('USR'),
-        companyId: company.id,
-        name: name,
-        email: email,
-        password: password, 
-        role: 'admin',
-        managerId: null,
-        createdAt: new Date().toISOString()
-      };
-      
-      AppState.companies.push(company);
-      AppState.employees.push(admin);
-      AppState.currentCompany = company;
-      AppState.currentUser = admin;
-      
-      StorageService.save();
-      Utils.hideLoader();
-      Utils.showToast('Account created successfully!', 'success');
-      
-      return { user: admin, company };
     } catch (error) {
-      Utils.hideLoader();
-      Utils.showToast(error.message, 'error');
-      throw error;
+      console.warn('Could not read cached reference data:', error);
     }
+    
+    return this.getCountries();
   },
   
-  async signin(email, password, isAdmin = true) {
-    Utils.showLoader();
+  apply(data) {
+    this.currencies = { ...this.currencies, ...data.currencies };
     
-    try {
-      const user = AppState.employees.find(e => 
-        e.email === email && e.password === password
-      );
-      
-      if (!user) {
-        throw new Error('Invalid credentials');
-      }
-      
-      if (isAdmin && user.role !== 'admin') {
-        throw new Error('Not authorized as admin');
-      }
-      
-      const company = AppState.companies.find(c => c.id === user.companyId);
-      
-      if (!company) {
-        throw new Error('Company not found');
-      }
-      
-      AppState.currentUser = user;
-      AppState.currentCompany = company;
-      
-
-      AppState.exchangeRates[company.baseCurrency] = await APIService.fetchExchangeRates(company.baseCurrency);
-      
-      Utils.hideLoader();
-      Utils.showToast('Signed in successfully!', 'success');
-      
-      return { user, company };
-    } catch (error) {
-      Utils.hideLoader();
-      Utils.showToast(error.message, 'error');
-      throw error;
-    }
+    const byCode = new Map(this.countries.map(c => [c.code, c]));
+    (data.countries || []).forEach(country => {
+      if (this.currencies[country.currency]) byCode.set(country.code, country);
+    });
+    this.countries = [...byCode.values()].sort((a, b) => a.name.localeCompare(b.name));
   },
   
-  async signinEmployee(companyName, employeeId, password) {
-    Utils.showLoader();
+  // Country list for pickers, with the currency name filled in
+  getCountries() {
+    return this.countries.map(country => ({
+      ...country,
+      currencyName: this.currencies[country.currency].name
+    }));
+  },
+  
+  getCountry(name) {
+    return this.countries.find(c => c.name === name || c.code === name) || null;
+  },
+  
+  getCurrency(code) {
+    return this.currencies[code] || null;
+  },
+  
+  getCurrencyCodes() {
+    return Object.keys(this.currencies).sort();
+  },
+  
+  getMinorUnits(code) {
+    return this.currencies[code]?.minorUnits ?? 2;
+  },
+  
+  // Best-effort update from restcountries.com; the bundled data stays in use if anything fails
+  async refresh({ force = false } = {}) {
+    if (navigator.onLine === false) return false;
+    if (!force && this.refreshedAt && Date.now() - new Date(this.refreshedAt).getTime() < this.REFRESH_INTERVAL_MS) {
+      return false;
+    }
     
     try {
-      const company = AppState.companies.find(c => 
-        c.name.toLowerCase() === companyName.toLowerCase()
-      );
+      const supported = new Set(Intl.supportedValuesOf?.('currency') || []);
+      const currencies = {};
+      const countries = [];
       
-      if (!company) {
-        throw new Error('Company not found');
-      }
-      
-      const user = AppState.employees.find(e => 
-        e.companyId === company.id && 
-        e.employeeId === employeeId && 
-        e.password === password
-      );
-      
-      if (!user) {
-        throw new Error('Invalid credentials');
-      }
-      
-      AppState.currentUser = user;
-      AppState.currentCompany = company;
+      (await APIService.fetchCountries()).forEach(country => {
+        if (!/^[A-Z]{2}$/.test(country.code || '') || !country.name) return;
+        
+        // Skip local-only currencies (e.g. Faroese króna) that have no ISO 4217 code
+        const codes = Object.keys(country.currencies).filter(code => this.currencies[code] || supported.has(code));
+        codes.filter(code => !this.currencies[code]).forEach(code => {
+          currencies[code] = {
+            name: country.currencies[code].name || code,
+            symbol: country.currencies[code].symbol || code,
+            minorUnits: new Intl.NumberFormat('en-US', { style: 'currency', currency: code }).resolvedOptions().maximumFractionDigits
+          };
+        });
+        
+        // Keep the bundled primary currency where it is still listed
+        const bundled = this.countries.find(c => c.code === country.code);
+        const currency = codes.includes(bundled?.currency) ? bundled.currency : codes[0];
+        if (currency) countries.push({ code: country.code, name: country.name, currency });
+      });
       
-      AppState.exchangeRates[company.baseCurrency] = await APIService.fetchExchangeRates(company.baseCurrency);
+      if (!countries.length) return false;
       
-      Utils.hideLoader();
-      Utils.showToast('Signed in successfully!', 'success');
+      const refreshedAt = new Date().toISOString();
+      this.apply({ countries, currencies });
+      this.refreshedAt = refreshedAt;
       
-      return { user, company };
+      const backend = await StorageService.init();
+      await backend.set(this.STORAGE_KEY, { refreshedAt, countries, currencies });
+      return true;
     } catch (error) {
-      Utils.hideLoader();
-      Utils.showToast(error.message, 'error');
-      throw error;
+      console.warn('Reference data refresh failed, using bundled data:', error);
+      return false;
     }
-  },
-  
-  logout() {
-    AppState.currentUser = null;
-    AppState.currentCompany = null;
-    Utils.showToast('Logged out successfully', 'success');
   }
 };
 
 
-const EmployeeService = {
-  createEmployee(data) {
+const ExchangeRateService = {
+  // Where rates come from. Any object with a `name` and `async getRate(from, to, date)`
+  // resolving to { rate, date } (or null when it has no rate) can be plugged in with setProvider().
+  provider: null,
+  
+  // ECB reference rates; weekends and holidays resolve to the previous business day
+  httpProvider: {
+    name: 'ECB via Frankfurter',
+    baseUrl: 'https://api.frankfurter.app',
+    
+    async getRate(from, to, date) {
+      const response = await fetch(`${this.baseUrl}/${date}?from=${from}&to=${to}`);
+      if (response.status === 404 || response.status === 422) return null;
+      if (!response.ok) {
+        throw new Error(`Exchange rate service returned ${response.status}`);
+      }
+      
+      const data = await response.json();
+      const rate = data.rates?.[to];
+      return rate ? { rate, date: data.date } : null;
+    }
+  },
+  
+  // Local rates for tests and offline demos: { 'EUR:USD': { '2026-01-15': 1.09, ... } }.
+  // Uses the latest rate on or before the requested date; inverse pairs are derived.
+  createFixtureProvider(rates, name = 'Fixture rates') {
+    const lookup = (pair, date) => {
+      const dates = Object.keys(rates[pair] || {}).filter(d => d <= date).sort();
+      const found = dates[dates.length - 1];
+      return found ? { rate: rates[pair][found], date: found } : null;
+    };
+    
+    return {
+      name,
+      async getRate(from, to, date) {
+        const direct = lookup(`${from}:${to}`, date);
+        if (direct) return direct;
+        
+        const inverse = lookup(`${to}:${from}`, date);
+        return inverse ? { rate: 1 / inverse.rate, date: inverse.date } : null;
+      }
+    };
+  },
+  
+  setProvider(provider) {
+    this.provider = provider;
+    AppState.exchangeRates = {};
+  },
+  
+  getProvider() {
+    return this.provider || window.EXPENSEFLOW_RATE_PROVIDER || this.httpProvider;
+  },
+  
+  async createOverride(data) {
     if (AppState.currentUser?.role !== 'admin') {
-      throw new Error('Only admins can create employees');
+      throw new Error('Only admins can set exchange rates');
     }
     
-    const employee = {
-      id: Utils.generateId('USR'),
-      employeeId: data.employeeId,
+    if (!data.fromCurrency || !data.toCurrency || data.fromCurrency === data.toCurrency) {
+      throw new Error('Choose two different currencies');
+    }
+    
+    if (!(data.rate > 0)) {
+      throw new Error('Rate must be greater than zero');
+    }
+    
+    if (!data.startDate || (data.endDate && data.endDate < data.startDate)) {
+      throw new Error('Enter a valid date range');
+    }
+    
+    const override = {
+      id: Utils.generateId('FXO'),
       companyId: AppState.currentCompany.id,
-      name: data.name,
-      email: data.email,
-      password: data.password,
-      role: data.role || 'employee',
-      managerId: data.managerId || null,
-      isManagerApprover: data.isManagerApprover || false,
+      fromCurrency: data.fromCurrency,
+      toCurrency: data.toCurrency,
+      rate: data.rate,
+      startDate: data.startDate,
+      endDate: data.endDate || null,
+      reason: data.reason || '',
+      createdById: AppState.currentUser.id,
+      createdByName: AppState.currentUser.name,
       createdAt: new Date().toISOString()
     };
     
-    AppState.employees.push(employee);
-    StorageService.save();
-    Utils.showToast('Employee created successfully', 'success');
+    const saved = await BackendService.create('exchangeRateOverrides', override);
+    AppState.exchangeRates = {};
+    Utils.showToast('Exchange rate override saved', 'success');
     
-    return employee;
+    return saved;
   },
   
-  updateEmployee(employeeId, updates) {
+  async deleteOverride(overrideId) {
     if (AppState.currentUser?.role !== 'admin') {
-      throw new Error('Only admins can update employees');
+      throw new Error('Only admins can set exchange rates');
     }
     
-    const employee = AppState.employees.find(e => e.id === employeeId);
-    if (!employee) {
-      throw new Error('Employee not found');
+    if (!AppState.exchangeRateOverrides.some(o => o.id === overrideId)) {
+      throw new Error('Override not found');
     }
     
-    Object.assign(employee, updates);
-    StorageService.save();
-    Utils.showToast('Employee updated successfully', 'success');
+    await BackendService.remove('exchangeRateOverrides', overrideId);
+    AppState.exchangeRates = {};
+    Utils.showToast('Exchange rate override removed', 'success');
+  },
+  
+  getCompanyOverrides() {
+    return AppState.exchangeRateOverrides
+      .filter(o => o.companyId === AppState.currentCompany?.id)
+      .sort((a, b) => b.startDate.localeCompare(a.startDate));
+  },
+  
+  // The most recently started override covering the date, in either direction
+  findOverride(from, to, date) {
+    const covers = (o) => o.startDate <= date && (!o.endDate || o.endDate >= date);
+    const match = this.getCompanyOverrides().find(o => 
+      covers(o) && 
+      ((o.fromCurrency === from && o.toCurrency === to) || (o.fromCurrency === to && o.toCurrency === from))
+    );
+    if (!match) return null;
     
-    return employee;
+    return {
+      rate: match.fromCurrency === from ? match.rate : 1 / match.rate,
+      date,
+      source: 'Manual override',
+      overrideId: match.id
+    };
   },
   
-  deleteEmployee(employeeId) {
-    if (AppState.currentUser?.role !== 'admin') {
-      throw new Error('Only admins can delete employees');
-    }
+  // Rate for converting `from` into `to` on `date`; throws rather than guessing when none exists
+  async getRate(from, to, date = Utils.today()) {
+    if (from === to) return { rate: 1, date, source: 'Same currency', overrideId: null };
     
-    const index = AppState.employees.findIndex(e => e.id === employeeId);
-    if (index === -1) {
-      throw new Error('Employee not found');
+    // Providers only know published rates
+    const lookupDate = !date || date > Utils.today() ? Utils.today() : date;
+    
+    const override = this.findOverride(from, to, lookupDate);
+    if (override) return override;
+    
+    const provider = this.getProvider();
+    const key = `${provider.name}:${from}:${to}:${lookupDate}`;
+    if (!AppState.exchangeRates[key]) {
+      let found;
+      try {
+        found = await provider.getRate(from, to, lookupDate);
+      } catch (error) {
+        throw new Error(`Could not load the ${from} → ${to} exchange rate for ${lookupDate}: ${error.message}`);
+      }
+      
+      if (!found?.rate) {
+        throw new Error(`No ${from} → ${to} exchange rate is available for ${lookupDate}. An admin can set a manual rate.`);
+      }
+      
+      AppState.exchangeRates[key] = { rate: found.rate, date: found.date || lookupDate, source: provider.name, overrideId: null };
     }
     
-    AppState.employees.splice(index, 1);
-    StorageService.save();
-    Utils.showToast('Employee deleted successfully', 'success');
-  },
-  
-  getCompanyEmployees() {
-    return AppState.employees.filter(e => e.companyId === AppState.currentCompany?.id);
+    return AppState.exchangeRates[key];
   },
   
-  getManagers() {
-    return this.getCompanyEmployees().filter(e => e.role === 'manager' || e.role === 'admin');
+  // Converts and returns the rate snapshot kept on the expense
+  async convert(amount, from, to, date) {
+    const rate = await this.getRate(from, to, date);
+    
+    return {
+      amount: Math.round(amount * rate.rate * 100) / 100,
+      snapshot: {
+        from,
+        to,
+        rate: rate.rate,
+        rateDate: rate.date,
+        source: rate.source,
+        overrideId: rate.overrideId,
+        retrievedAt: new Date().toISOString()
+      }
+    };
   }
 };
 
 
-const ExpenseService = {
-  async submitExpense(data) {
-    try {
-      const expense = {
-        id: Utils.generateId('EXP'),
-        companyId: AppState.currentCompany.id,
-        employeeId: AppState.currentUser.id,
-        employeeName: AppState.currentUser.name,
-        amount: parseFloat(data.amount),
-        currency: data.currency,
-        amountInBaseCurrency: 0,
-        category: data.category,
-        description: data.description,
-        date: data.date,
-        merchant: data.merchant || '',
-        receiptUrl: data.receiptUrl || null,
-        status: 'pending',
-        approvals: [],
-        currentApproverIndex: 0,
-        comments: [],
-        createdAt: new Date().toISOString()
-      };
-      
-      // Convert to base currency
-      expense.amountInBaseCurrency = await APIService.convertCurrency(
-        expense.amount,
-        expense.currency,
-        AppState.currentCompany.baseCurrency
-      );
-      
-      // Determine approval flow
-      const approvalFlow = this.determineApprovalFlow(expense);
-      expense.approvalFlow = approvalFlow;
-      
-      AppState.expenses.push(expense);
-      StorageService.save();
-      Utils.showToast('Expense submitted successfully', 'success');
-      
-      return expense;
-    } catch (error) {
-      Utils.showToast('Error submitting expense: ' + error.message, 'error');
-      throw error;
+const OCRService = {
+  // tesseract.js build, worker, WASM core and language data are served locally
+  VENDOR_PATH: 'vendor/tesseract',
+  LOW_CONFIDENCE: 0.6,
+  
+  CURRENCY_SYMBOLS: {
+    '€': { code: 'EUR', confidence: 0.85 },
+    '£': { code: 'GBP', confidence: 0.85 },
+    '₹': { code: 'INR', confidence: 0.85 },
+    '¥': { code: 'JPY', confidence: 0.6 },
+    '₩': { code: 'KRW', confidence: 0.85 },
+    '₽': { code: 'RUB', confidence: 0.85 },
+    '₺': { code: 'TRY', confidence: 0.85 },
+    '$': { code: 'USD', confidence: 0.5 }
+  },
+  
+  // ISO codes that are also everyday receipt words ("ALL SALES FINAL", "1 CUP"), so never trusted on their own
+  AMBIGUOUS_CODES: ['ALL', 'BOB', 'CUP', 'GEL', 'MAD', 'MOP', 'PEN', 'SOS', 'TOP', 'TRY'],
+  
+  // Merchant keywords used to suggest a category
+  CATEGORY_KEYWORDS: {
+    Meals: /restaurant|cafe|café|coffee|bistro|bar|grill|pizza|burger|kitchen|diner|bakery/i,
+    Transport: /taxi|uber|lyft|cab|airline|airways|rail|train|metro|parking|fuel|petrol|gas station|shell|bp/i,
+    Accommodation: /hotel|inn|suites|resort|hostel|motel|lodge|airbnb/i,
+    'Office Supplies': /office|staples|stationery|depot|supplies/i
+  },
+  
+  workerPromise: null,
+  installedPromise: null,
+  
+  // Whether vendor/tesseract/fetch.sh has been run on the server; the bundle isn't in the repo
+  isInstalled() {
+    if (!this.installedPromise) {
+      this.installedPromise = fetch(`${this.VENDOR_PATH}/tesseract.min.js`, { method: 'HEAD' })
+        .then(response => response.ok)
+        .catch(() => false);
     }
+    return this.installedPromise;
   },
   
-  determineApprovalFlow(expense) {
-    const employee = AppState.employees.find(e => e.id === expense.employeeId);
-    const flow = [];
-    
-    // Check if employee has a manager and isManagerApprover is true
-    if (employee.managerId && employee.isManagerApprover) {
-      const manager = AppState.employees.find(e => e.id === employee.managerId);
-      if (manager) {
-        flow.push({
-          approverId: manager.id,
-          approverName: manager.name,
-          approverRole: manager.role,
-          status: 'pending',
-          sequence: 1
+  loadScript(src) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.onload = resolve;
+      script.onerror = () => reject(new Error(`Could not load ${src}`));
+      document.head.appendChild(script);
+    });
+  },
+  
+  async getWorker() {
+    if (!this.workerPromise) {
+      this.workerPromise = (async () => {
+        if (!window.Tesseract) {
+          await this.loadScript(`${this.VENDOR_PATH}/tesseract.min.js`).catch(() => {
+            throw new Error(`OCR engine not installed: run ${this.VENDOR_PATH}/fetch.sh on the server`);
+          });
+        }
+        
+        const base = new URL(this.VENDOR_PATH + '/', window.location.href).href;
+        return window.Tesseract.createWorker('eng', 1, {
+          workerPath: `${base}worker.min.js`,
+          corePath: base,
+          langPath: base,
+          workerBlobURL: false
         });
-      }
-    }
-    
-    // Add approval rules configured by admin
-    const applicableRules = AppState.approvalRules
-      .filter(rule => rule.companyId === AppState.currentCompany.id)
-      .sort((a, b) => a.sequence - b.sequence);
-    
-    applicableRules.forEach((rule, index) => {
-      flow.push({
-        ruleId: rule.id,
-        ruleName: rule.name,
-        ruleType: rule.type,
-        approvers: rule.approvers.map(a => ({
-          approverId: a.approverId,
-          approverName: a.approverName
-        })),
-        condition: rule.condition,
-        status: 'pending',
-        sequence: flow.length + 1,
-        approvalCount: 0,
-        requiredApprovals: rule.condition?.percentage ? 
-          Math.ceil(rule.approvers.length * rule.condition.percentage / 100) : 
-          rule.approvers.length
+      })().catch(error => {
+        this.workerPromise = null;
+        throw error;
       });
-    });
+    }
     
-    return flow;
+    return this.workerPromise;
   },
   
-  async approveExpense(expenseId, comment = '') {
-    const expense = AppState.expenses.find(e => e.id === expenseId);
-    if (!expense) {
-      throw new Error('Expense not found');
+  async scanReceipt(imageFile) {
+    if (!imageFile.type.startsWith('image/')) {
+      throw new Error('Only image receipts can be scanned');
     }
     
-    const currentStep = expense.approvalFlow[expense.currentApproverIndex];
-    if (!currentStep) {
-      throw new Error('No pending approval step');
-    }
+    const worker = await this.getWorker();
+    const { data } = await worker.recognize(imageFile, {}, { text: true, blocks: true });
+    
+    // Line-level confidence when the engine reports it, otherwise the page confidence
+    const lines = (data.lines?.length ? data.lines : data.text.split('\n').map(text => ({ text, confidence: data.confidence })))
+      .map(line => ({ text: line.text.trim(), confidence: (line.confidence ?? 0) / 100 }))
+      .filter(line => line.text);
+    
+    return this.parseReceipt(lines);
+  },
+  
+  // Each field is { value, confidence } with confidence in 0..1
+  parseReceipt(lines) {
+    const merchant = this.findMerchant(lines);
     
-    // Record approval
-    const approval = {
-      approverId: AppState.currentUser.id,
-      approverName: AppState.currentUser.name,
-      action: 'approved',
-      comment: comment,
-      timestamp: new Date().toISOString()
+    return {
+      amount: this.findTotal(lines),
+      date: this.findDate(lines),
+      merchant,
+      currency: this.findCurrency(lines),
+      category: this.guessCategory(merchant),
+      taxes: this.findTaxes(lines),
+      text: lines.map(l => l.text).join('\n')
     };
+  },
+  
+  parseAmount(text) {
+    const matches = text.match(/\d{1,3}(?:[,.\s]\d{3})*[.,]\d{2}(?!\d)|\d+[.,]\d{2}(?!\d)/g);
+    if (!matches) return null;
     
-    expense.approvals.push(approval);
+    // Last amount on the line; the final separator is the decimal point
+    const raw = matches[matches.length - 1].replace(/\s/g, '');
+    const normalized = raw.slice(0, -3).replace(/[.,]/g, '') + '.' + raw.slice(-2);
+    const value = parseFloat(normalized);
+    return isNaN(value) ? null : value;
+  },
+  
+  findTotal(lines) {
+    const keywords = [
+      { pattern: /grand\s*total|total\s*(due|paid|amount)|amount\s*(due|paid)|balance\s*due/i, weight: 1 },
+      { pattern: /^(?!.*sub\s*-?\s*total).*\btotal\b/i, weight: 0.9 }
+    ];
     
-    // Handle different rule types
-    if (currentStep.ruleType) {
-      currentStep.approvalCount++;
-      
-      // Check if condition is met
-      const conditionMet = this.checkApprovalCondition(currentStep, approval);
-      
-      if (conditionMet) {
-        currentStep.status = 'approved';
-        expense.currentApproverIndex++;
+    for (const { pattern, weight } of keywords) {
+      // Receipts often repeat the total; the last labelled line is usually the final figure
+      const line = [...lines].reverse().find(l => pattern.test(l.text) && this.parseAmount(l.text) !== null);
+      if (line) {
+        return { value: this.parseAmount(line.text), confidence: line.confidence * weight };
       }
-    } else {
-      // Simple single approver
-      currentStep.status = 'approved';
-      expense.currentApproverIndex++;
     }
     
-    // Check if all approvals are complete
-    if (expense.currentApproverIndex >= expense.approvalFlow.length) {
-      expense.status = 'approved';
-    }
+    // No label: fall back to the largest amount on the receipt
+    const amounts = lines
+      .map(l => ({ value: this.parseAmount(l.text), confidence: l.confidence }))
+      .filter(a => a.value !== null)
+      .sort((a, b) => b.value - a.value);
     
-    if (comment) {
-      expense.comments.push({
-        userId: AppState.currentUser.id,
-        userName: AppState.currentUser.name,
-        comment: comment,
-        timestamp: new Date().toISOString()
-      });
-    }
+    return amounts.length ? { value: amounts[0].value, confidence: amounts[0].confidence * 0.4 } : null;
+  },
+  
+  findDate(lines) {
+    const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    const pad = (n) => String(n).padStart(2, '0');
+    const year = (y) => (y.length === 2 ? 2000 + parseInt(y) : parseInt(y));
+    const valid = (y, m, d) => m >= 1 && m <= 12 && d >= 1 && d <= 31 && y > 1990 && y < 2100;
     
-    StorageService.save();
-    Utils.showToast('Expense approved', 'success');
+    for (const line of lines) {
+      let match = line.text.match(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/);
+      if (match && valid(+match[1], +match[2], +match[3])) {
+        return { value: `${match[1]}-${pad(match[2])}-${pad(match[3])}`, confidence: line.confidence * 0.95 };
+      }
+      
+      match = line.text.match(/\b(\d{1,2})\s*(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?,?\s*(\d{2,4})\b/i);
+      if (match && valid(year(match[3]), months.indexOf(match[2].toLowerCase()) + 1, +match[1])) {
+        const month = months.indexOf(match[2].toLowerCase()) + 1;
+        return { value: `${year(match[3])}-${pad(month)}-${pad(match[1])}`, confidence: line.confidence * 0.9 };
+      }
+      
+      match = line.text.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s*(\d{1,2}),?\s*(\d{4})\b/i);
+      if (match && valid(+match[3], months.indexOf(match[1].toLowerCase()) + 1, +match[2])) {
+        const month = months.indexOf(match[1].toLowerCase()) + 1;
+        return { value: `${match[3]}-${pad(month)}-${pad(match[2])}`, confidence: line.confidence * 0.9 };
+      }
+      
+      match = line.text.match(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})\b/);
+      if (match) {
+        const [a, b, y] = [+match[1], +match[2], year(match[3])];
+        // Day-first unless that is impossible; either way the order is a guess
+        if (valid(y, b, a)) {
+          return { value: `${y}-${pad(b)}-${pad(a)}`, confidence: line.confidence * (a > 12 ? 0.85 : 0.5) };
+        }
+        if (valid(y, a, b)) {
+          return { value: `${y}-${pad(a)}-${pad(b)}`, confidence: line.confidence * 0.85 };
+        }
+      }
+    }
     
-    return expense;
+    return null;
   },
   
-  checkApprovalCondition(step, approval) {
-    const condition = step.condition;
+  findMerchant(lines) {
+    // The merchant name is normally the first text line that isn't a number, date or address
+    const line = lines.slice(0, 5).find(l => 
+      /[a-z]{3,}/i.test(l.text) && 
+      !/\d{2,}[/.-]\d{1,2}|receipt|invoice|\btel\b|phone|www\.|@|\d{3,}\s+\w+\s+(st|street|ave|road|rd)\b/i.test(l.text)
+    );
     
-    if (!condition) return step.approvalCount >= step.approvers.length;
+    return line ? { value: line.text.replace(/\s{2,}/g, ' '), confidence: line.confidence * 0.7 } : null;
+  },
+  
+  findCurrency(lines) {
+    const text = lines.map(l => l.text).join(' ');
+    const known = new Set(ReferenceDataService.getCurrencyCodes());
+    const amount = '\\d+(?:[.,\\s]\\d{3})*[.,]\\d{2}(?!\\d)';
     
-    // Specific approver rule
-    if (condition.specificApproverId && approval.approverId === condition.specificApproverId) {
-      return true;
+    // Only a code written right before or after an amount counts; elsewhere it is likely just a word
+    const pattern = new RegExp(`\\b([A-Z]{3})\\s?${amount}|${amount}\\s?([A-Z]{3})\\b`, 'g');
+    const codes = Array.from(text.matchAll(pattern), m => m[1] || m[2]).filter(c => known.has(c));
+    const code = codes.find(c => !this.AMBIGUOUS_CODES.includes(c)) || codes[0];
+    if (code) {
+      return { value: code, confidence: this.AMBIGUOUS_CODES.includes(code) ? 0.4 : 0.95 };
     }
     
-    // Percentage rule
-    if (condition.percentage) {
-      const percentageApproved = (step.approvalCount / step.approvers.length) * 100;
-      if (percentageApproved >= condition.percentage) {
-        return true;
+    for (const [symbol, guess] of Object.entries(this.CURRENCY_SYMBOLS)) {
+      if (!text.includes(symbol)) continue;
+      
+      // A bare "$" most likely means the company's own currency when that is a dollar
+      const baseCurrency = AppState.currentCompany?.baseCurrency;
+      if (symbol === '$' && /\bdollar\b/i.test(ReferenceDataService.getCurrency(baseCurrency)?.name)) {
+        return { value: baseCurrency, confidence: 0.6 };
       }
+      return { value: guess.code, confidence: guess.confidence };
     }
     
-    // Hybrid rule (OR logic)
-    if (condition.hybrid) {
-      if (condition.specificApproverId && approval.approverId === condition.specificApproverId) {
-        return true;
-      }
-      if (condition.percentage) {
-        const percentageApproved = (step.approvalCount / step.approvers.length) * 100;
-        if (percentageApproved >= condition.percentage) {
-          return true;
-        }
-      }
-    }
+    return null;
+  },
+  
+  findTaxes(lines) {
+    return lines
+      .filter(l => /\b(tax|vat|gst|hst|pst|igst|cgst|sgst)\b/i.test(l.text) && this.parseAmount(l.text) !== null)
+      .map(l => ({
+        label: l.text.replace(/[\d.,\s%]+$/, '').trim() || 'Tax',
+        rate: parseFloat(l.text.match(/(\d+(?:[.,]\d+)?)\s*%/)?.[1]?.replace(',', '.')) || null,
+        amount: this.parseAmount(l.text),
+        confidence: l.confidence
+      }));
+  },
+  
+  guessCategory(merchant) {
+    if (!merchant) return null;
     
-    return false;
+    const match = Object.entries(this.CATEGORY_KEYWORDS).find(([, pattern]) => pattern.test(merchant.value));
+    return match ? { value: match[0], confidence: 0.5 } : null;
+  }
+};
+
+
+const ReceiptService = {
+  MAX_FILE_BYTES: 5 * 1024 * 1024,
+  MAX_PER_EXPENSE: 5,
+  THUMBNAIL_SIZE: 160,
+  
+  // Accepted formats and the leading bytes every file of that type starts with; the server checks the same
+  SIGNATURES: {
+    'image/jpeg': bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff,
+    'image/png': bytes => [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a].every((byte, i) => bytes[i] === byte),
+    'image/webp': bytes => String.fromCharCode(...bytes.slice(0, 4)) === 'RIFF' && String.fromCharCode(...bytes.slice(8, 12)) === 'WEBP',
+    'application/pdf': bytes => String.fromCharCode(...bytes.slice(0, 5)) === '%PDF-'
   },
   
-  rejectExpense(expenseId, comment = '') {
-    const expense = AppState.expenses.find(e => e.id === expenseId);
-    if (!expense) {
-      throw new Error('Expense not found');
+  validate(files, existingCount = 0) {
+    if (existingCount + files.length > this.MAX_PER_EXPENSE) {
+      throw new Error(`An expense can have at most ${this.MAX_PER_EXPENSE} receipts`);
     }
     
-    expense.status = 'rejected';
-    expense.approvals.push({
-      approverId: AppState.currentUser.id,
-      approverName: AppState.currentUser.name,
-      action: 'rejected',
-      comment: comment,
-      timestamp: new Date().toISOString()
+    files.forEach(file => {
+      if (!this.SIGNATURES[file.type]) {
+        throw new Error(`${file.name}: only JPEG, PNG and WebP images and PDFs can be attached`);
+      }
+      if (file.size > this.MAX_FILE_BYTES) {
+        throw new Error(`${file.name} is larger than ${this.MAX_FILE_BYTES / 1024 / 1024} MB`);
+      }
+    });
+  },
+  
+  readAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+      reader.readAsDataURL(file);
+    });
+  },
+  
+  createThumbnail(dataUrl) {
+    return new Promise((resolve) => {
+      const img = new Image();
+      img.onload = () => {
+        const scale = Math.min(1, this.THUMBNAIL_SIZE / Math.max(img.width, img.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(img.width * scale);
+        canvas.height = Math.round(img.height * scale);
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        resolve(canvas.toDataURL('image/jpeg', 0.7));
+      };
+      // Formats the browser can't decode just go without a thumbnail
+      img.onerror = () => resolve(null);
+      img.src = dataUrl;
+    });
+  },
+  
+  async hashFile(file) {
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  },
+  
+  // 64-bit average hash: survives re-scans and re-compression of the same receipt, unlike the file hash
+  createImageHash(dataUrl) {
+    return new Promise((resolve) => {
+      const img = new Image();
+      img.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 8;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, 8, 8);
+        
+        const pixels = ctx.getImageData(0, 0, 8, 8).data;
+        const grays = [];
+        for (let i = 0; i < pixels.length; i += 4) {
+          grays.push(pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114);
+        }
+        const mean = grays.reduce((sum, g) => sum + g, 0) / grays.length;
+        
+        let hash = '';
+        for (let i = 0; i < grays.length; i += 4) {
+          const nibble = grays.slice(i, i + 4).reduce((bits, g) => (bits << 1) | (g >= mean ? 1 : 0), 0);
+          hash += nibble.toString(16);
+        }
+        resolve(hash);
+      };
+      img.onerror = () => resolve(null);
+      img.src = dataUrl;
     });
+  },
+  
+  // Catches files renamed to look like a receipt before they are uploaded
+  async checkSignature(file) {
+    const bytes = new Uint8Array(await file.slice(0, 12).arrayBuffer());
+    if (!this.SIGNATURES[file.type]?.(bytes)) {
+      throw new Error(`${file.name} is not a valid ${file.type === 'application/pdf' ? 'PDF' : 'image'}`);
+    }
+  },
+  
+  // Reads files into not-yet-uploaded receipts for the submit form
+  async prepare(files) {
+    return Promise.all(files.map(async file => {
+      await this.checkSignature(file);
+      const dataUrl = await this.readAsDataUrl(file);
+      const isImage = file.type.startsWith('image/');
+      return {
+        tempId: Utils.generateId('TMP'),
+        file,
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        dataUrl,
+        thumbnailUrl: isImage ? await this.createThumbnail(dataUrl) : null,
+        contentHash: await this.hashFile(file),
+        imageHash: isImage ? await this.createImageHash(dataUrl) : null
+      };
+    }));
+  },
+  
+  // Uploads prepared receipts and returns the metadata kept on the expense
+  async upload(prepared) {
+    const uploaded = [];
     
-    if (comment) {
-      expense.comments.push({
-        userId: AppState.currentUser.id,
-        userName: AppState.currentUser.name,
-        comment: comment,
-        timestamp: new Date().toISOString()
+    for (const receipt of prepared) {
+      const saved = await BackendService.request('POST', `/${BackendService.RESOURCES.receipts}`, {
+        id: Utils.generateId('RCPT'),
+        name: receipt.name,
+        type: receipt.type,
+        size: receipt.size,
+        dataUrl: receipt.dataUrl,
+        thumbnailUrl: receipt.thumbnailUrl,
+        contentHash: receipt.contentHash,
+        imageHash: receipt.imageHash,
+        uploadedBy: AppState.currentUser.id,
+        createdAt: new Date().toISOString()
       });
+      uploaded.push(this.toMetadata(saved));
     }
     
-    StorageService.save();
-    Utils.showToast('Expense rejected', 'success');
-    
-    return expense;
+    return uploaded;
   },
   
-  getMyExpenses() {
-    return AppState.expenses.filter(e => e.employeeId === AppState.currentUser.id);
+  async remove(receiptIds) {
+    for (const id of receiptIds) {
+      await BackendService.request('DELETE', `/${BackendService.RESOURCES.receipts}/${encodeURIComponent(id)}`)
+        .catch(error => console.warn('Could not delete receipt:', error));
+    }
   },
   
-  getPendingApprovals() {
-    const userId = AppState.currentUser.id;
+  toMetadata(receipt) {
+    return {
+      id: receipt.id,
+      name: receipt.name,
+      type: receipt.type,
+      size: receipt.size,
+      thumbnailUrl: receipt.thumbnailUrl,
+      contentHash: receipt.contentHash || null,
+      imageHash: receipt.imageHash || null
+    };
+  },
+  
+  // Opens the file straight from the server, whose headers keep it from running as a page;
+  // the link in the metadata expires after a few minutes
+  async open(receiptId) {
+    const receipt = await BackendService.get('receipts', receiptId);
+    window.open(BackendService.baseUrl + receipt.fileUrl, '_blank', 'noopener');
+  }
+};
+
+
+const StorageService = {
+  DB_NAME: 'expenseflow',
+  STORE_NAME: 'collections',
+  LOCAL_KEY_PREFIX: 'expenseflow:',
+  SCHEMA_VERSION: 9,
+  
+  // AppState collections that are persisted between sessions
+  COLLECTIONS: ['companies', 'employees', 'expenses', 'approvalRules', 'delegations', 'reports', 'perDiemRates', 'mileageRates', 'policies', 'exchangeRateOverrides', 'accountingExports', 'departments', 'costCenters', 'paymentRuns', 'filterPresets'],
+  
+  // Ordered migrations; each upgrades saved data to its `version`.
+  // They must be idempotent: server records are run through all of them on refresh.
+  migrations: [
+    {
+      version: 1,
+      migrate(data) {
+        data.expenses = (data.expenses || []).map(expense => ({
+          ...expense,
+          approvals: expense.approvals || [],
+          approvalFlow: expense.approvalFlow || [],
+          comments: expense.comments || [],
+          currentApproverIndex: expense.currentApproverIndex || 0
+        }));
+        data.approvalRules = (data.approvalRules || []).map(rule => ({
+          ...rule,
+          approvers: rule.approvers || [],
+          condition: rule.condition || null
+        }));
+        return data;
+      }
+    },
+    {
+      version: 2,
+      migrate(data) {
+        // Credentials now live only on the server
+        data.employees = (data.employees || []).map(({ password, ...employee }) => employee);
+        return data;
+      }
+    },
+    {
+      version: 3,
+      migrate(data) {
+        data.approvalRules = (data.approvalRules || []).map(rule => ({
+          ...rule,
+          criteria: rule.criteria || null
+        }));
+        return data;
+      }
+    },
+    {
+      version: 4,
+      migrate(data) {
+        // One recorded vote per approver per step
+        data.expenses = (data.expenses || []).map(expense => ({
+          ...expense,
+          overrides: expense.overrides || [],
+          approvalFlow: expense.approvalFlow.map(step => ({ ...step, votes: step.votes || [] }))
+        }));
+        return data;
+      }
+    },
+    {
+      version: 5,
+      migrate(data) {
+        // Start SLA clocks for steps that were already waiting
+        data.expenses = (data.expenses || []).map(expense => ({
+          ...expense,
+          approvalFlow: expense.approvalFlow.map((step, idx) => ({
+            ...step,
+            escalatedTo: step.escalatedTo || {},
+            activatedAt: step.activatedAt || (idx === expense.currentApproverIndex ? 
+              expense.approvals[expense.approvals.length - 1]?.timestamp || expense.createdAt : 
+              null)
+          }))
+        }));
+        return data;
+      }
+    },
+    {
+      version: 6,
+      migrate(data) {
+        data.expenses = (data.expenses || []).map(expense => ({
+          ...expense,
+          revision: expense.revision || 1,
+          revisions: expense.revisions || [],
+          submittedAt: expense.submittedAt || (expense.status === 'draft' ? null : expense.createdAt)
+        }));
+        return data;
+      }
+    },
+    {
+      version: 7,
+      migrate(data) {
+        // Single receiptUrl becomes a list of attached receipts
+        data.expenses = (data.expenses || []).map(({ receiptUrl, ...expense }) => ({
+          ...expense,
+          receipts: expense.receipts || (receiptUrl ? [{ id: null, name: 'Receipt', url: receiptUrl }] : [])
+        }));
+        return data;
+      }
+    },
+    {
+      version: 8,
+      migrate(data) {
+        data.expenses = (data.expenses || []).map(expense => ({
+          ...expense,
+          lineItems: expense.lineItems || [{
+            id: `LINE_${expense.id}`,
+            category: expense.category,
+            amount: expense.amount,
+            amountInBaseCurrency: expense.amountInBaseCurrency,
+            description: expense.description
+          }]
+        }));
+        return data;
+      }
+    },
+    {
+      version: 9,
+      migrate(data) {
+        // Older expenses were converted at whatever rate was cached; keep the implied rate
+        data.expenses = (data.expenses || []).map(expense => ({
+          ...expense,
+          exchangeRate: expense.exchangeRate !== undefined ? expense.exchangeRate : {
+            from: expense.currency,
+            to: null,
+            rate: expense.amount ? expense.amountInBaseCurrency / expense.amount : null,
+            rateDate: null,
+            source: 'Legacy (latest rate at submission)',
+            overrideId: null,
+            retrievedAt: null
+          }
+        }));
+        return data;
+      }
+    }
+  ],
+  
+  backend: null,
+  pendingWrite: Promise.resolve(),
+  
+  async init() {
+    if (this.backend) return this.backend;
+    
+    try {
+      this.backend = await this.openIndexedDB();
+    } catch (error) {
+      console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+      this.backend = this.localStorageBackend();
+    }
     
-    return AppState.expenses.filter(expense => {
-      if (expense.status !== 'pending') return false;
+    return this.backend;
+  },
+  
+  openIndexedDB() {
+    return new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not supported'));
+        return;
+      }
       
-      const currentStep = expense.approvalFlow[expense.currentApproverIndex];
-      if (!currentStep) return false;
+      const request = window.indexedDB.open(this.DB_NAME, 1);
       
-      // Check if current user is in the current approval step
-      if (currentStep.approverId === userId) return true;
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.STORE_NAME);
+      };
       
-      if (currentStep.approvers) {
-        return currentStep.approvers.some(a => a.approverId === userId);
-      }
+      request.onsuccess = () => {
+        const db = request.result;
+        const storeName = this.STORE_NAME;
+        
+        const run = (mode, operation) => new Promise((res, rej) => {
+          const tx = db.transaction(storeName, mode);
+          const result = operation(tx.objectStore(storeName));
+          tx.oncomplete = () => res(result.result);
+          tx.onerror = () => rej(tx.error);
+          tx.onabort = () => rej(tx.error);
+        });
+        
+        resolve({
+          get: (key) => run('readonly', store => store.get(key)),
+          set: (key, value) => run('readwrite', store => store.put(value, key)),
+          remove: (key) => run('readwrite', store => store.delete(key))
+        });
+      };
       
-      return false;
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB open blocked'));
     });
   },
   
-  getAllExpenses() {
-    if (AppState.currentUser?.role !== 'admin') {
-      throw new Error('Only admins can view all expenses');
+  localStorageBackend() {
+    const prefix = this.LOCAL_KEY_PREFIX;
+    
+    return {
+      async get(key) {
+        const raw = window.localStorage.getItem(prefix + key);
+        return raw ? JSON.parse(raw) : undefined;
+      },
+      async set(key, value) {
+        window.localStorage.setItem(prefix + key, JSON.stringify(value));
+      },
+      async remove(key) {
+        window.localStorage.removeItem(prefix + key);
+      }
+    };
+  },
+  
+  save() {
+    // Snapshot now so later mutations don't leak into this write
+    const snapshot = JSON.parse(JSON.stringify(
+      Object.fromEntries(this.COLLECTIONS.map(name => [name, AppState[name]]))
+    ));
+    
+    this.pendingWrite = this.pendingWrite
+      .then(async () => {
+        const backend = await this.init();
+        for (const name of this.COLLECTIONS) {
+          await backend.set(name, snapshot[name]);
+        }
+        await backend.set('schemaVersion', this.SCHEMA_VERSION);
+      })
+      .catch(error => {
+        console.error('Error saving data:', error);
+        Utils.showToast('Could not save data locally', 'error');
+      });
+    
+    return this.pendingWrite;
+  },
+  
+  // Forgets the company data cached in memory and on this device, so whoever uses the browser next
+  // can't read it; queued after any pending write so that write can't bring it back
+  clear() {
+    this.COLLECTIONS.forEach(name => {
+      AppState[name] = [];
+    });
+    
+    this.pendingWrite = this.pendingWrite
+      .then(async () => {
+        const backend = await this.init();
+        for (const name of this.COLLECTIONS) {
+          await backend.remove(name);
+        }
+      })
+      .catch(error => {
+        console.error('Error clearing saved data:', error);
+      });
+    
+    return this.pendingWrite;
+  },
+  
+  async load() {
+    try {
+      const backend = await this.init();
+      const storedVersion = (await backend.get('schemaVersion')) || 0;
+      
+      if (storedVersion > this.SCHEMA_VERSION) {
+        throw new Error(`Saved data is from a newer version (${storedVersion})`);
+      }
+      
+      let data = {};
+      for (const name of this.COLLECTIONS) {
+        data[name] = (await backend.get(name)) || [];
+      }
+      
+      data = this.migrate(data, storedVersion);
+      this.COLLECTIONS.forEach(name => {
+        AppState[name] = data[name];
+      });
+      
+      if (storedVersion !== this.SCHEMA_VERSION) {
+        await this.save();
+      }
+    } catch (error) {
+      console.error('Error loading data:', error);
+      Utils.showToast('Could not load saved data', 'error');
     }
-    return AppState.expenses.filter(e => e.companyId === AppState.currentCompany.id);
+  },
+  
+  migrate(data, fromVersion) {
+    return this.migrations
+      .filter(m => m.version > fromVersion && m.version <= this.SCHEMA_VERSION)
+      .sort((a, b) => a.version - b.version)
+      .reduce((migrated, m) => m.migrate(migrated), data);
   }
 };
 
-
-const ApprovalRuleService = {
-  createRule(data) {
-    if (AppState.currentUser?.role !== 'admin') {
-      throw new Error('Only admins can create approval rules');
+const BackendService = {
+  baseUrl: window.EXPENSEFLOW_API_URL || '/api',
+  
+  // AppState collection -> REST resource on the API server
+  RESOURCES: {
+    companies: 'companies',
+    employees: 'employees',
+    expenses: 'expenses',
+    approvalRules: 'approval-rules',
+    delegations: 'delegations',
+    reports: 'reports',
+    perDiemRates: 'per-diem-rates',
+    mileageRates: 'mileage-rates',
+    policies: 'policies',
+    exchangeRateOverrides: 'exchange-rate-overrides',
+    accountingExports: 'accounting-exports',
+    departments: 'departments',
+    costCenters: 'cost-centers',
+    paymentRuns: 'payment-runs',
+    bankAccounts: 'bank-accounts',
+    filterPresets: 'filter-presets',
+    receipts: 'receipts'
+  },
+  
+  // Too large to mirror into AppState; fetched one record at a time
+  LAZY_COLLECTIONS: ['receipts'],
+  
+  async request(method, path, body, { skipAuth = false, retried = false } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (AppState.session && !skipAuth) {
+      headers.Authorization = `Bearer ${AppState.session.accessToken}`;
     }
     
-    const rule = {
-      id: Utils.generateId('RULE'),
-      companyId: AppState.currentCompany.id,
-      name: data.name,
-      type: data.type, // 'sequential', 'percentage', 'specific', 'hybrid'
-      sequence: data.sequence || 1,
-      approvers: data.approvers || [],
-      condition: data.condition || null,
-      createdAt: new Date().toISOString()
-    };
+    const response = await fetch(this.baseUrl + path, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
     
-    AppState.approvalRules.push(rule);
-    StorageService.save();
-    Utils.showToast('Approval rule created', 'success');
+    const text = await response.text();
+    const data = text ? JSON.parse(text) : null;
     
-    return rule;
-  },
-  
-  updateRule(ruleId, updates) {
-    if (AppState.currentUser?.role !== 'admin') {
-      throw new Error('Only admins can update approval rules');
+    // Expired access token: refresh once and retry, otherwise end the session
+    if (response.status === 401 && AppState.session && !skipAuth) {
+      if (!retried) {
+        try {
+          await AuthService.refreshSession();
+          return this.request(method, path, body, { retried: true });
+        } catch (error) {
+          console.warn('Session refresh failed:', error);
+        }
+      }
+      AuthService.expireSession('Your session has expired. Please sign in again.');
     }
     
-    const rule = AppState.approvalRules.find(r => r.id === ruleId);
-    if (!rule) {
-      throw new Error('Rule not found');
+    if (!response.ok) {
+      throw new Error(data?.error || `Request failed (${response.status})`);
     }
     
-    Object.assign(rule, updates);
+    return data;
+  },
+  
+  list(collection, query = {}) {
+    const params = new URLSearchParams(query).toString();
+    return this.request('GET', `/${this.RESOURCES[collection]}${params ? `?${params}` : ''}`);
+  },
+  
+  // Fetches the latest server copy without touching the local cache
+  get(collection, id) {
+    return this.request('GET', `/${this.RESOURCES[collection]}/${encodeURIComponent(id)}`);
+  },
+  
+  async create(collection, record) {
+    const saved = await this.request('POST', `/${this.RESOURCES[collection]}`, record);
+    this.cache(collection, saved);
+    return saved;
+  },
+  
+  async update(collection, id, updates) {
+    const saved = await this.request('PUT', `/${this.RESOURCES[collection]}/${encodeURIComponent(id)}`, updates);
+    this.cache(collection, saved);
+    return saved;
+  },
+  
+  // Runs a workflow action (submit, approve, ...) on an expense or report. The server checks it
+  // against the copy the user was shown, so a record that changed since then comes back as a conflict.
+  async action(collection, id, action, body = {}) {
+    const version = AppState[collection].find(r => r.id === id)?.version;
+    const saved = await this.request('POST', `/${this.RESOURCES[collection]}/${encodeURIComponent(id)}/${action}`, { ...body, version });
+    this.cache(collection, saved);
+    return saved;
+  },
+  
+  async remove(collection, id) {
+    await this.request('DELETE', `/${this.RESOURCES[collection]}/${encodeURIComponent(id)}`);
+    AppState[collection] = AppState[collection].filter(r => r.id !== id);
     StorageService.save();
-    Utils.showToast('Approval rule updated', 'success');
-    
-    return rule;
   },
   
-  deleteRule(ruleId) {
-    if (AppState.currentUser?.role !== 'admin') {
-      throw new Error('Only admins can delete approval rules');
-    }
-    
-    const index = AppState.approvalRules.findIndex(r => r.id === ruleId);
+  cache(collection, record) {
+    const index = AppState[collection].findIndex(r => r.id === record.id);
     if (index === -1) {
-      throw new Error('Rule not found');
+      AppState[collection].push(record);
+    } else {
+      AppState[collection][index] = record;
     }
     
-    AppState.approvalRules.splice(index, 1);
+    if (AppState.currentUser?.id === record.id) AppState.currentUser = record;
+    if (AppState.currentCompany?.id === record.id) AppState.currentCompany = record;
+    
     StorageService.save();
-    Utils.showToast('Approval rule deleted', 'success');
   },
   
-  getCompanyRules() {
-    return AppState.approvalRules.filter(r => r.companyId === AppState.currentCompany?.id);
+  // Every collection mirrored into AppState
+  getSyncedCollections() {
+    return Object.keys(this.RESOURCES).filter(name => name !== 'companies' && !this.LAZY_COLLECTIONS.includes(name));
+  },
+  
+  // Replaces the cached data of the signed-in company with the server's copy, for all
+  // collections or just the given ones; the company record itself is always refreshed
+  async refresh(collections = this.getSyncedCollections()) {
+    const companyId = AppState.currentCompany?.id;
+    if (!companyId) return;
+    
+    const [company, ...fetched] = await Promise.all([
+      this.get('companies', companyId),
+      ...collections.map(name => this.list(name, { companyId }))
+    ]);
+    
+    // Signed out while loading; don't cache data for nobody
+    if (AppState.currentCompany?.id !== companyId) return;
+    
+    const data = StorageService.migrate(
+      Object.fromEntries(collections.map((name, index) => [name, fetched[index]])),
+      0
+    );
+    
+    collections.forEach(collection => {
+      AppState[collection] = AppState[collection]
+        .filter(r => r.companyId !== companyId)
+        .concat(data[collection]);
+    });
+    
+    AppState.companies = AppState.companies.filter(c => c.id !== companyId).concat(company);
+    AppState.currentCompany = company;
+    AppState.currentUser = AppState.employees.find(e => e.id === AppState.currentUser?.id) || AppState.currentUser;
+    
+    StorageService.save();
   }
 };
 
-
-const UI = {
-  renderDashboard() {
-    const appRoot = document.getElementById('appRoot');
-    const role = AppState.currentUser.role;
+const AuthService = {
+  IDLE_TIMEOUT_MS: 15 * 60 * 1000,
+  ACTIVITY_EVENTS: ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'],
+  
+  idleTimer: null,
+  refreshPromise: null,
+  
+  async signup(name, email, password, companyName, country) {
+    Utils.showLoader();
     
-    let content = `
-      <div class="dashboard">
-        <aside class="sidebar">
-          <div class="sidebar-header">
-            <h2>ExpenseFlow</h2>
-            <p class="muted-sm">${AppState.currentCompany.name}</p>
-          </div>
-          <nav class="sidebar-nav">
-            <a href="#" class="nav-item active" data-view="overview">
-              <span>📊</span> Overview
-            </a>
-    `;
+    try {
+      const countryData = ReferenceDataService.getCountry(country);
+      const currency = countryData?.currency || 'USD';
+      
+      const session = await BackendService.request('POST', '/auth/signup', {
+        name,
+        email,
+        password,
+        companyName,
+        country,
+        baseCurrency: currency
+      });
+      
+      this.startSession(session);
+      await BackendService.refresh();
+      
+      Utils.hideLoader();
+      Utils.showToast('Account created successfully!', 'success');
+      
+      return { user: AppState.currentUser, company: AppState.currentCompany };
+    } catch (error) {
+      Utils.hideLoader();
+      Utils.showToast(error.message, 'error');
+      throw error;
+    }
+  },
+  
+  async signin(email, password, isAdmin = true) {
+    Utils.showLoader();
     
-    if (role === 'employee' || role === 'manager' || role === 'admin') {
-      content += `
-            <a href="#" class="nav-item" data-view="my-expenses">
-              <span>💰</span> My Expenses
-            </a>
-            <a href="#" class="nav-item" data-view="submit-expense">
-              <span>➕</span> Submit Expense
-            </a>
-      `;
+    try {
+      const session = await BackendService.request('POST', '/auth/signin', { email, password });
+      
+      if (isAdmin && session.user.role !== 'admin') {
+        throw new Error('Not authorized as admin');
+      }
+      
+      return await this.completeSignin(session);
+    } catch (error) {
+      Utils.hideLoader();
+      Utils.showToast(error.message, 'error');
+      throw error;
     }
+  },
+  
+  async signinEmployee(companyName, employeeId, password) {
+    Utils.showLoader();
     
-    if (role === 'manager' || role === 'admin') {
-      content += `
-            <a href="#" class="nav-item" data-view="approvals">
-              <span>✅</span> Approvals
-              <span class="badge">${ExpenseService.getPendingApprovals().length}</span>
-            </a>
-      `;
+    try {
+      const session = await BackendService.request('POST', '/auth/signin', {
+        companyName,
+        employeeId,
+        password
+      });
+      
+      return await this.completeSignin(session);
+    } catch (error) {
+      Utils.hideLoader();
+      Utils.showToast(error.message, 'error');
+      throw error;
     }
+  },
+  
+  async completeSignin(session) {
+    this.startSession(session);
     
-    if (role === 'admin') {
-      content += `
-            <a href="#" class="nav-item" data-view="all-expenses">
-              <span>📋</span> All Expenses
-            </a>
-            <a href="#" class="nav-item" data-view="employees">
-              <span>👥</span> Employees
-            </a>
-            <a href="#" class="nav-item" data-view="approval-rules">
-              <span>⚙️</span> Approval Rules
-            </a>
-      `;
+    // The server refuses everything else until a one-time password is replaced
+    if (!session.user.mustChangePassword) {
+      await BackendService.refresh();
     }
     
-    content += `
-          </nav>
-          <div class="sidebar-footer">
-            <div class="user-info">
-              <strong>${AppState.currentUser.name}</strong>
-              <span class="muted-sm">${AppState.currentUser.role}</span>
-            </div>
-            <button class="btn ghost btn-sm" id="btnLogout">Logout</button>
-          </div>
-        </aside>
-        <main class="main-content">
-          <div id="viewContent"></div>
-        </main>
-      </div>
-    `;
+    const company = AppState.currentCompany;
     
-    appRoot.innerHTML = content;
+    Utils.hideLoader();
+    Utils.showToast('Signed in successfully!', 'success');
     
-    // Add event listeners
-    document.querySelectorAll('.nav-item').forEach(item => {
-      item.addEventListener('click', (e) => {
-        e.preventDefault();
-        document.querySelectorAll('.nav-item').forEach(i => i.classList.remove('active'));
-        item.classList.add('active');
-        const view = item.dataset.view;
-        this.renderView(view);
-      });
+    return { user: AppState.currentUser, company };
+  },
+  
+  async changePassword(currentPassword, newPassword) {
+    if (!newPassword || newPassword.length < 6) {
+      throw new Error('The new password must have at least 6 characters');
+    }
+    
+    const session = await BackendService.request('POST', '/auth/change-password', { currentPassword, newPassword });
+    AppState.session = {
+      accessToken: session.accessToken,
+      refreshToken: session.refreshToken,
+      accessExpiresAt: session.accessExpiresAt
+    };
+    AppState.currentUser = session.user;
+    AppState.currentCompany = session.company;
+    await BackendService.refresh();
+    
+    Utils.showToast('Password changed', 'success');
+  },
+  
+  startSession(session) {
+    AppState.session = {
+      accessToken: session.accessToken,
+      refreshToken: session.refreshToken,
+      accessExpiresAt: session.accessExpiresAt
+    };
+    AppState.currentUser = session.user;
+    AppState.currentCompany = session.company;
+    
+    this.ACTIVITY_EVENTS.forEach(event => {
+      document.addEventListener(event, this.resetIdleTimer, { passive: true });
     });
+    this.resetIdleTimer();
+  },
+  
+  // Exchanges the refresh token for a new token pair; concurrent callers share one request
+  refreshSession() {
+    if (!AppState.session?.refreshToken) {
+      return Promise.reject(new Error('Not signed in'));
+    }
     
-    document.getElementById('btnLogout').addEventListener('click', () => {
-      AuthService.logout();
-      this.showLanding();
+    if (!this.refreshPromise) {
+      this.refreshPromise = BackendService.request('POST', '/auth/refresh', {
+        refreshToken: AppState.session.refreshToken
+      }, { skipAuth: true })
+        .then(session => {
+          AppState.session = {
+            accessToken: session.accessToken,
+            refreshToken: session.refreshToken,
+            accessExpiresAt: session.accessExpiresAt
+          };
+          AppState.currentUser = session.user;
+          AppState.currentCompany = session.company;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    
+    return this.refreshPromise;
+  },
+  
+  // Arrow function so it can be passed directly as an event listener
+  resetIdleTimer: () => {
+    clearTimeout(AuthService.idleTimer);
+    AuthService.idleTimer = setTimeout(() => AuthService.expireSession('Signed out after inactivity'), AuthService.IDLE_TIMEOUT_MS);
+  },
+  
+  expireSession(message) {
+    if (!AppState.session) return;
+    
+    this.logout(message, 'info');
+    UI.showLanding();
+  },
+  
+  logout(message = 'Logged out successfully', type = 'success') {
+    clearTimeout(this.idleTimer);
+    this.ACTIVITY_EVENTS.forEach(event => {
+      document.removeEventListener(event, this.resetIdleTimer);
     });
     
-    // Render initial view
-    this.renderView('overview');
+    AppState.session = null;
+    AppState.currentUser = null;
+    AppState.currentCompany = null;
+    AppState.bankAccounts = [];
+    ExpenseQueryService.queries = {};
+    StorageService.clear();
+    Utils.showToast(message, type);
+  }
+};
+
+
+const EmployeeService = {
+  async createEmployee(data) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can create employees');
+    }
+    
+    const employee = {
+      id: Utils.generateId('USR'),
+      employeeId: data.employeeId,
+      companyId: AppState.currentCompany.id,
+      name: data.name,
+      email: data.email,
+      password: data.password,
+      role: data.role || 'employee',
+      managerId: data.managerId || null,
+      isManagerApprover: data.isManagerApprover || false,
+      departmentId: data.departmentId || null,
+      costCenterId: data.costCenterId || null, // default for their expenses
+      signingLimit: data.signingLimit ?? null, // base currency; null means no signing authority
+      createdAt: new Date().toISOString()
+    };
+    
+    const saved = await BackendService.create('employees', employee);
+    Utils.showToast('Employee created successfully', 'success');
+    
+    return saved;
   },
   
-  renderView(viewName) {
-    const viewContent = document.getElementById('viewContent');
+  async updateEmployee(employeeId, updates) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can update employees');
+    }
     
-    switch(viewName) {
-      case 'overview':
-        this.renderOverview(viewContent);
-        break;
-      case 'my-expenses':
-        this.renderMyExpenses(viewContent);
-        break;
-      case 'submit-expense':
-        this.renderSubmitExpense(viewContent);
-        break;
-      case 'approvals':
-        this.renderApprovals(viewContent);
-        break;
-      case 'all-expenses':
-        this.renderAllExpenses(viewContent);
-        break;
-      case 'employees':
-        this.renderEmployees(viewContent);
-        break;
-      case 'approval-rules':
-        this.renderApprovalRules(viewContent);
-        break;
+    const employee = AppState.employees.find(e => e.id === employeeId);
+    if (!employee) {
+      throw new Error('Employee not found');
+    }
+    
+    if (updates.managerId && updates.managerId !== employee.managerId) {
+      const updated = this.getCompanyEmployees().map(e => e.id === employeeId ? { ...e, ...updates } : e);
+      if (this.getManagerChain(employeeId, updated).issue?.type === 'cycle') {
+        const manager = AppState.employees.find(e => e.id === updates.managerId);
+        throw new Error(`${employee.name} cannot report to ${manager?.name || 'that manager'}: it would create a reporting loop`);
+      }
     }
+    
+    const saved = await BackendService.update('employees', employeeId, updates);
+    Utils.showToast('Employee updated successfully', 'success');
+    
+    return saved;
   },
   
-  renderOverview(container) {
-    const expenses = AppState.currentUser.role === 'admin' ? 
-      ExpenseService.getAllExpenses() : 
-      ExpenseService.getMyExpenses();
+  async deleteEmployee(employeeId) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can delete employees');
+    }
     
-    const pending = expenses.filter(e => e.status === 'pending').length;
-    const approved = expenses.filter(e => e.status === 'approved').length;
-    const rejected = expenses.filter(e => e.status === 'rejected').length;
+    if (!AppState.employees.some(e => e.id === employeeId)) {
+      throw new Error('Employee not found');
+    }
     
-    const totalAmount = expenses
-      .filter(e => e.status === 'approved')
-      .reduce((sum, e) => sum + e.amountInBaseCurrency, 0);
+    await BackendService.remove('employees', employeeId);
+    Utils.showToast('Employee deleted successfully', 'success');
+  },
+  
+  getCompanyEmployees() {
+    return AppState.employees.filter(e => e.companyId === AppState.currentCompany?.id);
+  },
+  
+  getManagers() {
+    return this.getCompanyEmployees().filter(e => e.role === 'manager' || e.role === 'admin');
+  },
+  
+  // Managers above the employee, nearest first. Stops at the top of the hierarchy, or with an
+  // issue when a manager no longer exists or the reporting line loops back on itself.
+  getManagerChain(employeeId, employees = this.getCompanyEmployees()) {
+    const byId = new Map(employees.map(e => [e.id, e]));
+    const path = [byId.get(employeeId)].filter(Boolean);
+    let current = path[0];
     
-    container.innerHTML = `
-      <div class="view-header">
-        <h1>Dashboard Overview</h1>
-        <p class="muted">Welcome back, ${AppState.currentUser.name}</p>
-      </div>
+    while (current?.managerId) {
+      const manager = byId.get(current.managerId);
       
-      <div class="stats-grid">
-        <div class="stat-card">
-          <div class="stat-value">${pending}</div>
-          <div class="stat-label">Pending</div>
-        </div>
-        <div class="stat-card">
-          <div class="stat-value">${approved}</div>
-          <div class="stat-label">Approved</div>
-        </div>
-        <div class="stat-card">
-          <div class="stat-value">${rejected}</div>
-          <div class="stat-label">Rejected</div>
-        </div>
-        <div class="stat-card">
-          <div class="stat-value">${Utils.formatCurrency(totalAmount, AppState.currentCompany.baseCurrency)}</div>
-          <div class="stat-label">Total Approved</div>
-        </div>
-      </div>
+      if (!manager) {
+        return {
+          chain: path.slice(1),
+          issue: { type: 'missing', key: `missing:${current.id}`, message: `${current.name}'s manager no longer exists` }
+        };
+      }
       
-      <div class="content-card">
-        <h3>Recent Expenses</h3>
-        ${this.renderExpenseTable(expenses.slice(0, 5))}
-      </div>
-    `;
+      const loopStart = path.findIndex(e => e.id === manager.id);
+      if (loopStart !== -1) {
+        const loop = path.slice(loopStart);
+        return {
+          chain: path.slice(1),
+          issue: {
+            type: 'cycle',
+            key: `cycle:${loop.map(e => e.id).sort().join(',')}`,
+            message: `Reporting line loops: ${[...loop, manager].map(e => e.name).join(' → ')}`
+          }
+        };
+      }
+      
+      path.push(manager);
+      current = manager;
+    }
+    
+    return { chain: path.slice(1), issue: null };
   },
   
-  renderMyExpenses(container) {
-    const expenses = ExpenseService.getMyExpenses();
+  // Every loop and dangling manager link in the company, each reported once
+  getHierarchyIssues() {
+    const employees = this.getCompanyEmployees();
+    const issues = new Map();
     
-    container.innerHTML = `
-      <div class="view-header">
-        <h1>My Expenses</h1>
-        <button class="btn primary" onclick="UI.renderView('submit-expense')">
-          + New Expense
-        </button>
-      </div>
-      
-      <div class="content-card">
-        ${this.renderExpenseTable(expenses)}
-      </div>
-    `;
+    employees.forEach(employee => {
+      const { issue } = this.getManagerChain(employee.id, employees);
+      if (issue && !issues.has(issue.key)) issues.set(issue.key, issue);
+    });
+    
+    return [...issues.values()];
   },
   
-  renderSubmitExpense(container) {
-    const currencies = [...new Set(AppState.currencies.map(c => c.currency))].sort();
+  // Roster CSV shared by import and export; managers are referenced by employee ID or email
+  CSV_COLUMNS: {
+    employeeId: 'Employee ID',
+    name: 'Name',
+    email: 'Email',
+    role: 'Role',
+    manager: 'Manager'
+  },
+  
+  exportRoster() {
+    const employees = this.getCompanyEmployees();
     
-    container.innerHTML = `
-      <div class="view-header">
-        <h1>Submit New Expense</h1>
-      </div>
+    return Utils.toCSV([
+      Object.values(this.CSV_COLUMNS),
+      ...employees
+        .sort((a, b) => (a.employeeId || '').localeCompare(b.employeeId || ''))
+        .map(e => {
+          const manager = employees.find(m => m.id === e.managerId);
+          return [e.employeeId || '', e.name, e.email, e.role, manager ? manager.employeeId || manager.email : ''];
+        })
+    ]);
+  },
+  
+  // One-time passwords of newly imported employees, for the admin to hand out
+  exportCredentials(credentials) {
+    return Utils.toCSV([
+      ['Employee ID', 'Name', 'Email', 'One-time Password'],
+      ...credentials.map(c => [c.employeeId, c.name, c.email, c.password])
+    ]);
+  },
+  
+  parseRoster(text) {
+    const [header, ...rows] = Utils.parseCSV(text);
+    const normalize = value => value.toLowerCase().replace(/[^a-z]/g, '');
+    
+    // Match headers loosely so "employee_id" or "EMPLOYEE ID" work too
+    const columns = Object.fromEntries(Object.entries(this.CSV_COLUMNS).map(([field, label]) => 
+      [field, (header || []).findIndex(h => [normalize(label), normalize(field)].includes(normalize(h)))]
+    ));
+    
+    const missing = ['employeeId', 'name', 'email'].filter(field => columns[field] === -1);
+    if (missing.length) {
+      throw new Error(`Missing column(s): ${missing.map(f => this.CSV_COLUMNS[f]).join(', ')}`);
+    }
+    
+    // A missing Role or Manager column keeps what the roster already has
+    return rows.map((cells, idx) => ({
+      line: idx + 2,
+      ...Object.fromEntries(Object.keys(this.CSV_COLUMNS).map(field => 
+        [field, columns[field] === -1 ? null : (cells[columns[field]] || '').trim()]
+      ))
+    }));
+  },
+  
+  // Checks every row against the file and the current roster. mode: 'upsert' or 'create'
+  validateRoster(rows, mode = 'upsert') {
+    const existing = this.getCompanyEmployees();
+    const sameId = (a, b) => a.toLowerCase() === b.toLowerCase();
+    const countBy = key => rows.reduce((counts, row) => {
+      const value = row[key].toLowerCase();
+      if (value) counts[value] = (counts[value] || 0) + 1;
+      return counts;
+    }, {});
+    const idCounts = countBy('employeeId');
+    const emailCounts = countBy('email');
+    
+    const results = rows.map(row => {
+      const errors = [];
+      // Employees without an ID of their own, like the admin who signed up, export with a blank one
+      const current = row.employeeId ?
+        existing.find(e => e.employeeId && sameId(e.employeeId, row.employeeId)) :
+        existing.find(e => !e.employeeId && e.email && row.email && sameId(e.email, row.email));
+      const role = (row.role || current?.role || 'employee').toLowerCase();
       
-      <div class="content-card" style="max-width: 600px;">
-        <form id="expenseForm">
-          <div class="form-group">
-            <label>Amount *</label>
-            <input type="number" id="expAmount" step="0.01" required>
-          </div>
-          
-          <div class="form-group">
-            <label>Currency *</label>
+      if (!row.name || !row.email) errors.push('Name and email are required');
+      if (!row.employeeId && !current) errors.push('Employee ID is required for new employees');
+      if (row.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(row.email)) errors.push('Invalid email');
+      if (idCounts[row.employeeId.toLowerCase()] > 1) errors.push('Duplicate employee ID in file');
+      if (emailCounts[row.email.toLowerCase()] > 1) errors.push('Duplicate email in file');
+      
+      const emailOwner = existing.find(e => e.email && sameId(e.email, row.email));
+      if (emailOwner && emailOwner !== current) {
+        errors.push(`Email already used by ${emailOwner.name}`);
+      }
+      
+      // Admins are promoted by hand, never from a file
+      if (!['employee', 'manager', 'admin'].includes(role)) {
+        errors.push(`Unknown role "${row.role}"`);
+      } else if ((role === 'admin') !== (current?.role === 'admin')) {
+        errors.push(role === 'admin' ? 'Admins cannot be created or promoted by import' : 'Admins cannot be changed by import');
+      }
+      
+      let action = current ? 'update' : 'create';
+      if (current && mode === 'create') action = 'skip';
+      
+      return { ...row, role, current, action, errors, id: current?.id || Utils.generateId('USR') };
+    });
+    
+    // Resolve managers against the file first, then the existing roster
+    results.forEach(result => {
+      if (result.manager === null) result.managerId = result.current?.managerId || null;
+      if (!result.manager || result.action === 'skip') return;
+      
+      const key = result.manager.toLowerCase();
+      const fromFile = results.find(r => r.employeeId.toLowerCase() === key || r.email.toLowerCase() === key);
+      const fromRoster = existing.find(e => (e.employeeId || '').toLowerCase() === key || e.email.toLowerCase() === key);
+      const manager = fromFile && fromFile.action !== 'skip' ? 
+        { id: fromFile.id, role: fromFile.role, row: fromFile } : 
+        fromRoster;
+      
+      if (!manager) {
+        result.errors.push(`Unknown manager "${result.manager}"`);
+      } else if (manager.id === result.id) {
+        result.errors.push('Employee cannot be their own manager');
+      } else if (!['manager', 'admin'].includes(manager.role)) {
+        result.errors.push(`Manager "${result.manager}" does not have the manager or admin role`);
+      } else {
+        result.managerId = manager.id;
+        result.managerRow = manager.row || null;
+      }
+    });
+    
+    // Manager links as they would be after the import
+    const managerOf = new Map(existing.map(e => [e.id, e.managerId]));
+    results.filter(r => r.action !== 'skip').forEach(r => managerOf.set(r.id, r.managerId || null));
+    
+    results.forEach(result => {
+      if (!result.managerId) return;
+      
+      const chain = [result.id];
+      let next = result.managerId;
+      while (next && !chain.includes(next)) {
+        chain.push(next);
+        next = managerOf.get(next);
+      }
+      
+      if (next === result.id) {
+        const names = chain.map(id => results.find(r => r.id === id)?.employeeId || existing.find(e => e.id === id)?.employeeId || id);
+        result.errors.push(`Manager cycle: ${[...names, names[0]].join(' → ')}`);
+      }
+    });
+    
+    // A report can't be imported under a manager row that is itself rejected
+    let changed = true;
+    while (changed) {
+      changed = false;
+      results.forEach(result => {
+        if (!result.errors.length && result.managerRow?.errors.length) {
+          result.errors.push(`Manager row ${result.managerRow.line} has errors`);
+          changed = true;
+        }
+      });
+    }
+    
+    results.forEach(result => {
+      const { current } = result;
+      if (result.action === 'update' && !result.errors.length &&
+        current.name === result.name && current.email === result.email &&
+        current.role === result.role && (current.managerId || null) === (result.managerId || null)) {
+        result.action = 'unchanged';
+      }
+      if (result.errors.length) result.action = 'error';
+    });
+    
+    return results;
+  },
+  
+  // Applies the valid rows of a validated roster; rows with errors are left out
+  async importRoster(results) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can import employees');
+    }
+    
+    const counts = { created: 0, updated: 0, skipped: 0 };
+    const credentials = [];
+    
+    for (const result of results) {
+      const fields = {
+        ...(result.employeeId ? { employeeId: result.employeeId } : {}),
+        name: result.name,
+        email: result.email,
+        role: result.role,
+        managerId: result.managerId || null
+      };
+      
+      if (result.action === 'create') {
+        // Replaced by the employee at their first sign-in
+        const password = Utils.generatePassword();
+        await BackendService.create('employees', {
+          id: result.id,
+          companyId: AppState.currentCompany.id,
+          ...fields,
+          password,
+          isManagerApprover: false,
+          createdAt: new Date().toISOString()
+        });
+        credentials.push({ employeeId: result.employeeId, name: result.name, email: result.email, password });
+        counts.created++;
+      } else if (result.action === 'update') {
+        await BackendService.update('employees', result.id, fields);
+        counts.updated++;
+      } else {
+        counts.skipped++;
+      }
+    }
+    
+    Utils.showToast(`Imported employees: ${counts.created} created, ${counts.updated} updated, ${counts.skipped} skipped`, 'success');
+    
+    return { ...counts, credentials };
+  }
+};
+
+
+const ExpenseService = {
+  // Editable fields shared by drafts, submissions and resubmissions
+  async buildExpenseFields(data, isDraft = false) {
+    const amount = parseFloat(data.amount);
+    
+    // An unsplit expense is a single line carrying the whole amount
+    const lineItems = (data.lineItems?.length ? 
+      data.lineItems : 
+      [{ category: data.category, amount: data.amount, description: data.description }]
+    ).map(line => ({
+      id: line.id || Utils.generateId('LINE'),
+      category: line.category,
+      amount: parseFloat(line.amount) || 0,
+      description: line.description || ''
+    }));
+    
+    if (!isDraft) {
+      if (!(amount > 0)) throw new Error('Amount must be greater than zero');
+      if (!data.date || !data.description) {
+        throw new Error('Date and description are required');
+      }
+      if (lineItems.some(line => !line.category || !(line.amount > 0))) {
+        throw new Error('Each line item needs a category and an amount');
+      }
+      
+      const linesTotal = this.sumAmounts(lineItems, 'amount');
+      if (Math.abs(linesTotal - amount) >= 0.005) {
+        throw new Error(`Line items add up to ${linesTotal.toFixed(2)} but the receipt total is ${amount.toFixed(2)}`);
+      }
+    }
+    
+    // Converted at the rate for the expense date; drafts may be saved before a rate is known.
+    // On submission the server converts again and keeps its own rate snapshot.
+    let amountInBaseCurrency = 0;
+    let exchangeRate = null;
+    if (!isNaN(amount)) {
+      try {
+        const converted = await ExchangeRateService.convert(
+          amount,
+          data.currency,
+          AppState.currentCompany.baseCurrency,
+          data.date
+        );
+        amountInBaseCurrency = converted.amount;
+        exchangeRate = converted.snapshot;
+      } catch (error) {
+        if (!isDraft) throw error;
+      }
+    }
+    this.allocateBaseAmounts(lineItems, amount, amountInBaseCurrency);
+    
+    // Charged to the submitter's default cost center unless they picked another
+    const costCenterId = data.costCenterId === undefined ? 
+      AppState.currentUser?.costCenterId || null : 
+      data.costCenterId || null;
+    if (!isDraft && costCenterId && !CostCenterService.getActiveCostCenters().some(c => c.id === costCenterId)) {
+      throw new Error('The selected cost center is no longer active');
+    }
+    
+    // The largest line decides the headline category
+    const primaryLine = [...lineItems].sort((a, b) => b.amount - a.amount)[0];
+    
+    return {
+      amount: isNaN(amount) ? 0 : amount,
+      currency: data.currency,
+      amountInBaseCurrency,
+      exchangeRate,
+      category: primaryLine.category,
+      lineItems,
+      description: data.description || '',
+      date: data.date,
+      merchant: data.merchant || '',
+      receipts: data.receipts || [],
+      taxLines: data.taxLines || [],
+      perDiem: data.perDiem || null,
+      mileage: data.mileage || null,
+      costCenterId
+    };
+  },
+  
+  sumAmounts(items, field) {
+    return Math.round(items.reduce((sum, item) => sum + (item[field] || 0), 0) * 100) / 100;
+  },
+  
+  // Converts each line at the expense's rate; the last line absorbs rounding so lines sum to the total
+  allocateBaseAmounts(lineItems, amount, amountInBaseCurrency) {
+    const rate = amount ? amountInBaseCurrency / amount : 0;
+    
+    lineItems.forEach(line => {
+      line.amountInBaseCurrency = Math.round(line.amount * rate * 100) / 100;
+    });
+    
+    const last = lineItems[lineItems.length - 1];
+    if (last && amount) {
+      last.amountInBaseCurrency = Math.round(
+        (amountInBaseCurrency - this.sumAmounts(lineItems.slice(0, -1), 'amountInBaseCurrency')) * 100
+      ) / 100;
+    }
+  },
+  
+  getLineItems(expense) {
+    if (expense.lineItems?.length) return expense.lineItems;
+    
+    return [{
+      id: null,
+      category: expense.category,
+      amount: expense.amount,
+      amountInBaseCurrency: expense.amountInBaseCurrency,
+      description: expense.description
+    }];
+  },
+  
+  getCategories(expense) {
+    return [...new Set(this.getLineItems(expense).map(line => line.category))];
+  },
+  
+  // Base-currency totals per category across the line items of the given expenses
+  getCategoryTotals(expenses) {
+    const totals = {};
+    
+    expenses.forEach(expense => {
+      this.getLineItems(expense).forEach(line => {
+        totals[line.category] = (totals[line.category] || 0) + (line.amountInBaseCurrency || 0);
+      });
+    });
+    
+    return totals;
+  },
+  
+  newExpense(fields, status) {
+    return {
+      id: Utils.generateId('EXP'),
+      companyId: AppState.currentCompany.id,
+      employeeId: AppState.currentUser.id,
+      employeeName: AppState.currentUser.name,
+      ...fields,
+      status,
+      approvalFlow: [],
+      approvals: [],
+      currentApproverIndex: 0,
+      comments: [],
+      revision: 1,
+      revisions: [],
+      submittedAt: null,
+      createdAt: new Date().toISOString()
+    };
+  },
+  
+  // Loads the server copy of one of the current user's expenses in an editable state
+  async getEditableExpense(expenseId, allowedStatuses) {
+    const expense = await BackendService.get('expenses', expenseId).catch(() => null);
+    if (!expense) {
+      throw new Error('Expense not found');
+    }
+    
+    if (expense.employeeId !== AppState.currentUser.id) {
+      throw new Error('You can only change your own expenses');
+    }
+    
+    if (expense.reportId && expense.status !== 'draft') {
+      throw new Error('This expense is part of a submitted report; change the report instead');
+    }
+    
+    if (!allowedStatuses.includes(expense.status)) {
+      throw new Error(`A ${expense.status.replace('_', ' ')} expense cannot be changed`);
+    }
+    
+    return expense;
+  },
+  
+  async saveDraft(data, expenseId = null) {
+    const fields = await this.buildExpenseFields(data, true);
+    
+    let saved;
+    if (expenseId) {
+      await this.getEditableExpense(expenseId, ['draft']);
+      saved = await BackendService.update('expenses', expenseId, fields);
+    } else {
+      saved = await BackendService.create('expenses', this.newExpense(fields, 'draft'));
+    }
+    
+    Utils.showToast('Draft saved', 'success');
+    return saved;
+  },
+  
+  async deleteDraft(expenseId) {
+    const draft = await this.getEditableExpense(expenseId, ['draft']);
+    if (draft.reportId) {
+      await ReportService.detachExpense(draft.reportId, expenseId);
+    }
+    await BackendService.remove('expenses', expenseId);
+    await ReceiptService.remove((draft.receipts || []).filter(r => r.id).map(r => r.id));
+    Utils.showToast('Draft deleted', 'success');
+  },
+  
+  // Blocking policies are checked here to fail early; the server checks them again, records the
+  // warnings and duplicate flags, then routes the expense and starts its approval flow
+  checkSubmission(expense, fields) {
+    PolicyService.enforce({ ...expense, ...fields });
+    return fields;
+  },
+  
+  async submitExpense(data, draftId = null) {
+    try {
+      const fields = await this.buildExpenseFields(data);
+      
+      const expense = draftId ? 
+        await this.getEditableExpense(draftId, ['draft']) : 
+        this.newExpense(fields, 'draft');
+      
+      if (expense.reportId) {
+        throw new Error('This expense belongs to a report; submit the report instead');
+      }
+      
+      const submission = this.checkSubmission(expense, fields);
+      if (!draftId) {
+        await BackendService.create('expenses', expense);
+      }
+      
+      const saved = await BackendService.action('expenses', expense.id, 'submit', submission);
+      Utils.showToast('Expense submitted successfully', 'success');
+      
+      return saved;
+    } catch (error) {
+      Utils.showToast('Error submitting expense: ' + error.message, 'error');
+      throw error;
+    }
+  },
+  
+  async withdrawExpense(expenseId) {
+    await this.getEditableExpense(expenseId, ['pending']);
+    
+    const saved = await BackendService.action('expenses', expenseId, 'withdraw');
+    Utils.showToast('Expense withdrawn', 'success');
+    
+    return saved;
+  },
+  
+  // The server archives the submitted version, applies the edits and runs the approval flow again
+  async resubmitExpense(expenseId, data) {
+    const expense = await this.getEditableExpense(expenseId, ['withdrawn', 'changes_requested']);
+    const fields = await this.buildExpenseFields(data);
+    
+    const saved = await BackendService.action('expenses', expenseId, 'submit', this.checkSubmission(expense, fields));
+    Utils.showToast('Expense resubmitted', 'success');
+    
+    return saved;
+  },
+  
+  async approveExpense(expenseId, comment = '') {
+    const saved = await BackendService.action('expenses', expenseId, 'approve', { comment });
+    Utils.showToast('Expense approved', 'success');
+    
+    return saved;
+  },
+  
+  getStepApproverIds(step) {
+    return step.approverId ? [step.approverId] : (step.approvers || []).map(a => a.approverId);
+  },
+  
+  // Approver on the step whose vote the user may cast: their own first, then any held by delegation
+  getActingFor(step, userId) {
+    const voted = (step.votes || []).map(v => v.approverId);
+    const open = this.getStepApproverIds(step).filter(id => !voted.includes(id));
+    
+    if (open.includes(userId)) return userId;
+    return open.find(id => 
+      DelegationService.resolveApprover(id) === userId || step.escalatedTo?.[id] === userId
+    ) || null;
+  },
+  
+  async rejectExpense(expenseId, comment = '') {
+    const saved = await BackendService.action('expenses', expenseId, 'reject', { comment });
+    Utils.showToast('Expense rejected', 'success');
+    
+    return saved;
+  },
+  
+  // Returns the expense to its submitter for edits instead of a final rejection
+  async requestChanges(expenseId, comment) {
+    if (!comment) {
+      throw new Error('Please describe the changes needed');
+    }
+    
+    const saved = await BackendService.action('expenses', expenseId, 'request-changes', { comment });
+    Utils.showToast('Expense sent back for changes', 'success');
+    
+    return saved;
+  },
+  
+  getStepDueAt(step) {
+    if (!step?.slaHours || !step.activatedAt) return null;
+    return new Date(new Date(step.activatedAt).getTime() + step.slaHours * 3600000);
+  },
+  
+  isOverdue(expense) {
+    if (expense.status !== 'pending') return false;
+    
+    const dueAt = this.getStepDueAt(expense.approvalFlow[expense.currentApproverIndex]);
+    return dueAt !== null && dueAt < new Date();
+  },
+  
+  // Admin decision that bypasses the remaining approval steps
+  async overrideExpense(expenseId, decision, reason) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can override approvals');
+    }
+    
+    if (decision !== 'approved' && decision !== 'rejected') {
+      throw new Error('Invalid override decision');
+    }
+    
+    if (!reason) {
+      throw new Error('An override reason is required');
+    }
+    
+    const saved = await BackendService.action('expenses', expenseId, 'override', { decision, reason });
+    Utils.showToast(`Expense ${decision} by admin override`, 'success');
+    
+    return saved;
+  },
+  
+  // Time of the last approve or reject vote or override. Expenses decided as part of a report
+  // carry no votes of their own and take the report's decision instead.
+  getDecidedAt(record) {
+    const timestamps = [
+      ...(record.approvals || []).filter(a => a.action === 'approved' || a.action === 'rejected').map(a => a.timestamp),
+      ...(record.overrides || []).map(o => o.timestamp)
+    ].sort();
+    if (timestamps.length) return timestamps[timestamps.length - 1];
+    if (record.decidedAt) return record.decidedAt;
+    
+    const report = record.reportId && AppState.reports.find(r => r.id === record.reportId);
+    return report ? this.getDecidedAt(report) : null;
+  },
+  
+  getMyExpenses() {
+    return AppState.expenses.filter(e => e.employeeId === AppState.currentUser.id);
+  },
+  
+  getPendingApprovals(records = AppState.expenses) {
+    const userId = AppState.currentUser.id;
+    
+    return records.filter(expense => {
+      // Nobody votes on their own records, whatever seats they hold
+      if (expense.status !== 'pending' || expense.employeeId === userId) return false;
+      
+      const currentStep = expense.approvalFlow[expense.currentApproverIndex];
+      if (!currentStep) return false;
+      
+      // Current user must hold an unvoted seat on the current step, directly or by delegation
+      return this.getActingFor(currentStep, userId) !== null;
+    });
+  },
+  
+  getAllExpenses() {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can view all expenses');
+    }
+    // Drafts stay private to their author until submitted
+    return AppState.expenses.filter(e => e.companyId === AppState.currentCompany.id && e.status !== 'draft');
+  }
+};
+
+
+const ExpenseQueryService = {
+  SORTS: {
+    date: 'Date',
+    submitted: 'Submitted',
+    employeeName: 'Employee',
+    category: 'Category',
+    amount: 'Amount',
+    status: 'Status',
+    overdue: 'Overdue first'
+  },
+  
+  PAGE_SIZES: [25, 50, 100],
+  
+  DEFAULT_QUERY: {
+    search: '',
+    from: '',
+    to: '',
+    category: '',
+    currency: '',
+    employeeId: '',
+    status: '',
+    minAmount: '',
+    maxAmount: '',
+    sort: 'date',
+    direction: 'desc',
+    pageSize: 25
+  },
+  
+  // Views whose lists start in a different order
+  VIEW_DEFAULTS: {
+    approvals: { sort: 'overdue', direction: 'asc' }
+  },
+  
+  // Current query and page per view for this session, not persisted
+  queries: {},
+  
+  getDefaults(view) {
+    return { ...this.DEFAULT_QUERY, ...(this.VIEW_DEFAULTS[view] || {}) };
+  },
+  
+  getQuery(view) {
+    return { ...this.getDefaults(view), page: 1, presetId: null, ...(this.queries[view] || {}) };
+  },
+  
+  // Changing a filter starts again from the first page and leaves the applied preset
+  setQuery(view, changes) {
+    this.queries[view] = { ...this.getQuery(view), page: 1, presetId: null, ...changes };
+    return this.queries[view];
+  },
+  
+  setPage(view, page) {
+    this.queries[view] = { ...this.getQuery(view), page };
+    return this.queries[view];
+  },
+  
+  resetQuery(view) {
+    delete this.queries[view];
+    return this.getQuery(view);
+  },
+  
+  // Whether any filter narrows the list; sort order and page size don't count
+  isFiltered(query) {
+    return ['search', 'from', 'to', 'category', 'currency', 'employeeId', 'status', 'minAmount', 'maxAmount']
+      .some(field => query[field] !== '' && query[field] != null);
+  },
+  
+  // Amount bounds apply to the base-currency amount so expenses in any currency compare
+  matches(expense, query) {
+    const search = query.search.trim().toLowerCase();
+    if (search) {
+      const text = [
+        expense.description,
+        expense.merchant,
+        expense.employeeName,
+        ...(expense.lineItems || []).map(line => line.description)
+      ].filter(Boolean).join(' ').toLowerCase();
+      if (!search.split(/\s+/).every(term => text.includes(term))) return false;
+    }
+    
+    if (query.from && expense.date < query.from) return false;
+    if (query.to && expense.date > query.to) return false;
+    if (query.category && !ExpenseService.getCategories(expense).includes(query.category)) return false;
+    if (query.currency && expense.currency !== query.currency) return false;
+    if (query.employeeId && expense.employeeId !== query.employeeId) return false;
+    if (query.status && expense.status !== query.status) return false;
+    if (query.minAmount !== '' && expense.amountInBaseCurrency < parseFloat(query.minAmount)) return false;
+    if (query.maxAmount !== '' && expense.amountInBaseCurrency > parseFloat(query.maxAmount)) return false;
+    
+    return true;
+  },
+  
+  compare(a, b, sort) {
+    switch (sort) {
+      case 'amount':
+        return a.amountInBaseCurrency - b.amountInBaseCurrency;
+      case 'employeeName':
+        return a.employeeName.localeCompare(b.employeeName);
+      case 'category':
+        return ExpenseService.getCategories(a).join(', ').localeCompare(ExpenseService.getCategories(b).join(', '));
+      case 'status':
+        return a.status.localeCompare(b.status);
+      case 'submitted':
+        return (a.submittedAt || a.createdAt || '').localeCompare(b.submittedAt || b.createdAt || '');
+      case 'overdue':
+        return ExpenseService.isOverdue(b) - ExpenseService.isOverdue(a) ||
+          (a.submittedAt || a.createdAt || '').localeCompare(b.submittedAt || b.createdAt || '');
+      default:
+        return a.date.localeCompare(b.date);
+    }
+  },
+  
+  // Filtered and sorted; ties keep the newest first
+  apply(expenses, query) {
+    const direction = query.direction === 'asc' ? 1 : -1;
+    
+    return expenses
+      .filter(e => this.matches(e, query))
+      .sort((a, b) => this.compare(a, b, query.sort) * direction || (b.createdAt || '').localeCompare(a.createdAt || ''));
+  },
+  
+  // { items, page, pages, total, start } for the 1-based page, clamped to the last one
+  paginate(expenses, page = 1, pageSize = this.DEFAULT_QUERY.pageSize) {
+    const pages = Math.max(1, Math.ceil(expenses.length / pageSize));
+    const current = Math.min(Math.max(1, page), pages);
+    const start = (current - 1) * pageSize;
+    
+    return {
+      items: expenses.slice(start, start + pageSize),
+      page: current,
+      pages,
+      total: expenses.length,
+      start
+    };
+  },
+  
+  getPresets(view) {
+    return AppState.filterPresets
+      .filter(p => p.employeeId === AppState.currentUser?.id && p.view === view)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  },
+  
+  // Saving under an existing name replaces that preset
+  async savePreset(view, name, query) {
+    if (!name?.trim()) {
+      throw new Error('Preset name is required');
+    }
+    
+    const { page, presetId, ...saved } = query;
+    const existing = this.getPresets(view).find(p => p.name.toLowerCase() === name.trim().toLowerCase());
+    
+    const preset = existing ?
+      await BackendService.update('filterPresets', existing.id, { query: saved }) :
+      await BackendService.create('filterPresets', {
+        id: Utils.generateId('PRESET'),
+        companyId: AppState.currentCompany.id,
+        employeeId: AppState.currentUser.id,
+        view,
+        name: name.trim(),
+        query: saved,
+        createdAt: new Date().toISOString()
+      });
+    
+    this.queries[view] = { ...this.getQuery(view), presetId: preset.id };
+    Utils.showToast(`Preset "${preset.name}" saved`, 'success');
+    
+    return preset;
+  },
+  
+  async deletePreset(presetId) {
+    const preset = AppState.filterPresets.find(p => p.id === presetId);
+    if (!preset || preset.employeeId !== AppState.currentUser?.id) {
+      throw new Error('Preset not found');
+    }
+    
+    await BackendService.remove('filterPresets', presetId);
+    if (this.queries[preset.view]?.presetId === presetId) {
+      this.queries[preset.view].presetId = null;
+    }
+    Utils.showToast('Preset deleted', 'success');
+  },
+  
+  // Applies a preset over the view's defaults so fields added later fall back cleanly
+  applyPreset(view, presetId) {
+    const preset = this.getPresets(view).find(p => p.id === presetId);
+    if (!preset) {
+      throw new Error('Preset not found');
+    }
+    
+    this.queries[view] = { ...this.getDefaults(view), ...preset.query, page: 1, presetId: preset.id };
+    return this.queries[view];
+  }
+};
+
+
+const ReportService = {
+  // Statuses in which the submitter may change the report and its expenses
+  EDITABLE_STATUSES: ['draft', 'withdrawn', 'changes_requested'],
+  
+  validateDetails(data) {
+    if (!data.title) {
+      throw new Error('Report title is required');
+    }
+    
+    if (data.startDate && data.endDate && data.endDate < data.startDate) {
+      throw new Error('Report end date must be on or after its start date');
+    }
+  },
+  
+  async createReport(data) {
+    this.validateDetails(data);
+    
+    const report = {
+      id: Utils.generateId('RPT'),
+      companyId: AppState.currentCompany.id,
+      employeeId: AppState.currentUser.id,
+      employeeName: AppState.currentUser.name,
+      title: data.title,
+      purpose: data.purpose || '',
+      startDate: data.startDate || null,
+      endDate: data.endDate || null,
+      expenseIds: [],
+      amountInBaseCurrency: 0,
+      status: 'draft',
+      approvalFlow: [],
+      approvals: [],
+      currentApproverIndex: 0,
+      comments: [],
+      revision: 1,
+      submittedAt: null,
+      createdAt: new Date().toISOString()
+    };
+    
+    const saved = await BackendService.create('reports', report);
+    Utils.showToast('Report created', 'success');
+    
+    return saved;
+  },
+  
+  async updateReport(reportId, data) {
+    await this.getEditableReport(reportId);
+    this.validateDetails(data);
+    
+    const saved = await BackendService.update('reports', reportId, {
+      title: data.title,
+      purpose: data.purpose || '',
+      startDate: data.startDate || null,
+      endDate: data.endDate || null
+    });
+    Utils.showToast('Report updated', 'success');
+    
+    return saved;
+  },
+  
+  async getEditableReport(reportId) {
+    const report = await BackendService.get('reports', reportId).catch(() => null);
+    if (!report) {
+      throw new Error('Report not found');
+    }
+    
+    if (report.employeeId !== AppState.currentUser.id) {
+      throw new Error('You can only change your own reports');
+    }
+    
+    if (!this.EDITABLE_STATUSES.includes(report.status)) {
+      throw new Error(`A ${report.status.replace('_', ' ')} report cannot be changed`);
+    }
+    
+    return report;
+  },
+  
+  async deleteReport(reportId) {
+    const report = await this.getEditableReport(reportId);
+    
+    // The expenses survive as standalone drafts
+    for (const expense of await this.fetchExpenses(report)) {
+      if (expense.reportId === reportId) {
+        await BackendService.update('expenses', expense.id, { reportId: null });
+      }
+    }
+    
+    await BackendService.remove('reports', reportId);
+    Utils.showToast('Report deleted', 'success');
+  },
+  
+  async addExpense(reportId, expenseId) {
+    const report = await this.getEditableReport(reportId);
+    const expense = await ExpenseService.getEditableExpense(expenseId, ['draft']);
+    
+    if (expense.reportId && expense.reportId !== reportId) {
+      throw new Error('This expense is already part of another report');
+    }
+    
+    if (!report.expenseIds.includes(expenseId)) {
+      report.expenseIds.push(expenseId);
+    }
+    
+    await BackendService.update('expenses', expenseId, { reportId });
+    const saved = await BackendService.update('reports', reportId, {
+      expenseIds: report.expenseIds,
+      amountInBaseCurrency: this.getTotal(await this.fetchExpenses(report))
+    });
+    Utils.showToast('Expense added to report', 'success');
+    
+    return saved;
+  },
+  
+  async removeExpense(reportId, expenseId) {
+    await this.getEditableReport(reportId);
+    
+    const expense = await BackendService.get('expenses', expenseId).catch(() => null);
+    if (expense?.reportId === reportId) {
+      await BackendService.update('expenses', expenseId, { reportId: null });
+    }
+    
+    const saved = await this.detachExpense(reportId, expenseId);
+    Utils.showToast('Expense removed from report', 'success');
+    
+    return saved;
+  },
+  
+  // Drops an expense from the report's list without touching the expense itself
+  async detachExpense(reportId, expenseId) {
+    const report = await BackendService.get('reports', reportId).catch(() => null);
+    if (!report) return null;
+    
+    report.expenseIds = report.expenseIds.filter(id => id !== expenseId);
+    report.amountInBaseCurrency = this.getTotal(await this.fetchExpenses(report));
+    
+    return BackendService.update('reports', reportId, {
+      expenseIds: report.expenseIds,
+      amountInBaseCurrency: report.amountInBaseCurrency
+    });
+  },
+  
+  async fetchExpenses(report) {
+    const expenses = await Promise.all(
+      report.expenseIds.map(id => BackendService.get('expenses', id).catch(() => null))
+    );
+    return expenses.filter(Boolean);
+  },
+  
+  getExpenses(report) {
+    return report.expenseIds
+      .map(id => AppState.expenses.find(e => e.id === id))
+      .filter(Boolean);
+  },
+  
+  // Lines rejected individually no longer count towards the report
+  getTotal(expenses) {
+    return ExpenseService.sumAmounts(expenses.filter(e => e.status !== 'rejected'), 'amountInBaseCurrency');
+  },
+  
+  // Runs a report action; the server carries the outcome over to the report's expenses
+  async runAction(reportId, action, body, message) {
+    const saved = await BackendService.action('reports', reportId, action, body);
+    await BackendService.refresh(['expenses']);
+    Utils.showToast(message, 'success');
+    
+    return saved;
+  },
+  
+  async submitReport(reportId) {
+    const report = await this.getEditableReport(reportId);
+    const expenses = await this.fetchExpenses(report);
+    
+    if (!expenses.some(e => e.status !== 'rejected')) {
+      throw new Error('Add at least one expense before submitting the report');
+    }
+    
+    // Every line is checked before any expense is saved
+    const submissions = [];
+    for (const expense of expenses) {
+      if (expense.status === 'rejected') continue;
+      
+      const label = expense.description || expense.merchant || 'Untitled expense';
+      try {
+        submissions.push([expense.id, ExpenseService.checkSubmission(expense, await ExpenseService.buildExpenseFields(expense))]);
+      } catch (error) {
+        throw new Error(`${label}: ${error.message}`);
+      }
+      
+      if ((report.startDate && expense.date < report.startDate) || (report.endDate && expense.date > report.endDate)) {
+        throw new Error(`${label}: dated outside the report period`);
+      }
+    }
+    
+    for (const [expenseId, fields] of submissions) {
+      await BackendService.update('expenses', expenseId, fields);
+    }
+    
+    return this.runAction(reportId, 'submit', {}, 'Report submitted');
+  },
+  
+  async withdrawReport(reportId) {
+    const report = await BackendService.get('reports', reportId).catch(() => null);
+    if (!report) {
+      throw new Error('Report not found');
+    }
+    
+    if (report.employeeId !== AppState.currentUser.id) {
+      throw new Error('You can only change your own reports');
+    }
+    
+    if (report.status !== 'pending') {
+      throw new Error(`A ${report.status.replace('_', ' ')} report cannot be withdrawn`);
+    }
+    
+    return this.runAction(reportId, 'withdraw', {}, 'Report withdrawn');
+  },
+  
+  async approveReport(reportId, comment = '') {
+    return this.runAction(reportId, 'approve', { comment }, 'Report approved');
+  },
+  
+  async rejectReport(reportId, comment = '') {
+    return this.runAction(reportId, 'reject', { comment }, 'Report rejected');
+  },
+  
+  async requestChanges(reportId, comment) {
+    if (!comment) {
+      throw new Error('Please describe the changes needed');
+    }
+    
+    return this.runAction(reportId, 'request-changes', { comment }, 'Report sent back for changes');
+  },
+  
+  // Rejects one expense while the rest of the report carries on through the approval flow
+  async rejectLine(reportId, expenseId, comment) {
+    if (!comment) {
+      throw new Error('Rejection reason is required');
+    }
+    
+    return this.runAction(reportId, 'reject-line', { expenseId, comment }, 'Line rejected');
+  },
+  
+  // Admin decision that bypasses the remaining steps; the expenses still in the report follow it
+  async overrideReport(reportId, decision, reason) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can override approvals');
+    }
+    
+    if (decision !== 'approved' && decision !== 'rejected') {
+      throw new Error('Invalid override decision');
+    }
+    
+    if (!reason) {
+      throw new Error('An override reason is required');
+    }
+    
+    return this.runAction(reportId, 'override', { decision, reason }, `Report ${decision} by admin override`);
+  },
+  
+  getMyReports() {
+    return AppState.reports.filter(r => r.employeeId === AppState.currentUser.id);
+  },
+  
+  getPendingApprovals() {
+    return ExpenseService.getPendingApprovals(AppState.reports);
+  }
+};
+
+
+const PerDiemService = {
+  MEALS: ['breakfast', 'lunch', 'dinner'],
+  MAX_DAYS: 90,
+  
+  validateRate(data, rateId = null) {
+    if (!data.country || !data.currency) {
+      throw new Error('Country and currency are required');
+    }
+    
+    const amounts = [...this.MEALS.map(meal => data.meals?.[meal]), data.incidentals];
+    if (amounts.some(amount => !(amount >= 0))) {
+      throw new Error('Meal and incidental rates must be zero or more');
+    }
+    
+    if (!(data.travelDayPercent > 0 && data.travelDayPercent <= 100)) {
+      throw new Error('Travel day percentage must be between 1 and 100');
+    }
+    
+    const city = (data.city || '').toLowerCase();
+    const duplicate = this.getCompanyRates().some(r => 
+      r.id !== rateId && r.country === data.country && (r.city || '').toLowerCase() === city
+    );
+    if (duplicate) {
+      throw new Error(`A rate for ${this.describeLocation(data)} already exists`);
+    }
+  },
+  
+  async createRate(data) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can manage per diem rates');
+    }
+    
+    this.validateRate(data);
+    
+    const rate = {
+      id: Utils.generateId('PDR'),
+      companyId: AppState.currentCompany.id,
+      country: data.country,
+      city: data.city || '',
+      currency: data.currency,
+      meals: { ...data.meals },
+      incidentals: data.incidentals,
+      travelDayPercent: data.travelDayPercent,
+      createdAt: new Date().toISOString()
+    };
+    
+    const saved = await BackendService.create('perDiemRates', rate);
+    Utils.showToast('Per diem rate created', 'success');
+    
+    return saved;
+  },
+  
+  async updateRate(rateId, updates) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can manage per diem rates');
+    }
+    
+    if (!AppState.perDiemRates.some(r => r.id === rateId)) {
+      throw new Error('Rate not found');
+    }
+    
+    this.validateRate(updates, rateId);
+    
+    const saved = await BackendService.update('perDiemRates', rateId, updates);
+    Utils.showToast('Per diem rate updated', 'success');
+    
+    return saved;
+  },
+  
+  async deleteRate(rateId) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can manage per diem rates');
+    }
+    
+    if (!AppState.perDiemRates.some(r => r.id === rateId)) {
+      throw new Error('Rate not found');
+    }
+    
+    await BackendService.remove('perDiemRates', rateId);
+    Utils.showToast('Per diem rate deleted', 'success');
+  },
+  
+  getCompanyRates() {
+    return AppState.perDiemRates
+      .filter(r => r.companyId === AppState.currentCompany?.id)
+      .sort((a, b) => a.country.localeCompare(b.country) || (a.city || '').localeCompare(b.city || ''));
+  },
+  
+  describeLocation(rate) {
+    return rate.city ? `${rate.city}, ${rate.country}` : rate.country;
+  },
+  
+  getDailyRate(rate) {
+    return ExpenseService.sumAmounts([...this.MEALS.map(meal => ({ amount: rate.meals[meal] })), { amount: rate.incidentals }], 'amount');
+  },
+  
+  getTravelDays(startDate, endDate) {
+    const days = [];
+    const end = new Date(`${endDate}T00:00:00Z`);
+    
+    for (let day = new Date(`${startDate}T00:00:00Z`); day <= end; day.setUTCDate(day.getUTCDate() + 1)) {
+      days.push(day.toISOString().split('T')[0]);
+    }
+    
+    return days;
+  },
+  
+  // Daily allowance per travel day: departure and return days at the reduced rate, minus provided meals
+  calculate(claim) {
+    const rate = AppState.perDiemRates.find(r => r.id === claim.rateId);
+    if (!rate) {
+      throw new Error('Select a destination with a per diem rate');
+    }
+    
+    if (!claim.startDate || !claim.endDate || claim.endDate < claim.startDate) {
+      throw new Error('Enter valid travel dates');
+    }
+    
+    const dates = this.getTravelDays(claim.startDate, claim.endDate);
+    if (dates.length > this.MAX_DAYS) {
+      throw new Error(`Per diem claims are limited to ${this.MAX_DAYS} days`);
+    }
+    
+    const dailyRate = this.getDailyRate(rate);
+    const days = dates.map((date, index) => {
+      const isTravelDay = index === 0 || index === dates.length - 1;
+      const providedMeals = (claim.providedMeals?.[date] || []).filter(meal => this.MEALS.includes(meal));
+      const allowance = isTravelDay ? 
+        Math.round(dailyRate * rate.travelDayPercent) / 100 : 
+        dailyRate;
+      const deductions = ExpenseService.sumAmounts(providedMeals.map(meal => ({ amount: rate.meals[meal] })), 'amount');
+      
+      return {
+        date,
+        isTravelDay,
+        providedMeals,
+        allowance,
+        deductions,
+        amount: Math.max(0, Math.round((allowance - deductions) * 100) / 100)
+      };
+    });
+    
+    return { rate, days, total: ExpenseService.sumAmounts(days, 'amount') };
+  },
+  
+  // Turns a claim into the fields a regular expense is built from
+  toExpenseData(claim) {
+    const { rate, days, total } = this.calculate(claim);
+    if (!(total > 0)) {
+      throw new Error('Provided meals cover the whole allowance; there is nothing to claim');
+    }
+    
+    const location = this.describeLocation(rate);
+    
+    return {
+      amount: total,
+      currency: rate.currency,
+      category: 'Per Diem',
+      date: claim.startDate,
+      merchant: location,
+      description: claim.description || `Per diem: ${location}, ${claim.startDate} to ${claim.endDate}`,
+      lineItems: days.filter(day => day.amount > 0).map(day => ({
+        category: 'Per Diem',
+        amount: day.amount,
+        description: [
+          day.date,
+          day.isTravelDay ? `travel day ${rate.travelDayPercent}%` : '',
+          day.providedMeals.length ? `less ${day.providedMeals.join(', ')}` : ''
+        ].filter(Boolean).join(' — ')
+      })),
+      perDiem: {
+        rateId: rate.id,
+        location,
+        startDate: claim.startDate,
+        endDate: claim.endDate,
+        providedMeals: claim.providedMeals || {},
+        // Snapshot so later rate table edits don't change submitted claims
+        rate: { currency: rate.currency, meals: { ...rate.meals }, incidentals: rate.incidentals, travelDayPercent: rate.travelDayPercent },
+        days
+      }
+    };
+  }
+};
+
+
+const MileageService = {
+  UNITS: { km: 'km', mi: 'miles' },
+  KM_PER_MILE: 1.609344,
+  
+  validateRate(data) {
+    if (!data.vehicleType || !data.currency || !this.UNITS[data.unit]) {
+      throw new Error('Vehicle type, unit and currency are required');
+    }
+    
+    const tiers = data.tiers || [];
+    if (tiers.length === 0 || tiers[0].from !== 0) {
+      throw new Error('The first tier must start at zero');
+    }
+    
+    if (tiers.some(tier => !(tier.rate >= 0) || !(tier.from >= 0))) {
+      throw new Error('Each tier needs a starting distance and a rate of zero or more');
+    }
+    
+    if (tiers.some((tier, index) => index > 0 && tier.from <= tiers[index - 1].from)) {
+      throw new Error('Tier thresholds must increase');
+    }
+  },
+  
+  async createRate(data) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can manage mileage rates');
+    }
+    
+    this.validateRate(data);
+    
+    const rate = {
+      id: Utils.generateId('MLR'),
+      companyId: AppState.currentCompany.id,
+      vehicleType: data.vehicleType,
+      unit: data.unit,
+      currency: data.currency,
+      tiers: data.tiers,
+      createdAt: new Date().toISOString()
+    };
+    
+    const saved = await BackendService.create('mileageRates', rate);
+    Utils.showToast('Mileage rate created', 'success');
+    
+    return saved;
+  },
+  
+  async updateRate(rateId, updates) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can manage mileage rates');
+    }
+    
+    if (!AppState.mileageRates.some(r => r.id === rateId)) {
+      throw new Error('Rate not found');
+    }
+    
+    this.validateRate(updates);
+    
+    const saved = await BackendService.update('mileageRates', rateId, updates);
+    Utils.showToast('Mileage rate updated', 'success');
+    
+    return saved;
+  },
+  
+  async deleteRate(rateId) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can manage mileage rates');
+    }
+    
+    if (!AppState.mileageRates.some(r => r.id === rateId)) {
+      throw new Error('Rate not found');
+    }
+    
+    await BackendService.remove('mileageRates', rateId);
+    Utils.showToast('Mileage rate deleted', 'success');
+  },
+  
+  getCompanyRates() {
+    return AppState.mileageRates
+      .filter(r => r.companyId === AppState.currentCompany?.id)
+      .sort((a, b) => a.vehicleType.localeCompare(b.vehicleType));
+  },
+  
+  convertDistance(distance, fromUnit, toUnit) {
+    if (fromUnit === toUnit) return distance;
+    return fromUnit === 'mi' ? distance * this.KM_PER_MILE : distance / this.KM_PER_MILE;
+  },
+  
+  // Distance already claimed by the employee in the calendar year, in the given unit.
+  // Pending claims count so two open claims can't both use the higher tier.
+  getYearToDate(employeeId, year, unit, excludeExpenseId = null) {
+    const total = AppState.expenses
+      .filter(e => 
+        e.employeeId === employeeId && 
+        e.mileage && 
+        e.id !== excludeExpenseId && 
+        ['pending', 'approved'].includes(e.status) && 
+        e.date?.startsWith(String(year))
+      )
+      .reduce((sum, e) => sum + this.convertDistance(e.mileage.distance, e.mileage.unit, unit), 0);
+    
+    return Math.round(total * 10) / 10;
+  },
+  
+  getYearlyTotals(year = new Date().getFullYear(), unit = 'km') {
+    return EmployeeService.getCompanyEmployees()
+      .map(employee => ({ employee, distance: this.getYearToDate(employee.id, year, unit) }))
+      .filter(row => row.distance > 0)
+      .sort((a, b) => b.distance - a.distance);
+  },
+  
+  getDistance(claim) {
+    const hasReadings = [claim.startOdometer, claim.endOdometer].every(value => value !== '' && value != null);
+    if (hasReadings) {
+      const start = parseFloat(claim.startOdometer);
+      const end = parseFloat(claim.endOdometer);
+      if (!(end > start)) {
+        throw new Error('End odometer reading must be higher than the start');
+      }
+      return Math.round((end - start) * 10) / 10;
+    }
+    
+    const distance = parseFloat(claim.distance);
+    if (!(distance > 0)) {
+      throw new Error('Enter odometer readings or a trip distance');
+    }
+    return distance;
+  },
+  
+  // Splits the trip across the rate's tiers, starting from the employee's distance so far this year
+  calculate(claim, employeeId = AppState.currentUser.id, excludeExpenseId = null) {
+    const rate = AppState.mileageRates.find(r => r.id === claim.rateId);
+    if (!rate) {
+      throw new Error('Select a vehicle type');
+    }
+    
+    if (!claim.date) {
+      throw new Error('Trip date is required');
+    }
+    
+    const distance = this.getDistance(claim);
+    const yearToDate = this.getYearToDate(employeeId, claim.date.slice(0, 4), rate.unit, excludeExpenseId);
+    const tiers = [...rate.tiers].sort((a, b) => a.from - b.from);
+    
+    const segments = tiers.map((tier, index) => {
+      const tierEnd = tiers[index + 1]?.from ?? Infinity;
+      const covered = Math.max(0, Math.min(yearToDate + distance, tierEnd) - Math.max(yearToDate, tier.from));
+      return {
+        from: tier.from,
+        rate: tier.rate,
+        distance: Math.round(covered * 10) / 10,
+        amount: Math.round(covered * tier.rate * 100) / 100
+      };
+    }).filter(segment => segment.distance > 0);
+    
+    return { rate, distance, yearToDate, segments, total: ExpenseService.sumAmounts(segments, 'amount') };
+  },
+  
+  toExpenseData(claim, excludeExpenseId = null) {
+    const { rate, distance, yearToDate, segments, total } = this.calculate(claim, AppState.currentUser.id, excludeExpenseId);
+    const unit = this.UNITS[rate.unit];
+    const route = [claim.origin, claim.destination].filter(Boolean).join(' → ');
+    const reading = (value) => value === '' || value == null ? null : parseFloat(value);
+    
+    if (!(total > 0)) {
+      throw new Error('This trip has nothing to reimburse at the current rates');
+    }
+    
+    return {
+      amount: total,
+      currency: rate.currency,
+      category: 'Mileage',
+      date: claim.date,
+      merchant: route,
+      description: claim.description || `${rate.vehicleType}: ${distance} ${unit}${route ? ` (${route})` : ''}`,
+      lineItems: segments.filter(segment => segment.amount > 0).map(segment => ({
+        category: 'Mileage',
+        amount: segment.amount,
+        description: `${segment.distance} ${unit} @ ${segment.rate}/${rate.unit}${segment.from ? ` (over ${segment.from} ${unit} this year)` : ''}`
+      })),
+      mileage: {
+        rateId: rate.id,
+        vehicleType: rate.vehicleType,
+        unit: rate.unit,
+        startOdometer: reading(claim.startOdometer),
+        endOdometer: reading(claim.endOdometer),
+        distance,
+        origin: claim.origin || '',
+        destination: claim.destination || '',
+        yearToDateBefore: yearToDate,
+        segments
+      }
+    };
+  }
+};
+
+
+const PolicyService = {
+  TYPES: {
+    category_cap: 'Spending cap',
+    receipt_required: 'Receipt required',
+    no_weekends: 'No weekend expenses',
+    description_length: 'Description length'
+  },
+  
+  validatePolicy(data) {
+    if (!data.name || !this.TYPES[data.type]) {
+      throw new Error('Policy name and type are required');
+    }
+    
+    if (!['block', 'warn'].includes(data.enforcement)) {
+      throw new Error('Choose whether the policy blocks or warns');
+    }
+    
+    if (['category_cap', 'receipt_required'].includes(data.type) && !(data.amount >= 0)) {
+      throw new Error('Enter an amount in the company currency');
+    }
+    
+    if (data.type === 'description_length' && !(data.minLength > 0)) {
+      throw new Error('Enter a minimum description length');
+    }
+  },
+  
+  async createPolicy(data) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can manage expense policies');
+    }
+    
+    this.validatePolicy(data);
+    
+    const policy = {
+      id: Utils.generateId('POL'),
+      companyId: AppState.currentCompany.id,
+      name: data.name,
+      type: data.type,
+      enforcement: data.enforcement,
+      categories: data.categories || [], // empty applies to every category
+      amount: data.amount ?? null,
+      period: data.period || 'expense', // caps: 'expense' or 'day'
+      minLength: data.minLength ?? null,
+      active: data.active !== false,
+      createdAt: new Date().toISOString()
+    };
+    
+    const saved = await BackendService.create('policies', policy);
+    Utils.showToast('Policy created', 'success');
+    
+    return saved;
+  },
+  
+  async updatePolicy(policyId, updates) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can manage expense policies');
+    }
+    
+    if (!AppState.policies.some(p => p.id === policyId)) {
+      throw new Error('Policy not found');
+    }
+    
+    this.validatePolicy(updates);
+    
+    const saved = await BackendService.update('policies', policyId, updates);
+    Utils.showToast('Policy updated', 'success');
+    
+    return saved;
+  },
+  
+  async deletePolicy(policyId) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can manage expense policies');
+    }
+    
+    if (!AppState.policies.some(p => p.id === policyId)) {
+      throw new Error('Policy not found');
+    }
+    
+    await BackendService.remove('policies', policyId);
+    Utils.showToast('Policy deleted', 'success');
+  },
+  
+  getCompanyPolicies() {
+    return AppState.policies.filter(p => p.companyId === AppState.currentCompany?.id);
+  },
+  
+  // Base-currency amount of the expense's lines in the policy's categories
+  getCoveredAmount(policy, expense) {
+    const lines = ExpenseService.getLineItems(expense)
+      .filter(line => !policy.categories.length || policy.categories.includes(line.category));
+    return ExpenseService.sumAmounts(lines, 'amountInBaseCurrency');
+  },
+  
+  // Same-day spend in the policy's categories from the employee's other live expenses, and from the
+  // rest of the report the expense is submitted in
+  getSameDayAmount(policy, expense) {
+    const others = AppState.expenses.filter(e => 
+      e.id !== expense.id && 
+      e.employeeId === expense.employeeId && 
+      e.date === expense.date && 
+      (['pending', 'approved'].includes(e.status) || (expense.reportId && e.reportId === expense.reportId && e.status !== 'rejected'))
+    );
+    return ExpenseService.sumAmounts(others.map(e => ({ amount: this.getCoveredAmount(policy, e) })), 'amount');
+  },
+  
+  checkPolicy(policy, expense) {
+    const baseCurrency = AppState.currentCompany.baseCurrency;
+    const covered = this.getCoveredAmount(policy, expense);
+    const scope = policy.categories.length ? policy.categories.join('/') : 'expenses';
+    
+    switch (policy.type) {
+      case 'category_cap': {
+        if (policy.period === 'day') {
+          const dayTotal = ExpenseService.sumAmounts([{ amount: covered }, { amount: this.getSameDayAmount(policy, expense) }], 'amount');
+          return dayTotal > policy.amount ? 
+            `${scope} on ${expense.date} total ${Utils.formatCurrency(dayTotal, baseCurrency)}, over the daily cap of ${Utils.formatCurrency(policy.amount, baseCurrency)}` : 
+            null;
+        }
+        return covered > policy.amount ? 
+          `${scope} of ${Utils.formatCurrency(covered, baseCurrency)} exceeds the cap of ${Utils.formatCurrency(policy.amount, baseCurrency)}` : 
+          null;
+      }
+      case 'receipt_required':
+        // Per diem and mileage are calculated, not receipted
+        if (expense.perDiem || expense.mileage) return null;
+        return covered > policy.amount && !(expense.receipts || []).length ? 
+          `A receipt is required for ${scope} over ${Utils.formatCurrency(policy.amount, baseCurrency)}` : 
+          null;
+      case 'no_weekends': {
+        const day = new Date(`${expense.date}T00:00:00Z`).getUTCDay();
+        return day === 0 || day === 6 ? `Weekend date (${expense.date}) is not allowed for ${scope}` : null;
+      }
+      case 'description_length':
+        return (expense.description || '').trim().length < policy.minLength ? 
+          `Description must be at least ${policy.minLength} characters` : 
+          null;
+      default:
+        return null;
+    }
+  },
+  
+  evaluate(expense) {
+    return this.getCompanyPolicies()
+      .filter(policy => policy.active)
+      .filter(policy => !policy.categories.length || 
+        ExpenseService.getCategories(expense).some(c => policy.categories.includes(c)))
+      .map(policy => ({ policy, message: this.checkPolicy(policy, expense) }))
+      .filter(result => result.message)
+      .map(({ policy, message }) => ({
+        policyId: policy.id,
+        policyName: policy.name,
+        enforcement: policy.enforcement,
+        message
+      }));
+  },
+  
+  // Runs at submit time: blocking violations stop the submission, warnings travel with the expense
+  enforce(expense) {
+    const violations = this.evaluate(expense);
+    const blocking = violations.filter(v => v.enforcement === 'block');
+    
+    if (blocking.length) {
+      throw new Error(`Policy violation: ${blocking.map(v => v.message).join('; ')}`);
+    }
+    
+    expense.policyViolations = violations.map(v => ({ ...v, detectedAt: new Date().toISOString() }));
+    return expense.policyViolations;
+  },
+  
+  // Submitted expenses that went through with warnings, newest first
+  getViolationReport() {
+    return ExpenseService.getAllExpenses()
+      .filter(e => (e.policyViolations || []).length)
+      .flatMap(expense => expense.policyViolations.map(violation => ({ expense, violation })))
+      .sort((a, b) => b.expense.date.localeCompare(a.expense.date));
+  }
+};
+
+
+const DuplicateService = {
+  AMOUNT_TOLERANCE: 0.01, // relative difference still treated as the same amount
+  DATE_TOLERANCE_DAYS: 3,
+  MERCHANT_SIMILARITY: 0.8,
+  IMAGE_HASH_MAX_DISTANCE: 6, // differing bits out of 64
+  
+  normalizeMerchant(name) {
+    return (name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  },
+  
+  levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    
+    return previous[b.length];
+  },
+  
+  merchantSimilarity(a, b) {
+    const left = this.normalizeMerchant(a);
+    const right = this.normalizeMerchant(b);
+    if (!left && !right) return 1;
+    if (!left || !right) return 0;
+    if (left.includes(right) || right.includes(left)) return 1;
+    
+    return 1 - this.levenshtein(left, right) / Math.max(left.length, right.length);
+  },
+  
+  hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+      let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+      for (; bits; bits >>= 1) distance += bits & 1;
+    }
+    return distance;
+  },
+  
+  matchReceipts(a, b) {
+    const left = a.receipts || [];
+    const right = b.receipts || [];
+    
+    if (left.some(r => r.contentHash && right.some(o => o.contentHash === r.contentHash))) {
+      return 'identical receipt file';
+    }
+    
+    const similarImage = left.some(r => r.imageHash && right.some(o => 
+      o.imageHash && o.imageHash.length === r.imageHash.length && 
+      this.hammingDistance(r.imageHash, o.imageHash) <= this.IMAGE_HASH_MAX_DISTANCE
+    ));
+    return similarImage ? 'matching receipt image' : null;
+  },
+  
+  // Reasons the two expenses look like the same spend, or null when they don't.
+  // A matching receipt is enough on its own; otherwise the same employee must have a close amount, date and merchant.
+  compare(candidate, other) {
+    const receipt = this.matchReceipts(candidate, other);
+    
+    const amount = parseFloat(candidate.amount);
+    const otherAmount = parseFloat(other.amount);
+    const amountClose = candidate.currency === other.currency && 
+      Math.abs(amount - otherAmount) <= Math.max(0.01, this.AMOUNT_TOLERANCE * Math.max(amount, otherAmount));
+    
+    const dayGap = Math.abs(new Date(candidate.date) - new Date(other.date)) / 86400000;
+    const dateClose = dayGap <= this.DATE_TOLERANCE_DAYS;
+    const merchantClose = this.merchantSimilarity(candidate.merchant, other.merchant) >= this.MERCHANT_SIMILARITY;
+    
+    const reasons = [
+      receipt,
+      amountClose ? 'same amount' : null,
+      dateClose ? (dayGap ? `dates ${Math.round(dayGap)} day(s) apart` : 'same date') : null,
+      merchantClose && other.merchant ? 'same merchant' : null
+    ].filter(Boolean);
+    
+    if (receipt) return reasons;
+    if (candidate.employeeId === other.employeeId && amountClose && dateClose && merchantClose) return reasons;
+    return null;
+  },
+  
+  isDismissed(a, b) {
+    const dismissedBy = (expense, otherId) => (expense.duplicateFlags || [])
+      .some(f => f.expenseId === otherId && f.dismissedAt);
+    return dismissedBy(a, b.id) || dismissedBy(b, a.id);
+  },
+  
+  // Submitted expenses in the company that the candidate (saved or still a form) may duplicate
+  findMatches(candidate) {
+    return AppState.expenses
+      .filter(other => 
+        other.companyId === AppState.currentCompany.id && 
+        other.id !== candidate.id && 
+        !['draft', 'withdrawn'].includes(other.status) && 
+        !(candidate.id && this.isDismissed(candidate, other))
+      )
+      .map(other => ({ other, reasons: this.compare(candidate, other) }))
+      .filter(match => match.reasons);
+  },
+  
+  getOpenFlags(expense) {
+    return (expense.duplicateFlags || []).filter(f => !f.dismissedAt);
+  },
+  
+  getSuspectedPairs() {
+    return ExpenseService.getAllExpenses()
+      .flatMap(expense => this.getOpenFlags(expense).map(flag => ({
+        expense,
+        other: AppState.expenses.find(e => e.id === flag.expenseId),
+        flag
+      })))
+      .filter(pair => pair.other)
+      .sort((a, b) => b.flag.flaggedAt.localeCompare(a.flag.flaggedAt));
+  },
+  
+  async dismiss(expenseId, otherId) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can review duplicates');
+    }
+    
+    const saved = await BackendService.action('expenses', expenseId, 'dismiss-duplicate', { expenseId: otherId });
+    Utils.showToast('Marked as not a duplicate', 'success');
+    
+    return saved;
+  }
+};
+
+
+const ExportService = {
+  FORMATS: {
+    csv: 'CSV',
+    iif: 'QuickBooks IIF',
+    xero: 'Xero bills (CSV)'
+  },
+  
+  // Fields available to the CSV column mapping; exports have one row per line item
+  FIELDS: {
+    expenseId: 'Expense ID',
+    date: 'Date',
+    employeeName: 'Employee',
+    employeeNumber: 'Employee ID',
+    employeeEmail: 'Employee Email',
+    merchant: 'Merchant',
+    category: 'Category',
+    glAccount: 'GL Account',
+    description: 'Description',
+    amount: 'Amount',
+    currency: 'Currency',
+    exchangeRate: 'Exchange Rate',
+    amountInBaseCurrency: 'Base Amount',
+    baseCurrency: 'Base Currency',
+    report: 'Report',
+    approvedAt: 'Approved On'
+  },
+  
+  DEFAULT_COLUMNS: ['date', 'employeeName', 'merchant', 'category', 'glAccount', 'description', 'amount', 'currency', 'exchangeRate', 'amountInBaseCurrency', 'baseCurrency'],
+  
+  DATE_FORMATS: ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'],
+  
+  // Company settings merged over defaults
+  getSettings() {
+    const saved = AppState.currentCompany?.exportSettings || {};
+    
+    return {
+      accounts: {},
+      defaultAccount: '',
+      payableAccount: 'Accounts Payable',
+      taxType: 'Tax Exempt',
+      dateFormat: 'MM/DD/YYYY',
+      dueDays: 0,
+      ...saved,
+      columns: saved.columns?.length ? 
+        saved.columns : 
+        this.DEFAULT_COLUMNS.map(field => ({ field, header: this.FIELDS[field] }))
+    };
+  },
+  
+  async saveSettings(settings) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can configure accounting exports');
+    }
+    
+    const columns = (settings.columns || []).filter(c => this.FIELDS[c.field]);
+    if (!columns.length) {
+      throw new Error('Choose at least one CSV column');
+    }
+    
+    if (!this.DATE_FORMATS.includes(settings.dateFormat)) {
+      throw new Error('Choose a date format');
+    }
+    
+    if (!(settings.dueDays >= 0)) {
+      throw new Error('Days until due cannot be negative');
+    }
+    
+    const exportSettings = {
+      accounts: Object.fromEntries(
+        Object.entries(settings.accounts || {}).filter(([, code]) => code?.trim()).map(([category, code]) => [category, code.trim()])
+      ),
+      defaultAccount: settings.defaultAccount?.trim() || '',
+      payableAccount: settings.payableAccount?.trim() || 'Accounts Payable',
+      taxType: settings.taxType?.trim() || 'Tax Exempt',
+      dateFormat: settings.dateFormat,
+      dueDays: parseInt(settings.dueDays) || 0,
+      columns: columns.map(c => ({ field: c.field, header: c.header?.trim() || this.FIELDS[c.field] }))
+    };
+    
+    const saved = await BackendService.update('companies', AppState.currentCompany.id, { exportSettings });
+    Utils.showToast('Export settings saved', 'success');
+    
+    return saved;
+  },
+  
+  getAccount(category, settings = this.getSettings()) {
+    return settings.accounts[category] || settings.defaultAccount || category;
+  },
+  
+  formatDate(date, format) {
+    const [year, month, day] = date.split('T')[0].split('-');
+    return format
+      .replace('YYYY', year)
+      .replace('MM', month)
+      .replace('DD', day);
+  },
+  
+  // Final decision time of an approved expense, including overrides and approvals of its report
+  getApprovedAt(expense) {
+    return expense.status === 'approved' ? ExpenseService.getDecidedAt(expense) : null;
+  },
+  
+  // One entry per line item with everything the formats need
+  toRows(expenses, settings = this.getSettings()) {
+    const baseCurrency = AppState.currentCompany.baseCurrency;
+    
+    return expenses.flatMap(expense => {
+      const employee = AppState.employees.find(e => e.id === expense.employeeId);
+      const approvedAt = this.getApprovedAt(expense);
+      
+      return ExpenseService.getLineItems(expense).map(line => ({
+        expense,
+        expenseId: expense.id,
+        date: expense.date,
+        employeeName: expense.employeeName,
+        employeeNumber: employee?.employeeId || '',
+        employeeEmail: employee?.email || '',
+        merchant: expense.merchant || '',
+        category: line.category,
+        glAccount: this.getAccount(line.category, settings),
+        description: line.description || expense.description,
+        amount: line.amount,
+        currency: expense.currency,
+        exchangeRate: expense.exchangeRate?.rate ?? '',
+        amountInBaseCurrency: line.amountInBaseCurrency,
+        baseCurrency,
+        report: expense.reportId ? AppState.reports.find(r => r.id === expense.reportId)?.title || '' : '',
+        approvedAt: approvedAt ? approvedAt.split('T')[0] : ''
+      }));
+    });
+  },
+  
+  toCSV(expenses, settings = this.getSettings()) {
+    const rows = this.toRows(expenses, settings);
+    
+    return Utils.toCSV([
+      settings.columns.map(c => c.header),
+      ...rows.map(row => settings.columns.map(c => row[c.field]))
+    ]);
+  },
+  
+  // QuickBooks Desktop: one bill per expense, payable to the employee, split by GL account
+  toIIF(expenses, settings = this.getSettings()) {
+    const clean = value => String(value ?? '').replace(/[\t\r\n]+/g, ' ');
+    const line = cells => cells.map(clean).join('\t');
+    const header = ['TRNSID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'];
+    const lines = [
+      line(['!TRNS', ...header]),
+      line(['!SPL', 'SPLID', ...header.slice(1)]),
+      '!ENDTRNS'
+    ];
+    
+    expenses.forEach(expense => {
+      const rows = this.toRows([expense], settings);
+      const date = this.formatDate(expense.date, 'MM/DD/YYYY');
+      const memo = this.describeOriginal(expense);
+      
+      lines.push(line(['TRNS', '', 'BILL', date, settings.payableAccount, expense.employeeName, (-expense.amountInBaseCurrency).toFixed(2), expense.id, memo]));
+      rows.forEach(row => {
+        lines.push(line(['SPL', '', 'BILL', date, row.glAccount, expense.employeeName, row.amountInBaseCurrency.toFixed(2), expense.id, row.description]));
+      });
+      lines.push('ENDTRNS');
+    });
+    
+    return lines.join('\r\n') + '\r\n';
+  },
+  
+  // Xero's bill import template; amounts in the base currency, the original amount kept in the reference
+  toXero(expenses, settings = this.getSettings()) {
+    const exportDate = new Date();
+    exportDate.setDate(exportDate.getDate() + settings.dueDays);
+    const dueDate = this.formatDate(exportDate.toISOString(), settings.dateFormat);
+    
+    return Utils.toCSV([
+      ['*ContactName', 'EmailAddress', '*InvoiceNumber', 'Reference', '*InvoiceDate', '*DueDate', 'Description', '*Quantity', '*UnitAmount', '*AccountCode', '*TaxType', 'Currency'],
+      ...this.toRows(expenses, settings).map(row => [
+        row.employeeName,
+        row.employeeEmail,
+        row.expenseId,
+        this.describeOriginal(row.expense),
+        this.formatDate(row.date, settings.dateFormat),
+        dueDate,
+        row.description,
+        1,
+        row.amountInBaseCurrency.toFixed(2),
+        row.glAccount,
+        settings.taxType,
+        row.baseCurrency
+      ])
+    ]);
+  },
+  
+  describeOriginal(expense) {
+    const parts = [expense.merchant, expense.description].filter(Boolean);
+    if (expense.currency !== AppState.currentCompany.baseCurrency) {
+      parts.push(`${expense.currency} ${expense.amount.toFixed(ReferenceDataService.getMinorUnits(expense.currency))}`);
+    }
+    return parts.join(' - ');
+  },
+  
+  isExported(expense) {
+    return Boolean(expense.exportId);
+  },
+  
+  // Only approved expenses are exported; previously exported ones only when asked for
+  getExportable(expenses, { includeExported = false } = {}) {
+    return expenses.filter(e => e.status === 'approved' && (includeExported || !this.isExported(e)));
+  },
+  
+  async exportExpenses(expenses, format, { includeExported = false } = {}) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can export expenses');
+    }
+    
+    if (!this.FORMATS[format]) {
+      throw new Error('Choose an export format');
+    }
+    
+    // Another admin may have exported some of these since the list was loaded
+    const latest = await Promise.all(
+      this.getExportable(expenses, { includeExported }).map(e => BackendService.get('expenses', e.id).catch(() => null))
+    );
+    const selected = this.getExportable(latest.filter(Boolean), { includeExported })
+      .sort((a, b) => a.date.localeCompare(b.date));
+    
+    if (!selected.length) {
+      throw new Error('No approved expenses left to export');
+    }
+    
+    const settings = this.getSettings();
+    const content = format === 'iif' ? this.toIIF(selected, settings) :
+      format === 'xero' ? this.toXero(selected, settings) :
+      this.toCSV(selected, settings);
+    const exportedAt = new Date().toISOString();
+    
+    const record = await BackendService.create('accountingExports', {
+      id: Utils.generateId('EXPORT'),
+      companyId: AppState.currentCompany.id,
+      format,
+      fileName: `expenses-${exportedAt.split('T')[0]}.${format === 'iif' ? 'iif' : 'csv'}`,
+      expenseIds: selected.map(e => e.id),
+      total: ExpenseService.sumAmounts(selected, 'amountInBaseCurrency'),
+      currency: AppState.currentCompany.baseCurrency,
+      exportedById: AppState.currentUser.id,
+      exportedByName: AppState.currentUser.name,
+      createdAt: exportedAt
+    });
+    
+    for (const expense of selected) {
+      await BackendService.update('expenses', expense.id, { exportId: record.id, exportedAt });
+    }
+    
+    Utils.showToast(`Exported ${selected.length} expense(s)`, 'success');
+    
+    return {
+      record,
+      content,
+      type: format === 'iif' ? 'application/x-iif' : 'text/csv'
+    };
+  },
+  
+  getCompanyExports() {
+    return AppState.accountingExports
+      .filter(e => e.companyId === AppState.currentCompany.id)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+};
+
+
+const PaymentService = {
+  FORMATS: {
+    sepa: 'SEPA credit transfer (pain.001)',
+    nacha: 'NACHA (ACH)'
+  },
+  
+  // Bank files can only pay out in the currency of their clearing system
+  FORMAT_CURRENCIES: {
+    sepa: 'EUR',
+    nacha: 'USD'
+  },
+  
+  // Reimbursement of an approved expense; none recorded means it is waiting to be paid
+  STATUSES: {
+    scheduled: 'Payment scheduled',
+    paid: 'Paid',
+    failed: 'Payment failed'
+  },
+  
+  ACCOUNT_TYPES: {
+    checking: 'Checking',
+    savings: 'Savings'
+  },
+  
+  normalizeIban(iban) {
+    return (iban || '').replace(/\s+/g, '').toUpperCase();
+  },
+  
+  // ISO 13616: move the country code and check digits to the end, letters to numbers, mod 97 must be 1
+  isValidIban(iban) {
+    const value = this.normalizeIban(iban);
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(value)) return false;
+    
+    const digits = (value.slice(4) + value.slice(0, 4))
+      .split('')
+      .map(c => /[A-Z]/.test(c) ? c.charCodeAt(0) - 55 : c)
+      .join('');
+    
+    let remainder = 0;
+    for (let i = 0; i < digits.length; i += 7) {
+      remainder = parseInt(`${remainder}${digits.slice(i, i + 7)}`, 10) % 97;
+    }
+    return remainder === 1;
+  },
+  
+  isValidBic(bic) {
+    return /^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test((bic || '').trim().toUpperCase());
+  },
+  
+  // ABA routing numbers carry a weighted 3-7-1 checksum
+  isValidRoutingNumber(routingNumber) {
+    const value = (routingNumber || '').trim();
+    if (!/^\d{9}$/.test(value)) return false;
+    
+    const weights = [3, 7, 1, 3, 7, 1, 3, 7, 1];
+    return value.split('').reduce((sum, digit, i) => sum + Number(digit) * weights[i], 0) % 10 === 0;
+  },
+  
+  validateBankAccount(data) {
+    if (!data.holderName?.trim()) {
+      throw new Error('Account holder name is required');
+    }
+    
+    if (data.iban) {
+      if (!this.isValidIban(data.iban)) {
+        throw new Error('Enter a valid IBAN');
+      }
+      if (data.bic && !this.isValidBic(data.bic)) {
+        throw new Error('Enter a valid BIC (8 or 11 characters)');
+      }
+      return;
+    }
+    
+    if (!data.routingNumber && !data.accountNumber) {
+      throw new Error('Enter an IBAN, or a US routing and account number');
+    }
+    
+    if (!this.isValidRoutingNumber(data.routingNumber)) {
+      throw new Error('Enter a valid 9-digit routing number');
+    }
+    
+    if (!/^[0-9]{4,17}$/.test((data.accountNumber || '').trim())) {
+      throw new Error('Account number must be 4 to 17 digits');
+    }
+    
+    if (!this.ACCOUNT_TYPES[data.accountType]) {
+      throw new Error('Choose checking or savings');
+    }
+  },
+  
+  // Non-admins only ever receive their own bank details from the server
+  getBankAccount(employeeId) {
+    return AppState.bankAccounts.find(a => a.employeeId === employeeId) || null;
+  },
+  
+  async saveBankAccount(data) {
+    this.validateBankAccount(data);
+    
+    const details = data.iban ? {
+      holderName: data.holderName.trim(),
+      iban: this.normalizeIban(data.iban),
+      bic: (data.bic || '').trim().toUpperCase(),
+      routingNumber: '',
+      accountNumber: '',
+      accountType: ''
+    } : {
+      holderName: data.holderName.trim(),
+      iban: '',
+      bic: '',
+      routingNumber: data.routingNumber.trim(),
+      accountNumber: data.accountNumber.trim(),
+      accountType: data.accountType
+    };
+    
+    const existing = this.getBankAccount(AppState.currentUser.id);
+    const saved = existing ?
+      await BackendService.update('bankAccounts', existing.id, { ...details, updatedAt: new Date().toISOString() }) :
+      await BackendService.create('bankAccounts', {
+        id: Utils.generateId('BANK'),
+        companyId: AppState.currentCompany.id,
+        employeeId: AppState.currentUser.id,
+        ...details,
+        updatedAt: new Date().toISOString()
+      });
+    
+    Utils.showToast('Bank details saved', 'success');
+    
+    return saved;
+  },
+  
+  maskAccount(account) {
+    const number = account?.iban || account?.accountNumber || '';
+    return number ? `••••${number.slice(-4)}` : '';
+  },
+  
+  // Whether the account can be paid with the given file format
+  supportsFormat(account, format) {
+    return format === 'sepa' ? Boolean(account?.iban) : Boolean(account?.routingNumber && account?.accountNumber);
+  },
+  
+  // Company settings merged over defaults
+  getSettings() {
+    return {
+      format: AppState.currentCompany?.baseCurrency === 'USD' ? 'nacha' : 'sepa',
+      debtorName: AppState.currentCompany?.name || '',
+      iban: '',
+      bic: '',
+      routingNumber: '',
+      bankName: '',
+      companyId: '',
+      ...(AppState.currentCompany?.paymentSettings || {})
+    };
+  },
+  
+  async saveSettings(settings) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can configure payments');
+    }
+    
+    if (!this.FORMATS[settings.format]) {
+      throw new Error('Choose a payment file format');
+    }
+    
+    const currency = AppState.currentCompany.baseCurrency;
+    if (this.FORMAT_CURRENCIES[settings.format] !== currency) {
+      throw new Error(`${this.FORMATS[settings.format]} files pay in ${this.FORMAT_CURRENCIES[settings.format]}, but the company currency is ${currency}`);
+    }
+    
+    if (!settings.debtorName?.trim()) {
+      throw new Error('Company name on payments is required');
+    }
+    
+    const paymentSettings = {
+      format: settings.format,
+      debtorName: settings.debtorName.trim(),
+      iban: this.normalizeIban(settings.iban),
+      bic: (settings.bic || '').trim().toUpperCase(),
+      routingNumber: (settings.routingNumber || '').trim(),
+      bankName: (settings.bankName || '').trim(),
+      companyId: (settings.companyId || '').trim()
+    };
+    
+    if (settings.format === 'sepa') {
+      if (!this.isValidIban(paymentSettings.iban)) {
+        throw new Error('Enter the valid IBAN payments are made from');
+      }
+      if (!this.isValidBic(paymentSettings.bic)) {
+        throw new Error('Enter the BIC of the paying bank');
+      }
+    } else {
+      if (!this.isValidRoutingNumber(paymentSettings.routingNumber)) {
+        throw new Error('Enter the valid routing number of the paying bank');
+      }
+      if (!paymentSettings.bankName) {
+        throw new Error('Enter the name of the paying bank');
+      }
+      if (!/^[A-Za-z0-9]{10}$/.test(paymentSettings.companyId)) {
+        throw new Error('The ACH company ID must be 10 characters');
+      }
+    }
+    
+    const saved = await BackendService.update('companies', AppState.currentCompany.id, { paymentSettings });
+    Utils.showToast('Payment settings saved', 'success');
+    
+    return saved;
+  },
+  
+  getStatus(expense) {
+    return expense.status === 'approved' ? expense.reimbursement?.status || 'awaiting' : null;
+  },
+  
+  describeStatus(expense) {
+    const status = this.getStatus(expense);
+    if (!status) return '';
+    if (status === 'awaiting') return 'Awaiting payment';
+    if (status === 'paid') return `Paid ${Utils.formatDate(expense.reimbursement.paidAt)}`;
+    if (status === 'scheduled') return `Payment scheduled for ${Utils.formatDate(expense.reimbursement.paymentDate)}`;
+    return `Payment failed${expense.reimbursement.failureReason ? `: ${expense.reimbursement.failureReason}` : ''}`;
+  },
+  
+  // Approved expenses not yet in a run; failed payments become payable again
+  getPayable(expenses = AppState.expenses) {
+    return expenses.filter(e =>
+      e.companyId === AppState.currentCompany.id &&
+      e.status === 'approved' &&
+      ['awaiting', 'failed'].includes(this.getStatus(e))
+    );
+  },
+  
+  // Payable expenses per employee: [{ employeeId, employeeName, expenses, amount, account }]
+  groupByEmployee(expenses) {
+    const groups = new Map();
+    
+    expenses.forEach(expense => {
+      if (!groups.has(expense.employeeId)) {
+        groups.set(expense.employeeId, {
+          employeeId: expense.employeeId,
+          employeeName: AppState.employees.find(e => e.id === expense.employeeId)?.name || expense.employeeName,
+          expenses: [],
+          account: this.getBankAccount(expense.employeeId)
+        });
+      }
+      groups.get(expense.employeeId).expenses.push(expense);
+    });
+    
+    return Array.from(groups.values())
+      .map(group => ({ ...group, amount: ExpenseService.sumAmounts(group.expenses, 'amountInBaseCurrency') }))
+      .sort((a, b) => a.employeeName.localeCompare(b.employeeName));
+  },
+  
+  async createRun({ paymentDate }) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can create payment runs');
+    }
+    
+    if (!paymentDate || paymentDate < Utils.today()) {
+      throw new Error('Choose a payment date from today onwards');
+    }
+    
+    const settings = this.getSettings();
+    const currency = AppState.currentCompany.baseCurrency;
+    if (!AppState.currentCompany.paymentSettings) {
+      throw new Error('Configure the payment settings first');
+    }
+    if (this.FORMAT_CURRENCIES[settings.format] !== currency) {
+      throw new Error(`${this.FORMATS[settings.format]} files pay in ${this.FORMAT_CURRENCIES[settings.format]}, but the company currency is ${currency}`);
+    }
+    
+    // Another admin may have scheduled some of these since the list was loaded
+    const latest = await Promise.all(
+      this.getPayable().map(e => BackendService.get('expenses', e.id).catch(() => null))
+    );
+    const groups = this.groupByEmployee(this.getPayable(latest.filter(Boolean)));
+    const payable = groups.filter(g => this.supportsFormat(g.account, settings.format) && g.amount > 0);
+    const skipped = groups.filter(g => !payable.includes(g));
+    
+    if (!payable.length) {
+      throw new Error(groups.length ?
+        'None of the employees awaiting payment have usable bank details' :
+        'No approved expenses are awaiting payment');
+    }
+    
+    const now = new Date().toISOString();
+    const run = await BackendService.create('paymentRuns', {
+      id: Utils.generateId('PAYRUN'),
+      companyId: AppState.currentCompany.id,
+      status: 'scheduled',
+      format: settings.format,
+      currency,
+      paymentDate,
+      // Only a masked account number is kept; files are built from the current bank details
+      payments: payable.map(group => ({
+        employeeId: group.employeeId,
+        employeeName: group.employeeName,
+        expenseIds: group.expenses.map(e => e.id),
+        amount: group.amount,
+        account: this.maskAccount(group.account),
+        status: 'scheduled',
+        failureReason: null
+      })),
+      total: Math.round(payable.reduce((sum, g) => sum + g.amount, 0) * 100) / 100,
+      createdById: AppState.currentUser.id,
+      createdByName: AppState.currentUser.name,
+      createdAt: now,
+      paidAt: null
+    });
+    
+    for (const group of payable) {
+      for (const expense of group.expenses) {
+        await this.setReimbursement(expense.id, { status: 'scheduled', runId: run.id, paymentDate, updatedAt: now });
+      }
+    }
+    
+    Utils.showToast(`Scheduled ${run.payments.length} payment(s)${skipped.length ? `; ${skipped.length} employee(s) skipped without usable bank details` : ''}`, skipped.length ? 'info' : 'success');
+    
+    return { run, skipped };
+  },
+  
+  setReimbursement(expenseId, reimbursement) {
+    return BackendService.update('expenses', expenseId, { reimbursement });
+  },
+  
+  async getRunForUpdate(runId) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can update payment runs');
+    }
+    
+    const run = await BackendService.get('paymentRuns', runId).catch(() => null) ||
+      AppState.paymentRuns.find(r => r.id === runId);
+    if (!run || run.companyId !== AppState.currentCompany.id) {
+      throw new Error('Payment run not found');
+    }
+    
+    return run;
+  },
+  
+  // Confirms the bank executed the run; payments already marked failed stay failed
+  async markRunPaid(runId) {
+    const run = await this.getRunForUpdate(runId);
+    if (run.status === 'paid') {
+      throw new Error('This payment run is already marked paid');
+    }
+    if (!run.payments.some(p => p.status === 'scheduled')) {
+      throw new Error('Every payment in this run has failed');
+    }
+    
+    const paidAt = new Date().toISOString();
+    const payments = run.payments.map(p => p.status === 'scheduled' ? { ...p, status: 'paid' } : p);
+    
+    const saved = await BackendService.update('paymentRuns', runId, { status: 'paid', payments, paidAt });
+    
+    for (const payment of payments.filter(p => p.status === 'paid')) {
+      for (const expenseId of payment.expenseIds) {
+        await this.setReimbursement(expenseId, { status: 'paid', runId, paymentDate: run.paymentDate, paidAt, updatedAt: paidAt });
+      }
+    }
+    
+    Utils.showToast('Payment run marked paid', 'success');
+    
+    return saved;
+  },
+  
+  // A rejected or returned payment; its expenses can go into a later run
+  async markPaymentFailed(runId, employeeId, reason) {
+    if (!reason?.trim()) {
+      throw new Error('A reason is required');
+    }
+    
+    const run = await this.getRunForUpdate(runId);
+    const payment = run.payments.find(p => p.employeeId === employeeId);
+    if (!payment) {
+      throw new Error('Payment not found in this run');
+    }
+    if (payment.status === 'failed') {
+      throw new Error('This payment is already marked failed');
+    }
+    
+    const updatedAt = new Date().toISOString();
+    const payments = run.payments.map(p =>
+      p === payment ? { ...p, status: 'failed', failureReason: reason.trim(), failedAt: updatedAt } : p
+    );
+    
+    const saved = await BackendService.update('paymentRuns', runId, { payments });
+    
+    for (const expenseId of payment.expenseIds) {
+      await this.setReimbursement(expenseId, { status: 'failed', runId, failureReason: reason.trim(), updatedAt });
+    }
+    
+    Utils.showToast(`Payment to ${payment.employeeName} marked failed`, 'success');
+    
+    return saved;
+  },
+  
+  getCompanyRuns() {
+    return AppState.paymentRuns
+      .filter(r => r.companyId === AppState.currentCompany.id)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  },
+  
+  // Bank file for the run's scheduled payments: { fileName, content, type }
+  generateFile(runId) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can download payment files');
+    }
+    
+    const run = AppState.paymentRuns.find(r => r.id === runId);
+    if (!run) {
+      throw new Error('Payment run not found');
+    }
+    
+    const payments = run.payments
+      .filter(p => p.status !== 'failed')
+      .map(p => ({ ...p, bankAccount: this.getBankAccount(p.employeeId) }));
+    if (!payments.length) {
+      throw new Error('Every payment in this run has failed');
+    }
+    const missing = payments.filter(p => !this.supportsFormat(p.bankAccount, run.format));
+    if (missing.length) {
+      throw new Error(`Bank details are missing for ${missing.map(p => p.employeeName).join(', ')}`);
+    }
+    
+    const settings = this.getSettings();
+    const date = run.paymentDate.replace(/-/g, '');
+    
+    return run.format === 'sepa' ? {
+      fileName: `payments-${date}.xml`,
+      content: this.toSEPA(run, payments, settings),
+      type: 'application/xml'
+    } : {
+      fileName: `payments-${date}.ach`,
+      content: this.toNACHA(run, payments, settings),
+      type: 'text/plain'
+    };
+  },
+  
+  // ISO 20022 customer credit transfer initiation, one batch debiting the company account.
+  // Text is reduced to the SEPA Latin character set, which banks reject anything outside of.
+  toSEPA(run, payments, settings) {
+    const xml = value => String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+    const text = (value, length) => xml(
+      String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/&/g, '+').replace(/[^A-Za-z0-9/?:().,'+ -]+/g, ' ').slice(0, length).trim()
+    );
+    const amount = value => value.toFixed(2);
+    const total = amount(payments.reduce((sum, p) => sum + p.amount, 0));
+    const messageId = run.id.replace(/_/g, '-').slice(0, 35);
+    
+    const transactions = payments.map((payment, index) => `
+      <CdtTrfTxInf>
+        <PmtId>
+          <EndToEndId>${text(`${messageId.slice(-20)}-${index + 1}`, 35)}</EndToEndId>
+        </PmtId>
+        <Amt>
+          <InstdAmt Ccy="${run.currency}">${amount(payment.amount)}</InstdAmt>
+        </Amt>${payment.bankAccount.bic ? `
+        <CdtrAgt>
+          <FinInstnId>
+            <BIC>${xml(payment.bankAccount.bic)}</BIC>
+          </FinInstnId>
+        </CdtrAgt>` : ''}
+        <Cdtr>
+          <Nm>${text(payment.bankAccount.holderName, 70)}</Nm>
+        </Cdtr>
+        <CdtrAcct>
+          <Id>
+            <IBAN>${xml(payment.bankAccount.iban)}</IBAN>
+          </Id>
+        </CdtrAcct>
+        <RmtInf>
+          <Ustrd>${text(`Expense reimbursement ${payment.expenseIds.length} item(s)`, 140)}</Ustrd>
+        </RmtInf>
+      </CdtTrfTxInf>`).join('');
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.03" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <CstmrCdtTrfInitn>
+    <GrpHdr>
+      <MsgId>${xml(messageId)}</MsgId>
+      <CreDtTm>${new Date().toISOString().split('.')[0]}</CreDtTm>
+      <NbOfTxs>${payments.length}</NbOfTxs>
+      <CtrlSum>${total}</CtrlSum>
+      <InitgPty>
+        <Nm>${text(settings.debtorName, 70)}</Nm>
+      </InitgPty>
+    </GrpHdr>
+    <PmtInf>
+      <PmtInfId>${xml(messageId)}</PmtInfId>
+      <PmtMtd>TRF</PmtMtd>
+      <NbOfTxs>${payments.length}</NbOfTxs>
+      <CtrlSum>${total}</CtrlSum>
+      <PmtTpInf>
+        <SvcLvl>
+          <Cd>SEPA</Cd>
+        </SvcLvl>
+      </PmtTpInf>
+      <ReqdExctnDt>${run.paymentDate}</ReqdExctnDt>
+      <Dbtr>
+        <Nm>${text(settings.debtorName, 70)}</Nm>
+      </Dbtr>
+      <DbtrAcct>
+        <Id>
+          <IBAN>${xml(settings.iban)}</IBAN>
+        </Id>
+      </DbtrAcct>
+      <DbtrAgt>
+        <FinInstnId>
+          <BIC>${xml(settings.bic)}</BIC>
+        </FinInstnId>
+      </DbtrAgt>
+      <ChrgBr>SLEV</ChrgBr>${transactions}
+    </PmtInf>
+  </CstmrCdtTrfInitn>
+</Document>
+`;
+  },
+  
+  // Fixed-width 94-character ACH records: file header, one PPD credit batch, entries, controls,
+  // padded with 9s to a multiple of ten records
+  toNACHA(run, payments, settings) {
+    const alpha = (value, length) => String(value ?? '')
+      .normalize('NFD').replace(/[^\x20-\x7E]/g, '')
+      .toUpperCase().slice(0, length).padEnd(length);
+    const numeric = (value, length) => String(value).padStart(length, '0').slice(-length);
+    const cents = value => Math.round(value * 100);
+    
+    const created = new Date();
+    const yymmdd = date => date.toISOString().slice(2, 10).replace(/-/g, '');
+    const effectiveDate = run.paymentDate.slice(2).replace(/-/g, '');
+    const odfi = settings.routingNumber.slice(0, 8);
+    const companyName = alpha(settings.debtorName, 16);
+    const companyId = alpha(settings.companyId, 10);
+    
+    const entries = payments.map((payment, index) => [
+      '6',
+      payment.bankAccount.accountType === 'savings' ? '32' : '22',
+      payment.bankAccount.routingNumber,
+      alpha(payment.bankAccount.accountNumber, 17),
+      numeric(cents(payment.amount), 10),
+      alpha(AppState.employees.find(e => e.id === payment.employeeId)?.employeeId || payment.employeeId, 15),
+      alpha(payment.bankAccount.holderName, 22),
+      '  ',
+      '0',
+      odfi + numeric(index + 1, 7)
+    ].join(''));
+    
+    const entryHash = numeric(payments.reduce((sum, p) => sum + Number(p.bankAccount.routingNumber.slice(0, 8)), 0), 10);
+    const totalCredit = numeric(payments.reduce((sum, p) => sum + cents(p.amount), 0), 12);
+    
+    const records = [
+      [
+        '1', '01',
+        ` ${settings.routingNumber}`,
+        ` ${settings.routingNumber}`,
+        yymmdd(created),
+        created.toISOString().slice(11, 16).replace(':', ''),
+        'A', '094', '10', '1',
+        alpha(settings.bankName, 23),
+        alpha(settings.debtorName, 23),
+        alpha(run.id.slice(-8), 8)
+      ].join(''),
+      [
+        '5', '220',
+        companyName,
+        alpha('', 20),
+        companyId,
+        'PPD',
+        alpha('EXPENSES', 10),
+        alpha('', 6),
+        effectiveDate,
+        '   ',
+        '1',
+        odfi,
+        numeric(1, 7)
+      ].join(''),
+      ...entries,
+      [
+        '8', '220',
+        numeric(entries.length, 6),
+        entryHash,
+        numeric(0, 12),
+        totalCredit,
+        companyId,
+        alpha('', 19),
+        alpha('', 6),
+        odfi,
+        numeric(1, 7)
+      ].join('')
+    ];
+    
+    const blocks = Math.ceil((records.length + 1) / 10);
+    records.push([
+      '9',
+      numeric(1, 6),
+      numeric(blocks, 6),
+      numeric(entries.length, 8),
+      entryHash,
+      numeric(0, 12),
+      totalCredit,
+      alpha('', 39)
+    ].join(''));
+    
+    while (records.length % 10) {
+      records.push('9'.repeat(94));
+    }
+    
+    return records.join('\r\n') + '\r\n';
+  }
+};
+
+
+const DepartmentService = {
+  validateDepartment(data, departmentId = null) {
+    if (!data.name?.trim()) {
+      throw new Error('Department name is required');
+    }
+    
+    if (this.getCompanyDepartments().some(d => d.id !== departmentId && d.name.toLowerCase() === data.name.trim().toLowerCase())) {
+      throw new Error(`A department named "${data.name.trim()}" already exists`);
+    }
+  },
+  
+  async createDepartment(data) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can manage departments');
+    }
+    
+    this.validateDepartment(data);
+    
+    const department = {
+      id: Utils.generateId('DEPT'),
+      companyId: AppState.currentCompany.id,
+      name: data.name.trim(),
+      code: data.code?.trim() || '',
+      headId: data.headId || null,
+      createdAt: new Date().toISOString()
+    };
+    
+    const saved = await BackendService.create('departments', department);
+    Utils.showToast('Department created', 'success');
+    
+    return saved;
+  },
+  
+  async updateDepartment(departmentId, updates) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can manage departments');
+    }
+    
+    const department = AppState.departments.find(d => d.id === departmentId);
+    if (!department) {
+      throw new Error('Department not found');
+    }
+    
+    this.validateDepartment({ ...department, ...updates }, departmentId);
+    
+    const saved = await BackendService.update('departments', departmentId, updates);
+    Utils.showToast('Department updated', 'success');
+    
+    return saved;
+  },
+  
+  async deleteDepartment(departmentId) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can manage departments');
+    }
+    
+    if (!AppState.departments.some(d => d.id === departmentId)) {
+      throw new Error('Department not found');
+    }
+    
+    const inUse = EmployeeService.getCompanyEmployees().some(e => e.departmentId === departmentId) ||
+      CostCenterService.getCompanyCostCenters().some(c => c.departmentId === departmentId);
+    if (inUse) {
+      throw new Error('Move its employees and cost centers to another department first');
+    }
+    
+    await BackendService.remove('departments', departmentId);
+    Utils.showToast('Department deleted', 'success');
+  },
+  
+  getCompanyDepartments() {
+    return AppState.departments
+      .filter(d => d.companyId === AppState.currentCompany?.id)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  },
+  
+  getName(departmentId) {
+    return AppState.departments.find(d => d.id === departmentId)?.name || null;
+  }
+};
+
+
+const CostCenterService = {
+  BUDGET_PERIODS: {
+    monthly: 'Monthly',
+    quarterly: 'Quarterly'
+  },
+  
+  validateCostCenter(data, costCenterId = null) {
+    if (!data.code?.trim() || !data.name?.trim()) {
+      throw new Error('Cost center code and name are required');
+    }
+    
+    if (this.getCompanyCostCenters().some(c => c.id !== costCenterId && c.code.toLowerCase() === data.code.trim().toLowerCase())) {
+      throw new Error(`Cost center code ${data.code.trim()} is already in use`);
+    }
+    
+    if (data.budget && (!this.BUDGET_PERIODS[data.budget.period] || !(data.budget.amount > 0))) {
+      throw new Error('Enter a budget amount and period, or leave the budget empty');
+    }
+  },
+  
+  async createCostCenter(data) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can manage cost centers');
+    }
+    
+    this.validateCostCenter(data);
+    
+    const costCenter = {
+      id: Utils.generateId('CC'),
+      companyId: AppState.currentCompany.id,
+      code: data.code.trim(),
+      name: data.name.trim(),
+      departmentId: data.departmentId || null,
+      budget: data.budget || null, // { period: 'monthly' | 'quarterly', amount } in the company currency
+      active: data.active !== false,
+      createdAt: new Date().toISOString()
+    };
+    
+    const saved = await BackendService.create('costCenters', costCenter);
+    Utils.showToast('Cost center created', 'success');
+    
+    return saved;
+  },
+  
+  async updateCostCenter(costCenterId, updates) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can manage cost centers');
+    }
+    
+    const costCenter = AppState.costCenters.find(c => c.id === costCenterId);
+    if (!costCenter) {
+      throw new Error('Cost center not found');
+    }
+    
+    this.validateCostCenter({ ...costCenter, ...updates }, costCenterId);
+    
+    const saved = await BackendService.update('costCenters', costCenterId, updates);
+    Utils.showToast('Cost center updated', 'success');
+    
+    return saved;
+  },
+  
+  // Cost centers that expenses were charged to are deactivated rather than deleted
+  async deleteCostCenter(costCenterId) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can manage cost centers');
+    }
+    
+    if (!AppState.costCenters.some(c => c.id === costCenterId)) {
+      throw new Error('Cost center not found');
+    }
+    
+    if (AppState.expenses.some(e => e.costCenterId === costCenterId)) {
+      throw new Error('Expenses are charged to this cost center; deactivate it instead');
+    }
+    
+    if (EmployeeService.getCompanyEmployees().some(e => e.costCenterId === costCenterId)) {
+      throw new Error('Employees use this as their default cost center; reassign them first');
+    }
+    
+    await BackendService.remove('costCenters', costCenterId);
+    Utils.showToast('Cost center deleted', 'success');
+  },
+  
+  getCompanyCostCenters() {
+    return AppState.costCenters
+      .filter(c => c.companyId === AppState.currentCompany?.id)
+      .sort((a, b) => a.code.localeCompare(b.code));
+  },
+  
+  getActiveCostCenters() {
+    return this.getCompanyCostCenters().filter(c => c.active);
+  },
+  
+  describe(costCenterId) {
+    const costCenter = AppState.costCenters.find(c => c.id === costCenterId);
+    return costCenter ? `${costCenter.code} ${costCenter.name}` : null;
+  },
+  
+  // Budget period containing the date: { start, end, label } with inclusive ISO dates
+  getPeriod(date, period) {
+    const [year, month] = date.split('-').map(Number);
+    const firstMonth = period === 'quarterly' ? Math.floor((month - 1) / 3) * 3 + 1 : month;
+    const lastMonth = period === 'quarterly' ? firstMonth + 2 : month;
+    const pad = n => String(n).padStart(2, '0');
+    const lastDay = new Date(Date.UTC(year, lastMonth, 0)).getUTCDate();
+    
+    return {
+      start: `${year}-${pad(firstMonth)}-01`,
+      end: `${year}-${pad(lastMonth)}-${pad(lastDay)}`,
+      label: period === 'quarterly' ? 
+        `Q${(firstMonth + 2) / 3} ${year}` : 
+        new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' })
+    };
+  },
+  
+  // Spend against the cost center's budget in the period containing `date`. Approved expenses
+  // are actuals; pending ones are committed and already count against what remains.
+  getBudgetStatus(costCenterId, date = Utils.today()) {
+    const costCenter = AppState.costCenters.find(c => c.id === costCenterId);
+    if (!costCenter) return null;
+    
+    const period = this.getPeriod(date, costCenter.budget?.period || 'monthly');
+    const expenses = AppState.expenses.filter(e => 
+      e.costCenterId === costCenterId && e.date >= period.start && e.date <= period.end
+    );
+    const approved = ExpenseService.sumAmounts(expenses.filter(e => e.status === 'approved'), 'amountInBaseCurrency');
+    const pending = ExpenseService.sumAmounts(expenses.filter(e => e.status === 'pending'), 'amountInBaseCurrency');
+    const budget = costCenter.budget?.amount ?? null;
+    
+    return {
+      costCenter,
+      period,
+      budget,
+      approved,
+      pending,
+      remaining: budget == null ? null : Math.round((budget - approved - pending) * 100) / 100
+    };
+  }
+};
+
+
+const ApprovalRuleService = {
+  CHAIN_MODES: {
+    depth: 'Fixed number of levels',
+    signing_limit: 'Until someone can sign for the amount',
+    department_head: "Up to the head of the submitter's department"
+  },
+  
+  validateChain(data) {
+    if (data.type !== 'manager_chain') return;
+    
+    if (!this.CHAIN_MODES[data.chain?.mode]) {
+      throw new Error('Choose how far up the manager chain to go');
+    }
+    
+    if (data.chain.mode === 'depth' && !(data.chain.depth >= 1)) {
+      throw new Error('Manager chain depth must be at least 1');
+    }
+  },
+  
+  async createRule(data) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can create approval rules');
+    }
+    
+    this.validateChain(data);
+    
+    const rule = {
+      id: Utils.generateId('RULE'),
+      companyId: AppState.currentCompany.id,
+      name: data.name,
+      type: data.type, // 'sequential', 'percentage', 'specific', 'hybrid', 'manager_chain'
+      sequence: data.sequence || 1,
+      approvers: data.approvers || [],
+      condition: data.condition || null,
+      chain: data.chain || null, // manager_chain: { mode: 'depth' | 'signing_limit', depth }
+      criteria: data.criteria || null, // which expenses the rule applies to
+      slaHours: data.slaHours || null,
+      escalationHours: data.escalationHours || null,
+      escalationFallbackId: data.escalationFallbackId || null,
+      createdAt: new Date().toISOString()
+    };
+    
+    const saved = await BackendService.create('approvalRules', rule);
+    Utils.showToast('Approval rule created', 'success');
+    
+    return saved;
+  },
+  
+  async updateRule(ruleId, updates) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can update approval rules');
+    }
+    
+    const rule = AppState.approvalRules.find(r => r.id === ruleId);
+    if (!rule) {
+      throw new Error('Rule not found');
+    }
+    
+    this.validateChain({ ...rule, ...updates });
+    
+    const saved = await BackendService.update('approvalRules', ruleId, updates);
+    Utils.showToast('Approval rule updated', 'success');
+    
+    return saved;
+  },
+  
+  async deleteRule(ruleId) {
+    if (AppState.currentUser?.role !== 'admin') {
+      throw new Error('Only admins can delete approval rules');
+    }
+    
+    if (!AppState.approvalRules.some(r => r.id === ruleId)) {
+      throw new Error('Rule not found');
+    }
+    
+    await BackendService.remove('approvalRules', ruleId);
+    Utils.showToast('Approval rule deleted', 'success');
+  },
+  
+  getCompanyRules() {
+    return AppState.approvalRules.filter(r => r.companyId === AppState.currentCompany?.id);
+  },
+  
+  describeChain(rule) {
+    if (rule.chain?.mode === 'depth') {
+      return `Manager chain, ${rule.chain.depth} level${rule.chain.depth === 1 ? '' : 's'} up`;
+    }
+    if (rule.chain?.mode === 'department_head') {
+      return "Manager chain, up to the head of the submitter's department";
+    }
+    return 'Manager chain, up to the first manager whose signing limit covers the amount';
+  },
+  
+  describeCriteria(rule) {
+    const criteria = rule.criteria;
+    if (!criteria) return '';
+    
+    const baseCurrency = AppState.currentCompany.baseCurrency;
+    const parts = [];
+    
+    if (criteria.minAmount != null) parts.push(`≥ ${Utils.formatCurrency(criteria.minAmount, baseCurrency)}`);
+    if (criteria.maxAmount != null) parts.push(`≤ ${Utils.formatCurrency(criteria.maxAmount, baseCurrency)}`);
+    if (criteria.categories?.length) parts.push(`Categories: ${criteria.categories.join(', ')}`);
+    if (criteria.currencies?.length) parts.push(`Currencies: ${criteria.currencies.join(', ')}`);
+    if (criteria.submitterRoles?.length) parts.push(`Submitter role: ${criteria.submitterRoles.join(', ')}`);
+    if (criteria.managerIds?.length) {
+      const names = criteria.managerIds.map(id => AppState.employees.find(e => e.id === id)?.name || 'Unknown');
+      parts.push(`Reports to: ${names.join(', ')}`);
+    }
+    
+    return parts.join(' • ');
+  }
+};
+
+
+const DelegationService = {
+  async createDelegation(data) {
+    const employeeId = data.employeeId || AppState.currentUser.id;
+    
+    if (employeeId !== AppState.currentUser.id && AppState.currentUser.role !== 'admin') {
+      throw new Error('Only admins can set delegations for other employees');
+    }
+    
+    if (!data.delegateId) {
+      throw new Error('Please select a delegate');
+    }
+    
+    if (data.delegateId === employeeId) {
+      throw new Error('An employee cannot delegate to themselves');
+    }
+    
+    if (!data.startDate || !data.endDate || data.endDate < data.startDate) {
+      throw new Error('End date must be on or after the start date');
+    }
+    
+    const overlaps = (d) => d.startDate <= data.endDate && d.endDate >= data.startDate;
+    
+    if (this.getCompanyDelegations().some(d => d.employeeId === employeeId && overlaps(d))) {
+      throw new Error('A delegation already covers part of this period');
+    }
+    
+    // Walk the delegate's own delegations in this period to catch loops
+    const visited = new Set([data.delegateId]);
+    let current = data.delegateId;
+    while (current) {
+      const next = this.getCompanyDelegations().find(d => d.employeeId === current && overlaps(d));
+      if (!next) break;
+      if (next.delegateId === employeeId) {
+        throw new Error('This delegation would create a loop');
+      }
+      if (visited.has(next.delegateId)) break;
+      visited.add(next.delegateId);
+      current = next.delegateId;
+    }
+    
+    const employee = AppState.employees.find(e => e.id === employeeId);
+    const delegate = AppState.employees.find(e => e.id === data.delegateId);
+    
+    const delegation = {
+      id: Utils.generateId('DLG'),
+      companyId: AppState.currentCompany.id,
+      employeeId,
+      employeeName: employee?.name || '',
+      delegateId: data.delegateId,
+      delegateName: delegate?.name || '',
+      startDate: data.startDate,
+      endDate: data.endDate,
+      reason: data.reason || '',
+      createdBy: AppState.currentUser.id,
+      createdAt: new Date().toISOString()
+    };
+    
+    const saved = await BackendService.create('delegations', delegation);
+    Utils.showToast('Delegation saved', 'success');
+    
+    return saved;
+  },
+  
+  async deleteDelegation(delegationId) {
+    const delegation = AppState.delegations.find(d => d.id === delegationId);
+    if (!delegation) {
+      throw new Error('Delegation not found');
+    }
+    
+    if (delegation.employeeId !== AppState.currentUser.id && AppState.currentUser.role !== 'admin') {
+      throw new Error('Only admins can remove delegations for other employees');
+    }
+    
+    await BackendService.remove('delegations', delegationId);
+    Utils.showToast('Delegation removed', 'success');
+  },
+  
+  isActive(delegation, date = Utils.today()) {
+    return delegation.startDate <= date && delegation.endDate >= date;
+  },
+  
+  getCompanyDelegations() {
+    return AppState.delegations.filter(d => d.companyId === AppState.currentCompany?.id);
+  },
+  
+  getMyDelegations() {
+    return this.getCompanyDelegations().filter(d => d.employeeId === AppState.currentUser.id);
+  },
+  
+  getActiveDelegations() {
+    return this.getCompanyDelegations().filter(d => this.isActive(d));
+  },
+  
+  // Follows active delegations from an approver to whoever currently acts for them
+  resolveApprover(employeeId, date = Utils.today()) {
+    const visited = new Set([employeeId]);
+    let current = employeeId;
+    
+    while (true) {
+      const delegation = this.getCompanyDelegations().find(d => d.employeeId === current && this.isActive(d, date));
+      if (!delegation || visited.has(delegation.delegateId)) break;
+      visited.add(delegation.delegateId);
+      current = delegation.delegateId;
+    }
+    
+    return current;
+  }
+};
+
+
+const AnalyticsService = {
+  DIMENSIONS: {
+    category: 'Category',
+    month: 'Month',
+    employee: 'Employee',
+    department: 'Department',
+    currency: 'Currency'
+  },
+  
+  // Review time from (re)submission to the final decision, in days
+  CYCLE_BUCKETS: [
+    { key: 'day', label: '< 1 day', max: 1 },
+    { key: 'days', label: '1–3 days', max: 3 },
+    { key: 'week', label: '3–7 days', max: 7 },
+    { key: 'fortnight', label: '1–2 weeks', max: 14 },
+    { key: 'longer', label: '> 2 weeks', max: Infinity }
+  ],
+  
+  // Direct and indirect reports; cycles in the hierarchy are walked once
+  getTeamIds(managerId) {
+    const team = new Set();
+    let frontier = [managerId];
+    
+    while (frontier.length) {
+      frontier = EmployeeService.getCompanyEmployees()
+        .filter(e => frontier.includes(e.managerId) && e.id !== managerId && !team.has(e.id))
+        .map(e => e.id);
+      frontier.forEach(id => team.add(id));
+    }
+    
+    return team;
+  },
+  
+  // Admins see the whole company, managers their team; drafts are never included
+  getScopedExpenses() {
+    const user = AppState.currentUser;
+    
+    if (user?.role === 'admin') {
+      return ExpenseService.getAllExpenses();
+    }
+    
+    if (user?.role !== 'manager') {
+      throw new Error('Only managers and admins can view analytics');
+    }
+    
+    const team = this.getTeamIds(user.id);
+    return AppState.expenses.filter(e =>
+      e.companyId === AppState.currentCompany.id && e.status !== 'draft' && team.has(e.employeeId)
+    );
+  },
+  
+  // `status` is an expense status, or 'all' for everything submitted
+  filter(expenses, { from, to, status = 'all' } = {}) {
+    return expenses.filter(e =>
+      (!from || e.date >= from) &&
+      (!to || e.date <= to) &&
+      (status === 'all' || e.status === status)
+    );
+  },
+  
+  // Charged cost center's department first, otherwise the employee's current one
+  getDepartmentId(expense) {
+    const costCenter = AppState.costCenters.find(c => c.id === expense.costCenterId);
+    return costCenter?.departmentId ||
+      AppState.employees.find(e => e.id === expense.employeeId)?.departmentId ||
+      'none';
+  },
+  
+  getKey(expense, dimension) {
+    switch (dimension) {
+      case 'month': return expense.date.slice(0, 7);
+      case 'employee': return expense.employeeId;
+      case 'department': return this.getDepartmentId(expense);
+      case 'currency': return expense.currency;
+      case 'cycle': return this.getCycleBucket(this.getCycleDays(expense))?.key;
+      default: return null;
+    }
+  },
+  
+  getLabel(dimension, key) {
+    switch (dimension) {
+      case 'month': {
+        const [year, month] = key.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+      }
+      case 'employee':
+        return AppState.employees.find(e => e.id === key)?.name ||
+          AppState.expenses.find(e => e.employeeId === key)?.employeeName ||
+          'Unknown employee';
+      case 'department': return key === 'none' ? 'No department' : DepartmentService.getName(key) || 'Unknown department';
+      case 'currency': return `${key} – ${ReferenceDataService.getCurrency(key)?.name || key}`;
+      case 'cycle': return this.CYCLE_BUCKETS.find(b => b.key === key)?.label || key;
+      default: return key;
+    }
+  },
+  
+  // Split expenses count towards each of their line categories
+  matches(expense, dimension, key) {
+    if (dimension === 'category') {
+      return ExpenseService.getCategories(expense).includes(key);
+    }
+    return this.getKey(expense, dimension) === key;
+  },
+  
+  // Base-currency totals per dimension value, largest first: [{ key, label, amount, count, original }]
+  // `original` sums amounts in the expense currency and is only set for the currency dimension.
+  getBreakdown(expenses, dimension) {
+    const groups = new Map();
+    const add = (key, amount, expense) => {
+      if (!groups.has(key)) groups.set(key, { key, amount: 0, expenses: new Set(), original: 0 });
+      const group = groups.get(key);
+      group.amount += amount || 0;
+      group.expenses.add(expense.id);
+      if (dimension === 'currency') group.original += expense.amount;
+    };
+    
+    expenses.forEach(expense => {
+      if (dimension === 'category') {
+        ExpenseService.getLineItems(expense).forEach(line => add(line.category, line.amountInBaseCurrency, expense));
+      } else {
+        add(this.getKey(expense, dimension), expense.amountInBaseCurrency, expense);
+      }
+    });
+    
+    return Array.from(groups.values())
+      .map(g => ({
+        key: g.key,
+        label: this.getLabel(dimension, g.key),
+        amount: Math.round(g.amount * 100) / 100,
+        count: g.expenses.size,
+        original: dimension === 'currency' ? Math.round(g.original * 100) / 100 : null
+      }))
+      .sort((a, b) => b.amount - a.amount);
+  },
+  
+  // Every month between the two dates, including those without spend, in order
+  getMonthlyTrend(expenses, from, to) {
+    const totals = new Map(this.getBreakdown(expenses, 'month').map(m => [m.key, m]));
+    const months = [];
+    
+    if (!from || !to) {
+      const keys = Array.from(totals.keys()).sort();
+      from = from || (keys[0] ? `${keys[0]}-01` : Utils.today());
+      to = to || (keys[keys.length - 1] ? `${keys[keys.length - 1]}-01` : Utils.today());
+    }
+    
+    let [year, month] = from.split('-').map(Number);
+    const last = to.slice(0, 7);
+    
+    for (let key = from.slice(0, 7); key <= last; key = `${year}-${String(month).padStart(2, '0')}`) {
+      months.push(totals.get(key) || { key, label: this.getLabel('month', key), amount: 0, count: 0, original: null });
+      month += 1;
+      if (month > 12) {
+        month = 1;
+        year += 1;
+      }
+    }
+    
+    return months;
+  },
+  
+  // Latest approve/reject decision or admin override; null when nobody reviewed the expense
+  getCycleDays(expense) {
+    if (!['approved', 'rejected'].includes(expense.status) || !expense.submittedAt) return null;
+    
+    const decidedAt = ExpenseService.getDecidedAt(expense);
+    if (!decidedAt) return null;
+    
+    return Math.max(0, (new Date(decidedAt) - new Date(expense.submittedAt)) / 86400000);
+  },
+  
+  getCycleBucket(days) {
+    return days == null ? null : this.CYCLE_BUCKETS.find(b => days < b.max);
+  },
+  
+  // { count, average, median, p90 } in days, plus the count in each bucket
+  getCycleTimes(expenses) {
+    const days = expenses
+      .map(e => this.getCycleDays(e))
+      .filter(d => d != null)
+      .sort((a, b) => a - b);
+    const percentile = p => days.length ? days[Math.min(days.length - 1, Math.ceil(p * days.length) - 1)] : null;
+    
+    return {
+      count: days.length,
+      average: days.length ? days.reduce((sum, d) => sum + d, 0) / days.length : null,
+      median: percentile(0.5),
+      p90: percentile(0.9),
+      buckets: this.CYCLE_BUCKETS.map(b => ({
+        key: b.key,
+        label: b.label,
+        count: days.filter(d => this.getCycleBucket(d) === b).length
+      }))
+    };
+  },
+  
+  // Share of decided expenses that were rejected, overall and per dimension value
+  getRejectionRates(expenses, dimension = 'category') {
+    const decided = expenses.filter(e => e.status === 'approved' || e.status === 'rejected');
+    const rate = list => {
+      const rejected = list.filter(e => e.status === 'rejected').length;
+      return { decided: list.length, rejected, rate: list.length ? rejected / list.length : 0 };
+    };
+    
+    const keys = dimension === 'category' ?
+      [...new Set(decided.flatMap(e => ExpenseService.getCategories(e)))] :
+      [...new Set(decided.map(e => this.getKey(e, dimension)))];
+    
+    return {
+      overall: rate(decided),
+      groups: keys
+        .map(key => ({ key, label: this.getLabel(dimension, key), ...rate(decided.filter(e => this.matches(e, dimension, key))) }))
+        .sort((a, b) => b.rate - a.rate || b.decided - a.decided)
+    };
+  }
+};
+
+
+const UI = {
+  // Collections each view reads that other users may have changed since sign-in, which loads
+  // everything; views not listed here refresh every collection
+  VIEW_COLLECTIONS: {
+    'overview': ['expenses', 'reports'],
+    'my-expenses': ['expenses', 'reports', 'bankAccounts', 'filterPresets'],
+    'submit-expense': ['expenses', 'employees', 'approvalRules', 'delegations', 'policies', 'perDiemRates', 'mileageRates', 'exchangeRateOverrides', 'costCenters'],
+    'per-diem-rates': ['perDiemRates'],
+    'mileage-rates': ['mileageRates', 'expenses'],
+    'policies': ['policies', 'expenses'],
+    'exchange-rates': ['exchangeRateOverrides'],
+    'cost-centers': ['costCenters', 'departments', 'employees', 'expenses'],
+    'payments': ['expenses', 'paymentRuns', 'bankAccounts'],
+    'analytics': ['expenses', 'reports', 'employees', 'departments', 'costCenters'],
+    'approvals': ['expenses', 'reports', 'employees', 'delegations', 'filterPresets'],
+    'all-expenses': ['expenses', 'reports', 'accountingExports', 'filterPresets'],
+    'employees': ['employees', 'delegations', 'departments', 'costCenters'],
+    'approval-rules': ['approvalRules', 'employees'],
+    'delegations': ['delegations', 'employees'],
+    'reports': ['reports', 'expenses']
+  },
+  
+  renderDashboard() {
+    const appRoot = document.getElementById('appRoot');
+    const role = AppState.currentUser.role;
+    
+    let content = `
+      <div class="dashboard">
+        <aside class="sidebar">
+          <div class="sidebar-header">
+            <h2>ExpenseFlow</h2>
+            <p class="muted-sm">${Utils.escapeHtml(AppState.currentCompany.name)}</p>
+          </div>
+          <nav class="sidebar-nav">
+            <a href="#" class="nav-item active" data-view="overview">
+              <span>📊</span> Overview
+            </a>
+    `;
+    
+    if (role === 'employee' || role === 'manager' || role === 'admin') {
+      content += `
+            <a href="#" class="nav-item" data-view="my-expenses">
+              <span>💰</span> My Expenses
+            </a>
+            <a href="#" class="nav-item" data-view="submit-expense">
+              <span>➕</span> Submit Expense
+            </a>
+            <a href="#" class="nav-item" data-view="reports">
+              <span>🗂️</span> Reports
+            </a>
+            <a href="#" class="nav-item" data-view="delegations">
+              <span>🏖️</span> Out of Office
+            </a>
+      `;
+    }
+    
+    if (role === 'manager' || role === 'admin') {
+      content += `
+            <a href="#" class="nav-item" data-view="approvals">
+              <span>✅</span> Approvals
+              <span class="badge">${ExpenseService.getPendingApprovals().length + ReportService.getPendingApprovals().length}</span>
+            </a>
+            <a href="#" class="nav-item" data-view="analytics">
+              <span>📊</span> Analytics
+            </a>
+      `;
+    }
+    
+    if (role === 'admin') {
+      content += `
+            <a href="#" class="nav-item" data-view="all-expenses">
+              <span>📋</span> All Expenses
+            </a>
+            <a href="#" class="nav-item" data-view="employees">
+              <span>👥</span> Employees
+            </a>
+            <a href="#" class="nav-item" data-view="approval-rules">
+              <span>⚙️</span> Approval Rules
+            </a>
+            <a href="#" class="nav-item" data-view="per-diem-rates">
+              <span>🌍</span> Per Diem Rates
+            </a>
+            <a href="#" class="nav-item" data-view="mileage-rates">
+              <span>🚗</span> Mileage Rates
+            </a>
+            <a href="#" class="nav-item" data-view="policies">
+              <span>📜</span> Policies
+            </a>
+            <a href="#" class="nav-item" data-view="exchange-rates">
+              <span>💱</span> Exchange Rates
+            </a>
+            <a href="#" class="nav-item" data-view="cost-centers">
+              <span>🏢</span> Cost Centers
+            </a>
+            <a href="#" class="nav-item" data-view="payments">
+              <span>💸</span> Payments
+            </a>
+      `;
+    }
+    
+    content += `
+          </nav>
+          <div class="sidebar-footer">
+            <div class="user-info">
+              <strong>${Utils.escapeHtml(AppState.currentUser.name)}</strong>
+              <span class="muted-sm">${AppState.currentUser.role}</span>
+            </div>
+            <button class="btn ghost btn-sm" id="btnLogout">Logout</button>
+          </div>
+        </aside>
+        <main class="main-content">
+          <div id="viewContent"></div>
+        </main>
+      </div>
+    `;
+    
+    appRoot.innerHTML = content;
+    
+    // Add event listeners
+    document.querySelectorAll('.nav-item').forEach(item => {
+      item.addEventListener('click', (e) => {
+        e.preventDefault();
+        document.querySelectorAll('.nav-item').forEach(i => i.classList.remove('active'));
+        item.classList.add('active');
+        const view = item.dataset.view;
+        this.renderView(view);
+      });
+    });
+    
+    document.getElementById('btnLogout').addEventListener('click', () => {
+      AuthService.logout();
+      this.showLanding();
+    });
+    
+    // Render initial view
+    this.renderView('overview');
+  },
+  
+  async renderView(viewName, options = {}) {
+    try {
+      await BackendService.refresh(this.VIEW_COLLECTIONS[viewName]);
+    } catch (error) {
+      console.warn('Could not refresh from server, showing cached data:', error);
+    }
+    
+    const viewContent = document.getElementById('viewContent');
+    if (!viewContent) return;
+    
+    switch(viewName) {
+      case 'overview':
+        this.renderOverview(viewContent);
+        break;
+      case 'my-expenses':
+        this.renderMyExpenses(viewContent);
+        break;
+      case 'submit-expense': {
+        // Calculated claim types keep their own forms when edited
+        const editing = AppState.expenses.find(e => e.id === options.expenseId);
+        if (options.perDiem || editing?.perDiem) {
+          this.renderPerDiemClaim(viewContent, options.expenseId);
+        } else if (options.mileage || editing?.mileage) {
+          this.renderMileageClaim(viewContent, options.expenseId);
+        } else {
+          this.renderSubmitExpense(viewContent, options.expenseId);
+        }
+        break;
+      }
+      case 'per-diem-rates':
+        this.renderPerDiemRates(viewContent);
+        break;
+      case 'mileage-rates':
+        this.renderMileageRates(viewContent);
+        break;
+      case 'policies':
+        this.renderPolicies(viewContent);
+        break;
+      case 'exchange-rates':
+        this.renderExchangeRates(viewContent);
+        break;
+      case 'cost-centers':
+        this.renderCostCenters(viewContent, options.month);
+        break;
+      case 'payments':
+        this.renderPayments(viewContent);
+        break;
+      case 'analytics':
+        this.renderAnalytics(viewContent, options);
+        break;
+      case 'approvals':
+        this.renderApprovals(viewContent);
+        break;
+      case 'all-expenses':
+        this.renderAllExpenses(viewContent);
+        break;
+      case 'employees':
+        this.renderEmployees(viewContent);
+        break;
+      case 'approval-rules':
+        this.renderApprovalRules(viewContent);
+        break;
+      case 'delegations':
+        this.renderDelegations(viewContent);
+        break;
+      case 'reports':
+        this.renderReports(viewContent);
+        break;
+    }
+  },
+  
+  renderOverview(container) {
+    const expenses = AppState.currentUser.role === 'admin' ? 
+      ExpenseService.getAllExpenses() : 
+      ExpenseService.getMyExpenses();
+    
+    const pending = expenses.filter(e => e.status === 'pending').length;
+    const approved = expenses.filter(e => e.status === 'approved').length;
+    const rejected = expenses.filter(e => e.status === 'rejected').length;
+    
+    const approvedExpenses = expenses.filter(e => e.status === 'approved');
+    const categoryTotals = ExpenseService.getCategoryTotals(approvedExpenses);
+    const totalAmount = Object.values(categoryTotals).reduce((sum, amount) => sum + amount, 0);
+    
+    container.innerHTML = `
+      <div class="view-header">
+        <h1>Dashboard Overview</h1>
+        <p class="muted">Welcome back, ${Utils.escapeHtml(AppState.currentUser.name)}</p>
+      </div>
+      
+      <div class="stats-grid">
+        <div class="stat-card">
+          <div class="stat-value">${pending}</div>
+          <div class="stat-label">Pending</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value">${approved}</div>
+          <div class="stat-label">Approved</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value">${rejected}</div>
+          <div class="stat-label">Rejected</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value">${Utils.formatCurrency(totalAmount, AppState.currentCompany.baseCurrency)}</div>
+          <div class="stat-label">Total Approved</div>
+        </div>
+      </div>
+      
+      ${totalAmount > 0 ? `
+        <div class="content-card">
+          <h3>Approved Spend by Category</h3>
+          <table class="data-table">
+            <tbody>
+              ${Object.entries(categoryTotals).sort((a, b) => b[1] - a[1]).map(([category, amount]) => `
+                <tr>
+                  <td>${Utils.escapeHtml(category)}</td>
+                  <td>${Utils.formatCurrency(amount, AppState.currentCompany.baseCurrency)}</td>
+                  <td class="muted-sm">${Math.round(amount / totalAmount * 100)}%</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      ` : ''}
+      
+      <div class="content-card">
+        <h3>Recent Expenses</h3>
+        ${this.renderExpenseTable(expenses.slice(0, 5))}
+      </div>
+    `;
+  },
+  
+  renderAnalytics(container, filters = {}) {
+    const today = Utils.today();
+    const yearAgo = new Date(`${today.slice(0, 7)}-01T00:00:00Z`);
+    yearAgo.setUTCMonth(yearAgo.getUTCMonth() - 11);
+    const { from = yearAgo.toISOString().split('T')[0], to = today, status = 'approved' } = filters;
+    
+    const scoped = AnalyticsService.getScopedExpenses();
+    const inRange = AnalyticsService.filter(scoped, { from, to });
+    const expenses = AnalyticsService.filter(inRange, { status });
+    const baseCurrency = AppState.currentCompany.baseCurrency;
+    const money = amount => Utils.formatCurrency(amount, baseCurrency);
+    const total = ExpenseService.sumAmounts(expenses, 'amountInBaseCurrency');
+    const cycle = AnalyticsService.getCycleTimes(inRange);
+    const rejections = AnalyticsService.getRejectionRates(inRange);
+    const days = value => value == null ? '-' : `${value.toFixed(1)} days`;
+    const percent = value => `${Math.round(value * 100)}%`;
+    const scope = AppState.currentUser.role === 'admin' ?
+      'All employees' :
+      `Your team (${AnalyticsService.getTeamIds(AppState.currentUser.id).size} people)`;
+    
+    const chartCard = (title, dimension) => `
+      <div class="content-card">
+        <h3>Spend by ${title}</h3>
+        ${this.renderBarChart(AnalyticsService.getBreakdown(expenses, dimension), {
+          dimension,
+          format: item => dimension === 'currency' && item.key !== baseCurrency ?
+            `${money(item.amount)} (${Utils.formatCurrency(item.original, item.key)})` :
+            money(item.amount)
+        })}
+      </div>
+    `;
+    
+    container.innerHTML = `
+      <div class="view-header">
+        <div>
+          <h1>Analytics</h1>
+          <p class="muted">${scope}</p>
+        </div>
+        <div style="display: flex; gap: 8px; align-items: center;">
+          <input type="date" id="analyticsFrom" value="${from}">
+          <span class="muted-sm">to</span>
+          <input type="date" id="analyticsTo" value="${to}">
+          <select id="analyticsStatus" style="padding: 8px; border-radius: 6px; border: 1px solid #e5e7eb;">
+            ${['approved', 'pending', 'rejected', 'all'].map(s =>
+              `<option value="${s}" ${s === status ? 'selected' : ''}>${s === 'all' ? 'All submitted' : s.charAt(0).toUpperCase() + s.slice(1)}</option>`
+            ).join('')}
+          </select>
+        </div>
+      </div>
+      
+      <div class="stats-grid">
+        <div class="stat-card">
+          <div class="stat-value">${money(total)}</div>
+          <div class="stat-label">Spend (${expenses.length} expenses)</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value">${expenses.length ? money(total / expenses.length) : '-'}</div>
+          <div class="stat-label">Average Expense</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value">${days(cycle.median)}</div>
+          <div class="stat-label">Median Approval Time</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value">${rejections.overall.decided ? percent(rejections.overall.rate) : '-'}</div>
+          <div class="stat-label">Rejection Rate</div>
+        </div>
+      </div>
+      
+      <div class="content-card">
+        <h3>Spend by Month</h3>
+        ${this.renderColumnChart(AnalyticsService.getMonthlyTrend(expenses, from, to), { dimension: 'month', format: item => money(item.amount) })}
+      </div>
+      
+      <div class="analytics-grid">
+        ${chartCard('Category', 'category')}
+        ${chartCard('Employee', 'employee')}
+        ${chartCard('Department', 'department')}
+        ${chartCard('Currency', 'currency')}
+        
+        <div class="content-card">
+          <h3>Approval Cycle Time</h3>
+          <p class="muted-sm">
+            ${cycle.count} reviewed expense(s) in range • average ${days(cycle.average)} • 90% within ${days(cycle.p90)}
+          </p>
+          ${this.renderBarChart(cycle.count ? cycle.buckets.map(b => ({ ...b, amount: b.count })) : [], {
+            dimension: 'cycle',
+            set: 'decided',
+            format: item => `${item.count}`
+          })}
+        </div>
+        
+        <div class="content-card">
+          <h3>Rejection Rate by Category</h3>
+          <p class="muted-sm">
+            ${rejections.overall.rejected} of ${rejections.overall.decided} decided expense(s) in range rejected
+          </p>
+          ${this.renderBarChart(rejections.groups.map(g => ({ ...g, amount: g.rate })), {
+            dimension: 'category',
+            set: 'rejected',
+            format: item => `${percent(item.rate)} (${item.rejected}/${item.decided})`
+          })}
+        </div>
+      </div>
+      
+      <div class="content-card" id="analyticsDrillDown" style="display: none;"></div>
+    `;
+    
+    const applyFilters = () => {
+      const next = {
+        from: document.getElementById('analyticsFrom').value,
+        to: document.getElementById('analyticsTo').value,
+        status: document.getElementById('analyticsStatus').value
+      };
+      if (next.from && next.to && next.from > next.to) {
+        Utils.showToast('The start date must be before the end date', 'error');
+        return;
+      }
+      this.renderView('analytics', next);
+    };
+    ['analyticsFrom', 'analyticsTo', 'analyticsStatus'].forEach(id => {
+      document.getElementById(id).addEventListener('change', applyFilters);
+    });
+    
+    // Chart items list the expenses behind them; approval charts cover every decided expense in range
+    const drillSets = {
+      spend: expenses,
+      decided: inRange,
+      rejected: inRange.filter(e => e.status === 'rejected')
+    };
+    container.querySelectorAll('.chart-item').forEach(item => {
+      item.addEventListener('click', () => {
+        const { dimension, key, set } = item.dataset;
+        const matching = drillSets[set].filter(e => AnalyticsService.matches(e, dimension, key));
+        const drillDown = document.getElementById('analyticsDrillDown');
+        
+        drillDown.innerHTML = `
+          <div style="display: flex; justify-content: space-between; align-items: center;">
+            <h3>${set === 'rejected' ? 'Rejected' : set === 'decided' ? 'Reviewed' : 'Expenses'} – ${Utils.escapeHtml(AnalyticsService.getLabel(dimension, key))}</h3>
+            <button class="btn btn-sm ghost" id="btnCloseDrillDown">Close</button>
+          </div>
+          ${this.renderExpenseTable(matching.sort((a, b) => b.date.localeCompare(a.date)))}
+        `;
+        drillDown.style.display = 'block';
+        drillDown.scrollIntoView({ behavior: 'smooth' });
+        
+        document.getElementById('btnCloseDrillDown').addEventListener('click', () => {
+          drillDown.style.display = 'none';
+        });
+      });
+    });
+  },
+  
+  // Horizontal SVG bars scaled to the largest `amount`; each bar drills down through `dimension`
+  renderBarChart(items, { dimension, set = 'spend', format }) {
+    if (!items.length) {
+      return '<p class="muted center" style="padding: 24px;">No data for this selection</p>';
+    }
+    
+    const colors = ['#2563eb', '#10b981', '#f59e0b', '#8b5cf6', '#ef4444', '#14b8a6', '#ec4899', '#6b7280'];
+    const rowHeight = 28;
+    const max = Math.max(...items.map(item => item.amount)) || 1;
+    const truncate = text => text.length > 22 ? `${text.slice(0, 21)}…` : text;
+    
+    return `
+      <svg class="chart" viewBox="0 0 600 ${items.length * rowHeight}" role="img">
+        ${items.map((item, idx) => `
+          <g class="chart-item" data-dimension="${dimension}" data-key="${Utils.escapeHtml(item.key)}" data-set="${set}" transform="translate(0, ${idx * rowHeight})">
+            <title>${Utils.escapeHtml(item.label)}: ${format(item)}</title>
+            <text x="0" y="18" font-size="12" fill="#374151">${Utils.escapeHtml(truncate(item.label))}</text>
+            <rect x="160" y="5" height="18" rx="3" width="${Math.max(2, item.amount / max * 250)}" fill="${colors[idx % colors.length]}"></rect>
+            <text x="${168 + item.amount / max * 250}" y="18" font-size="12" fill="#6b7280">${format(item)}</text>
+          </g>
+        `).join('')}
+      </svg>
+    `;
+  },
+  
+  // Vertical SVG columns in item order, for trends over time
+  renderColumnChart(items, { dimension, set = 'spend', format }) {
+    if (items.every(item => !item.amount)) {
+      return '<p class="muted center" style="padding: 24px;">No data for this selection</p>';
+    }
+    
+    const height = 200;
+    const width = 600;
+    const slot = width / items.length;
+    const max = Math.max(...items.map(item => item.amount));
+    
+    return `
+      <svg class="chart" viewBox="0 0 ${width} ${height + 36}" role="img">
+        <line x1="0" y1="${height}" x2="${width}" y2="${height}" stroke="#e5e7eb"></line>
+        ${items.map((item, idx) => {
+          const barHeight = item.amount ? Math.max(2, item.amount / max * (height - 20)) : 0;
+          const [month, year] = item.label.split(' ');
+          return `
+            <g class="chart-item" data-dimension="${dimension}" data-key="${Utils.escapeHtml(item.key)}" data-set="${set}">
+              <title>${Utils.escapeHtml(item.label)}: ${format(item)} (${item.count} expenses)</title>
+              <rect x="${idx * slot + slot * 0.15}" y="${height - barHeight}" width="${slot * 0.7}" height="${barHeight}" rx="3" fill="#2563eb"></rect>
+              <text x="${idx * slot + slot / 2}" y="${height + 16}" font-size="11" text-anchor="middle" fill="#6b7280">${month}</text>
+              ${idx === 0 || month === 'Jan' ? `<text x="${idx * slot + slot / 2}" y="${height + 30}" font-size="10" text-anchor="middle" fill="#9ca3af">${year}</text>` : ''}
+            </g>
+          `;
+        }).join('')}
+      </svg>
+    `;
+  },
+  
+  renderMyExpenses(container) {
+    const expenses = ExpenseService.getMyExpenses();
+    const baseCurrency = AppState.currentCompany.baseCurrency;
+    const account = PaymentService.getBankAccount(AppState.currentUser.id);
+    const totalFor = status => ExpenseService.sumAmounts(
+      expenses.filter(e => PaymentService.getStatus(e) === status),
+      'amountInBaseCurrency'
+    );
+    const failed = expenses.filter(e => PaymentService.getStatus(e) === 'failed');
+    
+    container.innerHTML = `
+      <div class="view-header">
+        <h1>My Expenses</h1>
+        <button class="btn primary" onclick="UI.renderView('submit-expense')">
+          + New Expense
+        </button>
+      </div>
+      
+      <div class="stats-grid">
+        <div class="stat-card">
+          <div class="stat-value">${Utils.formatCurrency(totalFor('awaiting') + totalFor('failed'), baseCurrency)}</div>
+          <div class="stat-label">Awaiting Payment</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value">${Utils.formatCurrency(totalFor('scheduled'), baseCurrency)}</div>
+          <div class="stat-label">Payment Scheduled</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value">${Utils.formatCurrency(totalFor('paid'), baseCurrency)}</div>
+          <div class="stat-label">Reimbursed</div>
+        </div>
+      </div>
+      
+      <div class="content-card">
+        <div style="display: flex; justify-content: space-between; align-items: center;">
+          <div>
+            <h3>Bank Details</h3>
+            <p class="muted-sm">
+              ${account ? 
+                `${Utils.escapeHtml(account.holderName)} • ${account.iban ? 'IBAN' : PaymentService.ACCOUNT_TYPES[account.accountType]} ${PaymentService.maskAccount(account)}` : 
+                'Add your bank details so approved expenses can be reimbursed.'
+              }
+            </p>
+            ${failed.length ? `<p class="budget-over">${failed.length} payment(s) failed; check your bank details. Finance will retry in the next payment run.</p>` : ''}
+          </div>
+          <button class="btn ghost" onclick="UI.showBankAccountModal()">${account ? 'Update' : 'Add'} Bank Details</button>
+        </div>
+      </div>
+      
+      <div class="content-card" id="myExpensesList"></div>
+    `;
+    
+    this.renderExpenseList(
+      document.getElementById('myExpensesList'),
+      'my-expenses',
+      expenses,
+      (items, query) => this.renderExpenseTable(items, query),
+      { employeeFilter: false }
+    );
+  },
+  
+  // ISO 4217 options labelled with their names; `selected` may be one code or a list
+  renderCurrencyOptions(selected, exclude = []) {
+    const isSelected = code => Array.isArray(selected) ? selected.includes(code) : code === selected;
+    
+    return ReferenceDataService.getCurrencyCodes()
+      .filter(code => !exclude.includes(code))
+      .map(code => {
+        const { name, symbol } = ReferenceDataService.getCurrency(code);
+        const label = symbol && symbol !== code ? `${code} – ${name} (${symbol})` : `${code} – ${name}`;
+        return `<option value="${code}" ${isSelected(code) ? 'selected' : ''}>${Utils.escapeHtml(label)}</option>`;
+      }).join('');
+  },
+  
+  renderSubmitExpense(container, expenseId = null) {
+    const expense = expenseId ? AppState.expenses.find(e => e.id === expenseId) : null;
+    const isDraft = !expense || expense.status === 'draft';
+    const selected = (field, value) => expense?.[field] === value ? 'selected' : '';
+    const isSplit = (expense?.lineItems || []).length > 1;
+    const costCenters = CostCenterService.getActiveCostCenters();
+    const costCenterId = expense ? expense.costCenterId : AppState.currentUser.costCenterId;
+    
+    container.innerHTML = `
+      <div class="view-header">
+        <h1>${!expense ? 'Submit New Expense' : isDraft ? 'Edit Draft' : 'Edit and Resubmit Expense'}</h1>
+        ${!expense ? `
+          <div>
+            ${MileageService.getCompanyRates().length ? 
+              '<button class="btn ghost" onclick="UI.renderView(\'submit-expense\', { mileage: true })">Claim Mileage</button>' : 
+              ''
+            }
+            ${PerDiemService.getCompanyRates().length ? 
+              '<button class="btn ghost" onclick="UI.renderView(\'submit-expense\', { perDiem: true })">Claim Per Diem</button>' : 
+              ''
+            }
+          </div>
+        ` : ''}
+      </div>
+      
+      <div class="content-card" style="max-width: 600px;">
+        ${this.renderChangesRequestedNote(expense)}
+        <form id="expenseForm">
+          <div class="form-group">
+            <label>Amount *</label>
+            <input type="number" id="expAmount" step="0.01" required value="${expense?.amount || ''}">
+          </div>
+          
+          <div class="form-group">
+            <label>Currency *</label>
             <select id="expCurrency" required>
               <option value="${AppState.currentCompany.baseCurrency}">${AppState.currentCompany.baseCurrency} (Company Currency)</option>
-              ${currencies.filter(c => c !== AppState.currentCompany.baseCurrency).map(c => 
-                `<option value="${c}">${c}</option>`
+              ${this.renderCurrencyOptions(expense?.currency, [AppState.currentCompany.baseCurrency])}
+            </select>
+          </div>
+          
+          <div class="form-group">
+            <label>
+              <input type="checkbox" id="expSplit" ${isSplit ? 'checked' : ''}>
+              Split across categories
+            </label>
+          </div>
+          
+          <div class="form-group" id="singleCategoryGroup">
+            <label>Category *</label>
+            <select id="expCategory" required>
+              ${EXPENSE_CATEGORIES.map(c => `<option value="${c}" ${selected('category', c)}>${c}</option>`).join('')}
+            </select>
+          </div>
+          
+          <div class="form-group hidden" id="lineItemsGroup">
+            <label>Line Items *</label>
+            <table class="data-table line-items">
+              <thead>
+                <tr>
+                  <th>Category</th>
+                  <th>Amount</th>
+                  <th>Description</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody id="lineItemsBody"></tbody>
+            </table>
+            <button type="button" class="btn ghost btn-sm" id="btnAddLine">+ Add Line</button>
+            <p class="muted-sm" id="lineItemsTotal"></p>
+          </div>
+          
+          <div class="form-group">
+            <label>Date *</label>
+            <input type="date" id="expDate" required value="${expense?.date || Utils.today()}">
+          </div>
+          
+          ${costCenters.length ? `
+            <div class="form-group">
+              <label>Cost Center</label>
+              <select id="expCostCenter">
+                <option value="">None</option>
+                ${costCenters.map(c => 
+                  `<option value="${c.id}" ${c.id === costCenterId ? 'selected' : ''}>${Utils.escapeHtml(`${c.code} ${c.name}`)}${c.id === AppState.currentUser.costCenterId ? ' (default)' : ''}</option>`
+                ).join('')}
+              </select>
+              <div id="expBudget"></div>
+            </div>
+          ` : ''}
+          
+          <div class="form-group">
+            <label>Merchant</label>
+            <input type="text" id="expMerchant" placeholder="Restaurant, Hotel, etc." value="${Utils.escapeHtml(expense?.merchant)}">
+          </div>
+          
+          <div class="form-group">
+            <label>Description *</label>
+            <textarea id="expDescription" rows="3" required>${Utils.escapeHtml(expense?.description)}</textarea>
+          </div>
+          
+          <div class="form-group">
+            <label>Receipts</label>
+            <input type="file" id="expReceipt" accept="image/jpeg,image/png,image/webp,application/pdf" multiple>
+            <p class="muted-sm" id="receiptHelp">JPEG, PNG or WebP images or PDFs up to ${ReceiptService.MAX_FILE_BYTES / 1024 / 1024} MB each. The first image is scanned to auto-fill fields using OCR.</p>
+            <p class="muted-sm" id="ocrTaxes"></p>
+            <div id="receiptList"></div>
+          </div>
+          
+          <div class="modal-actions">
+            <button type="button" class="btn ghost" onclick="UI.renderView('my-expenses')">Cancel</button>
+            ${isDraft ? '<button type="button" class="btn ghost" id="btnSaveDraft">Save Draft</button>' : ''}
+            <button type="submit" class="btn primary">${isDraft ? 'Submit Expense' : 'Resubmit Expense'}</button>
+          </div>
+        </form>
+      </div>
+    `;
+    
+    let lineItems = isSplit ? 
+      expense.lineItems.map(line => ({ ...line })) : 
+      [{ category: EXPENSE_CATEGORIES[0], amount: '', description: '' }];
+    
+    const updateLineTotal = () => {
+      const total = parseFloat(document.getElementById('expAmount').value) || 0;
+      const allocated = ExpenseService.sumAmounts(lineItems.map(l => ({ amount: parseFloat(l.amount) || 0 })), 'amount');
+      const remaining = Math.round((total - allocated) * 100) / 100;
+      
+      document.getElementById('lineItemsTotal').textContent = remaining === 0 ? 
+        `Lines add up to ${allocated.toFixed(2)}` : 
+        `Lines add up to ${allocated.toFixed(2)} — ${remaining.toFixed(2)} ${remaining > 0 ? 'unallocated' : 'over the total'}`;
+    };
+    
+    const renderLineItems = () => {
+      document.getElementById('lineItemsBody').innerHTML = lineItems.map((line, idx) => `
+        <tr>
+          <td>
+            <select data-line="${idx}" data-field="category">
+              ${EXPENSE_CATEGORIES.map(c => `<option value="${c}" ${line.category === c ? 'selected' : ''}>${c}</option>`).join('')}
+            </select>
+          </td>
+          <td><input type="number" step="0.01" data-line="${idx}" data-field="amount" value="${line.amount}"></td>
+          <td><input type="text" data-line="${idx}" data-field="description" value="${Utils.escapeHtml(line.description)}"></td>
+          <td>
+            ${lineItems.length > 1 ? `<button type="button" class="btn btn-sm ghost" data-remove-line="${idx}">&times;</button>` : ''}
+          </td>
+        </tr>
+      `).join('');
+      updateLineTotal();
+    };
+    
+    const toggleSplit = () => {
+      const split = document.getElementById('expSplit').checked;
+      document.getElementById('lineItemsGroup').classList.toggle('hidden', !split);
+      document.getElementById('singleCategoryGroup').classList.toggle('hidden', split);
+      document.getElementById('expCategory').required = !split;
+      if (split) renderLineItems();
+    };
+    
+    document.getElementById('expSplit').addEventListener('change', toggleSplit);
+    document.getElementById('expAmount').addEventListener('input', updateLineTotal);
+    
+    document.getElementById('lineItemsBody').addEventListener('input', (e) => {
+      const { line, field } = e.target.dataset;
+      if (line === undefined) return;
+      lineItems[line][field] = e.target.value;
+      updateLineTotal();
+    });
+    
+    document.getElementById('lineItemsBody').addEventListener('click', (e) => {
+      const idx = e.target.dataset.removeLine;
+      if (idx === undefined) return;
+      lineItems.splice(parseInt(idx), 1);
+      renderLineItems();
+    });
+    
+    document.getElementById('btnAddLine').addEventListener('click', () => {
+      lineItems.push({ category: EXPENSE_CATEGORIES[0], amount: '', description: '' });
+      renderLineItems();
+    });
+    
+    toggleSplit();
+    
+    let taxLines = expense?.taxLines || [];
+    const savedReceipts = expense?.receipts || [];
+    let keptReceipts = [...savedReceipts];
+    let pendingReceipts = [];
+    
+    const renderReceiptList = () => {
+      document.getElementById('receiptList').innerHTML = 
+        this.renderReceiptThumbnails([...keptReceipts, ...pendingReceipts], true);
+    };
+    renderReceiptList();
+    
+    document.getElementById('receiptList').addEventListener('click', (e) => {
+      const receiptId = e.target.dataset.removeReceipt;
+      if (!receiptId) return;
+      
+      keptReceipts = keptReceipts.filter(r => r.id !== receiptId);
+      pendingReceipts = pendingReceipts.filter(r => r.tempId !== receiptId);
+      renderReceiptList();
+    });
+    
+    OCRService.isInstalled().then(installed => {
+      const help = document.getElementById('receiptHelp');
+      if (!installed && help) {
+        help.textContent = `JPEG, PNG or WebP images or PDFs up to ${ReceiptService.MAX_FILE_BYTES / 1024 / 1024} MB each. ` +
+          'Receipt scanning is not installed on this server, so fill in the details yourself.';
+      }
+    });
+    
+    // Attach receipts and scan the first new image with OCR when the engine is installed
+    document.getElementById('expReceipt').addEventListener('change', async (e) => {
+      const files = Array.from(e.target.files);
+      e.target.value = '';
+      if (files.length === 0) return;
+      
+      try {
+        ReceiptService.validate(files, keptReceipts.length + pendingReceipts.length);
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+        return;
+      }
+      
+      Utils.showLoader();
+      try {
+        pendingReceipts.push(...await ReceiptService.prepare(files));
+        renderReceiptList();
+      } catch (error) {
+        Utils.hideLoader();
+        Utils.showToast(error.message, 'error');
+        return;
+      }
+      
+      const file = files.find(f => f.type.startsWith('image/'));
+      if (file && await OCRService.isInstalled()) {
+        try {
+          const ocrData = await APIService.performOCR(file);
+          const fieldInputs = {
+            amount: 'expAmount',
+            date: 'expDate',
+            category: 'expCategory',
+            merchant: 'expMerchant',
+            currency: 'expCurrency'
+          };
+          
+          let lowConfidence = 0;
+          Object.entries(fieldInputs).forEach(([field, inputId]) => {
+            const result = ocrData[field];
+            const input = document.getElementById(inputId);
+            if (!result) return;
+            
+            // Selects only take values they offer
+            if (input.tagName === 'SELECT' && !Array.from(input.options).some(o => o.value === String(result.value))) return;
+            
+            input.value = result.value;
+            if (result.confidence < OCRService.LOW_CONFIDENCE) {
+              lowConfidence++;
+              this.flagLowConfidence(input, result.confidence);
+            }
+          });
+          
+          taxLines = ocrData.taxes;
+          document.getElementById('ocrTaxes').innerHTML = taxLines.map(t => 
+            `Tax detected: ${Utils.escapeHtml(t.label)}${t.rate ? ` (${t.rate}%)` : ''} — ${t.amount.toFixed(2)}`
+          ).join('<br>');
+          
+          Utils.showToast(
+            lowConfidence ? `Receipt scanned. Please confirm ${lowConfidence} highlighted field(s).` : 'Receipt scanned successfully!',
+            lowConfidence ? 'info' : 'success'
+          );
+        } catch (error) {
+          Utils.showToast('OCR failed: ' + error.message, 'error');
+        }
+      }
+      
+      Utils.hideLoader();
+    });
+    
+    const readForm = () => ({
+      amount: document.getElementById('expAmount').value,
+      currency: document.getElementById('expCurrency').value,
+      category: document.getElementById('expCategory').value,
+      date: document.getElementById('expDate').value,
+      merchant: document.getElementById('expMerchant').value,
+      description: document.getElementById('expDescription').value,
+      lineItems: document.getElementById('expSplit').checked ? lineItems : null,
+      costCenterId: document.getElementById('expCostCenter')?.value || null,
+      taxLines
+    });
+    
+    const updateBudget = () => {
+      const budget = document.getElementById('expBudget');
+      if (!budget) return;
+      const selectedCostCenter = document.getElementById('expCostCenter').value;
+      budget.innerHTML = selectedCostCenter ? 
+        this.renderBudgetNote(selectedCostCenter, document.getElementById('expDate').value || Utils.today()) : 
+        '';
+    };
+    document.getElementById('expCostCenter')?.addEventListener('change', updateBudget);
+    document.getElementById('expDate').addEventListener('change', updateBudget);
+    updateBudget();
+    
+    // Uploads newly attached receipts so the expense can reference them
+    const uploadReceipts = async () => {
+      const uploaded = await ReceiptService.upload(pendingReceipts);
+      pendingReceipts = [];
+      keptReceipts = [...keptReceipts, ...uploaded];
+      return keptReceipts;
+    };
+    
+    // Only once the expense no longer points at them
+    const removeDetachedReceipts = () => ReceiptService.remove(
+      savedReceipts.filter(r => r.id && !keptReceipts.some(k => k.id === r.id)).map(r => r.id)
+    );
+    
+    if (isDraft) {
+      document.getElementById('btnSaveDraft').addEventListener('click', async () => {
+        try {
+          Utils.showLoader();
+          await ExpenseService.saveDraft({ ...readForm(), receipts: await uploadReceipts() }, expense?.id);
+          await removeDetachedReceipts();
+          this.renderView('my-expenses');
+        } catch (error) {
+          Utils.showToast(error.message, 'error');
+        } finally {
+          Utils.hideLoader();
+        }
+      });
+    }
+    
+    // Handle form submission
+    document.getElementById('expenseForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      const candidate = { ...readForm(), id: expense?.id, receipts: [...keptReceipts, ...pendingReceipts] };
+      if (!this.confirmDuplicates(candidate)) return;
+      
+      try {
+        Utils.showLoader();
+        const data = { ...readForm(), receipts: await uploadReceipts() };
+        
+        if (isDraft) {
+          await ExpenseService.submitExpense(data, expense?.id);
+        } else {
+          await ExpenseService.resubmitExpense(expense.id, data);
+        }
+        await removeDetachedReceipts();
+        this.renderView('my-expenses');
+      } catch (error) {
+        console.error('Error submitting expense:', error);
+        if (!isDraft) Utils.showToast(error.message, 'error');
+      } finally {
+        Utils.hideLoader();
+      }
+    });
+  },
+  
+  renderPerDiemClaim(container, expenseId = null) {
+    const expense = expenseId ? AppState.expenses.find(e => e.id === expenseId) : null;
+    const isDraft = !expense || expense.status === 'draft';
+    const rates = PerDiemService.getCompanyRates();
+    const claim = expense?.perDiem || { providedMeals: {} };
+    
+    container.innerHTML = `
+      <div class="view-header">
+        <h1>${!expense ? 'Claim Per Diem' : isDraft ? 'Edit Per Diem Draft' : 'Edit and Resubmit Per Diem'}</h1>
+        ${!expense ? '<button class="btn ghost" onclick="UI.renderView(\'submit-expense\')">Receipt Expense Instead</button>' : ''}
+      </div>
+      
+      <div class="content-card" style="max-width: 700px;">
+        ${this.renderChangesRequestedNote(expense)}
+        ${rates.length === 0 ? 
+          '<p class="muted center" style="padding: 40px;">No per diem rates have been set up yet. Ask an admin to add rates for your destination.</p>' : `
+        <form id="perDiemForm">
+          <div class="form-group">
+            <label>Destination *</label>
+            <select id="pdRate" required>
+              ${rates.map(r => `
+                <option value="${r.id}" ${claim.rateId === r.id ? 'selected' : ''}>
+                  ${Utils.escapeHtml(PerDiemService.describeLocation(r))} — ${Utils.formatCurrency(PerDiemService.getDailyRate(r), r.currency)}/day
+                </option>
+              `).join('')}
+            </select>
+          </div>
+          
+          <div style="display: flex; gap: 12px;">
+            <div class="form-group" style="flex: 1;">
+              <label>Departure *</label>
+              <input type="date" id="pdStart" required value="${claim.startDate || Utils.today()}">
+            </div>
+            <div class="form-group" style="flex: 1;">
+              <label>Return *</label>
+              <input type="date" id="pdEnd" required value="${claim.endDate || Utils.today()}">
+            </div>
+          </div>
+          
+          <div class="form-group">
+            <label>Description</label>
+            <input type="text" id="pdDescription" placeholder="Trip purpose" value="${Utils.escapeHtml(expense?.description)}">
+          </div>
+          
+          <div class="form-group">
+            <label>Provided Meals</label>
+            <p class="muted-sm">Tick meals that were provided (hotel breakfast, conference lunch, etc.); they are deducted from the allowance.</p>
+            <div id="pdDays"></div>
+          </div>
+          
+          <div class="modal-actions">
+            <button type="button" class="btn ghost" onclick="UI.renderView('my-expenses')">Cancel</button>
+            ${isDraft ? '<button type="button" class="btn ghost" id="btnSavePerDiemDraft">Save Draft</button>' : ''}
+            <button type="submit" class="btn primary">${isDraft ? 'Submit Claim' : 'Resubmit Claim'}</button>
+          </div>
+        </form>
+        `}
+      </div>
+    `;
+    
+    if (rates.length === 0) return;
+    
+    const providedMeals = { ...claim.providedMeals };
+    
+    const readClaim = () => ({
+      rateId: document.getElementById('pdRate').value,
+      startDate: document.getElementById('pdStart').value,
+      endDate: document.getElementById('pdEnd').value,
+      description: document.getElementById('pdDescription').value,
+      providedMeals
+    });
+    
+    const renderDays = () => {
+      const daysEl = document.getElementById('pdDays');
+      let result;
+      try {
+        result = PerDiemService.calculate(readClaim());
+      } catch (error) {
+        daysEl.innerHTML = `<p class="muted-sm">${Utils.escapeHtml(error.message)}</p>`;
+        return;
+      }
+      
+      const { rate, days, total } = result;
+      daysEl.innerHTML = `
+        <table class="data-table line-items">
+          <thead>
+            <tr>
+              <th>Date</th>
+              ${PerDiemService.MEALS.map(meal => `<th>${meal[0].toUpperCase() + meal.slice(1)}</th>`).join('')}
+              <th>Allowance</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${days.map(day => `
+              <tr>
+                <td>${Utils.formatDate(day.date)}${day.isTravelDay ? `<br><span class="muted-sm">Travel day ${rate.travelDayPercent}%</span>` : ''}</td>
+                ${PerDiemService.MEALS.map(meal => `
+                  <td><input type="checkbox" data-date="${day.date}" data-meal="${meal}" ${day.providedMeals.includes(meal) ? 'checked' : ''}></td>
+                `).join('')}
+                <td>
+                  ${Utils.formatCurrency(day.amount, rate.currency)}
+                  ${day.deductions ? `<br><span class="muted-sm">−${Utils.formatCurrency(day.deductions, rate.currency)} meals</span>` : ''}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <p style="margin-top: 8px;"><strong>Total: ${Utils.formatCurrency(total, rate.currency)}</strong></p>
+      `;
+    };
+    
+    ['pdRate', 'pdStart', 'pdEnd'].forEach(id => {
+      document.getElementById(id).addEventListener('change', renderDays);
+    });
+    
+    document.getElementById('pdDays').addEventListener('change', (e) => {
+      const { date, meal } = e.target.dataset;
+      if (!date) return;
+      
+      const meals = (providedMeals[date] || []).filter(m => m !== meal);
+      if (e.target.checked) meals.push(meal);
+      providedMeals[date] = meals;
+      renderDays();
+    });
+    
+    renderDays();
+    
+    // Only keep provided meals for dates inside the trip
+    const readExpenseData = () => {
+      const data = readClaim();
+      const dates = PerDiemService.getTravelDays(data.startDate, data.endDate);
+      data.providedMeals = Object.fromEntries(
+        Object.entries(providedMeals).filter(([date, meals]) => dates.includes(date) && meals.length)
+      );
+      return PerDiemService.toExpenseData(data);
+    };
+    
+    this.bindGeneratedExpenseForm('perDiemForm', 'btnSavePerDiemDraft', expense, readExpenseData);
+  },
+  
+  renderMileageClaim(container, expenseId = null) {
+    const expense = expenseId ? AppState.expenses.find(e => e.id === expenseId) : null;
+    const isDraft = !expense || expense.status === 'draft';
+    const rates = MileageService.getCompanyRates();
+    const claim = expense?.mileage || {};
+    const value = (field) => claim[field] ?? '';
+    
+    container.innerHTML = `
+      <div class="view-header">
+        <h1>${!expense ? 'Claim Mileage' : isDraft ? 'Edit Mileage Draft' : 'Edit and Resubmit Mileage'}</h1>
+        ${!expense ? '<button class="btn ghost" onclick="UI.renderView(\'submit-expense\')">Receipt Expense Instead</button>' : ''}
+      </div>
+      
+      <div class="content-card" style="max-width: 600px;">
+        ${this.renderChangesRequestedNote(expense)}
+        ${rates.length === 0 ? 
+          '<p class="muted center" style="padding: 40px;">No mileage rates have been set up yet. Ask an admin to add rates for your vehicle type.</p>' : `
+        <form id="mileageForm">
+          <div class="form-group">
+            <label>Vehicle Type *</label>
+            <select id="mlRate" required>
+              ${rates.map(r => `<option value="${r.id}" ${claim.rateId === r.id ? 'selected' : ''}>${Utils.escapeHtml(r.vehicleType)} (${r.currency} per ${r.unit})</option>`).join('')}
+            </select>
+          </div>
+          
+          <div class="form-group">
+            <label>Trip Date *</label>
+            <input type="date" id="mlDate" required value="${expense?.date || Utils.today()}">
+          </div>
+          
+          <div style="display: flex; gap: 12px;">
+            <div class="form-group" style="flex: 1;">
+              <label>From</label>
+              <input type="text" id="mlOrigin" value="${Utils.escapeHtml(value('origin'))}">
+            </div>
+            <div class="form-group" style="flex: 1;">
+              <label>To</label>
+              <input type="text" id="mlDestination" value="${Utils.escapeHtml(value('destination'))}">
+            </div>
+          </div>
+          
+          <div style="display: flex; gap: 12px;">
+            <div class="form-group" style="flex: 1;">
+              <label>Start Odometer</label>
+              <input type="number" step="0.1" min="0" id="mlStartOdo" value="${value('startOdometer')}">
+            </div>
+            <div class="form-group" style="flex: 1;">
+              <label>End Odometer</label>
+              <input type="number" step="0.1" min="0" id="mlEndOdo" value="${value('endOdometer')}">
+            </div>
+            <div class="form-group" style="flex: 1;">
+              <label>or Distance</label>
+              <input type="number" step="0.1" min="0" id="mlDistance" value="${claim.startOdometer == null ? value('distance') : ''}">
+            </div>
+          </div>
+          
+          <div class="form-group">
+            <label>Description</label>
+            <input type="text" id="mlDescription" placeholder="Client visit, site inspection, etc." value="${Utils.escapeHtml(expense?.description)}">
+          </div>
+          
+          <div id="mlSummary" class="muted-sm" style="margin-bottom: 16px;"></div>
+          
+          <div class="modal-actions">
+            <button type="button" class="btn ghost" onclick="UI.renderView('my-expenses')">Cancel</button>
+            ${isDraft ? '<button type="button" class="btn ghost" id="btnSaveMileageDraft">Save Draft</button>' : ''}
+            <button type="submit" class="btn primary">${isDraft ? 'Submit Claim' : 'Resubmit Claim'}</button>
+          </div>
+        </form>
+        `}
+      </div>
+    `;
+    
+    if (rates.length === 0) return;
+    
+    const readClaim = () => ({
+      rateId: document.getElementById('mlRate').value,
+      date: document.getElementById('mlDate').value,
+      origin: document.getElementById('mlOrigin').value.trim(),
+      destination: document.getElementById('mlDestination').value.trim(),
+      startOdometer: document.getElementById('mlStartOdo').value,
+      endOdometer: document.getElementById('mlEndOdo').value,
+      distance: document.getElementById('mlDistance').value,
+      description: document.getElementById('mlDescription').value
+    });
+    
+    const renderSummary = () => {
+      const summary = document.getElementById('mlSummary');
+      try {
+        const { rate, distance, yearToDate, segments, total } = MileageService.calculate(readClaim(), AppState.currentUser.id, expense?.id);
+        const unit = MileageService.UNITS[rate.unit];
+        
+        summary.innerHTML = `
+          ${segments.map(s => `${s.distance} ${unit} × ${s.rate} = ${Utils.formatCurrency(s.amount, rate.currency)}`).join('<br>')}
+          <p style="margin-top: 8px;"><strong>Total: ${Utils.formatCurrency(total, rate.currency)}</strong></p>
+          <p>Already claimed this year: ${yearToDate} ${unit} • after this trip: ${Math.round((yearToDate + distance) * 10) / 10} ${unit}</p>
+        `;
+      } catch (error) {
+        summary.textContent = error.message;
+      }
+    };
+    
+    document.getElementById('mileageForm').addEventListener('input', renderSummary);
+    renderSummary();
+    
+    this.bindGeneratedExpenseForm('mileageForm', 'btnSaveMileageDraft', expense, () => 
+      MileageService.toExpenseData(readClaim(), expense?.id)
+    );
+  },
+  
+  // Warns the submitter about likely duplicates; returns false if they back out
+  confirmDuplicates(candidate) {
+    const matches = DuplicateService.findMatches({ employeeId: AppState.currentUser.id, ...candidate });
+    if (matches.length === 0) return true;
+    
+    const lines = matches.map(({ other, reasons }) => 
+      `• ${other.employeeName}, ${Utils.formatDate(other.date)}, ${Utils.formatCurrency(other.amount, other.currency)} (${other.status.replace('_', ' ')}): ${reasons.join(', ')}`
+    );
+    return confirm(`${candidate.description || 'This expense'} looks like a duplicate of:\n${lines.join('\n')}\n\nSubmit anyway? Approvers will see the warning.`);
+  },
+  
+  renderChangesRequestedNote(expense) {
+    if (expense?.status !== 'changes_requested') return '';
+    
+    return `
+      <div style="padding: 12px; background: #fef3c7; border-radius: 6px; margin-bottom: 16px;">
+        <strong>Changes requested:</strong>
+        ${Utils.escapeHtml(expense.approvals.filter(a => a.action === 'changes_requested').pop()?.comment)}
+      </div>
+    `;
+  },
+  
+  // Save/submit wiring for claim forms whose amount is calculated rather than typed in
+  bindGeneratedExpenseForm(formId, draftButtonId, expense, readExpenseData) {
+    const isDraft = !expense || expense.status === 'draft';
+    
+    if (isDraft) {
+      document.getElementById(draftButtonId).addEventListener('click', async () => {
+        try {
+          Utils.showLoader();
+          await ExpenseService.saveDraft(readExpenseData(), expense?.id);
+          this.renderView('my-expenses');
+        } catch (error) {
+          Utils.showToast(error.message, 'error');
+        } finally {
+          Utils.hideLoader();
+        }
+      });
+    }
+    
+    document.getElementById(formId).addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      let data;
+      try {
+        data = readExpenseData();
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+        return;
+      }
+      
+      if (!this.confirmDuplicates({ ...data, id: expense?.id })) return;
+      
+      try {
+        Utils.showLoader();
+        if (isDraft) {
+          await ExpenseService.submitExpense(data, expense?.id);
+        } else {
+          await ExpenseService.resubmitExpense(expense.id, data);
+        }
+        this.renderView('my-expenses');
+      } catch (error) {
+        console.error('Error submitting claim:', error);
+        if (!isDraft) Utils.showToast(error.message, 'error');
+      } finally {
+        Utils.hideLoader();
+      }
+    });
+  },
+  
+  renderReceiptThumbnails(receipts, removable = false) {
+    if (!receipts?.length) return '';
+    
+    return `
+      <div class="receipt-list">
+        ${receipts.map(r => {
+          const preview = r.thumbnailUrl ? 
+            `<img src="${Utils.escapeHtml(r.thumbnailUrl)}" alt="${Utils.escapeHtml(r.name)}">` : 
+            `<div class="receipt-file">${r.type === 'application/pdf' ? 'PDF' : 'FILE'}</div>`;
+          const link = r.id ? 
+            `<a href="#" onclick="event.preventDefault(); UI.openReceipt('${r.id}')">${preview}</a>` : 
+            r.url ? `<a href="${Utils.escapeHtml(r.url)}" target="_blank" rel="noopener">${preview}</a>` : preview;
+          
+          return `
+            <div class="receipt-thumb" title="${Utils.escapeHtml(r.name)}">
+              ${link}
+              <span class="muted-sm">${Utils.escapeHtml(r.name)}</span>
+              ${removable ? `<button type="button" class="receipt-remove" data-remove-receipt="${r.id || r.tempId}">&times;</button>` : ''}
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  },
+  
+  async openReceipt(receiptId) {
+    try {
+      await ReceiptService.open(receiptId);
+    } catch (error) {
+      Utils.showToast('Could not open receipt: ' + error.message, 'error');
+    }
+  },
+  
+  // Marks an OCR-filled input for the user to confirm; editing it clears the mark
+  flagLowConfidence(input, confidence) {
+    input.classList.add('ocr-low-confidence');
+    input.title = `Low OCR confidence (${Math.round(confidence * 100)}%) — please confirm`;
+    
+    const confirm = () => {
+      input.classList.remove('ocr-low-confidence');
+      input.title = '';
+    };
+    input.addEventListener('input', confirm, { once: true });
+    input.addEventListener('change', confirm, { once: true });
+  },
+  
+  renderApprovals(container) {
+    // Expenses are sorted by the list's query, overdue first unless changed
+    const pendingApprovals = ExpenseService.getPendingApprovals();
+    const pendingReports = ReportService.getPendingApprovals().sort((a, b) => 
+      ExpenseService.isOverdue(b) - ExpenseService.isOverdue(a) || a.submittedAt.localeCompare(b.submittedAt)
+    );
+    const overdueCount = [...pendingApprovals, ...pendingReports].filter(r => ExpenseService.isOverdue(r)).length;
+    
+    container.innerHTML = `
+      <div class="view-header">
+        <h1>Pending Approvals</h1>
+        <div>
+          ${overdueCount ? `<span class="badge badge-overdue" style="font-size: 1.2rem;">${overdueCount} overdue</span>` : ''}
+          <span class="badge" style="font-size: 1.2rem;">${pendingApprovals.length + pendingReports.length}</span>
+        </div>
+      </div>
+      
+      ${pendingReports.length ? `
+        <div class="content-card">
+          <h3>Expense Reports</h3>
+          ${pendingReports.map(report => this.renderReportCard(report, true)).join('')}
+        </div>
+      ` : ''}
+      
+      <div class="content-card" id="approvalsList"></div>
+    `;
+    
+    this.renderExpenseList(
+      document.getElementById('approvalsList'),
+      'approvals',
+      pendingApprovals,
+      items => items.length ? 
+        items.map(expense => this.renderExpenseCard(expense, true)).join('') : 
+        `<p class="muted center" style="padding: 40px;">${pendingApprovals.length ? 'No pending approvals match these filters' : 'No pending approvals'}</p>`,
+      { statusFilter: false }
+    );
+  },
+  
+  renderAllExpenses(container) {
+    const expenses = ExpenseService.getAllExpenses();
+    const duplicates = DuplicateService.getSuspectedPairs();
+    const exports = ExportService.getCompanyExports();
+    let filtered = expenses;
+    
+    container.innerHTML = `
+      <div class="view-header">
+        <h1>All Expenses</h1>
+        <div>
+          <button class="btn ghost" id="btnExportSettings">Export Settings</button>
+          <button class="btn primary" id="btnExportExpenses">Export</button>
+        </div>
+      </div>
+      
+      ${duplicates.length ? `
+        <div class="content-card">
+          <h3>Suspected Duplicates</h3>
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Expense</th>
+                <th>Possible Duplicate Of</th>
+                <th>Matched On</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${duplicates.map(({ expense, other, flag }) => `
+                <tr>
+                  ${[expense, other].map(e => `
+                    <td>
+                      <a href="#" onclick="event.preventDefault(); UI.viewExpense('${e.id}')">${Utils.escapeHtml(e.employeeName)}, ${Utils.formatDate(e.date)}</a>
+                      <br><span class="muted-sm">${Utils.formatCurrency(e.amount, e.currency)}${e.merchant ? ` • ${Utils.escapeHtml(e.merchant)}` : ''} • ${e.status.replace('_', ' ')}</span>
+                    </td>
+                  `).join('')}
+                  <td>${flag.reasons.join(', ')}</td>
+                  <td><button class="btn btn-sm ghost" onclick="UI.dismissDuplicate('${expense.id}', '${other.id}')">Not a Duplicate</button></td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      ` : ''}
+      
+      <div class="content-card" id="allExpensesContent"></div>
+      
+      ${exports.length ? `
+        <div class="content-card">
+          <h3>Export History</h3>
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Exported</th>
+                <th>Format</th>
+                <th>Expenses</th>
+                <th>Total</th>
+                <th>By</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${exports.map(exp => `
+                <tr>
+                  <td>${Utils.formatDate(exp.createdAt)}</td>
+                  <td>${ExportService.FORMATS[exp.format]}<br><span class="muted-sm">${Utils.escapeHtml(exp.fileName)}</span></td>
+                  <td>${exp.expenseIds.length}</td>
+                  <td>${Utils.formatCurrency(exp.total, exp.currency)}</td>
+                  <td>${Utils.escapeHtml(exp.exportedByName)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      ` : ''}
+    `;
+    
+    // Exports cover everything matching the filters, not just the page shown
+    this.renderExpenseList(
+      document.getElementById('allExpensesContent'),
+      'all-expenses',
+      expenses,
+      (items, query) => this.renderExpenseTable(items, query),
+      { onChange: matching => { filtered = matching; } }
+    );
+    
+    document.getElementById('btnExportExpenses').addEventListener('click', () => {
+      this.showExportModal(filtered);
+    });
+    
+    document.getElementById('btnExportSettings').addEventListener('click', () => {
+      this.showExportSettingsModal();
+    });
+  },
+  
+  showExportModal(expenses) {
+    const modal = document.getElementById('genericModal');
+    const content = document.getElementById('genericModalContent');
+    
+    content.innerHTML = `
+      <form id="exportForm">
+        <div class="form-group">
+          <label>Format *</label>
+          <select id="exportFormat">
+            ${Object.entries(ExportService.FORMATS).map(([value, label]) => 
+              `<option value="${value}">${label}</option>`
+            ).join('')}
+          </select>
+        </div>
+        
+        <div class="form-group">
+          <label>
+            <input type="checkbox" id="exportIncludeExported">
+            Include expenses that were already exported
+          </label>
+        </div>
+        
+        <p class="muted-sm" id="exportSummary"></p>
+      </form>
+    `;
+    
+    const updateSummary = () => {
+      const includeExported = document.getElementById('exportIncludeExported').checked;
+      const exportable = ExportService.getExportable(expenses, { includeExported });
+      document.getElementById('exportSummary').textContent = 
+        `${exportable.length} approved expense(s) in the current filter, ${Utils.formatCurrency(ExpenseService.sumAmounts(exportable, 'amountInBaseCurrency'), AppState.currentCompany.baseCurrency)}`;
+    };
+    document.getElementById('exportIncludeExported').addEventListener('change', updateSummary);
+    updateSummary();
+    
+    document.getElementById('genericModalTitle').textContent = 'Export Expenses';
+    document.getElementById('genericModalMessage').textContent = '';
+    document.getElementById('genericModalCancel').style.display = 'inline-block';
+    document.getElementById('genericModalConfirm').textContent = 'Export';
+    
+    modal.classList.add('show');
+    
+    document.getElementById('genericModalConfirm').onclick = async () => {
+      try {
+        const { record, content, type } = await ExportService.exportExpenses(
+          expenses,
+          document.getElementById('exportFormat').value,
+          { includeExported: document.getElementById('exportIncludeExported').checked }
+        );
+        Utils.downloadFile(record.fileName, content, type);
+        modal.classList.remove('show');
+        this.renderView('all-expenses');
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    };
+  },
+  
+  showExportSettingsModal() {
+    const settings = ExportService.getSettings();
+    const columns = new Map(settings.columns.map((c, idx) => [c.field, { ...c, position: idx + 1 }]));
+    
+    const modal = document.getElementById('genericModal');
+    const content = document.getElementById('genericModalContent');
+    
+    content.innerHTML = `
+      <form id="exportSettingsForm">
+        <h4>GL Accounts</h4>
+        <div style="display: flex; flex-wrap: wrap; gap: 12px;">
+          ${EXPENSE_CATEGORIES.map(c => `
+            <div class="form-group" style="flex: 1 1 40%;">
+              <label>${c}</label>
+              <input type="text" class="exp-account" data-category="${c}" value="${Utils.escapeHtml(settings.accounts[c])}" placeholder="${Utils.escapeHtml(settings.defaultAccount || c)}">
+            </div>
+          `).join('')}
+        </div>
+        
+        <div style="display: flex; gap: 12px;">
+          <div class="form-group" style="flex: 1;">
+            <label>Default Expense Account</label>
+            <input type="text" id="expDefaultAccount" value="${Utils.escapeHtml(settings.defaultAccount)}" placeholder="Category name">
+          </div>
+          <div class="form-group" style="flex: 1;">
+            <label>Payable Account (IIF)</label>
+            <input type="text" id="expPayableAccount" value="${Utils.escapeHtml(settings.payableAccount)}">
+          </div>
+        </div>
+        
+        <div style="display: flex; gap: 12px;">
+          <div class="form-group" style="flex: 1;">
+            <label>Tax Type (Xero)</label>
+            <input type="text" id="expTaxType" value="${Utils.escapeHtml(settings.taxType)}">
+          </div>
+          <div class="form-group" style="flex: 1;">
+            <label>Date Format (Xero)</label>
+            <select id="expDateFormat">
+              ${ExportService.DATE_FORMATS.map(f => 
+                `<option value="${f}" ${f === settings.dateFormat ? 'selected' : ''}>${f}</option>`
+              ).join('')}
+            </select>
+          </div>
+          <div class="form-group" style="flex: 1;">
+            <label>Due After (days)</label>
+            <input type="number" min="0" id="expDueDays" value="${settings.dueDays}">
+          </div>
+        </div>
+        
+        <h4>CSV Columns</h4>
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Include</th>
+              <th>Field</th>
+              <th>Header</th>
+              <th>Order</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${Object.entries(ExportService.FIELDS).map(([field, label]) => `
+              <tr>
+                <td><input type="checkbox" class="exp-column" data-field="${field}" ${columns.has(field) ? 'checked' : ''}></td>
+                <td>${label}</td>
+                <td><input type="text" class="exp-header" data-field="${field}" value="${Utils.escapeHtml(columns.get(field)?.header || label)}"></td>
+                <td><input type="number" min="1" class="exp-position" data-field="${field}" value="${columns.get(field)?.position || ''}" style="width: 60px;"></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </form>
+    `;
+    
+    document.getElementById('genericModalTitle').textContent = 'Export Settings';
+    document.getElementById('genericModalMessage').textContent = '';
+    document.getElementById('genericModalCancel').style.display = 'inline-block';
+    document.getElementById('genericModalConfirm').textContent = 'Save';
+    
+    modal.classList.add('show');
+    
+    document.getElementById('genericModalConfirm').onclick = async () => {
+      const valueOf = (selector, field) => document.querySelector(`${selector}[data-field="${field}"]`).value;
+      
+      // Unnumbered columns go after the numbered ones, in field order
+      const selected = Array.from(document.querySelectorAll('.exp-column:checked')).map((cb, idx) => ({
+        field: cb.dataset.field,
+        header: valueOf('.exp-header', cb.dataset.field),
+        position: parseInt(valueOf('.exp-position', cb.dataset.field)) || 1000 + idx
+      })).sort((a, b) => a.position - b.position);
+      
+      try {
+        await ExportService.saveSettings({
+          accounts: Object.fromEntries(
+            Array.from(document.querySelectorAll('.exp-account')).map(input => [input.dataset.category, input.value])
+          ),
+          defaultAccount: document.getElementById('expDefaultAccount').value,
+          payableAccount: document.getElementById('expPayableAccount').value,
+          taxType: document.getElementById('expTaxType').value,
+          dateFormat: document.getElementById('expDateFormat').value,
+          dueDays: parseInt(document.getElementById('expDueDays').value) || 0,
+          columns: selected.map(({ field, header }) => ({ field, header }))
+        });
+        modal.classList.remove('show');
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    };
+  },
+  
+  renderEmployees(container) {
+    const employees = EmployeeService.getCompanyEmployees();
+    
+    container.innerHTML = `
+      <div class="view-header">
+        <h1>Employees</h1>
+        <div>
+          <button class="btn ghost" id="btnExportEmployees">Export CSV</button>
+          <button class="btn ghost" id="btnImportEmployees">Import CSV</button>
+          <button class="btn primary" id="btnAddEmployee">+ Add Employee</button>
+        </div>
+      </div>
+      
+      ${this.renderHierarchyWarnings()}
+      
+      <div class="content-card">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Employee ID</th>
+              <th>Name</th>
+              <th>Email</th>
+              <th>Role</th>
+              <th>Department</th>
+              <th>Manager</th>
+              <th>Signing Limit</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${employees.map(emp => {
+              const manager = emp.managerId ? 
+                AppState.employees.find(e => e.id === emp.managerId) : 
+                null;
+              return `
+                <tr>
+                  <td>${Utils.escapeHtml(emp.employeeId || 'N/A')}</td>
+                  <td>${Utils.escapeHtml(emp.name)}</td>
+                  <td>${Utils.escapeHtml(emp.email)}</td>
+                  <td><span class="badge">${emp.role}</span></td>
+                  <td>${Utils.escapeHtml(DepartmentService.getName(emp.departmentId) || '-')}${emp.costCenterId ? `<br><span class="muted-sm">${Utils.escapeHtml(CostCenterService.describe(emp.costCenterId))}</span>` : ''}</td>
+                  <td>${manager ? Utils.escapeHtml(manager.name) : emp.managerId ? '⚠ missing' : '-'}</td>
+                  <td>${emp.signingLimit != null ? Utils.formatCurrency(emp.signingLimit, AppState.currentCompany.baseCurrency) : '-'}</td>
+                  <td>
+                    <button class="btn btn-sm ghost" onclick="UI.editEmployee('${emp.id}')">Edit</button>
+                    ${emp.role !== 'admin' ? 
+                      `<button class="btn btn-sm ghost" onclick="UI.deleteEmployee('${emp.id}')">Delete</button>` : 
+                      ''
+                    }
+                  </td>
+                </tr>
+              `;
+            }).join('')}
+          </tbody>
+        </table>
+      </div>
+      
+      <div class="content-card">
+        <h3>Active Delegations</h3>
+        ${this.renderDelegationTable(DelegationService.getActiveDelegations(), true)}
+      </div>
+    `;
+    
+    document.getElementById('btnAddEmployee').addEventListener('click', () => {
+      this.showEmployeeModal();
+    });
+    
+    document.getElementById('btnImportEmployees').addEventListener('click', () => {
+      this.showEmployeeImportModal();
+    });
+    
+    document.getElementById('btnExportEmployees').addEventListener('click', () => {
+      Utils.downloadFile(`employees-${Utils.today()}.csv`, EmployeeService.exportRoster(), 'text/csv');
+    });
+  },
+  
+  renderHierarchyWarnings() {
+    const issues = EmployeeService.getHierarchyIssues();
+    if (!issues.length) return '';
+    
+    return `
+      <div class="policy-warnings">
+        <strong>⚠ Reporting line problems</strong> — manager chain approvals cannot route past these until they are fixed:
+        <ul>${issues.map(issue => `<li>${Utils.escapeHtml(issue.message)}</li>`).join('')}</ul>
+      </div>
+    `;
+  },
+  
+  showEmployeeImportModal() {
+    let results = null;
+    
+    const modal = document.getElementById('genericModal');
+    const content = document.getElementById('genericModalContent');
+    const confirmButton = document.getElementById('genericModalConfirm');
+    
+    content.innerHTML = `
+      <form id="employeeImportForm">
+        <p class="muted-sm">
+          Columns: ${Object.values(EmployeeService.CSV_COLUMNS).join(', ')}. Managers can be given by employee ID or email.
+          New employees get a one-time password, downloaded after the import, which they replace when they first sign in.
+          Rows may leave the employee ID blank for an existing employee who has none; they are matched by email.
+        </p>
+        
+        <div class="form-group">
+          <label>CSV File *</label>
+          <input type="file" id="importFile" accept=".csv,text/csv">
+        </div>
+        
+        <div class="form-group">
+          <label>Existing Employees</label>
+          <select id="importMode">
+            <option value="upsert">Update them (upsert)</option>
+            <option value="create">Leave them unchanged (create only)</option>
+          </select>
+        </div>
+        
+        <div id="importPreview" class="import-preview"></div>
+      </form>
+    `;
+    
+    const preview = async () => {
+      const file = document.getElementById('importFile').files[0];
+      results = null;
+      if (!file) return;
+      
+      try {
+        const rows = EmployeeService.parseRoster(await file.text());
+        results = EmployeeService.validateRoster(rows, document.getElementById('importMode').value);
+      } catch (error) {
+        document.getElementById('importPreview').innerHTML = `<p class="row-error">${Utils.escapeHtml(error.message)}</p>`;
+        return;
+      }
+      
+      const count = action => results.filter(r => r.action === action).length;
+      
+      document.getElementById('importPreview').innerHTML = `
+        <p>
+          ${count('create')} to create, ${count('update')} to update, ${count('unchanged') + count('skip')} unchanged,
+          <strong>${count('error')} with errors</strong> (rows with errors are not imported)
+        </p>
+        <div style="max-height: 300px; overflow: auto;">
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Row</th>
+                <th>Employee</th>
+                <th>Role</th>
+                <th>Manager</th>
+                <th>Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${results.map(r => `
+                <tr class="${r.errors.length ? 'row-error' : ''}">
+                  <td>${r.line}</td>
+                  <td>${Utils.escapeHtml(r.employeeId || '-')} ${Utils.escapeHtml(r.name)}<br><span class="muted-sm">${Utils.escapeHtml(r.email)}</span></td>
+                  <td>${Utils.escapeHtml(r.role)}</td>
+                  <td>${Utils.escapeHtml(r.manager || '-')}</td>
+                  <td>${r.errors.length ? r.errors.map(Utils.escapeHtml).join('<br>') : r.action}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `;
+    };
+    document.getElementById('importFile').addEventListener('change', preview);
+    document.getElementById('importMode').addEventListener('change', preview);
+    
+    document.getElementById('genericModalTitle').textContent = 'Import Employees';
+    document.getElementById('genericModalMessage').textContent = '';
+    document.getElementById('genericModalCancel').style.display = 'inline-block';
+    confirmButton.textContent = 'Import';
+    
+    modal.classList.add('show');
+    
+    confirmButton.onclick = async () => {
+      if (!results?.some(r => ['create', 'update'].includes(r.action))) {
+        Utils.showToast('Choose a CSV file with at least one employee to create or update', 'error');
+        return;
+      }
+      
+      try {
+        const { credentials } = await EmployeeService.importRoster(results);
+        if (credentials.length) {
+          Utils.downloadFile(`one-time-passwords-${Utils.today()}.csv`, EmployeeService.exportCredentials(credentials), 'text/csv');
+        }
+        modal.classList.remove('show');
+        this.renderView('employees');
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    };
+  },
+  
+  renderDelegations(container) {
+    const delegations = DelegationService.getMyDelegations()
+      .sort((a, b) => b.startDate.localeCompare(a.startDate));
+    const candidates = EmployeeService.getCompanyEmployees()
+      .filter(e => e.id !== AppState.currentUser.id);
+    const today = Utils.today();
+    
+    container.innerHTML = `
+      <div class="view-header">
+        <h1>Out of Office</h1>
+      </div>
+      
+      <div class="content-card" style="max-width: 600px;">
+        <h3>Delegate My Approvals</h3>
+        <form id="delegationForm">
+          <div class="form-group">
+            <label>Delegate *</label>
+            <select id="dlgDelegate" required>
+              <option value="">Select a colleague</option>
+              ${candidates.map(e => `<option value="${e.id}">${Utils.escapeHtml(e.name)} (${e.role})</option>`).join('')}
+            </select>
+          </div>
+          
+          <div style="display: flex; gap: 12px;">
+            <div class="form-group" style="flex: 1;">
+              <label>From *</label>
+              <input type="date" id="dlgStart" required value="${today}">
+            </div>
+            <div class="form-group" style="flex: 1;">
+              <label>To *</label>
+              <input type="date" id="dlgEnd" required value="${today}">
+            </div>
+          </div>
+          
+          <div class="form-group">
+            <label>Reason</label>
+            <input type="text" id="dlgReason" placeholder="Annual leave, conference, etc.">
+          </div>
+          
+          <div class="modal-actions">
+            <button type="submit" class="btn primary">Save Delegation</button>
+          </div>
+        </form>
+      </div>
+      
+      <div class="content-card">
+        <h3>My Delegations</h3>
+        ${this.renderDelegationTable(delegations, false)}
+      </div>
+    `;
+    
+    document.getElementById('delegationForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      try {
+        await DelegationService.createDelegation({
+          delegateId: document.getElementById('dlgDelegate').value,
+          startDate: document.getElementById('dlgStart').value,
+          endDate: document.getElementById('dlgEnd').value,
+          reason: document.getElementById('dlgReason').value
+        });
+        this.renderView('delegations');
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    });
+  },
+  
+  renderDelegationTable(delegations, showEmployee) {
+    if (delegations.length === 0) {
+      return '<p class="muted center" style="padding: 40px;">No delegations</p>';
+    }
+    
+    return `
+      <table class="data-table">
+        <thead>
+          <tr>
+            ${showEmployee ? '<th>Employee</th>' : ''}
+            <th>Delegate</th>
+            <th>From</th>
+            <th>To</th>
+            <th>Reason</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${delegations.map(d => `
+            <tr>
+              ${showEmployee ? `<td>${Utils.escapeHtml(d.employeeName)}</td>` : ''}
+              <td>${Utils.escapeHtml(d.delegateName)}</td>
+              <td>${Utils.formatDate(d.startDate)}</td>
+              <td>${Utils.formatDate(d.endDate)}</td>
+              <td>${Utils.escapeHtml(d.reason || '-')}</td>
+              <td>
+                <button class="btn btn-sm ghost" onclick="UI.deleteDelegation('${d.id}', '${showEmployee ? 'employees' : 'delegations'}')">Remove</button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  },
+  
+  async deleteDelegation(delegationId, returnView) {
+    if (confirm('Are you sure you want to remove this delegation?')) {
+      try {
+        await DelegationService.deleteDelegation(delegationId);
+        this.renderView(returnView);
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    }
+  },
+  
+  renderDelegationNote(step) {
+    const routed = ExpenseService.getStepApproverIds(step)
+      .filter(id => !(step.votes || []).some(v => v.approverId === id))
+      .map(id => ({ id, delegateId: DelegationService.resolveApprover(id) }))
+      .filter(r => r.delegateId !== r.id);
+    
+    if (routed.length === 0) return '';
+    
+    const name = (id) => AppState.employees.find(e => e.id === id)?.name || 'Unknown';
+    return `
+      <div class="muted-sm">
+        ${routed.map(r => `${Utils.escapeHtml(name(r.id))} is away — routed to ${Utils.escapeHtml(name(r.delegateId))}`).join(' • ')}
+      </div>
+    `;
+  },
+  
+  renderReports(container) {
+    const reports = ReportService.getMyReports()
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const baseCurrency = AppState.currentCompany.baseCurrency;
+    
+    container.innerHTML = `
+      <div class="view-header">
+        <h1>Expense Reports</h1>
+        <button class="btn primary" onclick="UI.showReportModal()">
+          + New Report
+        </button>
+      </div>
+      
+      <div class="content-card">
+        ${reports.length === 0 ? 
+          '<p class="muted center" style="padding: 40px;">No reports yet. Group draft expenses from a trip or project into a report and submit them together.</p>' : `
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Title</th>
+                <th>Period</th>
+                <th>Expenses</th>
+                <th>Total</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${reports.map(report => `
+                <tr>
+                  <td>${Utils.escapeHtml(report.title)}</td>
+                  <td>${report.startDate ? `${Utils.formatDate(report.startDate)} – ${Utils.formatDate(report.endDate || report.startDate)}` : '-'}</td>
+                  <td>${report.expenseIds.length}</td>
+                  <td>${Utils.formatCurrency(report.amountInBaseCurrency, baseCurrency)}</td>
+                  <td><span class="badge badge-${report.status}">${report.status.replace('_', ' ')}</span></td>
+                  <td>
+                    <button class="btn btn-sm ghost" onclick="UI.viewReport('${report.id}')">View</button>
+                    ${this.renderReportOwnerActions(report)}
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `}
+      </div>
+    `;
+  },
+  
+  renderReportOwnerActions(report) {
+    if (report.employeeId !== AppState.currentUser.id) return '';
+    
+    if (ReportService.EDITABLE_STATUSES.includes(report.status)) {
+      return `
+        <button class="btn btn-sm ghost" onclick="UI.showReportModal('${report.id}')">Edit</button>
+        <button class="btn btn-sm ghost" onclick="UI.submitReport('${report.id}')">${report.status === 'draft' ? 'Submit' : 'Resubmit'}</button>
+        <button class="btn btn-sm ghost" onclick="UI.deleteReport('${report.id}')">Delete</button>
+      `;
+    }
+    
+    return report.status === 'pending' ? 
+      `<button class="btn btn-sm ghost" onclick="UI.withdrawReport('${report.id}')">Withdraw</button>` : 
+      '';
+  },
+  
+  renderApprovalRules(container) {
+    const rules = ApprovalRuleService.getCompanyRules();
+    
+    container.innerHTML = `
+      <div class="view-header">
+        <h1>Approval Rules</h1>
+        <button class="btn primary" id="btnAddRule">+ Add Rule</button>
+      </div>
+      
+      ${rules.some(r => r.type === 'manager_chain') ? this.renderHierarchyWarnings() : ''}
+      
+      <div class="content-card">
+        ${rules.length === 0 ? 
+          '<p class="muted center" style="padding: 40px;">No approval rules configured</p>' :
+          rules.map(rule => `
+            <div class="rule-card" style="padding: 20px; border: 1px solid #e5e7eb; border-radius: 8px; margin-bottom: 16px;">
+              <div style="display: flex; justify-content: space-between; align-items: start;">
+                <div>
+                  <h3>${Utils.escapeHtml(rule.name)}</h3>
+                  <p class="muted-sm">Sequence: ${rule.sequence} | Type: ${rule.type}</p>
+                  <div style="margin-top: 12px;">
+                    ${rule.type === 'manager_chain' ? 
+                      `<strong>Route:</strong> ${ApprovalRuleService.describeChain(rule)}` : 
+                      `<strong>Approvers:</strong>
+                      ${rule.approvers.map(a => `<span class="badge" style="margin: 4px;">${Utils.escapeHtml(a.approverName)}</span>`).join('')}`
+                    }
+                  </div>
+                  ${rule.condition ? `
+                    <p class="muted-sm" style="margin-top: 8px;">
+                      <strong>Condition:</strong> 
+                      ${rule.condition.percentage ? `${rule.condition.percentage}% approval required` : ''}
+                      ${rule.condition.specificApproverId ? `Specific approver: ${Utils.escapeHtml(rule.approvers.find(a => a.approverId === rule.condition.specificApproverId)?.approverName)}` : ''}
+                    </p>
+                  ` : ''}
+                  <p class="muted-sm" style="margin-top: 8px;">
+                    <strong>Applies to:</strong> 
+                    ${Utils.escapeHtml(ApprovalRuleService.describeCriteria(rule) || 'All expenses')}
+                  </p>
+                  ${rule.slaHours || rule.escalationHours ? `
+                    <p class="muted-sm" style="margin-top: 8px;">
+                      <strong>SLA:</strong> 
+                      ${rule.slaHours ? `${rule.slaHours}h` : 'none'}
+                      ${rule.escalationHours ? ` | Escalates after ${rule.escalationHours}h to ${
+                        rule.escalationFallbackId ? 
+                          AppState.employees.find(e => e.id === rule.escalationFallbackId)?.name || 'Unknown' : 
+                          "approver's manager"
+                      }` : ''}
+                    </p>
+                  ` : ''}
+                </div>
+                <div>
+                  <button class="btn btn-sm ghost" onclick="UI.editRule('${rule.id}')">Edit</button>
+                  <button class="btn btn-sm ghost" onclick="UI.deleteRule('${rule.id}')">Delete</button>
+                </div>
+              </div>
+            </div>
+          `).join('')
+        }
+      </div>
+    `;
+    
+    document.getElementById('btnAddRule').addEventListener('click', () => {
+      this.showRuleModal();
+    });
+  },
+  
+  renderPerDiemRates(container) {
+    const rates = PerDiemService.getCompanyRates();
+    
+    container.innerHTML = `
+      <div class="view-header">
+        <h1>Per Diem Rates</h1>
+        <button class="btn primary" onclick="UI.showPerDiemRateModal()">+ Add Rate</button>
+      </div>
+      
+      <div class="content-card">
+        <p class="muted-sm" style="margin-bottom: 12px;">
+          City rates take precedence; a rate without a city covers the rest of the country.
+          Provided meals are deducted at the meal's rate.
+        </p>
+        ${rates.length === 0 ? 
+          '<p class="muted center" style="padding: 40px;">No per diem rates configured</p>' : `
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Location</th>
+                ${PerDiemService.MEALS.map(meal => `<th>${meal[0].toUpperCase() + meal.slice(1)}</th>`).join('')}
+                <th>Incidentals</th>
+                <th>Daily</th>
+                <th>Travel Days</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${rates.map(rate => `
+                <tr>
+                  <td>${rate.city ? `${Utils.escapeHtml(rate.city)}<br><span class="muted-sm">${Utils.escapeHtml(rate.country)}</span>` : `${Utils.escapeHtml(rate.country)}<br><span class="muted-sm">All cities</span>`}</td>
+                  ${PerDiemService.MEALS.map(meal => `<td>${Utils.formatCurrency(rate.meals[meal], rate.currency)}</td>`).join('')}
+                  <td>${Utils.formatCurrency(rate.incidentals, rate.currency)}</td>
+                  <td><strong>${Utils.formatCurrency(PerDiemService.getDailyRate(rate), rate.currency)}</strong></td>
+                  <td>${rate.travelDayPercent}%</td>
+                  <td>
+                    <button class="btn btn-sm ghost" onclick="UI.showPerDiemRateModal('${rate.id}')">Edit</button>
+                    <button class="btn btn-sm ghost" onclick="UI.deletePerDiemRate('${rate.id}')">Delete</button>
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `}
+      </div>
+    `;
+  },
+  
+  showPerDiemRateModal(rateId = null) {
+    const rate = rateId ? AppState.perDiemRates.find(r => r.id === rateId) : null;
+    const countries = AppState.currencies;
+    const currency = rate?.currency || AppState.currentCompany.baseCurrency;
+    
+    const modal = document.getElementById('genericModal');
+    const content = document.getElementById('genericModalContent');
+    
+    content.innerHTML = `
+      <form id="perDiemRateForm">
+        <div style="display: flex; gap: 12px;">
+          <div class="form-group" style="flex: 1;">
+            <label>Country *</label>
+            <select id="pdrCountry" required>
+              <option value="">Select country</option>
+              ${countries.map(c => 
+                `<option value="${c.name}" data-currency="${c.currency}" ${rate?.country === c.name ? 'selected' : ''}>${c.name}</option>`
+              ).join('')}
+            </select>
+          </div>
+          <div class="form-group" style="flex: 1;">
+            <label>City</label>
+            <input type="text" id="pdrCity" placeholder="Leave blank for country-wide" value="${Utils.escapeHtml(rate?.city)}">
+          </div>
+        </div>
+        
+        <div class="form-group">
+          <label>Currency *</label>
+          <select id="pdrCurrency" required>
+            ${this.renderCurrencyOptions(currency)}
+          </select>
+        </div>
+        
+        <div style="display: flex; gap: 12px;">
+          ${PerDiemService.MEALS.map(meal => `
+            <div class="form-group" style="flex: 1;">
+              <label>${meal[0].toUpperCase() + meal.slice(1)} *</label>
+              <input type="number" step="0.01" min="0" id="pdr_${meal}" required value="${rate?.meals[meal] ?? ''}">
+            </div>
+          `).join('')}
+          <div class="form-group" style="flex: 1;">
+            <label>Incidentals *</label>
+            <input type="number" step="0.01" min="0" id="pdrIncidentals" required value="${rate?.incidentals ?? 0}">
+          </div>
+        </div>
+        
+        <div class="form-group">
+          <label>Departure / Return Day (%)</label>
+          <input type="number" min="1" max="100" id="pdrTravelDay" value="${rate?.travelDayPercent ?? 75}">
+          <p class="muted-sm">Share of the daily rate paid on the first and last day of a trip.</p>
+        </div>
+      </form>
+    `;
+    
+    // Default the currency to the chosen country's
+    document.getElementById('pdrCountry').addEventListener('change', (e) => {
+      const countryCurrency = e.target.selectedOptions[0]?.dataset.currency;
+      if (countryCurrency) document.getElementById('pdrCurrency').value = countryCurrency;
+    });
+    
+    document.getElementById('genericModalTitle').textContent = rate ? 'Edit Per Diem Rate' : 'Add Per Diem Rate';
+    document.getElementById('genericModalMessage').textContent = '';
+    document.getElementById('genericModalCancel').style.display = 'inline-block';
+    document.getElementById('genericModalConfirm').textContent = 'Save';
+    
+    modal.classList.add('show');
+    
+    document.getElementById('genericModalConfirm').onclick = async () => {
+      const data = {
+        country: document.getElementById('pdrCountry').value,
+        city: document.getElementById('pdrCity').value.trim(),
+        currency: document.getElementById('pdrCurrency').value,
+        meals: Object.fromEntries(PerDiemService.MEALS.map(meal => 
+          [meal, parseFloat(document.getElementById(`pdr_${meal}`).value)]
+        )),
+        incidentals: parseFloat(document.getElementById('pdrIncidentals').value),
+        travelDayPercent: parseFloat(document.getElementById('pdrTravelDay').value)
+      };
+      
+      try {
+        if (rate) {
+          await PerDiemService.updateRate(rateId, data);
+        } else {
+          await PerDiemService.createRate(data);
+        }
+        modal.classList.remove('show');
+        this.renderView('per-diem-rates');
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    };
+  },
+  
+  async deletePerDiemRate(rateId) {
+    if (confirm('Delete this per diem rate? Claims already made keep their amounts.')) {
+      try {
+        await PerDiemService.deleteRate(rateId);
+        this.renderView('per-diem-rates');
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    }
+  },
+  
+  renderMileageRates(container) {
+    const rates = MileageService.getCompanyRates();
+    const year = new Date().getFullYear();
+    const unit = rates[0]?.unit || 'km';
+    const totals = MileageService.getYearlyTotals(year, unit);
+    
+    container.innerHTML = `
+      <div class="view-header">
+        <h1>Mileage Rates</h1>
+        <button class="btn primary" onclick="UI.showMileageRateModal()">+ Add Rate</button>
+      </div>
+      
+      <div class="content-card">
+        ${rates.length === 0 ? 
+          '<p class="muted center" style="padding: 40px;">No mileage rates configured</p>' : `
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Vehicle Type</th>
+                <th>Rates</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${rates.map(rate => `
+                <tr>
+                  <td>${Utils.escapeHtml(rate.vehicleType)}</td>
+                  <td>
+                    ${rate.tiers.map((tier, index) => `
+                      ${Utils.formatCurrency(tier.rate, rate.currency)}/${rate.unit}
+                      <span class="muted-sm">${rate.tiers[index + 1] ? 
+                        `${tier.from}–${rate.tiers[index + 1].from} ${rate.unit}` : 
+                        tier.from ? `over ${tier.from} ${rate.unit}` : 'all distances'
+                      }</span>
+                    `).join('<br>')}
+                  </td>
+                  <td>
+                    <button class="btn btn-sm ghost" onclick="UI.showMileageRateModal('${rate.id}')">Edit</button>
+                    <button class="btn btn-sm ghost" onclick="UI.deleteMileageRate('${rate.id}')">Delete</button>
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `}
+      </div>
+      
+      <div class="content-card">
+        <h3>Mileage Claimed in ${year}</h3>
+        ${totals.length === 0 ? 
+          '<p class="muted center" style="padding: 40px;">No mileage claimed this year</p>' : `
+          <table class="data-table">
+            <tbody>
+              ${totals.map(row => `
+                <tr>
+                  <td>${Utils.escapeHtml(row.employee.name)}</td>
+                  <td>${row.distance} ${MileageService.UNITS[unit]}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `}
+      </div>
+    `;
+  },
+  
+  showMileageRateModal(rateId = null) {
+    const rate = rateId ? AppState.mileageRates.find(r => r.id === rateId) : null;
+    const currency = rate?.currency || AppState.currentCompany.baseCurrency;
+    let tiers = rate ? rate.tiers.map(t => ({ ...t })) : [{ from: 0, rate: '' }];
+    
+    const modal = document.getElementById('genericModal');
+    const content = document.getElementById('genericModalContent');
+    
+    content.innerHTML = `
+      <form id="mileageRateForm">
+        <div class="form-group">
+          <label>Vehicle Type *</label>
+          <input type="text" id="mlrVehicle" placeholder="Car, Motorcycle, Bicycle" value="${Utils.escapeHtml(rate?.vehicleType)}" required>
+        </div>
+        
+        <div style="display: flex; gap: 12px;">
+          <div class="form-group" style="flex: 1;">
+            <label>Unit *</label>
+            <select id="mlrUnit">
+              ${Object.entries(MileageService.UNITS).map(([value, label]) => 
+                `<option value="${value}" ${rate?.unit === value ? 'selected' : ''}>${label}</option>`
+              ).join('')}
+            </select>
+          </div>
+          <div class="form-group" style="flex: 1;">
+            <label>Currency *</label>
+            <select id="mlrCurrency">
+              ${this.renderCurrencyOptions(currency)}
+            </select>
+          </div>
+        </div>
+        
+        <div class="form-group">
+          <label>Rate Tiers *</label>
+          <p class="muted-sm">Each tier applies once the employee's distance this year passes its threshold.</p>
+          <table class="data-table line-items">
+            <thead>
+              <tr>
+                <th>From (annual distance)</th>
+                <th>Rate per unit</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody id="mlrTiers"></tbody>
+          </table>
+          <button type="button" class="btn ghost btn-sm" id="btnAddTier">+ Add Tier</button>
+        </div>
+      </form>
+    `;
+    
+    const renderTiers = () => {
+      document.getElementById('mlrTiers').innerHTML = tiers.map((tier, idx) => `
+        <tr>
+          <td><input type="number" min="0" data-tier="${idx}" data-field="from" value="${tier.from}" ${idx === 0 ? 'readonly' : ''}></td>
+          <td><input type="number" step="0.001" min="0" data-tier="${idx}" data-field="rate" value="${tier.rate}"></td>
+          <td>${idx > 0 ? `<button type="button" class="btn btn-sm ghost" data-remove-tier="${idx}">&times;</button>` : ''}</td>
+        </tr>
+      `).join('');
+    };
+    renderTiers();
+    
+    document.getElementById('mlrTiers').addEventListener('input', (e) => {
+      const { tier, field } = e.target.dataset;
+      if (tier === undefined) return;
+      tiers[tier][field] = e.target.value;
+    });
+    
+    document.getElementById('mlrTiers').addEventListener('click', (e) => {
+      const idx = e.target.dataset.removeTier;
+      if (idx === undefined) return;
+      tiers.splice(parseInt(idx), 1);
+      renderTiers();
+    });
+    
+    document.getElementById('btnAddTier').addEventListener('click', () => {
+      tiers.push({ from: '', rate: '' });
+      renderTiers();
+    });
+    
+    document.getElementById('genericModalTitle').textContent = rate ? 'Edit Mileage Rate' : 'Add Mileage Rate';
+    document.getElementById('genericModalMessage').textContent = '';
+    document.getElementById('genericModalCancel').style.display = 'inline-block';
+    document.getElementById('genericModalConfirm').textContent = 'Save';
+    
+    modal.classList.add('show');
+    
+    document.getElementById('genericModalConfirm').onclick = async () => {
+      const data = {
+        vehicleType: document.getElementById('mlrVehicle').value.trim(),
+        unit: document.getElementById('mlrUnit').value,
+        currency: document.getElementById('mlrCurrency').value,
+        tiers: tiers
+          .map(t => ({ from: parseFloat(t.from), rate: parseFloat(t.rate) }))
+          .sort((a, b) => a.from - b.from)
+      };
+      
+      try {
+        if (rate) {
+          await MileageService.updateRate(rateId, data);
+        } else {
+          await MileageService.createRate(data);
+        }
+        modal.classList.remove('show');
+        this.renderView('mileage-rates');
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    };
+  },
+  
+  async deleteMileageRate(rateId) {
+    if (confirm('Delete this mileage rate? Claims already made keep their amounts.')) {
+      try {
+        await MileageService.deleteRate(rateId);
+        this.renderView('mileage-rates');
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    }
+  },
+  
+  renderPolicies(container) {
+    const policies = PolicyService.getCompanyPolicies();
+    const violations = PolicyService.getViolationReport();
+    const baseCurrency = AppState.currentCompany.baseCurrency;
+    
+    const describe = (policy) => {
+      switch (policy.type) {
+        case 'category_cap':
+          return `Max ${Utils.formatCurrency(policy.amount, baseCurrency)} per ${policy.period}`;
+        case 'receipt_required':
+          return `Receipt above ${Utils.formatCurrency(policy.amount, baseCurrency)}`;
+        case 'description_length':
+          return `At least ${policy.minLength} characters`;
+        default:
+          return PolicyService.TYPES[policy.type];
+      }
+    };
+    
+    container.innerHTML = `
+      <div class="view-header">
+        <h1>Expense Policies</h1>
+        <button class="btn primary" onclick="UI.showPolicyModal()">+ Add Policy</button>
+      </div>
+      
+      <div class="content-card">
+        ${policies.length === 0 ? 
+          '<p class="muted center" style="padding: 40px;">No expense policies configured</p>' : `
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Rule</th>
+                <th>Categories</th>
+                <th>On Violation</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${policies.map(policy => `
+                <tr>
+                  <td>${Utils.escapeHtml(policy.name)}${policy.active ? '' : ' <span class="badge">inactive</span>'}</td>
+                  <td>${describe(policy)}</td>
+                  <td>${policy.categories.length ? policy.categories.join(', ') : 'All'}</td>
+                  <td><span class="badge badge-${policy.enforcement === 'block' ? 'rejected' : 'pending'}">${policy.enforcement}</span></td>
+                  <td>
+                    <button class="btn btn-sm ghost" onclick="UI.showPolicyModal('${policy.id}')">Edit</button>
+                    <button class="btn btn-sm ghost" onclick="UI.deletePolicy('${policy.id}')">Delete</button>
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `}
+      </div>
+      
+      <div class="content-card">
+        <h3>Policy Warnings on Submitted Expenses</h3>
+        ${violations.length === 0 ? 
+          '<p class="muted center" style="padding: 40px;">No policy warnings</p>' : `
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Employee</th>
+                <th>Policy</th>
+                <th>Details</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${violations.map(({ expense, violation }) => `
+                <tr>
+                  <td>${Utils.formatDate(expense.date)}</td>
+                  <td>${Utils.escapeHtml(expense.employeeName)}</td>
+                  <td>${Utils.escapeHtml(violation.policyName)}</td>
+                  <td>${Utils.escapeHtml(violation.message)}</td>
+                  <td><span class="badge badge-${expense.status}">${expense.status.replace('_', ' ')}</span></td>
+                  <td><button class="btn btn-sm ghost" onclick="UI.viewExpense('${expense.id}')">View</button></td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `}
+      </div>
+    `;
+  },
+  
+  showPolicyModal(policyId = null) {
+    const policy = policyId ? AppState.policies.find(p => p.id === policyId) : null;
+    
+    const modal = document.getElementById('genericModal');
+    const content = document.getElementById('genericModalContent');
+    
+    content.innerHTML = `
+      <form id="policyForm">
+        <div class="form-group">
+          <label>Policy Name *</label>
+          <input type="text" id="polName" value="${Utils.escapeHtml(policy?.name)}" required>
+        </div>
+        
+        <div class="form-group">
+          <label>Type *</label>
+          <select id="polType">
+            ${Object.entries(PolicyService.TYPES).map(([value, label]) => 
+              `<option value="${value}" ${policy?.type === value ? 'selected' : ''}>${label}</option>`
+            ).join('')}
+          </select>
+        </div>
+        
+        <div style="display: flex; gap: 12px;">
+          <div class="form-group" style="flex: 1;" id="polAmountGroup">
+            <label>Amount (${AppState.currentCompany.baseCurrency}) *</label>
+            <input type="number" step="0.01" min="0" id="polAmount" value="${policy?.amount ?? ''}">
+          </div>
+          <div class="form-group" style="flex: 1;" id="polPeriodGroup">
+            <label>Per</label>
+            <select id="polPeriod">
+              <option value="expense" ${policy?.period !== 'day' ? 'selected' : ''}>Expense</option>
+              <option value="day" ${policy?.period === 'day' ? 'selected' : ''}>Day</option>
+            </select>
+          </div>
+          <div class="form-group" style="flex: 1;" id="polLengthGroup">
+            <label>Minimum Characters *</label>
+            <input type="number" min="1" id="polMinLength" value="${policy?.minLength ?? ''}">
+          </div>
+        </div>
+        
+        <div class="form-group">
+          <label>Categories</label>
+          <p class="muted-sm">Leave all unchecked to apply to every category.</p>
+          ${EXPENSE_CATEGORIES.map(c => `
+            <label style="display: inline-block; margin-right: 12px;">
+              <input type="checkbox" class="pol-category" value="${c}" ${policy?.categories.includes(c) ? 'checked' : ''}> ${c}
+            </label>
+          `).join('')}
+        </div>
+        
+        <div class="form-group">
+          <label>On Violation *</label>
+          <select id="polEnforcement">
+            <option value="warn" ${policy?.enforcement !== 'block' ? 'selected' : ''}>Warn approvers</option>
+            <option value="block" ${policy?.enforcement === 'block' ? 'selected' : ''}>Block submission</option>
+          </select>
+        </div>
+        
+        <div class="form-group">
+          <label>
+            <input type="checkbox" id="polActive" ${policy?.active === false ? '' : 'checked'}>
+            Active
+          </label>
+        </div>
+      </form>
+    `;
+    
+    const toggleFields = () => {
+      const type = document.getElementById('polType').value;
+      document.getElementById('polAmountGroup').classList.toggle('hidden', !['category_cap', 'receipt_required'].includes(type));
+      document.getElementById('polPeriodGroup').classList.toggle('hidden', type !== 'category_cap');
+      document.getElementById('polLengthGroup').classList.toggle('hidden', type !== 'description_length');
+    };
+    document.getElementById('polType').addEventListener('change', toggleFields);
+    toggleFields();
+    
+    document.getElementById('genericModalTitle').textContent = policy ? 'Edit Policy' : 'Add Policy';
+    document.getElementById('genericModalMessage').textContent = '';
+    document.getElementById('genericModalCancel').style.display = 'inline-block';
+    document.getElementById('genericModalConfirm').textContent = 'Save';
+    
+    modal.classList.add('show');
+    
+    document.getElementById('genericModalConfirm').onclick = async () => {
+      const type = document.getElementById('polType').value;
+      const data = {
+        name: document.getElementById('polName').value.trim(),
+        type,
+        enforcement: document.getElementById('polEnforcement').value,
+        categories: Array.from(document.querySelectorAll('.pol-category:checked')).map(cb => cb.value),
+        amount: ['category_cap', 'receipt_required'].includes(type) ? parseFloat(document.getElementById('polAmount').value) : null,
+        period: type === 'category_cap' ? document.getElementById('polPeriod').value : 'expense',
+        minLength: type === 'description_length' ? parseInt(document.getElementById('polMinLength').value) : null,
+        active: document.getElementById('polActive').checked
+      };
+      
+      try {
+        if (policy) {
+          await PolicyService.updatePolicy(policyId, data);
+        } else {
+          await PolicyService.createPolicy(data);
+        }
+        modal.classList.remove('show');
+        this.renderView('policies');
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    };
+  },
+  
+  async deletePolicy(policyId) {
+    if (confirm('Delete this policy? Warnings already recorded on expenses are kept.')) {
+      try {
+        await PolicyService.deletePolicy(policyId);
+        this.renderView('policies');
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    }
+  },
+  
+  renderDuplicateFlags(expense) {
+    const flags = DuplicateService.getOpenFlags(expense);
+    if (flags.length === 0) return '';
+    
+    return `
+      <div class="policy-warnings">
+        <strong>⚠ Possible duplicate of:</strong>
+        ${flags.map(f => `
+          <div class="muted-sm">
+            <a href="#" onclick="event.preventDefault(); UI.viewExpense('${f.expenseId}')">${Utils.escapeHtml(f.employeeName)}, ${Utils.formatDate(f.date)}, ${Utils.formatCurrency(f.amount, f.currency)}</a>
+            — ${f.reasons.join(', ')}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  },
+  
+  renderPolicyWarnings(expense) {
+    const violations = expense.policyViolations || [];
+    if (violations.length === 0) return '';
+    
+    return `
+      <div class="policy-warnings">
+        <strong>⚠ Policy warnings:</strong>
+        ${violations.map(v => `<div class="muted-sm">${Utils.escapeHtml(v.policyName)}: ${Utils.escapeHtml(v.message)}</div>`).join('')}
+      </div>
+    `;
+  },
+  
+  renderExchangeRates(container) {
+    const overrides = ExchangeRateService.getCompanyOverrides();
+    const baseCurrency = AppState.currentCompany.baseCurrency;
+    const currencyOptions = (selected) => this.renderCurrencyOptions(selected);
+    
+    container.innerHTML = `
+      <div class="view-header">
+        <h1>Exchange Rates</h1>
+      </div>
+      
+      <div class="content-card" style="max-width: 700px;">
+        <h3>Look Up a Rate</h3>
+        <p class="muted-sm">Expenses are converted at the rate for their date from ${ExchangeRateService.getProvider().name}, unless a manual override covers that date.</p>
+        <form id="fxLookupForm" style="display: flex; gap: 12px; align-items: end;">
+          <div class="form-group" style="flex: 1;">
+            <label>From</label>
+            <select id="fxLookupFrom">${currencyOptions('EUR')}</select>
+          </div>
+          <div class="form-group" style="flex: 1;">
+            <label>To</label>
+            <select id="fxLookupTo">${currencyOptions(baseCurrency)}</select>
+          </div>
+          <div class="form-group" style="flex: 1;">
+            <label>Date</label>
+            <input type="date" id="fxLookupDate" value="${Utils.today()}">
+          </div>
+          <div class="form-group">
+            <button type="submit" class="btn ghost">Look Up</button>
+          </div>
+        </form>
+        <p id="fxLookupResult"></p>
+      </div>
+      
+      <div class="content-card" style="max-width: 700px;">
+        <h3>Add Manual Override</h3>
+        <form id="fxOverrideForm">
+          <div style="display: flex; gap: 12px;">
+            <div class="form-group" style="flex: 1;">
+              <label>1 unit of *</label>
+              <select id="fxFrom">${currencyOptions('EUR')}</select>
+            </div>
+            <div class="form-group" style="flex: 1;">
+              <label>Equals *</label>
+              <input type="number" step="0.000001" min="0" id="fxRate" required>
+            </div>
+            <div class="form-group" style="flex: 1;">
+              <label>Of *</label>
+              <select id="fxTo">${currencyOptions(baseCurrency)}</select>
+            </div>
+          </div>
+          <div style="display: flex; gap: 12px;">
+            <div class="form-group" style="flex: 1;">
+              <label>From Date *</label>
+              <input type="date" id="fxStart" required value="${Utils.today()}">
+            </div>
+            <div class="form-group" style="flex: 1;">
+              <label>To Date</label>
+              <input type="date" id="fxEnd">
+            </div>
+          </div>
+          <div class="form-group">
+            <label>Reason</label>
+            <input type="text" id="fxReason" placeholder="Bank rate actually charged, currency not published, etc.">
+          </div>
+          <div class="modal-actions">
+            <button type="submit" class="btn primary">Save Override</button>
+          </div>
+        </form>
+      </div>
+      
+      <div class="content-card">
+        <h3>Manual Overrides</h3>
+        ${overrides.length === 0 ? 
+          '<p class="muted center" style="padding: 40px;">No manual overrides</p>' : `
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Rate</th>
+                <th>Period</th>
+                <th>Reason</th>
+                <th>Set By</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${overrides.map(o => `
+                <tr>
+                  <td>1 ${o.fromCurrency} = ${o.rate} ${o.toCurrency}</td>
+                  <td>${Utils.formatDate(o.startDate)} – ${o.endDate ? Utils.formatDate(o.endDate) : 'open-ended'}</td>
+                  <td>${Utils.escapeHtml(o.reason || '-')}</td>
+                  <td>${Utils.escapeHtml(o.createdByName)}</td>
+                  <td><button class="btn btn-sm ghost" onclick="UI.deleteRateOverride('${o.id}')">Remove</button></td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `}
+      </div>
+    `;
+    
+    document.getElementById('fxLookupForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const from = document.getElementById('fxLookupFrom').value;
+      const to = document.getElementById('fxLookupTo').value;
+      const result = document.getElementById('fxLookupResult');
+      
+      try {
+        const rate = await ExchangeRateService.getRate(from, to, document.getElementById('fxLookupDate').value);
+        result.textContent = `1 ${from} = ${rate.rate.toFixed(6)} ${to} (${rate.source}, ${Utils.formatDate(rate.date)})`;
+      } catch (error) {
+        result.textContent = error.message;
+      }
+    });
+    
+    document.getElementById('fxOverrideForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      try {
+        await ExchangeRateService.createOverride({
+          fromCurrency: document.getElementById('fxFrom').value,
+          toCurrency: document.getElementById('fxTo').value,
+          rate: parseFloat(document.getElementById('fxRate').value),
+          startDate: document.getElementById('fxStart').value,
+          endDate: document.getElementById('fxEnd').value,
+          reason: document.getElementById('fxReason').value.trim()
+        });
+        this.renderView('exchange-rates');
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    });
+  },
+  
+  async deleteRateOverride(overrideId) {
+    if (confirm('Remove this override? Expenses already submitted keep the rate they were converted at.')) {
+      try {
+        await ExchangeRateService.deleteOverride(overrideId);
+        this.renderView('exchange-rates');
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    }
+  },
+  
+  formatExchangeRate(expense) {
+    const fx = expense.exchangeRate;
+    if (!fx?.rate || expense.currency === AppState.currentCompany.baseCurrency) return '';
+    
+    return `1 ${fx.from} = ${Number(fx.rate.toFixed(6))} ${fx.to || AppState.currentCompany.baseCurrency} — ${fx.source}${fx.rateDate ? `, ${Utils.formatDate(fx.rateDate)}` : ''}`;
+  },
+  
+  // Budget vs actual for the periods containing `month` (YYYY-MM)
+  renderCostCenters(container, month = Utils.today().slice(0, 7)) {
+    const departments = DepartmentService.getCompanyDepartments();
+    const costCenters = CostCenterService.getCompanyCostCenters();
+    const baseCurrency = AppState.currentCompany.baseCurrency;
+    const date = `${month}-01`;
+    const monthPeriod = CostCenterService.getPeriod(date, 'monthly');
+    const unassigned = ExpenseService.getAllExpenses().filter(e => 
+      !e.costCenterId && ['approved', 'pending'].includes(e.status) && 
+      e.date >= monthPeriod.start && e.date <= monthPeriod.end
+    );
+    
+    container.innerHTML = `
+      <div class="view-header">
+        <h1>Cost Centers</h1>
+        <div>
+          <button class="btn ghost" onclick="UI.showDepartmentModal()">+ Add Department</button>
+          <button class="btn primary" onclick="UI.showCostCenterModal()">+ Add Cost Center</button>
+        </div>
+      </div>
+      
+      <div class="content-card">
+        <div style="display: flex; justify-content: space-between; align-items: center;">
+          <h3>Budget vs Actual</h3>
+          <input type="month" id="ccMonth" value="${month}">
+        </div>
+        ${costCenters.length === 0 ? 
+          '<p class="muted center" style="padding: 40px;">No cost centers configured</p>' : `
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Cost Center</th>
+                <th>Department</th>
+                <th>Period</th>
+                <th>Budget</th>
+                <th>Approved</th>
+                <th>Pending</th>
+                <th>Remaining</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${costCenters.map(c => {
+                const status = CostCenterService.getBudgetStatus(c.id, date);
+                const used = status.budget ? Math.round((status.approved + status.pending) / status.budget * 100) : null;
+                return `
+                  <tr>
+                    <td>${Utils.escapeHtml(`${c.code} ${c.name}`)}${c.active ? '' : ' <span class="badge">inactive</span>'}</td>
+                    <td>${Utils.escapeHtml(DepartmentService.getName(c.departmentId) || '-')}</td>
+                    <td>${status.period.label}</td>
+                    <td>${status.budget != null ? Utils.formatCurrency(status.budget, baseCurrency) : '-'}</td>
+                    <td>${Utils.formatCurrency(status.approved, baseCurrency)}</td>
+                    <td>${Utils.formatCurrency(status.pending, baseCurrency)}</td>
+                    <td class="${status.remaining < 0 ? 'budget-over' : ''}">
+                      ${status.remaining != null ? `${Utils.formatCurrency(status.remaining, baseCurrency)}<br><span class="muted-sm">${used}% used</span>` : '-'}
+                    </td>
+                    <td>
+                      <button class="btn btn-sm ghost" onclick="UI.showCostCenterModal('${c.id}')">Edit</button>
+                      <button class="btn btn-sm ghost" onclick="UI.deleteCostCenter('${c.id}')">Delete</button>
+                    </td>
+                  </tr>
+                `;
+              }).join('')}
+            </tbody>
+          </table>
+        `}
+        ${unassigned.length ? `
+          <p class="muted-sm" style="margin-top: 12px;">
+            ${unassigned.length} approved or pending expense(s) in ${monthPeriod.label} have no cost center
+            (${Utils.formatCurrency(ExpenseService.sumAmounts(unassigned, 'amountInBaseCurrency'), baseCurrency)}).
+          </p>
+        ` : ''}
+      </div>
+      
+      <div class="content-card">
+        <h3>Departments</h3>
+        ${departments.length === 0 ? 
+          '<p class="muted center" style="padding: 40px;">No departments configured</p>' : `
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Department</th>
+                <th>Head</th>
+                <th>Employees</th>
+                <th>Cost Centers</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${departments.map(d => `
+                <tr>
+                  <td>${Utils.escapeHtml(d.name)}${d.code ? ` <span class="muted-sm">(${Utils.escapeHtml(d.code)})</span>` : ''}</td>
+                  <td>${Utils.escapeHtml(AppState.employees.find(e => e.id === d.headId)?.name || '-')}</td>
+                  <td>${EmployeeService.getCompanyEmployees().filter(e => e.departmentId === d.id).length}</td>
+                  <td>${Utils.escapeHtml(costCenters.filter(c => c.departmentId === d.id).map(c => c.code).join(', ') || '-')}</td>
+                  <td>
+                    <button class="btn btn-sm ghost" onclick="UI.showDepartmentModal('${d.id}')">Edit</button>
+                    <button class="btn btn-sm ghost" onclick="UI.deleteDepartment('${d.id}')">Delete</button>
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `}
+      </div>
+    `;
+    
+    document.getElementById('ccMonth').addEventListener('change', (e) => {
+      if (e.target.value) this.renderView('cost-centers', { month: e.target.value });
+    });
+  },
+  
+  showDepartmentModal(departmentId = null) {
+    const department = departmentId ? AppState.departments.find(d => d.id === departmentId) : null;
+    
+    const modal = document.getElementById('genericModal');
+    const content = document.getElementById('genericModalContent');
+    
+    content.innerHTML = `
+      <form id="departmentForm">
+        <div style="display: flex; gap: 12px;">
+          <div class="form-group" style="flex: 2;">
+            <label>Name *</label>
+            <input type="text" id="deptName" value="${Utils.escapeHtml(department?.name)}" required>
+          </div>
+          <div class="form-group" style="flex: 1;">
+            <label>Code</label>
+            <input type="text" id="deptCode" value="${Utils.escapeHtml(department?.code)}">
+          </div>
+        </div>
+        
+        <div class="form-group">
+          <label>Department Head</label>
+          <select id="deptHead">
+            <option value="">None</option>
+            ${EmployeeService.getCompanyEmployees().map(e => 
+              `<option value="${e.id}" ${department?.headId === e.id ? 'selected' : ''}>${Utils.escapeHtml(e.name)}</option>`
+            ).join('')}
+          </select>
+          <p class="muted-sm">Manager chain rules can route approvals up to the department head.</p>
+        </div>
+      </form>
+    `;
+    
+    document.getElementById('genericModalTitle').textContent = department ? 'Edit Department' : 'Add Department';
+    document.getElementById('genericModalMessage').textContent = '';
+    document.getElementById('genericModalCancel').style.display = 'inline-block';
+    document.getElementById('genericModalConfirm').textContent = 'Save';
+    
+    modal.classList.add('show');
+    
+    document.getElementById('genericModalConfirm').onclick = async () => {
+      const data = {
+        name: document.getElementById('deptName').value.trim(),
+        code: document.getElementById('deptCode').value.trim(),
+        headId: document.getElementById('deptHead').value || null
+      };
+      
+      try {
+        if (department) {
+          await DepartmentService.updateDepartment(departmentId, data);
+        } else {
+          await DepartmentService.createDepartment(data);
+        }
+        modal.classList.remove('show');
+        this.renderView('cost-centers');
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    };
+  },
+  
+  async deleteDepartment(departmentId) {
+    if (confirm('Delete this department?')) {
+      try {
+        await DepartmentService.deleteDepartment(departmentId);
+        this.renderView('cost-centers');
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    }
+  },
+  
+  showCostCenterModal(costCenterId = null) {
+    const costCenter = costCenterId ? AppState.costCenters.find(c => c.id === costCenterId) : null;
+    
+    const modal = document.getElementById('genericModal');
+    const content = document.getElementById('genericModalContent');
+    
+    content.innerHTML = `
+      <form id="costCenterForm">
+        <div style="display: flex; gap: 12px;">
+          <div class="form-group" style="flex: 1;">
+            <label>Code *</label>
+            <input type="text" id="ccCode" value="${Utils.escapeHtml(costCenter?.code)}" required>
+          </div>
+          <div class="form-group" style="flex: 2;">
+            <label>Name *</label>
+            <input type="text" id="ccName" value="${Utils.escapeHtml(costCenter?.name)}" required>
+          </div>
+        </div>
+        
+        <div class="form-group">
+          <label>Department</label>
+          <select id="ccDepartment">
+            <option value="">None</option>
+            ${DepartmentService.getCompanyDepartments().map(d => 
+              `<option value="${d.id}" ${costCenter?.departmentId === d.id ? 'selected' : ''}>${Utils.escapeHtml(d.name)}</option>`
+            ).join('')}
+          </select>
+        </div>
+        
+        <div style="display: flex; gap: 12px;">
+          <div class="form-group" style="flex: 1;">
+            <label>Budget (${AppState.currentCompany.baseCurrency})</label>
+            <input type="number" id="ccBudget" step="0.01" min="0" value="${costCenter?.budget?.amount ?? ''}" placeholder="No budget">
+          </div>
+          <div class="form-group" style="flex: 1;">
+            <label>Per</label>
+            <select id="ccPeriod">
+              ${Object.entries(CostCenterService.BUDGET_PERIODS).map(([value, label]) => 
+                `<option value="${value}" ${costCenter?.budget?.period === value ? 'selected' : ''}>${label}</option>`
               ).join('')}
             </select>
           </div>
-          
-          <div class="form-group">
-            <label>Category *</label>
-            <select id="expCategory" required>
-              <option value="Meals">Meals</option>
-              <option value="Transport">Transport</option>
-              <option value="Accommodation">Accommodation</option>
-              <option value="Office Supplies">Office Supplies</option>
-              <option value="Entertainment">Entertainment</option>
-              <option value="Other">Other</option>
-            </select>
+        </div>
+        
+        <div class="form-group">
+          <label>
+            <input type="checkbox" id="ccActive" ${costCenter?.active === false ? '' : 'checked'}>
+            Active (inactive cost centers can't be charged)
+          </label>
+        </div>
+      </form>
+    `;
+    
+    document.getElementById('genericModalTitle').textContent = costCenter ? 'Edit Cost Center' : 'Add Cost Center';
+    document.getElementById('genericModalMessage').textContent = '';
+    document.getElementById('genericModalCancel').style.display = 'inline-block';
+    document.getElementById('genericModalConfirm').textContent = 'Save';
+    
+    modal.classList.add('show');
+    
+    document.getElementById('genericModalConfirm').onclick = async () => {
+      const budget = document.getElementById('ccBudget').value;
+      const data = {
+        code: document.getElementById('ccCode').value.trim(),
+        name: document.getElementById('ccName').value.trim(),
+        departmentId: document.getElementById('ccDepartment').value || null,
+        budget: budget === '' ? null : {
+          period: document.getElementById('ccPeriod').value,
+          amount: parseFloat(budget)
+        },
+        active: document.getElementById('ccActive').checked
+      };
+      
+      try {
+        if (costCenter) {
+          await CostCenterService.updateCostCenter(costCenterId, data);
+        } else {
+          await CostCenterService.createCostCenter(data);
+        }
+        modal.classList.remove('show');
+        this.renderView('cost-centers');
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    };
+  },
+  
+  async deleteCostCenter(costCenterId) {
+    if (confirm('Delete this cost center?')) {
+      try {
+        await CostCenterService.deleteCostCenter(costCenterId);
+        this.renderView('cost-centers');
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    }
+  },
+  
+  renderPayments(container) {
+    const settings = PaymentService.getSettings();
+    const configured = Boolean(AppState.currentCompany.paymentSettings);
+    const groups = PaymentService.groupByEmployee(PaymentService.getPayable());
+    const runs = PaymentService.getCompanyRuns();
+    const baseCurrency = AppState.currentCompany.baseCurrency;
+    
+    container.innerHTML = `
+      <div class="view-header">
+        <h1>Payments</h1>
+        <div>
+          <button class="btn ghost" onclick="UI.showPaymentSettingsModal()">Payment Settings</button>
+          <button class="btn primary" onclick="UI.showPaymentRunModal()" ${groups.length ? '' : 'disabled'}>+ Create Payment Run</button>
+        </div>
+      </div>
+      
+      ${!configured ? `
+        <div class="policy-warnings">
+          <div>Configure the paying bank account under Payment Settings before creating a payment run.</div>
+        </div>
+      ` : ''}
+      
+      <div class="content-card">
+        <h3>Awaiting Payment</h3>
+        ${groups.length === 0 ?
+          '<p class="muted center" style="padding: 40px;">All approved expenses have been paid or scheduled</p>' : `
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Employee</th>
+                <th>Expenses</th>
+                <th>Amount</th>
+                <th>Bank Account</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${groups.map(g => `
+                <tr>
+                  <td>${Utils.escapeHtml(g.employeeName)}</td>
+                  <td>
+                    ${g.expenses.length}
+                    ${g.expenses.some(e => e.reimbursement?.status === 'failed') ? '<br><span class="muted-sm">includes failed payments</span>' : ''}
+                  </td>
+                  <td>${Utils.formatCurrency(g.amount, baseCurrency)}</td>
+                  <td>
+                    ${PaymentService.supportsFormat(g.account, settings.format) ?
+                      PaymentService.maskAccount(g.account) :
+                      `<span class="budget-over">${g.account ? `Not usable for ${PaymentService.FORMATS[settings.format]}` : 'No bank details'}</span>`
+                    }
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `}
+      </div>
+      
+      <div class="content-card">
+        <h3>Payment Runs</h3>
+        ${runs.length === 0 ?
+          '<p class="muted center" style="padding: 40px;">No payment runs yet</p>' :
+          runs.map(run => `
+            <div style="padding: 16px; border: 1px solid #e5e7eb; border-radius: 8px; margin-bottom: 16px;">
+              <div style="display: flex; justify-content: space-between; align-items: start;">
+                <div>
+                  <strong>${Utils.formatDate(run.paymentDate)} • ${Utils.formatCurrency(run.total, run.currency)}</strong>
+                  <p class="muted-sm">${PaymentService.FORMATS[run.format]} • created by ${Utils.escapeHtml(run.createdByName)} on ${Utils.formatDate(run.createdAt)}${run.paidAt ? ` • paid ${Utils.formatDate(run.paidAt)}` : ''}</p>
+                </div>
+                <div>
+                  <span class="badge badge-${run.status}">${PaymentService.STATUSES[run.status]}</span>
+                </div>
+              </div>
+              <table class="data-table" style="margin-top: 8px;">
+                <thead>
+                  <tr>
+                    <th>Employee</th>
+                    <th>Account</th>
+                    <th>Expenses</th>
+                    <th>Amount</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${run.payments.map(p => `
+                    <tr>
+                      <td>${Utils.escapeHtml(p.employeeName)}</td>
+                      <td>${Utils.escapeHtml(p.account)}</td>
+                      <td>${p.expenseIds.length}</td>
+                      <td>${Utils.formatCurrency(p.amount, run.currency)}</td>
+                      <td>
+                        <span class="badge badge-${p.status}">${PaymentService.STATUSES[p.status]}</span>
+                        ${p.failureReason ? `<br><span class="muted-sm">${Utils.escapeHtml(p.failureReason)}</span>` : ''}
+                      </td>
+                      <td>
+                        ${p.status !== 'failed' ?
+                          `<button class="btn btn-sm ghost" onclick="UI.markPaymentFailed('${run.id}', '${p.employeeId}')">Mark Failed</button>` :
+                          ''
+                        }
+                      </td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+              <div style="margin-top: 12px; display: flex; gap: 12px;">
+                ${run.payments.some(p => p.status !== 'failed') ?
+                  `<button class="btn btn-sm ghost" onclick="UI.downloadPaymentFile('${run.id}')">Download Bank File</button>` :
+                  ''
+                }
+                ${run.status === 'scheduled' && run.payments.some(p => p.status === 'scheduled') ?
+                  `<button class="btn btn-sm primary" onclick="UI.markRunPaid('${run.id}')">Mark Run Paid</button>` :
+                  ''
+                }
+              </div>
+            </div>
+          `).join('')
+        }
+      </div>
+    `;
+  },
+  
+  showPaymentSettingsModal() {
+    const settings = PaymentService.getSettings();
+    
+    const modal = document.getElementById('genericModal');
+    const content = document.getElementById('genericModalContent');
+    
+    content.innerHTML = `
+      <form id="paymentSettingsForm">
+        <div class="form-group">
+          <label>Bank File Format *</label>
+          <select id="paymentFormat">
+            ${Object.entries(PaymentService.FORMATS).map(([value, label]) =>
+              `<option value="${value}" ${value === settings.format ? 'selected' : ''}>${label} – pays in ${PaymentService.FORMAT_CURRENCIES[value]}</option>`
+            ).join('')}
+          </select>
+        </div>
+        
+        <div class="form-group">
+          <label>Company Name on Payments *</label>
+          <input type="text" id="paymentDebtorName" value="${Utils.escapeHtml(settings.debtorName)}">
+        </div>
+        
+        <div id="paymentSepaFields">
+          <div style="display: flex; gap: 12px;">
+            <div class="form-group" style="flex: 2;">
+              <label>Company IBAN *</label>
+              <input type="text" id="paymentIban" value="${Utils.escapeHtml(settings.iban)}">
+            </div>
+            <div class="form-group" style="flex: 1;">
+              <label>BIC *</label>
+              <input type="text" id="paymentBic" value="${Utils.escapeHtml(settings.bic)}">
+            </div>
+          </div>
+        </div>
+        
+        <div id="paymentNachaFields">
+          <div style="display: flex; gap: 12px;">
+            <div class="form-group" style="flex: 1;">
+              <label>Bank Routing Number *</label>
+              <input type="text" id="paymentRoutingNumber" value="${Utils.escapeHtml(settings.routingNumber)}" maxlength="9">
+            </div>
+            <div class="form-group" style="flex: 1;">
+              <label>Bank Name *</label>
+              <input type="text" id="paymentBankName" value="${Utils.escapeHtml(settings.bankName)}">
+            </div>
           </div>
-          
           <div class="form-group">
-            <label>Date *</label>
-            <input type="date" id="expDate" required value="${new Date().toISOString().split('T')[0]}">
+            <label>ACH Company ID *</label>
+            <input type="text" id="paymentCompanyId" value="${Utils.escapeHtml(settings.companyId)}" maxlength="10" placeholder="e.g. 1 followed by your EIN">
           </div>
-          
-          <div class="form-group">
-            <label>Merchant</label>
-            <input type="text" id="expMerchant" placeholder="Restaurant, Hotel, etc.">
+        </div>
+      </form>
+    `;
+    
+    const toggleFields = () => {
+      const format = document.getElementById('paymentFormat').value;
+      document.getElementById('paymentSepaFields').style.display = format === 'sepa' ? 'block' : 'none';
+      document.getElementById('paymentNachaFields').style.display = format === 'nacha' ? 'block' : 'none';
+    };
+    document.getElementById('paymentFormat').addEventListener('change', toggleFields);
+    toggleFields();
+    
+    document.getElementById('genericModalTitle').textContent = 'Payment Settings';
+    document.getElementById('genericModalMessage').textContent = '';
+    document.getElementById('genericModalCancel').style.display = 'inline-block';
+    document.getElementById('genericModalConfirm').textContent = 'Save';
+    
+    modal.classList.add('show');
+    
+    document.getElementById('genericModalConfirm').onclick = async () => {
+      try {
+        await PaymentService.saveSettings({
+          format: document.getElementById('paymentFormat').value,
+          debtorName: document.getElementById('paymentDebtorName').value,
+          iban: document.getElementById('paymentIban').value,
+          bic: document.getElementById('paymentBic').value,
+          routingNumber: document.getElementById('paymentRoutingNumber').value,
+          bankName: document.getElementById('paymentBankName').value,
+          companyId: document.getElementById('paymentCompanyId').value
+        });
+        modal.classList.remove('show');
+        this.renderView('payments');
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    };
+  },
+  
+  showPaymentRunModal() {
+    const settings = PaymentService.getSettings();
+    const groups = PaymentService.groupByEmployee(PaymentService.getPayable());
+    const payable = groups.filter(g => PaymentService.supportsFormat(g.account, settings.format));
+    
+    const modal = document.getElementById('genericModal');
+    const content = document.getElementById('genericModalContent');
+    
+    content.innerHTML = `
+      <form id="paymentRunForm">
+        <div class="form-group">
+          <label>Payment Date *</label>
+          <input type="date" id="paymentRunDate" value="${Utils.today()}" min="${Utils.today()}">
+        </div>
+        
+        <p class="muted-sm">
+          ${payable.length} employee(s), ${Utils.formatCurrency(payable.reduce((sum, g) => sum + g.amount, 0), AppState.currentCompany.baseCurrency)}
+          as ${PaymentService.FORMATS[settings.format]}.
+          ${groups.length > payable.length ? `${groups.length - payable.length} employee(s) without usable bank details will stay awaiting payment.` : ''}
+        </p>
+      </form>
+    `;
+    
+    document.getElementById('genericModalTitle').textContent = 'Create Payment Run';
+    document.getElementById('genericModalMessage').textContent = '';
+    document.getElementById('genericModalCancel').style.display = 'inline-block';
+    document.getElementById('genericModalConfirm').textContent = 'Schedule Payments';
+    
+    modal.classList.add('show');
+    
+    document.getElementById('genericModalConfirm').onclick = async () => {
+      try {
+        const { run } = await PaymentService.createRun({ paymentDate: document.getElementById('paymentRunDate').value });
+        const file = PaymentService.generateFile(run.id);
+        Utils.downloadFile(file.fileName, file.content, file.type);
+        modal.classList.remove('show');
+        this.renderView('payments');
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    };
+  },
+  
+  downloadPaymentFile(runId) {
+    try {
+      const file = PaymentService.generateFile(runId);
+      Utils.downloadFile(file.fileName, file.content, file.type);
+    } catch (error) {
+      Utils.showToast(error.message, 'error');
+    }
+  },
+  
+  async markRunPaid(runId) {
+    if (confirm('Mark all scheduled payments in this run as paid?')) {
+      try {
+        await PaymentService.markRunPaid(runId);
+        this.renderView('payments');
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    }
+  },
+  
+  async markPaymentFailed(runId, employeeId) {
+    const reason = prompt('Why did this payment fail? (required):');
+    if (!reason) {
+      Utils.showToast('A reason is required', 'error');
+      return;
+    }
+    
+    try {
+      await PaymentService.markPaymentFailed(runId, employeeId, reason);
+      this.renderView('payments');
+    } catch (error) {
+      Utils.showToast(error.message, 'error');
+    }
+  },
+  
+  showBankAccountModal() {
+    const account = PaymentService.getBankAccount(AppState.currentUser.id);
+    const domestic = account ? !account.iban : PaymentService.getSettings().format === 'nacha';
+    
+    const modal = document.getElementById('genericModal');
+    const content = document.getElementById('genericModalContent');
+    
+    content.innerHTML = `
+      <form id="bankAccountForm">
+        <div class="form-group">
+          <label>Account Holder *</label>
+          <input type="text" id="bankHolderName" value="${Utils.escapeHtml(account?.holderName || AppState.currentUser.name)}">
+        </div>
+        
+        <div class="form-group">
+          <label>Account Type *</label>
+          <select id="bankKind">
+            <option value="iban" ${domestic ? '' : 'selected'}>IBAN (SEPA)</option>
+            <option value="us" ${domestic ? 'selected' : ''}>US bank account (ACH)</option>
+          </select>
+        </div>
+        
+        <div id="bankIbanFields">
+          <div style="display: flex; gap: 12px;">
+            <div class="form-group" style="flex: 2;">
+              <label>IBAN *</label>
+              <input type="text" id="bankIban" value="${Utils.escapeHtml(account?.iban)}">
+            </div>
+            <div class="form-group" style="flex: 1;">
+              <label>BIC</label>
+              <input type="text" id="bankBic" value="${Utils.escapeHtml(account?.bic)}">
+            </div>
           </div>
-          
-          <div class="form-group">
-            <label>Description *</label>
-            <textarea id="expDescription" rows="3" required></textarea>
+        </div>
+        
+        <div id="bankUsFields">
+          <div style="display: flex; gap: 12px;">
+            <div class="form-group" style="flex: 1;">
+              <label>Routing Number *</label>
+              <input type="text" id="bankRoutingNumber" value="${Utils.escapeHtml(account?.routingNumber)}" maxlength="9">
+            </div>
+            <div class="form-group" style="flex: 1;">
+              <label>Account Number *</label>
+              <input type="text" id="bankAccountNumber" value="${Utils.escapeHtml(account?.accountNumber)}" maxlength="17">
+            </div>
+            <div class="form-group" style="flex: 1;">
+              <label>Checking / Savings *</label>
+              <select id="bankAccountType">
+                ${Object.entries(PaymentService.ACCOUNT_TYPES).map(([value, label]) =>
+                  `<option value="${value}" ${value === account?.accountType ? 'selected' : ''}>${label}</option>`
+                ).join('')}
+              </select>
+            </div>
           </div>
-          
-          <div class="form-group">
-            <label>Receipt (OCR Scan)</label>
-            <input type="file" id="expReceipt" accept="image/*">
-            <p class="muted-sm">Upload receipt to auto-fill fields using OCR</p>
+        </div>
+      </form>
+    `;
+    
+    const toggleFields = () => {
+      const kind = document.getElementById('bankKind').value;
+      document.getElementById('bankIbanFields').style.display = kind === 'iban' ? 'block' : 'none';
+      document.getElementById('bankUsFields').style.display = kind === 'us' ? 'block' : 'none';
+    };
+    document.getElementById('bankKind').addEventListener('change', toggleFields);
+    toggleFields();
+    
+    document.getElementById('genericModalTitle').textContent = 'Bank Details';
+    document.getElementById('genericModalMessage').textContent = 'Reimbursements are paid into this account.';
+    document.getElementById('genericModalCancel').style.display = 'inline-block';
+    document.getElementById('genericModalConfirm').textContent = 'Save';
+    
+    modal.classList.add('show');
+    
+    document.getElementById('genericModalConfirm').onclick = async () => {
+      const iban = document.getElementById('bankKind').value === 'iban';
+      
+      try {
+        await PaymentService.saveBankAccount({
+          holderName: document.getElementById('bankHolderName').value,
+          iban: iban ? document.getElementById('bankIban').value : '',
+          bic: iban ? document.getElementById('bankBic').value : '',
+          routingNumber: iban ? '' : document.getElementById('bankRoutingNumber').value,
+          accountNumber: iban ? '' : document.getElementById('bankAccountNumber').value,
+          accountType: iban ? '' : document.getElementById('bankAccountType').value
+        });
+        modal.classList.remove('show');
+        this.renderView('my-expenses');
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    };
+  },
+  
+  // Search, filters, saved presets, sorting and paging around one view's expenses. `renderItems`
+  // draws a page of expenses given the current query; `onChange` receives every matching expense.
+  renderExpenseList(container, view, expenses, renderItems, { employeeFilter = true, statusFilter = true, onChange } = {}) {
+    const query = ExpenseQueryService.getQuery(view);
+    const presets = ExpenseQueryService.getPresets(view);
+    const currencies = [...new Set(expenses.map(e => e.currency))].sort();
+    const statuses = [...new Set(expenses.map(e => e.status))].sort();
+    const employees = [...new Map(expenses.map(e => [e.employeeId, e.employeeName])).entries()]
+      .sort((a, b) => a[1].localeCompare(b[1]));
+    const sorts = Object.entries(ExpenseQueryService.SORTS).filter(([sort]) => sort !== 'overdue' || view === 'approvals');
+    const baseCurrency = AppState.currentCompany.baseCurrency;
+    const option = (value, label, selected) => `<option value="${Utils.escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${Utils.escapeHtml(label)}</option>`;
+    
+    container.innerHTML = `
+      <div class="expense-filters">
+        <div class="expense-filters-row">
+          <input type="search" data-field="search" value="${Utils.escapeHtml(query.search)}" placeholder="Search description, merchant or employee" style="flex: 2;">
+          <select data-preset>
+            ${option('', presets.length ? 'Saved presets…' : 'No saved presets', query.presetId || '')}
+            ${presets.map(p => option(p.id, p.name, query.presetId)).join('')}
+          </select>
+          <button class="btn btn-sm ghost" data-action="save-preset">Save Preset</button>
+          ${query.presetId ? '<button class="btn btn-sm ghost" data-action="delete-preset">Delete Preset</button>' : ''}
+          <button class="btn btn-sm ghost" data-action="reset">Clear</button>
+        </div>
+        <div class="expense-filters-row">
+          <input type="date" data-field="from" value="${query.from}" title="From date">
+          <input type="date" data-field="to" value="${query.to}" title="To date">
+          <select data-field="category">
+            ${option('', 'All categories', query.category)}
+            ${EXPENSE_CATEGORIES.map(c => option(c, c, query.category)).join('')}
+          </select>
+          <select data-field="currency">
+            ${option('', 'All currencies', query.currency)}
+            ${currencies.map(c => option(c, c, query.currency)).join('')}
+          </select>
+          ${employeeFilter ? `
+            <select data-field="employeeId">
+              ${option('', 'All employees', query.employeeId)}
+              ${employees.map(([id, name]) => option(id, name, query.employeeId)).join('')}
+            </select>
+          ` : ''}
+          ${statusFilter ? `
+            <select data-field="status">
+              ${option('', 'All statuses', query.status)}
+              ${statuses.map(s => option(s, s.replace('_', ' '), query.status)).join('')}
+            </select>
+          ` : ''}
+          <input type="number" data-field="minAmount" value="${query.minAmount}" min="0" step="0.01" placeholder="Min ${baseCurrency}" style="width: 110px;">
+          <input type="number" data-field="maxAmount" value="${query.maxAmount}" min="0" step="0.01" placeholder="Max ${baseCurrency}" style="width: 110px;">
+          <select data-field="sort">
+            ${sorts.map(([sort, label]) => option(sort, `Sort: ${label}`, query.sort)).join('')}
+          </select>
+          <select data-field="direction">
+            ${option('asc', 'Ascending', query.direction)}
+            ${option('desc', 'Descending', query.direction)}
+          </select>
+        </div>
+      </div>
+      <div class="expense-list-results"></div>
+    `;
+    
+    const results = container.querySelector('.expense-list-results');
+    const remount = () => this.renderExpenseList(container, view, expenses, renderItems, { employeeFilter, statusFilter, onChange });
+    const update = () => {
+      const current = ExpenseQueryService.getQuery(view);
+      const matching = ExpenseQueryService.apply(expenses, current);
+      const page = ExpenseQueryService.paginate(matching, current.page, current.pageSize);
+      
+      results.innerHTML = `
+        ${renderItems(page.items, current)}
+        ${matching.length ? this.renderPager(page, current) : ''}
+      `;
+      onChange?.(matching);
+    };
+    
+    container.querySelectorAll('[data-field]').forEach(input => {
+      input.addEventListener(input.type === 'search' ? 'input' : 'change', () => {
+        ExpenseQueryService.setQuery(view, { [input.dataset.field]: input.value });
+        // The selected preset no longer describes the filters
+        container.querySelector('[data-preset]').value = '';
+        container.querySelector('[data-action="delete-preset"]')?.remove();
+        update();
+      });
+    });
+    
+    container.querySelector('[data-preset]').addEventListener('change', (e) => {
+      if (e.target.value) {
+        ExpenseQueryService.applyPreset(view, e.target.value);
+      } else {
+        ExpenseQueryService.setQuery(view, {});
+      }
+      remount();
+    });
+    
+    container.querySelector('[data-action="save-preset"]').addEventListener('click', async () => {
+      const current = presets.find(p => p.id === query.presetId);
+      const name = prompt('Name this preset (saving under an existing name replaces it):', current?.name || '');
+      if (!name) return;
+      
+      try {
+        await ExpenseQueryService.savePreset(view, name, ExpenseQueryService.getQuery(view));
+        remount();
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    });
+    
+    container.querySelector('[data-action="delete-preset"]')?.addEventListener('click', async () => {
+      if (!confirm('Delete this preset?')) return;
+      
+      try {
+        await ExpenseQueryService.deletePreset(query.presetId);
+        remount();
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    });
+    
+    container.querySelector('[data-action="reset"]').addEventListener('click', () => {
+      ExpenseQueryService.resetQuery(view);
+      remount();
+    });
+    
+    // Column headers and the pager are redrawn with each page, so listen on the results
+    results.addEventListener('click', (e) => {
+      const header = e.target.closest('[data-sort]');
+      const pageLink = e.target.closest('[data-page]');
+      
+      if (header) {
+        const current = ExpenseQueryService.getQuery(view);
+        const sort = header.dataset.sort;
+        const direction = current.sort === sort ?
+          (current.direction === 'asc' ? 'desc' : 'asc') :
+          (['date', 'amount'].includes(sort) ? 'desc' : 'asc');
+        ExpenseQueryService.setQuery(view, { sort, direction, presetId: current.presetId });
+        container.querySelector('[data-field="sort"]').value = sort;
+        container.querySelector('[data-field="direction"]').value = direction;
+        update();
+      } else if (pageLink) {
+        ExpenseQueryService.setPage(view, parseInt(pageLink.dataset.page));
+        update();
+      }
+    });
+    
+    results.addEventListener('change', (e) => {
+      if (e.target.matches('[data-page-size]')) {
+        const current = ExpenseQueryService.getQuery(view);
+        ExpenseQueryService.setQuery(view, { pageSize: parseInt(e.target.value), presetId: current.presetId });
+        update();
+      }
+    });
+    
+    update();
+  },
+  
+  renderPager(page, query) {
+    return `
+      <div class="pager">
+        <span class="muted-sm">Showing ${page.start + 1}–${page.start + page.items.length} of ${page.total}</span>
+        <div style="display: flex; gap: 8px; align-items: center;">
+          <select data-page-size>
+            ${ExpenseQueryService.PAGE_SIZES.map(size =>
+              `<option value="${size}" ${size === query.pageSize ? 'selected' : ''}>${size} per page</option>`
+            ).join('')}
+          </select>
+          <button class="btn btn-sm ghost" data-page="${page.page - 1}" ${page.page > 1 ? '' : 'disabled'}>‹ Prev</button>
+          <span class="muted-sm">Page ${page.page} of ${page.pages}</span>
+          <button class="btn btn-sm ghost" data-page="${page.page + 1}" ${page.page < page.pages ? '' : 'disabled'}>Next ›</button>
+        </div>
+      </div>
+    `;
+  },
+  
+  // With a query the headers sort the list (see renderExpenseList)
+  renderExpenseTable(expenses, query = null) {
+    if (expenses.length === 0) {
+      return '<p class="muted center" style="padding: 40px;">No expenses found</p>';
+    }
+    
+    const header = (sort, label) => {
+      if (!query) return `<th>${label}</th>`;
+      const arrow = query.sort === sort ? (query.direction === 'asc' ? ' ▲' : ' ▼') : '';
+      return `<th class="sortable" data-sort="${sort}">${label}${arrow}</th>`;
+    };
+    
+    return `
+      <table class="data-table">
+        <thead>
+          <tr>
+            ${header('date', 'Date')}
+            ${header('employeeName', 'Employee')}
+            ${header('category', 'Category')}
+            ${header('amount', 'Amount')}
+            ${header('status', 'Status')}
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${expenses.map(exp => `
+            <tr>
+              <td>${Utils.formatDate(exp.date)}</td>
+              <td>${Utils.escapeHtml(exp.employeeName)}</td>
+              <td>${this.formatCategories(exp)}</td>
+              <td>
+                ${Utils.formatCurrency(exp.amount, exp.currency)}
+                ${exp.currency !== AppState.currentCompany.baseCurrency ? 
+                  `<br><span class="muted-sm">(${Utils.formatCurrency(exp.amountInBaseCurrency, AppState.currentCompany.baseCurrency)})</span>` : 
+                  ''
+                }
+              </td>
+              <td>
+                <span class="badge badge-${exp.status}">${exp.status.replace('_', ' ')}</span>
+                ${exp.reportId ? `<br><span class="muted-sm">Report: ${Utils.escapeHtml(this.getReportTitle(exp.reportId))}</span>` : ''}
+                ${DuplicateService.getOpenFlags(exp).length ? '<br><span class="muted-sm">⚠ possible duplicate</span>' : ''}
+                ${exp.exportedAt ? `<br><span class="muted-sm">Exported ${Utils.formatDate(exp.exportedAt)}</span>` : ''}
+                ${PaymentService.getStatus(exp) ? `<br><span class="muted-sm">${Utils.escapeHtml(PaymentService.describeStatus(exp))}</span>` : ''}
+                ${(exp.policyViolations || []).length ? `<br><span class="muted-sm" title="${Utils.escapeHtml(exp.policyViolations.map(v => v.message).join('; '))}">⚠ ${exp.policyViolations.length} policy warning(s)</span>` : ''}
+              </td>
+              <td>
+                <button class="btn btn-sm ghost" onclick="UI.viewExpense('${exp.id}')">View</button>
+                ${this.renderOwnerActions(exp)}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  },
+  
+  formatCategories(expense) {
+    const categories = ExpenseService.getCategories(expense);
+    return categories.length > 1 ? 
+      `Split<br><span class="muted-sm">${Utils.escapeHtml(categories.join(', '))}</span>` : 
+      Utils.escapeHtml(categories[0]);
+  },
+  
+  getReportTitle(reportId) {
+    return AppState.reports.find(r => r.id === reportId)?.title || 'Unknown report';
+  },
+  
+  renderOwnerActions(expense) {
+    if (expense.employeeId !== AppState.currentUser.id) return '';
+    // Submitted report lines are withdrawn and resubmitted with their report
+    if (expense.reportId && expense.status !== 'draft') return '';
+    
+    switch (expense.status) {
+      case 'draft':
+        return `
+          <button class="btn btn-sm ghost" onclick="UI.editExpense('${expense.id}')">Edit</button>
+          <button class="btn btn-sm ghost" onclick="UI.deleteDraft('${expense.id}')">Delete</button>
+        `;
+      case 'pending':
+        return `<button class="btn btn-sm ghost" onclick="UI.withdrawExpense('${expense.id}')">Withdraw</button>`;
+      case 'withdrawn':
+      case 'changes_requested':
+        return `<button class="btn btn-sm ghost" onclick="UI.editExpense('${expense.id}')">Edit &amp; Resubmit</button>`;
+      default:
+        return '';
+    }
+  },
+  
+  renderExpenseCard(expense, showActions = false) {
+    const overdue = ExpenseService.isOverdue(expense);
+    
+    return `
+      <div class="expense-card ${overdue ? 'overdue' : ''}" style="padding: 20px; border: 1px solid #e5e7eb; border-radius: 8px; margin-bottom: 16px;">
+        <div style="display: flex; justify-content: space-between;">
+          <div style="flex: 1;">
+            <div style="display: flex; gap: 12px; align-items: start;">
+              <div style="flex: 1;">
+                <h3>${Utils.escapeHtml(ExpenseService.getCategories(expense).join(' / '))} - ${Utils.formatCurrency(expense.amountInBaseCurrency, AppState.currentCompany.baseCurrency)}</h3>
+                <p class="muted-sm">${Utils.escapeHtml(expense.employeeName)} • ${Utils.formatDate(expense.date)}</p>
+                <p style="margin-top: 8px;">${Utils.escapeHtml(expense.description)}</p>
+                ${expense.merchant ? `<p class="muted-sm">Merchant: ${Utils.escapeHtml(expense.merchant)}</p>` : ''}
+                ${this.formatExchangeRate(expense) ? `<p class="muted-sm">${Utils.formatCurrency(expense.amount, expense.currency)} at ${this.formatExchangeRate(expense)}</p>` : ''}
+                ${expense.perDiem ? `<p class="muted-sm">Per diem: ${Utils.escapeHtml(expense.perDiem.location)}, ${Utils.formatDate(expense.perDiem.startDate)} – ${Utils.formatDate(expense.perDiem.endDate)}</p>` : ''}
+                ${expense.mileage ? `<p class="muted-sm">Mileage: ${Utils.escapeHtml(expense.mileage.vehicleType)}, ${Number(expense.mileage.distance)} ${Utils.escapeHtml(MileageService.UNITS[expense.mileage.unit] || expense.mileage.unit)}${expense.mileage.startOdometer != null ? ` (odometer ${Number(expense.mileage.startOdometer)}–${Number(expense.mileage.endOdometer)})` : ''}</p>` : ''}
+                ${expense.reportId ? `<p class="muted-sm">Part of report: ${Utils.escapeHtml(this.getReportTitle(expense.reportId))}</p>` : ''}
+                ${expense.costCenterId ? `<p class="muted-sm">Cost center: ${Utils.escapeHtml(CostCenterService.describe(expense.costCenterId) || 'Unknown')}</p>` : ''}
+                ${showActions && expense.costCenterId ? this.renderBudgetNote(expense.costCenterId, expense.date) : ''}
+                ${(expense.lineItems || []).length > 1 ? `
+                  <table class="data-table line-items" style="margin-top: 8px;">
+                    <tbody>
+                      ${expense.lineItems.map(line => `
+                        <tr>
+                          <td>${Utils.escapeHtml(line.category)}</td>
+                          <td>${Utils.escapeHtml(line.description)}</td>
+                          <td>${Utils.formatCurrency(line.amount, expense.currency)}</td>
+                        </tr>
+                      `).join('')}
+                    </tbody>
+                  </table>
+                ` : ''}
+                ${this.renderReceiptThumbnails(expense.receipts)}
+                ${this.renderPolicyWarnings(expense)}
+                ${this.renderDuplicateFlags(expense)}
+              </div>
+              <div>
+                ${overdue ? '<span class="badge badge-overdue">Overdue</span>' : ''}
+                <span class="badge badge-${expense.status}">${expense.status.replace('_', ' ')}</span>
+                ${Object.hasOwn(PaymentService.STATUSES, expense.reimbursement?.status) ? `<span class="badge badge-${expense.reimbursement.status}">${PaymentService.STATUSES[expense.reimbursement.status]}</span>` : ''}
+                ${expense.revision > 1 ? `<span class="badge">rev ${expense.revision}</span>` : ''}
+              </div>
+            </div>
+            
+            ${this.renderApprovalFlow(expense, overdue)}
+            
+            ${this.renderOverrides(expense)}
+            
+            ${!showActions && (expense.revisions || []).length ? `
+              <div style="margin-top: 16px;">
+                <strong>Previous Revisions:</strong>
+                ${expense.revisions.map(r => `
+                  <div class="muted-sm" style="margin-top: 4px;">
+                    Rev ${r.revision} (${r.status.replace('_', ' ')}) — ${Utils.escapeHtml(r.category)}, ${Utils.formatCurrency(r.amount, r.currency)}, ${Utils.formatDate(r.date)}: ${Utils.escapeHtml(r.description)}
+                  </div>
+                `).join('')}
+              </div>
+            ` : ''}
+            
+            ${!showActions ? this.renderHistory(expense) : ''}
           </div>
-          
-          <div class="modal-actions">
-            <button type="button" class="btn ghost" onclick="UI.renderView('my-expenses')">Cancel</button>
-            <button type="submit" class="btn primary">Submit Expense</button>
+        </div>
+        
+        ${showActions ? `
+          <div style="margin-top: 16px; display: flex; gap: 12px;">
+            <button class="btn primary" onclick="UI.approveExpense('${expense.id}')">Approve</button>
+            <button class="btn ghost" onclick="UI.requestChanges('${expense.id}')">Send Back</button>
+            <button class="btn ghost" onclick="UI.rejectExpense('${expense.id}')">Reject</button>
+            <button class="btn ghost" onclick="UI.viewExpense('${expense.id}')">View Details</button>
           </div>
-        </form>
+        ` : ''}
       </div>
     `;
+  },
+  
+  // Remaining budget of the cost center for the period containing `date`
+  renderBudgetNote(costCenterId, date) {
+    const status = CostCenterService.getBudgetStatus(costCenterId, date);
+    if (!status || status.budget == null) return '';
     
-    // Handle OCR file upload
-    document.getElementById('expReceipt').addEventListener('change', async (e) => {
-      const file = e.target.files[0];
-      if (file) {
-        Utils.showLoader();
-        try {
-          const ocrData = await APIService.performOCR(file);
-          document.getElementById('expAmount').value = ocrData.amount;
-          document.getElementById('expDate').value = ocrData.date;
-          document.getElementById('expCategory').value = ocrData.category;
-          document.getElementById('expDescription').value = ocrData.description;
-          document.getElementById('expMerchant').value = ocrData.merchant;
-          Utils.showToast('Receipt scanned successfully!', 'success');
-        } catch (error) {
-          Utils.showToast('OCR failed: ' + error.message, 'error');
-        } finally {
-          Utils.hideLoader();
+    const baseCurrency = AppState.currentCompany.baseCurrency;
+    const { costCenter, period, budget, approved, pending, remaining } = status;
+    
+    return `
+      <p class="muted-sm ${remaining < 0 ? 'budget-over' : ''}">
+        ${remaining < 0 ? '⚠ ' : ''}Budget ${Utils.escapeHtml(costCenter.code)} (${period.label}): 
+        ${remaining < 0 ? 
+          `over by ${Utils.formatCurrency(-remaining, baseCurrency)} of ${Utils.formatCurrency(budget, baseCurrency)}` : 
+          `${Utils.formatCurrency(remaining, baseCurrency)} of ${Utils.formatCurrency(budget, baseCurrency)} left`
         }
-      }
-    });
+        — ${Utils.formatCurrency(approved, baseCurrency)} approved, ${Utils.formatCurrency(pending, baseCurrency)} pending
+      </p>
+    `;
+  },
+  
+  // One budget note per cost center and period the report's lines fall in
+  renderReportBudgets(expenses) {
+    const notes = new Map();
     
-    // Handle form submission
-    document.getElementById('expenseForm').addEventListener('submit', async (e) => {
-      e.preventDefault();
-      
-      const data = {
-        amount: document.getElementById('expAmount').value,
-        currency: document.getElementById('expCurrency').value,
-        category: document.getElementById('expCategory').value,
-        date: document.getElementById('expDate').value,
-        merchant: document.getElementById('expMerchant').value,
-        description: document.getElementById('expDescription').value
-      };
-      
-      try {
-        await ExpenseService.submitExpense(data);
-        this.renderView('my-expenses');
-      } catch (error) {
-        console.error('Error submitting expense:', error);
-      }
+    expenses.filter(e => e.costCenterId && e.status !== 'rejected').forEach(e => {
+      const key = `${e.costCenterId}:${CostCenterService.getBudgetStatus(e.costCenterId, e.date)?.period.start}`;
+      if (!notes.has(key)) notes.set(key, this.renderBudgetNote(e.costCenterId, e.date));
     });
+    
+    return [...notes.values()].join('');
   },
   
-  renderApprovals(container) {
-    const pendingApprovals = ExpenseService.getPendingApprovals();
+  renderApprovalFlow(record, overdue = ExpenseService.isOverdue(record)) {
+    return `
+      <div style="margin-top: 16px;">
+        <strong>Approval Flow:</strong>
+        <div style="margin-top: 8px;">
+          ${record.approvalFlow.map((step, idx) => `
+            <div style="padding: 8px; background: ${idx === record.currentApproverIndex ? (overdue ? '#fee2e2' : '#fef3c7') : step.status === 'approved' ? '#d1fae5' : '#f3f4f6'}; border-radius: 4px; margin-bottom: 8px;">
+              <strong>Step ${step.sequence}:</strong> 
+              ${Utils.escapeHtml(step.approverName || step.ruleName)}
+              ${step.chainLevel ? `<span class="muted-sm">(${Utils.escapeHtml(step.ruleName)}, level ${step.chainLevel})</span>` : ''}
+              ${step.status === 'approved' ? ' ✓' : step.status === 'rejected' ? ' ✗' : step.status === 'overridden' ? ' (Overridden)' : ' (Pending)'}
+              ${step.ruleType ? `<span class="muted-sm">— ${step.approvalCount || 0}/${step.requiredApprovals} approvals</span>` : ''}
+              ${idx === record.currentApproverIndex && record.status === 'pending' ? this.renderDelegationNote(step) : ''}
+              ${idx === record.currentApproverIndex && record.status === 'pending' && ExpenseService.getStepDueAt(step) ? `
+                <div class="muted-sm">${overdue ? 'Overdue since' : 'Due'} ${Utils.formatDate(ExpenseService.getStepDueAt(step))}</div>
+              ` : ''}
+              ${(step.votes || []).length ? `
+                <div class="muted-sm">
+                  ${step.votes.map(v => v.castByName ? 
+                    `${v.action} by ${Utils.escapeHtml(v.castByName)} on behalf of ${Utils.escapeHtml(v.approverName)}` : 
+                    `${v.action} by ${Utils.escapeHtml(v.approverName)}`
+                  ).join(' • ')}
+                </div>
+              ` : ''}
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  },
+  
+  // Audit trail of admin overrides on an expense or report
+  renderOverrides(record) {
+    if (!(record.overrides || []).length) return '';
     
-    container.innerHTML = `
-      <div class="view-header">
-        <h1>Pending Approvals</h1>
-        <span class="badge" style="font-size: 1.2rem;">${pendingApprovals.length}</span>
+    return `
+      <div style="margin-top: 16px;">
+        <strong>Admin Overrides:</strong>
+        ${record.overrides.map(o => `
+          <div style="padding: 8px; background: #fee2e2; border-radius: 4px; margin-top: 8px;">
+            ${Utils.escapeHtml(o.adminName)} overrode to <strong>${o.decision}</strong> on ${Utils.formatDate(o.timestamp)}
+            <div class="muted-sm">Reason: ${Utils.escapeHtml(o.reason)}</div>
+          </div>
+        `).join('')}
       </div>
-      
-      <div class="content-card">
-        ${pendingApprovals.length === 0 ? 
-          '<p class="muted center" style="padding: 40px;">No pending approvals</p>' :
-          pendingApprovals.map(expense => this.renderExpenseCard(expense, true)).join('')
-        }
+    `;
+  },
+  
+  // Override buttons for an admin looking at a pending expense or report; `handler` is the UI method
+  renderOverrideActions(handler, id, label = 'Override') {
+    return `
+      <div style="margin-top: 16px; display: flex; gap: 12px;">
+        <button class="btn ghost" onclick="UI.${handler}('${id}', 'approved')">${label}: Approve</button>
+        <button class="btn ghost" onclick="UI.${handler}('${id}', 'rejected')">${label}: Reject</button>
       </div>
     `;
   },
   
-  renderAllExpenses(container) {
-    const expenses = ExpenseService.getAllExpenses();
+  renderHistory(record) {
+    if (!record.approvals.length) return '';
     
-    container.innerHTML = `
-      <div class="view-header">
-        <h1>All Expenses</h1>
-        <div>
-          <select id="filterStatus" style="padding: 8px; border-radius: 6px; border: 1px solid #e5e7eb;">
-            <option value="all">All Status</option>
-            <option value="pending">Pending</option>
-            <option value="approved">Approved</option>
-            <option value="rejected">Rejected</option>
-          </select>
-        </div>
-      </div>
-      
-      <div class="content-card" id="allExpensesContent">
-        ${this.renderExpenseTable(expenses)}
+    return `
+      <div style="margin-top: 16px;">
+        <strong>History:</strong>
+        ${record.approvals.map(a => `
+          <div class="muted-sm" style="margin-top: 4px;">
+            ${Utils.formatDate(a.timestamp)} — ${a.action.replace('_', ' ')} by ${Utils.escapeHtml(a.approverName)}${a.onBehalfOfName ? ` on behalf of ${Utils.escapeHtml(a.onBehalfOfName)}` : ''}${a.comment ? `: ${Utils.escapeHtml(a.comment)}` : ''}
+          </div>
+        `).join('')}
       </div>
     `;
+  },
+  
+  viewExpense(expenseId) {
+    const expense = AppState.expenses.find(e => e.id === expenseId);
+    if (!expense) return;
     
-    document.getElementById('filterStatus').addEventListener('change', (e) => {
-      const status = e.target.value;
-      const filtered = status === 'all' ? 
-        expenses : 
-        expenses.filter(exp => exp.status === status);
-      document.getElementById('allExpensesContent').innerHTML = this.renderExpenseTable(filtered);
-    });
+    const modal = document.getElementById('genericModal');
+    const content = document.getElementById('genericModalContent');
+    
+    content.innerHTML = this.renderExpenseCard(expense, false);
+    
+    // Expenses in a report are decided with it, so the override applies to the whole report
+    if (AppState.currentUser.role === 'admin' && expense.status === 'pending') {
+      content.innerHTML += expense.reportId ? 
+        this.renderOverrideActions('overrideReport', expense.reportId, 'Override Report') : 
+        this.renderOverrideActions('overrideExpense', expense.id);
+    }
+    
+    document.getElementById('genericModalTitle').textContent = 'Expense Details';
+    document.getElementById('genericModalMessage').textContent = '';
+    document.getElementById('genericModalCancel').style.display = 'none';
+    document.getElementById('genericModalConfirm').textContent = 'Close';
+    document.getElementById('genericModalConfirm').onclick = () => modal.classList.remove('show');
+    
+    modal.classList.add('show');
   },
   
-  renderEmployees(container) {
-    const employees = EmployeeService.getCompanyEmployees();
+  renderReportCard(report, showActions = false) {
+    const overdue = ExpenseService.isOverdue(report);
+    const expenses = ReportService.getExpenses(report);
+    const baseCurrency = AppState.currentCompany.baseCurrency;
+    const canEdit = report.employeeId === AppState.currentUser.id && 
+      ReportService.EDITABLE_STATUSES.includes(report.status);
     
-    container.innerHTML = `
-      <div class="view-header">
-        <h1>Employees</h1>
-        <button class="btn primary" id="btnAddEmployee">+ Add Employee</button>
-      </div>
-      
-      <div class="content-card">
-        <table class="data-table">
-          <thead>
-            <tr>
-              <th>Employee ID</th>
-              <th>Name</th>
-              <th>Email</th>
-              <th>Role</th>
-              <th>Manager</th>
-              <th>Actions</th>
-            </tr>
-          </thead>
-          <tbody>
-            ${employees.map(emp => {
-              const manager = emp.managerId ? 
-                AppState.employees.find(e => e.id === emp.managerId) : 
-                null;
-              return `
-                <tr>
-                  <td>${emp.employeeId || 'N/A'}</td>
-                  <td>${emp.name}</td>
-                  <td>${emp.email}</td>
-                  <td><span class="badge">${emp.role}</span></td>
-                  <td>${manager ? manager.name : '-'}</td>
+    return `
+      <div class="expense-card ${overdue ? 'overdue' : ''}" style="padding: 20px; border: 1px solid #e5e7eb; border-radius: 8px; margin-bottom: 16px;">
+        <div style="display: flex; gap: 12px; align-items: start;">
+          <div style="flex: 1;">
+            <h3>${Utils.escapeHtml(report.title)} - ${Utils.formatCurrency(report.amountInBaseCurrency, baseCurrency)}</h3>
+            <p class="muted-sm">
+              ${Utils.escapeHtml(report.employeeName)}${report.startDate ? ` • ${Utils.formatDate(report.startDate)} – ${Utils.formatDate(report.endDate || report.startDate)}` : ''}
+            </p>
+            ${report.purpose ? `<p style="margin-top: 8px;">${Utils.escapeHtml(report.purpose)}</p>` : ''}
+          </div>
+          <div>
+            ${overdue ? '<span class="badge badge-overdue">Overdue</span>' : ''}
+            <span class="badge badge-${report.status}">${report.status.replace('_', ' ')}</span>
+            ${report.revision > 1 ? `<span class="badge">rev ${report.revision}</span>` : ''}
+          </div>
+        </div>
+        
+        ${expenses.length ? `
+          <table class="data-table report-lines" style="margin-top: 12px;">
+            <tbody>
+              ${expenses.map(exp => `
+                <tr class="${exp.status === 'rejected' ? 'line-rejected' : ''}">
+                  <td>${Utils.formatDate(exp.date)}</td>
                   <td>
-                    <button class="btn btn-sm ghost" onclick="UI.editEmployee('${emp.id}')">Edit</button>
-                    ${emp.role !== 'admin' ? 
-                      `<button class="btn btn-sm ghost" onclick="UI.deleteEmployee('${emp.id}')">Delete</button>` : 
+                    ${Utils.escapeHtml(exp.description || '-')}<br><span class="muted-sm">${Utils.escapeHtml(ExpenseService.getCategories(exp).join(', '))}${exp.costCenterId ? ` • ${Utils.escapeHtml(CostCenterService.describe(exp.costCenterId))}` : ''}</span>
+                    ${(exp.policyViolations || []).map(v => `<br><span class="muted-sm">⚠ ${Utils.escapeHtml(v.message)}</span>`).join('')}
+                  </td>
+                  <td>
+                    ${Utils.formatCurrency(exp.amount, exp.currency)}
+                    ${exp.currency !== baseCurrency ? 
+                      `<br><span class="muted-sm">(${Utils.formatCurrency(exp.amountInBaseCurrency, baseCurrency)})</span>` : 
+                      ''
+                    }
+                  </td>
+                  <td><span class="badge badge-${exp.status}">${exp.status.replace('_', ' ')}</span></td>
+                  <td>
+                    <button class="btn btn-sm ghost" onclick="UI.viewExpense('${exp.id}')">View</button>
+                    ${showActions && exp.status === 'pending' ? 
+                      `<button class="btn btn-sm ghost" onclick="UI.rejectReportLine('${report.id}', '${exp.id}')">Reject Line</button>` : 
                       ''
                     }
+                    ${canEdit && exp.status === 'draft' ? `
+                      <button class="btn btn-sm ghost" onclick="UI.editExpense('${exp.id}')">Edit</button>
+                      <button class="btn btn-sm ghost" onclick="UI.removeReportExpense('${report.id}', '${exp.id}')">Remove</button>
+                    ` : ''}
                   </td>
                 </tr>
-              `;
-            }).join('')}
-          </tbody>
-        </table>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : '<p class="muted-sm" style="margin-top: 12px;">No expenses in this report yet</p>'}
+        
+        ${showActions ? this.renderReportBudgets(expenses) : ''}
+        
+        ${report.approvalFlow.length ? this.renderApprovalFlow(report, overdue) : ''}
+        ${this.renderOverrides(report)}
+        ${!showActions ? this.renderHistory(report) : ''}
+        
+        ${showActions ? `
+          <div style="margin-top: 16px; display: flex; gap: 12px;">
+            <button class="btn primary" onclick="UI.approveReport('${report.id}')">Approve Report</button>
+            <button class="btn ghost" onclick="UI.requestReportChanges('${report.id}')">Send Back</button>
+            <button class="btn ghost" onclick="UI.rejectReport('${report.id}')">Reject Report</button>
+          </div>
+        ` : ''}
       </div>
     `;
-    
-    document.getElementById('btnAddEmployee').addEventListener('click', () => {
-      this.showEmployeeModal();
-    });
   },
   
-  renderApprovalRules(container) {
-    const rules = ApprovalRuleService.getCompanyRules();
+  viewReport(reportId) {
+    const report = AppState.reports.find(r => r.id === reportId);
+    if (!report) return;
     
-    container.innerHTML = `
-      <div class="view-header">
-        <h1>Approval Rules</h1>
-        <button class="btn primary" id="btnAddRule">+ Add Rule</button>
-      </div>
+    const modal = document.getElementById('genericModal');
+    const content = document.getElementById('genericModalContent');
+    
+    content.innerHTML = this.renderReportCard(report, false);
+    
+    if (AppState.currentUser.role === 'admin' && report.status === 'pending') {
+      content.innerHTML += this.renderOverrideActions('overrideReport', report.id);
+    }
+    
+    // Own drafts not yet in any report can be added while the report is editable
+    if (report.employeeId === AppState.currentUser.id && ReportService.EDITABLE_STATUSES.includes(report.status)) {
+      const drafts = ExpenseService.getMyExpenses().filter(e => e.status === 'draft' && !e.reportId);
       
-      <div class="content-card">
-        ${rules.length === 0 ? 
-          '<p class="muted center" style="padding: 40px;">No approval rules configured</p>' :
-          rules.map(rule => `
-            <div class="rule-card" style="padding: 20px; border: 1px solid #e5e7eb; border-radius: 8px; margin-bottom: 16px;">
-              <div style="display: flex; justify-content: space-between; align-items: start;">
-                <div>
-                  <h3>${rule.name}</h3>
-                  <p class="muted-sm">Sequence: ${rule.sequence} | Type: ${rule.type}</p>
-                  <div style="margin-top: 12px;">
-                    <strong>Approvers:</strong>
-                    ${rule.approvers.map(a => `<span class="badge" style="margin: 4px;">${a.approverName}</span>`).join('')}
-                  </div>
-                  ${rule.condition ? `
-                    <p class="muted-sm" style="margin-top: 8px;">
-                      <strong>Condition:</strong> 
-                      ${rule.condition.percentage ? `${rule.condition.percentage}% approval required` : ''}
-                      ${rule.condition.specificApproverId ? `Specific approver: ${rule.approvers.find(a => a.approverId === rule.condition.specificApproverId)?.approverName}` : ''}
-                    </p>
-                  ` : ''}
-                </div>
-                <div>
-                  <button class="btn btn-sm ghost" onclick="UI.editRule('${rule.id}')">Edit</button>
-                  <button class="btn btn-sm ghost" onclick="UI.deleteRule('${rule.id}')">Delete</button>
-                </div>
-              </div>
-            </div>
-          `).join('')
-        }
-      </div>
-    `;
+      content.innerHTML += `
+        <div class="form-group" style="margin-top: 16px;">
+          <label>Add Draft Expense</label>
+          <div style="display: flex; gap: 12px;">
+            <select id="reportAddExpense" style="flex: 1;" ${drafts.length ? '' : 'disabled'}>
+              ${drafts.length ? 
+                drafts.map(e => `<option value="${e.id}">${Utils.formatDate(e.date)} — ${Utils.escapeHtml(e.description || 'Untitled')} (${Utils.formatCurrency(e.amount, e.currency)})</option>`).join('') : 
+                '<option value="">No unassigned drafts</option>'
+              }
+            </select>
+            <button class="btn ghost" onclick="UI.addReportExpense('${report.id}')" ${drafts.length ? '' : 'disabled'}>Add</button>
+          </div>
+        </div>
+      `;
+    }
     
-    document.getElementById('btnAddRule').addEventListener('click', () => {
-      this.showRuleModal();
-    });
+    document.getElementById('genericModalTitle').textContent = 'Expense Report';
+    document.getElementById('genericModalMessage').textContent = '';
+    document.getElementById('genericModalCancel').style.display = 'none';
+    document.getElementById('genericModalConfirm').textContent = 'Close';
+    document.getElementById('genericModalConfirm').onclick = () => modal.classList.remove('show');
+    
+    modal.classList.add('show');
+  },
+  
+  async approveExpense(expenseId) {
+    const comment = prompt('Add a comment (optional):');
+    if (comment === null) return; // User cancelled
+    
+    try {
+      await ExpenseService.approveExpense(expenseId, comment);
+      this.renderView('approvals');
+    } catch (error) {
+      Utils.showToast(error.message, 'error');
+    }
+  },
+  
+  async rejectExpense(expenseId) {
+    const comment = prompt('Reason for rejection (required):');
+    if (!comment) {
+      Utils.showToast('Rejection reason is required', 'error');
+      return;
+    }
+    
+    try {
+      await ExpenseService.rejectExpense(expenseId, comment);
+      this.renderView('approvals');
+    } catch (error) {
+      Utils.showToast(error.message, 'error');
+    }
+  },
+  
+  editExpense(expenseId) {
+    this.renderView('submit-expense', { expenseId });
+  },
+  
+  async withdrawExpense(expenseId) {
+    if (!confirm('Withdraw this expense from approval? You can edit and resubmit it later.')) return;
+    
+    try {
+      await ExpenseService.withdrawExpense(expenseId);
+      this.renderView('my-expenses');
+    } catch (error) {
+      Utils.showToast(error.message, 'error');
+    }
+  },
+  
+  async deleteDraft(expenseId) {
+    if (!confirm('Are you sure you want to delete this draft?')) return;
+    
+    try {
+      await ExpenseService.deleteDraft(expenseId);
+      this.renderView('my-expenses');
+    } catch (error) {
+      Utils.showToast(error.message, 'error');
+    }
+  },
+  
+  async requestChanges(expenseId) {
+    const comment = prompt('What needs to change? (required):');
+    if (!comment) {
+      Utils.showToast('Please describe the changes needed', 'error');
+      return;
+    }
+    
+    try {
+      await ExpenseService.requestChanges(expenseId, comment);
+      this.renderView('approvals');
+    } catch (error) {
+      Utils.showToast(error.message, 'error');
+    }
+  },
+  
+  async dismissDuplicate(expenseId, otherId) {
+    try {
+      await DuplicateService.dismiss(expenseId, otherId);
+      this.renderView('all-expenses');
+    } catch (error) {
+      Utils.showToast(error.message, 'error');
+    }
+  },
+  
+  async overrideExpense(expenseId, decision) {
+    const reason = prompt(`Reason for overriding to "${decision}" (required):`);
+    if (!reason) {
+      Utils.showToast('Override reason is required', 'error');
+      return;
+    }
+    
+    try {
+      await ExpenseService.overrideExpense(expenseId, decision, reason);
+      document.getElementById('genericModal').classList.remove('show');
+      this.renderView('all-expenses');
+    } catch (error) {
+      Utils.showToast(error.message, 'error');
+    }
   },
   
-  renderExpenseTable(expenses) {
-    if (expenses.length === 0) {
-      return '<p class="muted center" style="padding: 40px;">No expenses found</p>';
+  async overrideReport(reportId, decision) {
+    const reason = prompt(`Reason for overriding the report to "${decision}" (required):`);
+    if (!reason) {
+      Utils.showToast('Override reason is required', 'error');
+      return;
     }
     
-    return `
-      <table class="data-table">
-        <thead>
-          <tr>
-            <th>Date</th>
-            <th>Employee</th>
-            <th>Category</th>
-            <th>Amount</th>
-            <th>Status</th>
-            <th>Actions</th>
-          </tr>
-        </thead>
-        <tbody>
-          ${expenses.map(exp => `
-            <tr>
-              <td>${Utils.formatDate(exp.date)}</td>
-              <td>${exp.employeeName}</td>
-              <td>${exp.category}</td>
-              <td>
-                ${Utils.formatCurrency(exp.amount, exp.currency)}
-                ${exp.currency !== AppState.currentCompany.baseCurrency ? 
-                  `<br><span class="muted-sm">(${Utils.formatCurrency(exp.amountInBaseCurrency, AppState.currentCompany.baseCurrency)})</span>` : 
-                  ''
-                }
-              </td>
-              <td><span class="badge badge-${exp.status}">${exp.status}</span></td>
-              <td>
-                <button class="btn btn-sm ghost" onclick="UI.viewExpense('${exp.id}')">View</button>
-              </td>
-            </tr>
-          `).join('')}
-        </tbody>
-      </table>
-    `;
+    try {
+      await ReportService.overrideReport(reportId, decision, reason);
+      document.getElementById('genericModal').classList.remove('show');
+      this.renderView('all-expenses');
+    } catch (error) {
+      Utils.showToast(error.message, 'error');
+    }
   },
   
-  renderExpenseCard(expense, showActions = false) {
-    return `
-      <div class="expense-card" style="padding: 20px; border: 1px solid #e5e7eb; border-radius: 8px; margin-bottom: 16px;">
-        <div style="display: flex; justify-content: space-between;">
-          <div style="flex: 1;">
-            <div style="display: flex; gap: 12px; align-items: start;">
-              <div style="flex: 1;">
-                <h3>${expense.category} - ${Utils.formatCurrency(expense.amountInBaseCurrency, AppState.currentCompany.baseCurrency)}</h3>
-                <p class="muted-sm">${expense.employeeName} • ${Utils.formatDate(expense.date)}</p>
-                <p style="margin-top: 8px;">${expense.description}</p>
-                ${expense.merchant ? `<p class="muted-sm">Merchant: ${expense.merchant}</p>` : ''}
-              </div>
-              <span class="badge badge-${expense.status}">${expense.status}</span>
-            </div>
-            
-            <div style="margin-top: 16px;">
-              <strong>Approval Flow:</strong>
-              <div style="margin-top: 8px;">
-                ${expense.approvalFlow.map((step, idx) => `
-                  <div style="padding: 8px; background: ${idx === expense.currentApproverIndex ? '#fef3c7' : step.status === 'approved' ? '#d1fae5' : '#f3f4f6'}; border-radius: 4px; margin-bottom: 8px;">
-                    <strong>Step ${step.sequence}:</strong> 
-                    ${step.approverName || step.ruleName}
-                    ${step.status === 'approved' ? ' ✓' : step.status === 'rejected' ? ' ✗' : ' (Pending)'}
-                  </div>
-                `).join('')}
-              </div>
-            </div>
-          </div>
+  showReportModal(reportId = null) {
+    const report = reportId ? AppState.reports.find(r => r.id === reportId) : null;
+    
+    const modal = document.getElementById('genericModal');
+    const content = document.getElementById('genericModalContent');
+    
+    content.innerHTML = `
+      <form id="reportForm">
+        <div class="form-group">
+          <label>Title *</label>
+          <input type="text" id="rptTitle" value="${Utils.escapeHtml(report?.title)}" placeholder="e.g., Berlin client visit" required>
         </div>
         
-        ${showActions ? `
-          <div style="margin-top: 16px; display: flex; gap: 12px;">
-            <button class="btn primary" onclick="UI.approveExpense('${expense.id}')">Approve</button>
-            <button class="btn ghost" onclick="UI.rejectExpense('${expense.id}')">Reject</button>
-            <button class="btn ghost" onclick="UI.viewExpense('${expense.id}')">View Details</button>
+        <div class="form-group">
+          <label>Business Purpose</label>
+          <textarea id="rptPurpose" rows="3">${Utils.escapeHtml(report?.purpose)}</textarea>
+        </div>
+        
+        <div style="display: flex; gap: 12px;">
+          <div class="form-group" style="flex: 1;">
+            <label>From</label>
+            <input type="date" id="rptStart" value="${report?.startDate || ''}">
           </div>
-        ` : ''}
-      </div>
+          <div class="form-group" style="flex: 1;">
+            <label>To</label>
+            <input type="date" id="rptEnd" value="${report?.endDate || ''}">
+          </div>
+        </div>
+      </form>
     `;
+    
+    document.getElementById('genericModalTitle').textContent = report ? 'Edit Report' : 'New Report';
+    document.getElementById('genericModalMessage').textContent = '';
+    document.getElementById('genericModalCancel').style.display = 'inline-block';
+    document.getElementById('genericModalConfirm').textContent = 'Save';
+    
+    modal.classList.add('show');
+    
+    document.getElementById('genericModalConfirm').onclick = async () => {
+      const data = {
+        title: document.getElementById('rptTitle').value.trim(),
+        purpose: document.getElementById('rptPurpose').value.trim(),
+        startDate: document.getElementById('rptStart').value,
+        endDate: document.getElementById('rptEnd').value
+      };
+      
+      try {
+        const saved = report ? 
+          await ReportService.updateReport(reportId, data) : 
+          await ReportService.createReport(data);
+        modal.classList.remove('show');
+        await this.renderView('reports');
+        if (!report) this.viewReport(saved.id);
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    };
   },
   
-  viewExpense(expenseId) {
-    const expense = AppState.expenses.find(e => e.id === expenseId);
-    if (!expense) return;
+  async addReportExpense(reportId) {
+    const expenseId = document.getElementById('reportAddExpense')?.value;
+    if (!expenseId) return;
     
-    const modal = document.getElementById('genericModal');
-    const content = document.getElementById('genericModalContent');
+    try {
+      await ReportService.addExpense(reportId, expenseId);
+      await this.renderView('reports');
+      this.viewReport(reportId);
+    } catch (error) {
+      Utils.showToast(error.message, 'error');
+    }
+  },
+  
+  async removeReportExpense(reportId, expenseId) {
+    try {
+      await ReportService.removeExpense(reportId, expenseId);
+      await this.renderView('reports');
+      this.viewReport(reportId);
+    } catch (error) {
+      Utils.showToast(error.message, 'error');
+    }
+  },
+  
+  async submitReport(reportId) {
+    const report = AppState.reports.find(r => r.id === reportId);
+    const expenses = report ? ReportService.getExpenses(report).filter(e => e.status !== 'rejected') : [];
+    if (!expenses.every(expense => this.confirmDuplicates(expense))) return;
     
-    content.innerHTML = this.renderExpenseCard(expense, false);
+    try {
+      await ReportService.submitReport(reportId);
+      this.renderView('reports');
+    } catch (error) {
+      Utils.showToast(error.message, 'error');
+    }
+  },
+  
+  async withdrawReport(reportId) {
+    if (!confirm('Withdraw this report from approval? Its expenses return to drafts you can edit.')) return;
     
-    document.getElementById('genericModalTitle').textContent = 'Expense Details';
-    document.getElementById('genericModalMessage').textContent = '';
-    document.getElementById('genericModalCancel').style.display = 'none';
-    document.getElementById('genericModalConfirm').textContent = 'Close';
+    try {
+      await ReportService.withdrawReport(reportId);
+      this.renderView('reports');
+    } catch (error) {
+      Utils.showToast(error.message, 'error');
+    }
+  },
+  
+  async deleteReport(reportId) {
+    if (!confirm('Delete this report? Its expenses are kept as drafts.')) return;
     
-    modal.classList.add('show');
+    try {
+      await ReportService.deleteReport(reportId);
+      this.renderView('reports');
+    } catch (error) {
+      Utils.showToast(error.message, 'error');
+    }
   },
   
-  approveExpense(expenseId) {
+  async approveReport(reportId) {
     const comment = prompt('Add a comment (optional):');
     if (comment === null) return; // User cancelled
     
     try {
-      ExpenseService.approveExpense(expenseId, comment);
+      await ReportService.approveReport(reportId, comment);
       this.renderView('approvals');
     } catch (error) {
       Utils.showToast(error.message, 'error');
     }
   },
   
-  rejectExpense(expenseId) {
-    const comment = prompt('Reason for rejection (required):');
+  async rejectReport(reportId) {
+    const comment = prompt('Reason for rejecting the whole report (required):');
+    if (!comment) {
+      Utils.showToast('Rejection reason is required', 'error');
+      return;
+    }
+    
+    try {
+      await ReportService.rejectReport(reportId, comment);
+      this.renderView('approvals');
+    } catch (error) {
+      Utils.showToast(error.message, 'error');
+    }
+  },
+  
+  async requestReportChanges(reportId) {
+    const comment = prompt('What needs to change? (required):');
+    if (!comment) {
+      Utils.showToast('Please describe the changes needed', 'error');
+      return;
+    }
+    
+    try {
+      await ReportService.requestChanges(reportId, comment);
+      this.renderView('approvals');
+    } catch (error) {
+      Utils.showToast(error.message, 'error');
+    }
+  },
+  
+  async rejectReportLine(reportId, expenseId) {
+    const comment = prompt('Reason for rejecting this line (required):');
     if (!comment) {
       Utils.showToast('Rejection reason is required', 'error');
       return;
     }
     
     try {
-      ExpenseService.rejectExpense(expenseId, comment);
+      await ReportService.rejectLine(reportId, expenseId, comment);
       this.renderView('approvals');
     } catch (error) {
       Utils.showToast(error.message, 'error');
@@ -1211,22 +9202,23 @@ const UI = {
       <form id="employeeForm">
         <div class="form-group">
           <label>Employee ID *</label>
-          <input type="text" id="empId" value="${employee?.employeeId || ''}" required>
+          <input type="text" id="empId" value="${Utils.escapeHtml(employee?.employeeId)}" required>
         </div>
         
         <div class="form-group">
           <label>Full Name *</label>
-          <input type="text" id="empName" value="${employee?.name || ''}" required>
+          <input type="text" id="empName" value="${Utils.escapeHtml(employee?.name)}" required>
         </div>
         
         <div class="form-group">
           <label>Email *</label>
-          <input type="email" id="empEmail" value="${employee?.email || ''}" required>
+          <input type="email" id="empEmail" value="${Utils.escapeHtml(employee?.email)}" required>
         </div>
         
         <div class="form-group">
           <label>Password ${employee ? '(leave blank to keep current)' : '*'}</label>
           <input type="password" id="empPassword" ${employee ? '' : 'required'}>
+          ${employee?.id === AppState.currentUser.id ? '' : '<p class="muted-sm">One-time: the employee chooses their own when they next sign in.</p>'}
         </div>
         
         <div class="form-group">
@@ -1242,7 +9234,7 @@ const UI = {
           <select id="empManager">
             <option value="">None</option>
             ${managers.filter(m => m.id !== employeeId).map(m => 
-              `<option value="${m.id}" ${employee?.managerId === m.id ? 'selected' : ''}>${m.name}</option>`
+              `<option value="${m.id}" ${employee?.managerId === m.id ? 'selected' : ''}>${Utils.escapeHtml(m.name)}</option>`
             ).join('')}
           </select>
         </div>
@@ -1253,6 +9245,33 @@ const UI = {
             Manager must approve expenses
           </label>
         </div>
+        
+        <div style="display: flex; gap: 12px;">
+          <div class="form-group" style="flex: 1;">
+            <label>Department</label>
+            <select id="empDepartment">
+              <option value="">None</option>
+              ${DepartmentService.getCompanyDepartments().map(d => 
+                `<option value="${d.id}" ${employee?.departmentId === d.id ? 'selected' : ''}>${Utils.escapeHtml(d.name)}</option>`
+              ).join('')}
+            </select>
+          </div>
+          <div class="form-group" style="flex: 1;">
+            <label>Default Cost Center</label>
+            <select id="empCostCenter">
+              <option value="">None</option>
+              ${CostCenterService.getActiveCostCenters().map(c => 
+                `<option value="${c.id}" ${employee?.costCenterId === c.id ? 'selected' : ''}>${Utils.escapeHtml(`${c.code} ${c.name}`)}</option>`
+              ).join('')}
+            </select>
+          </div>
+        </div>
+        
+        <div class="form-group">
+          <label>Signing Limit (${AppState.currentCompany.baseCurrency})</label>
+          <input type="number" id="empSigningLimit" step="0.01" min="0" value="${employee?.signingLimit ?? ''}" placeholder="No signing authority">
+          <p class="muted-sm">Manager chain rules stop at the first manager whose limit covers the amount.</p>
+        </div>
       </form>
     `;
     
@@ -1263,7 +9282,7 @@ const UI = {
     
     modal.classList.add('show');
     
-    document.getElementById('genericModalConfirm').onclick = () => {
+    document.getElementById('genericModalConfirm').onclick = async () => {
       const data = {
         employeeId: document.getElementById('empId').value,
         name: document.getElementById('empName').value,
@@ -1271,14 +9290,21 @@ const UI = {
         password: document.getElementById('empPassword').value,
         role: document.getElementById('empRole').value,
         managerId: document.getElementById('empManager').value || null,
-        isManagerApprover: document.getElementById('empIsManagerApprover').checked
+        isManagerApprover: document.getElementById('empIsManagerApprover').checked,
+        departmentId: document.getElementById('empDepartment').value || null,
+        costCenterId: document.getElementById('empCostCenter').value || null,
+        signingLimit: document.getElementById('empSigningLimit').value === '' ? 
+          null : 
+          parseFloat(document.getElementById('empSigningLimit').value)
       };
       
       try {
         if (employee) {
-          EmployeeService.updateEmployee(employeeId, data);
+          // Blank password keeps the current one
+          if (!data.password) delete data.password;
+          await EmployeeService.updateEmployee(employeeId, data);
         } else {
-          EmployeeService.createEmployee(data);
+          await EmployeeService.createEmployee(data);
         }
         modal.classList.remove('show');
         this.renderView('employees');
@@ -1292,10 +9318,10 @@ const UI = {
     this.showEmployeeModal(employeeId);
   },
   
-  deleteEmployee(employeeId) {
+  async deleteEmployee(employeeId) {
     if (confirm('Are you sure you want to delete this employee?')) {
       try {
-        EmployeeService.deleteEmployee(employeeId);
+        await EmployeeService.deleteEmployee(employeeId);
         this.renderView('employees');
       } catch (error) {
         Utils.showToast(error.message, 'error');
@@ -1306,6 +9332,7 @@ const UI = {
   showRuleModal(ruleId = null) {
     const rule = ruleId ? AppState.approvalRules.find(r => r.id === ruleId) : null;
     const employees = EmployeeService.getCompanyEmployees();
+    const criteria = rule?.criteria || {};
     
     const modal = document.getElementById('genericModal');
     const content = document.getElementById('genericModalContent');
@@ -1314,7 +9341,7 @@ const UI = {
       <form id="ruleForm">
         <div class="form-group">
           <label>Rule Name *</label>
-          <input type="text" id="ruleName" value="${rule?.name || ''}" required>
+          <input type="text" id="ruleName" value="${Utils.escapeHtml(rule?.name)}" required>
         </div>
         
         <div class="form-group">
@@ -1329,14 +9356,30 @@ const UI = {
             <option value="percentage" ${rule?.type === 'percentage' ? 'selected' : ''}>Percentage Based</option>
             <option value="specific" ${rule?.type === 'specific' ? 'selected' : ''}>Specific Approver</option>
             <option value="hybrid" ${rule?.type === 'hybrid' ? 'selected' : ''}>Hybrid (Percentage OR Specific)</option>
+            <option value="manager_chain" ${rule?.type === 'manager_chain' ? 'selected' : ''}>Manager Chain (walk up reporting lines)</option>
           </select>
         </div>
         
-        <div class="form-group">
+        <div id="chainCondition" style="display: none; gap: 12px;">
+          <div class="form-group" style="flex: 2;">
+            <label>Go Up *</label>
+            <select id="ruleChainMode">
+              ${Object.entries(ApprovalRuleService.CHAIN_MODES).map(([value, label]) => 
+                `<option value="${value}" ${rule?.chain?.mode === value ? 'selected' : ''}>${label}</option>`
+              ).join('')}
+            </select>
+          </div>
+          <div class="form-group" style="flex: 1;" id="chainDepthGroup">
+            <label>Levels *</label>
+            <input type="number" id="ruleChainDepth" min="1" value="${rule?.chain?.depth || 2}">
+          </div>
+        </div>
+        
+        <div class="form-group" id="approversGroup">
           <label>Approvers *</label>
           <select id="ruleApprovers" multiple style="height: 120px;">
             ${employees.filter(e => e.role === 'manager' || e.role === 'admin').map(e => 
-              `<option value="${e.id}" ${rule?.approvers?.some(a => a.approverId === e.id) ? 'selected' : ''}>${e.name}</option>`
+              `<option value="${e.id}" ${rule?.approvers?.some(a => a.approverId === e.id) ? 'selected' : ''}>${Utils.escapeHtml(e.name)}</option>`
             ).join('')}
           </select>
           <p class="muted-sm">Hold Ctrl/Cmd to select multiple</p>
@@ -1352,10 +9395,81 @@ const UI = {
           <select id="ruleSpecificApprover">
             <option value="">Select approver</option>
             ${employees.filter(e => e.role === 'manager' || e.role === 'admin').map(e => 
-              `<option value="${e.id}" ${rule?.condition?.specificApproverId === e.id ? 'selected' : ''}>${e.name}</option>`
+              `<option value="${e.id}" ${rule?.condition?.specificApproverId === e.id ? 'selected' : ''}>${Utils.escapeHtml(e.name)}</option>`
+            ).join('')}
+          </select>
+        </div>
+        
+        <h4 style="margin: 20px 0 8px;">Service Level</h4>
+        
+        <div style="display: flex; gap: 12px;">
+          <div class="form-group" style="flex: 1;">
+            <label>SLA (hours)</label>
+            <input type="number" id="ruleSlaHours" min="1" value="${rule?.slaHours || ''}" placeholder="No SLA">
+          </div>
+          <div class="form-group" style="flex: 1;">
+            <label>Escalate After (hours)</label>
+            <input type="number" id="ruleEscalationHours" min="1" value="${rule?.escalationHours || ''}" placeholder="Never">
+          </div>
+        </div>
+        
+        <div class="form-group">
+          <label>Escalate To</label>
+          <select id="ruleEscalationFallback">
+            <option value="">Approver's manager</option>
+            ${employees.filter(e => e.role === 'manager' || e.role === 'admin').map(e => 
+              `<option value="${e.id}" ${rule?.escalationFallbackId === e.id ? 'selected' : ''}>${Utils.escapeHtml(e.name)}</option>`
+            ).join('')}
+          </select>
+        </div>
+        
+        <h4 style="margin: 20px 0 8px;">Applies When (leave blank for all expenses)</h4>
+        
+        <div style="display: flex; gap: 12px;">
+          <div class="form-group" style="flex: 1;">
+            <label>Min Amount (${AppState.currentCompany.baseCurrency})</label>
+            <input type="number" id="ruleMinAmount" step="0.01" min="0" value="${criteria.minAmount ?? ''}">
+          </div>
+          <div class="form-group" style="flex: 1;">
+            <label>Max Amount (${AppState.currentCompany.baseCurrency})</label>
+            <input type="number" id="ruleMaxAmount" step="0.01" min="0" value="${criteria.maxAmount ?? ''}">
+          </div>
+        </div>
+        
+        <div class="form-group">
+          <label>Categories</label>
+          <select id="ruleCategories" multiple style="height: 100px;">
+            ${EXPENSE_CATEGORIES.map(c => 
+              `<option value="${c}" ${criteria.categories?.includes(c) ? 'selected' : ''}>${c}</option>`
+            ).join('')}
+          </select>
+        </div>
+        
+        <div class="form-group">
+          <label>Submitter Role</label>
+          <select id="ruleSubmitterRoles" multiple style="height: 80px;">
+            ${['employee', 'manager', 'admin'].map(r => 
+              `<option value="${r}" ${criteria.submitterRoles?.includes(r) ? 'selected' : ''}>${r}</option>`
+            ).join('')}
+          </select>
+        </div>
+        
+        <div class="form-group">
+          <label>Submitter's Manager</label>
+          <select id="ruleManagerIds" multiple style="height: 100px;">
+            ${employees.filter(e => e.role === 'manager' || e.role === 'admin').map(e => 
+              `<option value="${e.id}" ${criteria.managerIds?.includes(e.id) ? 'selected' : ''}>${Utils.escapeHtml(e.name)}</option>`
             ).join('')}
           </select>
         </div>
+        
+        <div class="form-group">
+          <label>Original Currency</label>
+          <select id="ruleCurrencies" multiple style="height: 100px;">
+            ${this.renderCurrencyOptions(criteria.currencies || [])}
+          </select>
+          <p class="muted-sm">Hold Ctrl/Cmd to select multiple</p>
+        </div>
       </form>
     `;
     
@@ -1374,11 +9488,16 @@ const UI = {
         (type === 'percentage' || type === 'hybrid') ? 'block' : 'none';
       document.getElementById('specificCondition').style.display = 
         (type === 'specific' || type === 'hybrid') ? 'block' : 'none';
+      document.getElementById('chainCondition').style.display = type === 'manager_chain' ? 'flex' : 'none';
+      document.getElementById('approversGroup').style.display = type === 'manager_chain' ? 'none' : 'block';
+      document.getElementById('chainDepthGroup').style.display = 
+        document.getElementById('ruleChainMode').value === 'depth' ? 'block' : 'none';
     };
     ruleTypeSelect.addEventListener('change', updateConditionFields);
+    document.getElementById('ruleChainMode').addEventListener('change', updateConditionFields);
     updateConditionFields();
     
-    document.getElementById('genericModalConfirm').onclick = () => {
+    document.getElementById('genericModalConfirm').onclick = async () => {
       const selectedApprovers = Array.from(document.getElementById('ruleApprovers').selectedOptions);
       const type = document.getElementById('ruleType').value;
       
@@ -1390,9 +9509,20 @@ const UI = {
           approverId: opt.value,
           approverName: opt.text
         })),
-        condition: null
+        condition: null,
+        chain: null,
+        criteria: this.readRuleCriteria(),
+        slaHours: parseInt(document.getElementById('ruleSlaHours').value) || null,
+        escalationHours: parseInt(document.getElementById('ruleEscalationHours').value) || null,
+        escalationFallbackId: document.getElementById('ruleEscalationFallback').value || null
       };
       
+      if (data.criteria?.minAmount != null && data.criteria?.maxAmount != null &&
+          data.criteria.minAmount > data.criteria.maxAmount) {
+        Utils.showToast('Min amount cannot be greater than max amount', 'error');
+        return;
+      }
+      
       // Set condition based on type
       if (type === 'percentage') {
         data.condition = {
@@ -1408,13 +9538,20 @@ const UI = {
           percentage: parseInt(document.getElementById('rulePercentage').value),
           specificApproverId: document.getElementById('ruleSpecificApprover').value
         };
+      } else if (type === 'manager_chain') {
+        const mode = document.getElementById('ruleChainMode').value;
+        data.approvers = [];
+        data.chain = {
+          mode,
+          depth: mode === 'depth' ? parseInt(document.getElementById('ruleChainDepth').value) : null
+        };
       }
       
       try {
         if (rule) {
-          ApprovalRuleService.updateRule(ruleId, data);
+          await ApprovalRuleService.updateRule(ruleId, data);
         } else {
-          ApprovalRuleService.createRule(data);
+          await ApprovalRuleService.createRule(data);
         }
         modal.classList.remove('show');
         this.renderView('approval-rules');
@@ -1424,14 +9561,34 @@ const UI = {
     };
   },
   
+  readRuleCriteria() {
+    const selected = (id) => Array.from(document.getElementById(id).selectedOptions).map(opt => opt.value);
+    const amount = (id) => {
+      const value = document.getElementById(id).value;
+      return value === '' ? null : parseFloat(value);
+    };
+    
+    const criteria = {
+      minAmount: amount('ruleMinAmount'),
+      maxAmount: amount('ruleMaxAmount'),
+      categories: selected('ruleCategories'),
+      submitterRoles: selected('ruleSubmitterRoles'),
+      managerIds: selected('ruleManagerIds'),
+      currencies: selected('ruleCurrencies')
+    };
+    
+    const isEmpty = Object.values(criteria).every(v => v == null || (Array.isArray(v) && v.length === 0));
+    return isEmpty ? null : criteria;
+  },
+  
   editRule(ruleId) {
     this.showRuleModal(ruleId);
   },
   
-  deleteRule(ruleId) {
+  async deleteRule(ruleId) {
     if (confirm('Are you sure you want to delete this approval rule?')) {
       try {
-        ApprovalRuleService.deleteRule(ruleId);
+        await ApprovalRuleService.deleteRule(ruleId);
         this.renderView('approval-rules');
       } catch (error) {
         Utils.showToast(error.message, 'error');
@@ -1439,6 +9596,57 @@ const UI = {
     }
   },
   
+  // Shown after signing in with a one-time password; the app opens once it is replaced
+  showChangePasswordModal() {
+    const modal = document.getElementById('genericModal');
+    const content = document.getElementById('genericModalContent');
+    const confirmButton = document.getElementById('genericModalConfirm');
+    
+    content.innerHTML = `
+      <form id="changePasswordForm">
+        <p class="muted-sm">Your password was set by an admin and only works once. Choose your own to continue.</p>
+        
+        <div class="form-group">
+          <label>Current Password *</label>
+          <input type="password" id="cpCurrent" required>
+        </div>
+        
+        <div class="form-group">
+          <label>New Password * (at least 6 characters)</label>
+          <input type="password" id="cpNew" required>
+        </div>
+        
+        <div class="form-group">
+          <label>Confirm New Password *</label>
+          <input type="password" id="cpConfirm" required>
+        </div>
+      </form>
+    `;
+    
+    document.getElementById('genericModalTitle').textContent = 'Set Your Password';
+    document.getElementById('genericModalMessage').textContent = '';
+    document.getElementById('genericModalCancel').style.display = 'none';
+    confirmButton.textContent = 'Save Password';
+    
+    modal.classList.add('show');
+    
+    confirmButton.onclick = async () => {
+      const newPassword = document.getElementById('cpNew').value;
+      if (newPassword !== document.getElementById('cpConfirm').value) {
+        Utils.showToast('The new passwords do not match', 'error');
+        return;
+      }
+      
+      try {
+        await AuthService.changePassword(document.getElementById('cpCurrent').value, newPassword);
+        modal.classList.remove('show');
+        this.showApp();
+      } catch (error) {
+        Utils.showToast(error.message, 'error');
+      }
+    };
+  },
+  
   showLanding() {
     document.getElementById('landingPage').classList.remove('hidden');
     document.getElementById('appRoot').classList.add('hidden');
@@ -1457,23 +9665,35 @@ const UI = {
 // ============================================================================
 
 async function initializeApp() {
-  // Load currencies
+  // Load saved data and the bundled country/currency list
   Utils.showLoader();
-  AppState.currencies = await APIService.fetchCountries();
+  await StorageService.load();
+  AppState.currencies = await ReferenceDataService.load();
   Utils.hideLoader();
   
-  // Populate country dropdown
-  const signupCountry = document.getElementById('signupCountry');
-  if (signupCountry) {
-    signupCountry.innerHTML = AppState.currencies.map(c => 
-      `<option value="${c.name}">${c.name} (${c.currency})</option>`
-    ).join('');
-  }
+  populateCountries();
+  
+  // Pick up renamed countries or new currencies when online, without holding up startup
+  ReferenceDataService.refresh().then(updated => {
+    if (!updated) return;
+    AppState.currencies = ReferenceDataService.getCountries();
+    populateCountries();
+  });
   
   // Setup event listeners
   setupEventListeners();
 }
 
+function populateCountries() {
+  const signupCountry = document.getElementById('signupCountry');
+  if (!signupCountry) return;
+  
+  const current = signupCountry.value;
+  signupCountry.innerHTML = AppState.currencies.map(c => 
+    `<option value="${c.name}" ${c.name === current ? 'selected' : ''}>${c.name} (${c.currency})</option>`
+  ).join('');
+}
+
 function setupEventListeners() {
   // Landing page buttons
   document.getElementById('btnSignIn').addEventListener('click', () => {
@@ -1578,7 +9798,11 @@ function setupEventListeners() {
       }
       
       document.getElementById('authModal').classList.remove('show');
-      UI.showApp();
+      if (AppState.currentUser.mustChangePassword) {
+        UI.showChangePasswordModal();
+      } else {
+        UI.showApp();
+      }
     } catch (error) {
       console.error('Signin error:', error);
     }
@@ -0,0 +1,420 @@
+// ISO 3166-1 countries and ISO 4217 currencies, bundled so the app works without network access.
+// Currency names, symbols and minor units follow ISO 4217 / Unicode CLDR; country currency assignments
+// are derived from mledoze/world-countries (ODbL). ReferenceDataService may refresh country names online.
+const REFERENCE_DATA = {
+  version: '2026-10',
+  
+  // code: { name, symbol, minorUnits }
+  currencies: {
+    AED: { name: 'United Arab Emirates Dirham', symbol: 'د.إ', minorUnits: 2 },
+    AFN: { name: 'Afghan Afghani', symbol: '؋', minorUnits: 2 },
+    ALL: { name: 'Albanian Lek', symbol: 'L', minorUnits: 2 },
+    AMD: { name: 'Armenian Dram', symbol: '֏', minorUnits: 2 },
+    ANG: { name: 'Netherlands Antillean Guilder', symbol: 'ƒ', minorUnits: 2 },
+    AOA: { name: 'Angolan Kwanza', symbol: 'Kz', minorUnits: 2 },
+    ARS: { name: 'Argentine Peso', symbol: '$', minorUnits: 2 },
+    AUD: { name: 'Australian Dollar', symbol: '$', minorUnits: 2 },
+    AWG: { name: 'Aruban Florin', symbol: 'ƒ', minorUnits: 2 },
+    AZN: { name: 'Azerbaijani Manat', symbol: '₼', minorUnits: 2 },
+    BAM: { name: 'Bosnia-Herzegovina Convertible Mark', symbol: 'KM', minorUnits: 2 },
+    BBD: { name: 'Barbadian Dollar', symbol: '$', minorUnits: 2 },
+    BDT: { name: 'Bangladeshi Taka', symbol: '৳', minorUnits: 2 },
+    BGN: { name: 'Bulgarian Lev', symbol: 'лв', minorUnits: 2 },
+    BHD: { name: 'Bahraini Dinar', symbol: '.د.ب', minorUnits: 3 },
+    BIF: { name: 'Burundian Franc', symbol: 'Fr', minorUnits: 0 },
+    BMD: { name: 'Bermudan Dollar', symbol: '$', minorUnits: 2 },
+    BND: { name: 'Brunei Dollar', symbol: '$', minorUnits: 2 },
+    BOB: { name: 'Bolivian Boliviano', symbol: 'Bs', minorUnits: 2 },
+    BRL: { name: 'Brazilian Real', symbol: 'R$', minorUnits: 2 },
+    BSD: { name: 'Bahamian Dollar', symbol: '$', minorUnits: 2 },
+    BTN: { name: 'Bhutanese Ngultrum', symbol: 'Nu.', minorUnits: 2 },
+    BWP: { name: 'Botswanan Pula', symbol: 'P', minorUnits: 2 },
+    BYN: { name: 'Belarusian Ruble', symbol: 'Br', minorUnits: 2 },
+    BZD: { name: 'Belize Dollar', symbol: '$', minorUnits: 2 },
+    CAD: { name: 'Canadian Dollar', symbol: '$', minorUnits: 2 },
+    CDF: { name: 'Congolese Franc', symbol: 'FC', minorUnits: 2 },
+    CHF: { name: 'Swiss Franc', symbol: 'Fr.', minorUnits: 2 },
+    CLP: { name: 'Chilean Peso', symbol: '$', minorUnits: 0 },
+    CNY: { name: 'Chinese Yuan', symbol: '¥', minorUnits: 2 },
+    COP: { name: 'Colombian Peso', symbol: '$', minorUnits: 2 },
+    CRC: { name: 'Costa Rican Colón', symbol: '₡', minorUnits: 2 },
+    CUC: { name: 'Cuban Convertible Peso', symbol: '$', minorUnits: 2 },
+    CUP: { name: 'Cuban Peso', symbol: '$', minorUnits: 2 },
+    CVE: { name: 'Cape Verdean Escudo', symbol: 'Esc', minorUnits: 2 },
+    CZK: { name: 'Czech Koruna', symbol: 'Kč', minorUnits: 2 },
+    DJF: { name: 'Djiboutian Franc', symbol: 'Fr', minorUnits: 0 },
+    DKK: { name: 'Danish Krone', symbol: 'kr', minorUnits: 2 },
+    DOP: { name: 'Dominican Peso', symbol: '$', minorUnits: 2 },
+    DZD: { name: 'Algerian Dinar', symbol: 'د.ج', minorUnits: 2 },
+    EGP: { name: 'Egyptian Pound', symbol: 'E£', minorUnits: 2 },
+    ERN: { name: 'Eritrean Nakfa', symbol: 'Nfk', minorUnits: 2 },
+    ETB: { name: 'Ethiopian Birr', symbol: 'Br', minorUnits: 2 },
+    EUR: { name: 'Euro', symbol: '€', minorUnits: 2 },
+    FJD: { name: 'Fijian Dollar', symbol: '$', minorUnits: 2 },
+    FKP: { name: 'Falkland Islands Pound', symbol: '£', minorUnits: 2 },
+    GBP: { name: 'British Pound', symbol: '£', minorUnits: 2 },
+    GEL: { name: 'Georgian Lari', symbol: '₾', minorUnits: 2 },
+    GHS: { name: 'Ghanaian Cedi', symbol: 'GH₵', minorUnits: 2 },
+    GIP: { name: 'Gibraltar Pound', symbol: '£', minorUnits: 2 },
+    GMD: { name: 'Gambian Dalasi', symbol: 'D', minorUnits: 2 },
+    GNF: { name: 'Guinean Franc', symbol: 'FG', minorUnits: 0 },
+    GTQ: { name: 'Guatemalan Quetzal', symbol: 'Q', minorUnits: 2 },
+    GYD: { name: 'Guyanaese Dollar', symbol: '$', minorUnits: 2 },
+    HKD: { name: 'Hong Kong Dollar', symbol: '$', minorUnits: 2 },
+    HNL: { name: 'Honduran Lempira', symbol: 'L', minorUnits: 2 },
+    HTG: { name: 'Haitian Gourde', symbol: 'G', minorUnits: 2 },
+    HUF: { name: 'Hungarian Forint', symbol: 'Ft', minorUnits: 2 },
+    IDR: { name: 'Indonesian Rupiah', symbol: 'Rp', minorUnits: 2 },
+    ILS: { name: 'Israeli New Shekel', symbol: '₪', minorUnits: 2 },
+    INR: { name: 'Indian Rupee', symbol: '₹', minorUnits: 2 },
+    IQD: { name: 'Iraqi Dinar', symbol: 'ع.د', minorUnits: 3 },
+    IRR: { name: 'Iranian Rial', symbol: '﷼', minorUnits: 2 },
+    ISK: { name: 'Icelandic Króna', symbol: 'kr', minorUnits: 0 },
+    JMD: { name: 'Jamaican Dollar', symbol: '$', minorUnits: 2 },
+    JOD: { name: 'Jordanian Dinar', symbol: 'د.ا', minorUnits: 3 },
+    JPY: { name: 'Japanese Yen', symbol: '¥', minorUnits: 0 },
+    KES: { name: 'Kenyan Shilling', symbol: 'Sh', minorUnits: 2 },
+    KGS: { name: 'Kyrgystani Som', symbol: '⃀', minorUnits: 2 },
+    KHR: { name: 'Cambodian Riel', symbol: '៛', minorUnits: 2 },
+    KMF: { name: 'Comorian Franc', symbol: 'CF', minorUnits: 0 },
+    KPW: { name: 'North Korean Won', symbol: '₩', minorUnits: 2 },
+    KRW: { name: 'South Korean Won', symbol: '₩', minorUnits: 0 },
+    KWD: { name: 'Kuwaiti Dinar', symbol: 'د.ك', minorUnits: 3 },
+    KYD: { name: 'Cayman Islands Dollar', symbol: '$', minorUnits: 2 },
+    KZT: { name: 'Kazakhstani Tenge', symbol: '₸', minorUnits: 2 },
+    LAK: { name: 'Laotian Kip', symbol: '₭', minorUnits: 2 },
+    LBP: { name: 'Lebanese Pound', symbol: 'L£', minorUnits: 2 },
+    LKR: { name: 'Sri Lankan Rupee', symbol: 'Rs', minorUnits: 2 },
+    LRD: { name: 'Liberian Dollar', symbol: '$', minorUnits: 2 },
+    LSL: { name: 'Lesotho Loti', symbol: 'L', minorUnits: 2 },
+    LYD: { name: 'Libyan Dinar', symbol: 'ل.د', minorUnits: 3 },
+    MAD: { name: 'Moroccan Dirham', symbol: 'DH', minorUnits: 2 },
+    MDL: { name: 'Moldovan Leu', symbol: 'L', minorUnits: 2 },
+    MGA: { name: 'Malagasy Ariary', symbol: 'Ar', minorUnits: 2 },
+    MKD: { name: 'Macedonian Denar', symbol: 'den', minorUnits: 2 },
+    MMK: { name: 'Myanmar Kyat', symbol: 'K', minorUnits: 2 },
+    MNT: { name: 'Mongolian Tugrik', symbol: '₮', minorUnits: 2 },
+    MOP: { name: 'Macanese Pataca', symbol: 'P', minorUnits: 2 },
+    MRU: { name: 'Mauritanian Ouguiya', symbol: 'UM', minorUnits: 2 },
+    MUR: { name: 'Mauritian Rupee', symbol: 'Rs', minorUnits: 2 },
+    MVR: { name: 'Maldivian Rufiyaa', symbol: '.ރ', minorUnits: 2 },
+    MWK: { name: 'Malawian Kwacha', symbol: 'MK', minorUnits: 2 },
+    MXN: { name: 'Mexican Peso', symbol: '$', minorUnits: 2 },
+    MYR: { name: 'Malaysian Ringgit', symbol: 'RM', minorUnits: 2 },
+    MZN: { name: 'Mozambican Metical', symbol: 'MT', minorUnits: 2 },
+    NAD: { name: 'Namibian Dollar', symbol: '$', minorUnits: 2 },
+    NGN: { name: 'Nigerian Naira', symbol: '₦', minorUnits: 2 },
+    NIO: { name: 'Nicaraguan Córdoba', symbol: 'C$', minorUnits: 2 },
+    NOK: { name: 'Norwegian Krone', symbol: 'kr', minorUnits: 2 },
+    NPR: { name: 'Nepalese Rupee', symbol: 'Rs', minorUnits: 2 },
+    NZD: { name: 'New Zealand Dollar', symbol: '$', minorUnits: 2 },
+    OMR: { name: 'Omani Rial', symbol: 'ر.ع.', minorUnits: 3 },
+    PAB: { name: 'Panamanian Balboa', symbol: 'B/.', minorUnits: 2 },
+    PEN: { name: 'Peruvian Sol', symbol: 'S/.', minorUnits: 2 },
+    PGK: { name: 'Papua New Guinean Kina', symbol: 'K', minorUnits: 2 },
+    PHP: { name: 'Philippine Peso', symbol: '₱', minorUnits: 2 },
+    PKR: { name: 'Pakistani Rupee', symbol: 'Rs', minorUnits: 2 },
+    PLN: { name: 'Polish Zloty', symbol: 'zł', minorUnits: 2 },
+    PYG: { name: 'Paraguayan Guarani', symbol: '₲', minorUnits: 0 },
+    QAR: { name: 'Qatari Riyal', symbol: 'ر.ق', minorUnits: 2 },
+    RON: { name: 'Romanian Leu', symbol: 'lei', minorUnits: 2 },
+    RSD: { name: 'Serbian Dinar', symbol: 'дин.', minorUnits: 2 },
+    RUB: { name: 'Russian Ruble', symbol: '₽', minorUnits: 2 },
+    RWF: { name: 'Rwandan Franc', symbol: 'RF', minorUnits: 0 },
+    SAR: { name: 'Saudi Riyal', symbol: 'ر.س', minorUnits: 2 },
+    SBD: { name: 'Solomon Islands Dollar', symbol: '$', minorUnits: 2 },
+    SCR: { name: 'Seychellois Rupee', symbol: '₨', minorUnits: 2 },
+    SDG: { name: 'Sudanese Pound', symbol: 'PT', minorUnits: 2 },
+    SEK: { name: 'Swedish Krona', symbol: 'kr', minorUnits: 2 },
+    SGD: { name: 'Singapore Dollar', symbol: '$', minorUnits: 2 },
+    SHP: { name: 'St. Helena Pound', symbol: '£', minorUnits: 2 },
+    SLL: { name: 'Sierra Leonean Leone (1964—2022)', symbol: 'Le', minorUnits: 2 },
+    SOS: { name: 'Somali Shilling', symbol: 'Sh', minorUnits: 2 },
+    SRD: { name: 'Surinamese Dollar', symbol: '$', minorUnits: 2 },
+    SSP: { name: 'South Sudanese Pound', symbol: '£', minorUnits: 2 },
+    STN: { name: 'São Tomé & Príncipe Dobra', symbol: 'Db', minorUnits: 2 },
+    SYP: { name: 'Syrian Pound', symbol: '£', minorUnits: 2 },
+    SZL: { name: 'Swazi Lilangeni', symbol: 'L', minorUnits: 2 },
+    THB: { name: 'Thai Baht', symbol: '฿', minorUnits: 2 },
+    TJS: { name: 'Tajikistani Somoni', symbol: 'ЅМ', minorUnits: 2 },
+    TMT: { name: 'Turkmenistani Manat', symbol: 'm', minorUnits: 2 },
+    TND: { name: 'Tunisian Dinar', symbol: 'د.ت', minorUnits: 3 },
+    TOP: { name: 'Tongan Paʻanga', symbol: 'T$', minorUnits: 2 },
+    TRY: { name: 'Turkish Lira', symbol: '₺', minorUnits: 2 },
+    TTD: { name: 'Trinidad & Tobago Dollar', symbol: '$', minorUnits: 2 },
+    TWD: { name: 'New Taiwan Dollar', symbol: '$', minorUnits: 2 },
+    TZS: { name: 'Tanzanian Shilling', symbol: 'Sh', minorUnits: 2 },
+    UAH: { name: 'Ukrainian Hryvnia', symbol: '₴', minorUnits: 2 },
+    UGX: { name: 'Ugandan Shilling', symbol: 'Sh', minorUnits: 0 },
+    USD: { name: 'US Dollar', symbol: '$', minorUnits: 2 },
+    UYU: { name: 'Uruguayan Peso', symbol: '$', minorUnits: 2 },
+    UZS: { name: 'Uzbekistani Som', symbol: 'so\'m', minorUnits: 2 },
+    VES: { name: 'Venezuelan Bolívar', symbol: 'Bs.S.', minorUnits: 2 },
+    VND: { name: 'Vietnamese Dong', symbol: '₫', minorUnits: 0 },
+    VUV: { name: 'Vanuatu Vatu', symbol: 'Vt', minorUnits: 0 },
+    WST: { name: 'Samoan Tala', symbol: 'T', minorUnits: 2 },
+    XAF: { name: 'Central African CFA Franc', symbol: 'FCFA', minorUnits: 0 },
+    XCD: { name: 'East Caribbean Dollar', symbol: '$', minorUnits: 2 },
+    XOF: { name: 'West African CFA Franc', symbol: 'F CFA', minorUnits: 0 },
+    XPF: { name: 'CFP Franc', symbol: 'CFPF', minorUnits: 0 },
+    YER: { name: 'Yemeni Rial', symbol: '﷼', minorUnits: 2 },
+    ZAR: { name: 'South African Rand', symbol: 'R', minorUnits: 2 },
+    ZMW: { name: 'Zambian Kwacha', symbol: 'ZK', minorUnits: 2 }
+  },
+  
+  // ISO 3166-1 alpha-2 code, common English name and primary currency
+  countries: [
+    { code: 'AF', name: 'Afghanistan', currency: 'AFN' },
+    { code: 'AX', name: 'Åland Islands', currency: 'EUR' },
+    { code: 'AL', name: 'Albania', currency: 'ALL' },
+    { code: 'DZ', name: 'Algeria', currency: 'DZD' },
+    { code: 'AS', name: 'American Samoa', currency: 'USD' },
+    { code: 'AD', name: 'Andorra', currency: 'EUR' },
+    { code: 'AO', name: 'Angola', currency: 'AOA' },
+    { code: 'AI', name: 'Anguilla', currency: 'XCD' },
+    { code: 'AG', name: 'Antigua and Barbuda', currency: 'XCD' },
+    { code: 'AR', name: 'Argentina', currency: 'ARS' },
+    { code: 'AM', name: 'Armenia', currency: 'AMD' },
+    { code: 'AW', name: 'Aruba', currency: 'AWG' },
+    { code: 'AU', name: 'Australia', currency: 'AUD' },
+    { code: 'AT', name: 'Austria', currency: 'EUR' },
+    { code: 'AZ', name: 'Azerbaijan', currency: 'AZN' },
+    { code: 'BS', name: 'Bahamas', currency: 'BSD' },
+    { code: 'BH', name: 'Bahrain', currency: 'BHD' },
+    { code: 'BD', name: 'Bangladesh', currency: 'BDT' },
+    { code: 'BB', name: 'Barbados', currency: 'BBD' },
+    { code: 'BY', name: 'Belarus', currency: 'BYN' },
+    { code: 'BE', name: 'Belgium', currency: 'EUR' },
+    { code: 'BZ', name: 'Belize', currency: 'BZD' },
+    { code: 'BJ', name: 'Benin', currency: 'XOF' },
+    { code: 'BM', name: 'Bermuda', currency: 'BMD' },
+    { code: 'BT', name: 'Bhutan', currency: 'BTN' },
+    { code: 'BO', name: 'Bolivia', currency: 'BOB' },
+    { code: 'BA', name: 'Bosnia and Herzegovina', currency: 'BAM' },
+    { code: 'BW', name: 'Botswana', currency: 'BWP' },
+    { code: 'BV', name: 'Bouvet Island', currency: 'NOK' },
+    { code: 'BR', name: 'Brazil', currency: 'BRL' },
+    { code: 'IO', name: 'British Indian Ocean Territory', currency: 'USD' },
+    { code: 'VG', name: 'British Virgin Islands', currency: 'USD' },
+    { code: 'BN', name: 'Brunei', currency: 'BND' },
+    { code: 'BG', name: 'Bulgaria', currency: 'BGN' },
+    { code: 'BF', name: 'Burkina Faso', currency: 'XOF' },
+    { code: 'BI', name: 'Burundi', currency: 'BIF' },
+    { code: 'KH', name: 'Cambodia', currency: 'KHR' },
+    { code: 'CM', name: 'Cameroon', currency: 'XAF' },
+    { code: 'CA', name: 'Canada', currency: 'CAD' },
+    { code: 'CV', name: 'Cape Verde', currency: 'CVE' },
+    { code: 'BQ', name: 'Caribbean Netherlands', currency: 'USD' },
+    { code: 'KY', name: 'Cayman Islands', currency: 'KYD' },
+    { code: 'CF', name: 'Central African Republic', currency: 'XAF' },
+    { code: 'TD', name: 'Chad', currency: 'XAF' },
+    { code: 'CL', name: 'Chile', currency: 'CLP' },
+    { code: 'CN', name: 'China', currency: 'CNY' },
+    { code: 'CX', name: 'Christmas Island', currency: 'AUD' },
+    { code: 'CC', name: 'Cocos (Keeling) Islands', currency: 'AUD' },
+    { code: 'CO', name: 'Colombia', currency: 'COP' },
+    { code: 'KM', name: 'Comoros', currency: 'KMF' },
+    { code: 'CK', name: 'Cook Islands', currency: 'NZD' },
+    { code: 'CR', name: 'Costa Rica', currency: 'CRC' },
+    { code: 'HR', name: 'Croatia', currency: 'EUR' },
+    { code: 'CU', name: 'Cuba', currency: 'CUP' },
+    { code: 'CW', name: 'Curaçao', currency: 'ANG' },
+    { code: 'CY', name: 'Cyprus', currency: 'EUR' },
+    { code: 'CZ', name: 'Czechia', currency: 'CZK' },
+    { code: 'DK', name: 'Denmark', currency: 'DKK' },
+    { code: 'DJ', name: 'Djibouti', currency: 'DJF' },
+    { code: 'DM', name: 'Dominica', currency: 'XCD' },
+    { code: 'DO', name: 'Dominican Republic', currency: 'DOP' },
+    { code: 'CD', name: 'DR Congo', currency: 'CDF' },
+    { code: 'EC', name: 'Ecuador', currency: 'USD' },
+    { code: 'EG', name: 'Egypt', currency: 'EGP' },
+    { code: 'SV', name: 'El Salvador', currency: 'USD' },
+    { code: 'GQ', name: 'Equatorial Guinea', currency: 'XAF' },
+    { code: 'ER', name: 'Eritrea', currency: 'ERN' },
+    { code: 'EE', name: 'Estonia', currency: 'EUR' },
+    { code: 'SZ', name: 'Eswatini', currency: 'SZL' },
+    { code: 'ET', name: 'Ethiopia', currency: 'ETB' },
+    { code: 'FK', name: 'Falkland Islands', currency: 'FKP' },
+    { code: 'FO', name: 'Faroe Islands', currency: 'DKK' },
+    { code: 'FJ', name: 'Fiji', currency: 'FJD' },
+    { code: 'FI', name: 'Finland', currency: 'EUR' },
+    { code: 'FR', name: 'France', currency: 'EUR' },
+    { code: 'GF', name: 'French Guiana', currency: 'EUR' },
+    { code: 'PF', name: 'French Polynesia', currency: 'XPF' },
+    { code: 'TF', name: 'French Southern and Antarctic Lands', currency: 'EUR' },
+    { code: 'GA', name: 'Gabon', currency: 'XAF' },
+    { code: 'GM', name: 'Gambia', currency: 'GMD' },
+    { code: 'GE', name: 'Georgia', currency: 'GEL' },
+    { code: 'DE', name: 'Germany', currency: 'EUR' },
+    { code: 'GH', name: 'Ghana', currency: 'GHS' },
+    { code: 'GI', name: 'Gibraltar', currency: 'GIP' },
+    { code: 'GR', name: 'Greece', currency: 'EUR' },
+    { code: 'GL', name: 'Greenland', currency: 'DKK' },
+    { code: 'GD', name: 'Grenada', currency: 'XCD' },
+    { code: 'GP', name: 'Guadeloupe', currency: 'EUR' },
+    { code: 'GU', name: 'Guam', currency: 'USD' },
+    { code: 'GT', name: 'Guatemala', currency: 'GTQ' },
+    { code: 'GG', name: 'Guernsey', currency: 'GBP' },
+    { code: 'GN', name: 'Guinea', currency: 'GNF' },
+    { code: 'GW', name: 'Guinea-Bissau', currency: 'XOF' },
+    { code: 'GY', name: 'Guyana', currency: 'GYD' },
+    { code: 'HT', name: 'Haiti', currency: 'HTG' },
+    { code: 'HM', name: 'Heard Island and McDonald Islands', currency: 'AUD' },
+    { code: 'HN', name: 'Honduras', currency: 'HNL' },
+    { code: 'HK', name: 'Hong Kong', currency: 'HKD' },
+    { code: 'HU', name: 'Hungary', currency: 'HUF' },
+    { code: 'IS', name: 'Iceland', currency: 'ISK' },
+    { code: 'IN', name: 'India', currency: 'INR' },
+    { code: 'ID', name: 'Indonesia', currency: 'IDR' },
+    { code: 'IR', name: 'Iran', currency: 'IRR' },
+    { code: 'IQ', name: 'Iraq', currency: 'IQD' },
+    { code: 'IE', name: 'Ireland', currency: 'EUR' },
+    { code: 'IM', name: 'Isle of Man', currency: 'GBP' },
+    { code: 'IL', name: 'Israel', currency: 'ILS' },
+    { code: 'IT', name: 'Italy', currency: 'EUR' },
+    { code: 'CI', name: 'Ivory Coast', currency: 'XOF' },
+    { code: 'JM', name: 'Jamaica', currency: 'JMD' },
+    { code: 'JP', name: 'Japan', currency: 'JPY' },
+    { code: 'JE', name: 'Jersey', currency: 'GBP' },
+    { code: 'JO', name: 'Jordan', currency: 'JOD' },
+    { code: 'KZ', name: 'Kazakhstan', currency: 'KZT' },
+    { code: 'KE', name: 'Kenya', currency: 'KES' },
+    { code: 'KI', name: 'Kiribati', currency: 'AUD' },
+    { code: 'XK', name: 'Kosovo', currency: 'EUR' },
+    { code: 'KW', name: 'Kuwait', currency: 'KWD' },
+    { code: 'KG', name: 'Kyrgyzstan', currency: 'KGS' },
+    { code: 'LA', name: 'Laos', currency: 'LAK' },
+    { code: 'LV', name: 'Latvia', currency: 'EUR' },
+    { code: 'LB', name: 'Lebanon', currency: 'LBP' },
+    { code: 'LS', name: 'Lesotho', currency: 'LSL' },
+    { code: 'LR', name: 'Liberia', currency: 'LRD' },
+    { code: 'LY', name: 'Libya', currency: 'LYD' },
+    { code: 'LI', name: 'Liechtenstein', currency: 'CHF' },
+    { code: 'LT', name: 'Lithuania', currency: 'EUR' },
+    { code: 'LU', name: 'Luxembourg', currency: 'EUR' },
+    { code: 'MO', name: 'Macau', currency: 'MOP' },
+    { code: 'MG', name: 'Madagascar', currency: 'MGA' },
+    { code: 'MW', name: 'Malawi', currency: 'MWK' },
+    { code: 'MY', name: 'Malaysia', currency: 'MYR' },
+    { code: 'MV', name: 'Maldives', currency: 'MVR' },
+    { code: 'ML', name: 'Mali', currency: 'XOF' },
+    { code: 'MT', name: 'Malta', currency: 'EUR' },
+    { code: 'MH', name: 'Marshall Islands', currency: 'USD' },
+    { code: 'MQ', name: 'Martinique', currency: 'EUR' },
+    { code: 'MR', name: 'Mauritania', currency: 'MRU' },
+    { code: 'MU', name: 'Mauritius', currency: 'MUR' },
+    { code: 'YT', name: 'Mayotte', currency: 'EUR' },
+    { code: 'MX', name: 'Mexico', currency: 'MXN' },
+    { code: 'FM', name: 'Micronesia', currency: 'USD' },
+    { code: 'MD', name: 'Moldova', currency: 'MDL' },
+    { code: 'MC', name: 'Monaco', currency: 'EUR' },
+    { code: 'MN', name: 'Mongolia', currency: 'MNT' },
+    { code: 'ME', name: 'Montenegro', currency: 'EUR' },
+    { code: 'MS', name: 'Montserrat', currency: 'XCD' },
+    { code: 'MA', name: 'Morocco', currency: 'MAD' },
+    { code: 'MZ', name: 'Mozambique', currency: 'MZN' },
+    { code: 'MM', name: 'Myanmar', currency: 'MMK' },
+    { code: 'NA', name: 'Namibia', currency: 'NAD' },
+    { code: 'NR', name: 'Nauru', currency: 'AUD' },
+    { code: 'NP', name: 'Nepal', currency: 'NPR' },
+    { code: 'NL', name: 'Netherlands', currency: 'EUR' },
+    { code: 'NC', name: 'New Caledonia', currency: 'XPF' },
+    { code: 'NZ', name: 'New Zealand', currency: 'NZD' },
+    { code: 'NI', name: 'Nicaragua', currency: 'NIO' },
+    { code: 'NE', name: 'Niger', currency: 'XOF' },
+    { code: 'NG', name: 'Nigeria', currency: 'NGN' },
+    { code: 'NU', name: 'Niue', currency: 'NZD' },
+    { code: 'NF', name: 'Norfolk Island', currency: 'AUD' },
+    { code: 'KP', name: 'North Korea', currency: 'KPW' },
+    { code: 'MK', name: 'North Macedonia', currency: 'MKD' },
+    { code: 'MP', name: 'Northern Mariana Islands', currency: 'USD' },
+    { code: 'NO', name: 'Norway', currency: 'NOK' },
+    { code: 'OM', name: 'Oman', currency: 'OMR' },
+    { code: 'PK', name: 'Pakistan', currency: 'PKR' },
+    { code: 'PW', name: 'Palau', currency: 'USD' },
+    { code: 'PS', name: 'Palestine', currency: 'EGP' },
+    { code: 'PA', name: 'Panama', currency: 'PAB' },
+    { code: 'PG', name: 'Papua New Guinea', currency: 'PGK' },
+    { code: 'PY', name: 'Paraguay', currency: 'PYG' },
+    { code: 'PE', name: 'Peru', currency: 'PEN' },
+    { code: 'PH', name: 'Philippines', currency: 'PHP' },
+    { code: 'PN', name: 'Pitcairn Islands', currency: 'NZD' },
+    { code: 'PL', name: 'Poland', currency: 'PLN' },
+    { code: 'PT', name: 'Portugal', currency: 'EUR' },
+    { code: 'PR', name: 'Puerto Rico', currency: 'USD' },
+    { code: 'QA', name: 'Qatar', currency: 'QAR' },
+    { code: 'CG', name: 'Republic of the Congo', currency: 'XAF' },
+    { code: 'RE', name: 'Réunion', currency: 'EUR' },
+    { code: 'RO', name: 'Romania', currency: 'RON' },
+    { code: 'RU', name: 'Russia', currency: 'RUB' },
+    { code: 'RW', name: 'Rwanda', currency: 'RWF' },
+    { code: 'BL', name: 'Saint Barthélemy', currency: 'EUR' },
+    { code: 'SH', name: 'Saint Helena, Ascension and Tristan da Cunha', currency: 'GBP' },
+    { code: 'KN', name: 'Saint Kitts and Nevis', currency: 'XCD' },
+    { code: 'LC', name: 'Saint Lucia', currency: 'XCD' },
+    { code: 'MF', name: 'Saint Martin', currency: 'EUR' },
+    { code: 'PM', name: 'Saint Pierre and Miquelon', currency: 'EUR' },
+    { code: 'VC', name: 'Saint Vincent and the Grenadines', currency: 'XCD' },
+    { code: 'WS', name: 'Samoa', currency: 'WST' },
+    { code: 'SM', name: 'San Marino', currency: 'EUR' },
+    { code: 'ST', name: 'São Tomé and Príncipe', currency: 'STN' },
+    { code: 'SA', name: 'Saudi Arabia', currency: 'SAR' },
+    { code: 'SN', name: 'Senegal', currency: 'XOF' },
+    { code: 'RS', name: 'Serbia', currency: 'RSD' },
+    { code: 'SC', name: 'Seychelles', currency: 'SCR' },
+    { code: 'SL', name: 'Sierra Leone', currency: 'SLL' },
+    { code: 'SG', name: 'Singapore', currency: 'SGD' },
+    { code: 'SX', name: 'Sint Maarten', currency: 'ANG' },
+    { code: 'SK', name: 'Slovakia', currency: 'EUR' },
+    { code: 'SI', name: 'Slovenia', currency: 'EUR' },
+    { code: 'SB', name: 'Solomon Islands', currency: 'SBD' },
+    { code: 'SO', name: 'Somalia', currency: 'SOS' },
+    { code: 'ZA', name: 'South Africa', currency: 'ZAR' },
+    { code: 'GS', name: 'South Georgia', currency: 'SHP' },
+    { code: 'KR', name: 'South Korea', currency: 'KRW' },
+    { code: 'SS', name: 'South Sudan', currency: 'SSP' },
+    { code: 'ES', name: 'Spain', currency: 'EUR' },
+    { code: 'LK', name: 'Sri Lanka', currency: 'LKR' },
+    { code: 'SD', name: 'Sudan', currency: 'SDG' },
+    { code: 'SR', name: 'Suriname', currency: 'SRD' },
+    { code: 'SJ', name: 'Svalbard and Jan Mayen', currency: 'NOK' },
+    { code: 'SE', name: 'Sweden', currency: 'SEK' },
+    { code: 'CH', name: 'Switzerland', currency: 'CHF' },
+    { code: 'SY', name: 'Syria', currency: 'SYP' },
+    { code: 'TW', name: 'Taiwan', currency: 'TWD' },
+    { code: 'TJ', name: 'Tajikistan', currency: 'TJS' },
+    { code: 'TZ', name: 'Tanzania', currency: 'TZS' },
+    { code: 'TH', name: 'Thailand', currency: 'THB' },
+    { code: 'TL', name: 'Timor-Leste', currency: 'USD' },
+    { code: 'TG', name: 'Togo', currency: 'XOF' },
+    { code: 'TK', name: 'Tokelau', currency: 'NZD' },
+    { code: 'TO', name: 'Tonga', currency: 'TOP' },
+    { code: 'TT', name: 'Trinidad and Tobago', currency: 'TTD' },
+    { code: 'TN', name: 'Tunisia', currency: 'TND' },
+    { code: 'TR', name: 'Türkiye', currency: 'TRY' },
+    { code: 'TM', name: 'Turkmenistan', currency: 'TMT' },
+    { code: 'TC', name: 'Turks and Caicos Islands', currency: 'USD' },
+    { code: 'TV', name: 'Tuvalu', currency: 'AUD' },
+    { code: 'UG', name: 'Uganda', currency: 'UGX' },
+    { code: 'UA', name: 'Ukraine', currency: 'UAH' },
+    { code: 'AE', name: 'United Arab Emirates', currency: 'AED' },
+    { code: 'GB', name: 'United Kingdom', currency: 'GBP' },
+    { code: 'US', name: 'United States', currency: 'USD' },
+    { code: 'UM', name: 'United States Minor Outlying Islands', currency: 'USD' },
+    { code: 'VI', name: 'United States Virgin Islands', currency: 'USD' },
+    { code: 'UY', name: 'Uruguay', currency: 'UYU' },
+    { code: 'UZ', name: 'Uzbekistan', currency: 'UZS' },
+    { code: 'VU', name: 'Vanuatu', currency: 'VUV' },
+    { code: 'VA', name: 'Vatican City', currency: 'EUR' },
+    { code: 'VE', name: 'Venezuela', currency: 'VES' },
+    { code: 'VN', name: 'Vietnam', currency: 'VND' },
+    { code: 'WF', name: 'Wallis and Futuna', currency: 'XPF' },
+    { code: 'EH', name: 'Western Sahara', currency: 'DZD' },
+    { code: 'YE', name: 'Yemen', currency: 'YER' },
+    { code: 'ZM', name: 'Zambia', currency: 'ZMW' },
+    { code: 'ZW', name: 'Zimbabwe', currency: 'USD' }
+  ]
+};
+
+// The server checks currency codes against the same list
+if (typeof module !== 'undefined') module.exports = REFERENCE_DATA;
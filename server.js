@@ -0,0 +1,2016 @@
+// ExpenseFlow API server
+//
+// Serves the app and a REST API backed by a local JSON file.
+// Run with `node server.js` and open http://localhost:3000.
+// PORT, DATA_FILE, RECEIPT_DIR, RATE_PROVIDER_URL and SESSION_SECRET can be set through the environment.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const REFERENCE_DATA = require('./reference-data.js');
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const PORT = process.env.PORT || 3000;
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data', 'expenseflow.json');
+const RECEIPT_DIR = process.env.RECEIPT_DIR || path.join(path.dirname(DATA_FILE), 'receipts');
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const MAX_RECEIPT_BYTES = 5 * 1024 * 1024;
+const RECEIPT_LINK_TTL_MS = 5 * 60 * 1000;
+const ESCALATION_INTERVAL_MS = 5 * 60 * 1000;
+const RATE_PROVIDER_URL = process.env.RATE_PROVIDER_URL || 'https://api.frankfurter.app';
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000;
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const PBKDF2_ITERATIONS = 310000;
+
+// Fields that never leave the server
+const SECRET_FIELDS = ['password', 'passwordHash', 'passwordSalt'];
+
+// Resources only admins may change
+const ADMIN_WRITE_RESOURCES = ['companies', 'employees', 'approvalRules', 'perDiemRates', 'mileageRates', 'policies', 'exchangeRateOverrides', 'accountingExports', 'departments', 'costCenters', 'paymentRuns'];
+
+// Resources only admins and the employee a record belongs to may see or change
+const OWNER_RESOURCES = ['bankAccounts', 'filterPresets'];
+
+// Records that go through the approval workflow
+const WORKFLOW_RESOURCES = ['expenses', 'reports'];
+
+// Approval state only the workflow actions may change, with the value a new record starts with
+const WORKFLOW_FIELDS = {
+  status: 'draft',
+  approvalFlow: [],
+  currentApproverIndex: 0,
+  approvals: [],
+  overrides: [],
+  comments: [],
+  submittedAt: null,
+  decidedAt: null,
+  revision: 1,
+  revisions: []
+};
+
+// Fields the server fills in when an expense is submitted; copies sent by clients are dropped
+const COMPUTED_FIELDS = ['policyViolations', 'duplicateFlags'];
+
+// Fields holding ISO 4217 codes; the app formats amounts with them and puts them into markup
+const CURRENCY_FIELDS = {
+  companies: ['baseCurrency'],
+  expenses: ['currency'],
+  exchangeRateOverrides: ['fromCurrency', 'toCurrency'],
+  perDiemRates: ['currency'],
+  mileageRates: ['currency']
+};
+
+// Statuses in which the submitter may still edit, delete or (re)submit a record
+const EDITABLE_STATUSES = ['draft', 'withdrawn', 'changes_requested'];
+
+// URL resource name -> store collection
+const RESOURCES = {
+  'companies': 'companies',
+  'employees': 'employees',
+  'expenses': 'expenses',
+  'approval-rules': 'approvalRules',
+  'delegations': 'delegations',
+  'reports': 'reports',
+  'per-diem-rates': 'perDiemRates',
+  'mileage-rates': 'mileageRates',
+  'policies': 'policies',
+  'exchange-rate-overrides': 'exchangeRateOverrides',
+  'accounting-exports': 'accountingExports',
+  'departments': 'departments',
+  'cost-centers': 'costCenters',
+  'payment-runs': 'paymentRuns',
+  'bank-accounts': 'bankAccounts',
+  'filter-presets': 'filterPresets',
+  'receipts': 'receipts'
+};
+
+// Receipt formats accepted, and the leading bytes every file of that type starts with
+const RECEIPT_SIGNATURES = {
+  'image/jpeg': bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff,
+  'image/png': bytes => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/webp': bytes => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP',
+  'application/pdf': bytes => bytes.toString('latin1', 0, 5) === '%PDF-'
+};
+
+const VENDOR_DIR = path.join(__dirname, 'vendor');
+const VENDOR_TYPES = {
+  '.js': 'application/javascript; charset=utf-8',
+  '.wasm': 'application/wasm',
+  '.gz': 'application/gzip',
+  '.traineddata': 'application/octet-stream'
+};
+
+const STATIC_FILES = {
+  '/': { file: 'expenseflow-html.html', type: 'text/html; charset=utf-8' },
+  '/reference-data.js': { file: 'reference-data.js', type: 'application/javascript; charset=utf-8' },
+  '/app.js': { file: 'app.js', type: 'application/javascript; charset=utf-8' },
+  '/styles.css': { file: 'styles.css', type: 'text/css; charset=utf-8' }
+};
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const Store = {
+  data: null,
+
+  load() {
+    const empty = Object.fromEntries(Object.values(RESOURCES).map(name => [name, []]));
+
+    try {
+      this.data = { ...empty, ...JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.data = empty;
+    }
+  },
+
+  persist() {
+    // Write to a temp file and rename so a crash never leaves half a file
+    fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+    const tmpFile = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpFile, DATA_FILE);
+  },
+
+  list(collection, query = {}) {
+    return this.data[collection].filter(record =>
+      Object.entries(query).every(([key, value]) => String(record[key]) === value)
+    );
+  },
+
+  get(collection, id) {
+    const record = this.data[collection].find(r => r.id === id);
+    if (!record) {
+      throw httpError(404, 'Not found');
+    }
+    return record;
+  },
+
+  insert(collection, record) {
+    const id = record.id || `${collection.toUpperCase()}_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`;
+    // IDs end up in URLs and inline handlers in the app, so keep them to a safe alphabet
+    if (!ID_PATTERN.test(id)) {
+      throw httpError(400, 'Invalid record ID');
+    }
+    if (this.data[collection].some(r => r.id === id)) {
+      throw httpError(409, 'Record already exists');
+    }
+
+    const created = { ...record, id, version: 1 };
+    this.data[collection].push(created);
+    this.persist();
+    return created;
+  },
+
+  update(collection, id, updates) {
+    const record = this.get(collection, id);
+    Object.assign(record, updates, { id, version: (record.version || 0) + 1 });
+    this.persist();
+    return record;
+  },
+
+  remove(collection, id) {
+    const index = this.data[collection].findIndex(r => r.id === id);
+    if (index === -1) {
+      throw httpError(404, 'Not found');
+    }
+    this.data[collection].splice(index, 1);
+    this.persist();
+  }
+};
+
+const Auth = {
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await pbkdf2(password, salt, PBKDF2_ITERATIONS, 32, 'sha256');
+    return { passwordHash: hash.toString('hex'), passwordSalt: salt };
+  },
+
+  async verifyPassword(password, user) {
+    if (!user?.passwordHash || typeof password !== 'string') return false;
+    const hash = await pbkdf2(password, user.passwordSalt, PBKDF2_ITERATIONS, 32, 'sha256');
+    return crypto.timingSafeEqual(hash, Buffer.from(user.passwordHash, 'hex'));
+  },
+
+  // Replaces a plaintext `password` on a record with its salted hash
+  async applyPassword(record) {
+    const { password, passwordHash, passwordSalt, ...rest } = record;
+    if (!password) return rest;
+    return { ...rest, ...(await this.hashPassword(password)) };
+  },
+
+  sign(payload) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', SESSION_SECRET).update(body).digest('base64url');
+    return `${body}.${signature}`;
+  },
+
+  verify(token, type) {
+    const [body, signature] = String(token || '').split('.');
+    if (!body || !signature) {
+      throw httpError(401, 'Missing or malformed token');
+    }
+
+    const expected = crypto.createHmac('sha256', SESSION_SECRET).update(body).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      throw httpError(401, 'Invalid token');
+    }
+
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (payload.type !== type || payload.exp < Date.now()) {
+      throw httpError(401, 'Token expired');
+    }
+
+    return payload;
+  },
+
+  issueSession(user) {
+    const now = Date.now();
+    const claims = { sub: user.id, companyId: user.companyId, role: user.role };
+
+    return {
+      accessToken: this.sign({ ...claims, type: 'access', exp: now + ACCESS_TOKEN_TTL_MS }),
+      refreshToken: this.sign({ ...claims, type: 'refresh', exp: now + REFRESH_TOKEN_TTL_MS }),
+      accessExpiresAt: new Date(now + ACCESS_TOKEN_TTL_MS).toISOString(),
+      user: sanitize(user),
+      company: Store.get('companies', user.companyId)
+    };
+  },
+
+  authenticate(req) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer') {
+      throw httpError(401, 'Authentication required');
+    }
+    return this.verify(token, 'access');
+  }
+};
+
+// Receipt files live on disk next to the data file; the store only keeps their metadata
+const Receipts = {
+  filePath(id) {
+    if (!ID_PATTERN.test(id)) {
+      throw httpError(400, 'Invalid record ID');
+    }
+    return path.join(RECEIPT_DIR, id);
+  },
+
+  // Decodes an uploaded data URL and refuses anything that isn't really the type it claims
+  decode(dataUrl, type) {
+    const match = /^data:([\w.+-]+\/[\w.+-]+);base64,([A-Za-z0-9+/=]+)$/.exec(String(dataUrl || ''));
+    if (!match || match[1] !== type || !RECEIPT_SIGNATURES[type]) {
+      throw httpError(415, 'Only JPEG, PNG and WebP images and PDFs can be attached');
+    }
+
+    const bytes = Buffer.from(match[2], 'base64');
+    if (bytes.length > MAX_RECEIPT_BYTES) {
+      throw httpError(413, 'Receipt is too large');
+    }
+    if (!RECEIPT_SIGNATURES[type](bytes)) {
+      throw httpError(415, 'The file content does not match its type');
+    }
+    return bytes;
+  },
+
+  create(record, auth) {
+    const { dataUrl, thumbnailUrl, ...fields } = record;
+    const bytes = this.decode(dataUrl, fields.type);
+
+    // Thumbnails are small JPEGs drawn by the app and shown inline, so nothing else is kept
+    const thumbnail = /^data:image\/jpeg;base64,[A-Za-z0-9+/=]+$/.test(thumbnailUrl || '') && thumbnailUrl.length < 100000 ?
+      thumbnailUrl :
+      null;
+
+    const receipt = Store.insert('receipts', {
+      ...fields,
+      name: String(fields.name || 'receipt').slice(0, 255),
+      size: bytes.length,
+      contentHash: crypto.createHash('sha256').update(bytes).digest('hex'),
+      thumbnailUrl: thumbnail,
+      uploadedBy: auth.sub
+    });
+
+    try {
+      fs.mkdirSync(RECEIPT_DIR, { recursive: true });
+      fs.writeFileSync(this.filePath(receipt.id), bytes);
+    } catch (error) {
+      Store.remove('receipts', receipt.id);
+      throw error;
+    }
+    return receipt;
+  },
+
+  remove(receipt, auth) {
+    if (auth.role !== 'admin' && receipt.uploadedBy !== auth.sub) {
+      throw httpError(403, 'You can only delete receipts you uploaded');
+    }
+    Store.remove('receipts', receipt.id);
+    fs.rmSync(this.filePath(receipt.id), { force: true });
+  },
+
+  // API path to the file with a short-lived token, since a new browser tab can't send the bearer token
+  fileUrl(receipt, auth) {
+    const token = Auth.sign({ type: 'receipt', sub: receipt.id, companyId: auth.companyId, exp: Date.now() + RECEIPT_LINK_TTL_MS });
+    return `/receipts/${encodeURIComponent(receipt.id)}/file?token=${encodeURIComponent(token)}`;
+  },
+
+  serve(res, id, token) {
+    const payload = Auth.verify(token, 'receipt');
+    const receipt = Store.get('receipts', id);
+    if (payload.sub !== id || receipt.companyId !== payload.companyId) {
+      throw httpError(404, 'Not found');
+    }
+
+    let bytes;
+    try {
+      bytes = fs.readFileSync(this.filePath(id));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw httpError(404, 'Not found');
+      throw error;
+    }
+
+    // Older uploads in other formats are only ever offered as downloads
+    const inline = Boolean(RECEIPT_SIGNATURES[receipt.type]);
+    const fallbackName = receipt.name.replace(/[^\w.\- ]/g, '_');
+    res.writeHead(200, {
+      'Content-Type': inline ? receipt.type : 'application/octet-stream',
+      'Content-Length': bytes.length,
+      'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename="${fallbackName}"; filename*=UTF-8''${encodeURIComponent(receipt.name)}`,
+      'Content-Security-Policy': "default-src 'none'; img-src 'self'; style-src 'unsafe-inline'; object-src 'self'",
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-store'
+    });
+    res.end(bytes);
+  }
+};
+
+// Server-side approval workflow: routing, votes, withdrawals and overrides. Expenses and
+// reports only change approval state through these actions, whatever the client sends.
+// Exchange rates for converting expenses at submission: an admin override when one covers the
+// date, otherwise the ECB reference rate. Same lookup order as ExchangeRateService in the app.
+const ExchangeRates = {
+  PROVIDER_NAME: 'ECB via Frankfurter',
+
+  // `${from}:${to}:${date}` -> { rate, date } from the provider, or null when it has none
+  cache: new Map(),
+
+  isCurrency(code) {
+    return typeof code === 'string' && /^[A-Z]{3}$/.test(code) && Object.hasOwn(REFERENCE_DATA.currencies, code);
+  },
+
+  // Providers only know published rates
+  lookupDate(date) {
+    const today = Workflow.today();
+    return !date || date > today ? today : date;
+  },
+
+  // The most recently started override covering the date, in either direction
+  findOverride(companyId, from, to, date) {
+    const match = Store.list('exchangeRateOverrides', { companyId })
+      .filter(o => o.startDate <= date && (!o.endDate || o.endDate >= date))
+      .sort((a, b) => b.startDate.localeCompare(a.startDate))
+      .find(o => (o.fromCurrency === from && o.toCurrency === to) || (o.fromCurrency === to && o.toCurrency === from));
+    if (!match) return null;
+
+    return {
+      rate: match.fromCurrency === from ? match.rate : 1 / match.rate,
+      date,
+      source: 'Manual override',
+      overrideId: match.id
+    };
+  },
+
+  // Fetches the provider's rate unless an override or the cache already answers; get() reads the result
+  async load(companyId, from, to, date) {
+    const lookupDate = this.lookupDate(date);
+    const key = `${from}:${to}:${lookupDate}`;
+    if (from === to || !this.isCurrency(from) || this.cache.has(key) || this.findOverride(companyId, from, to, lookupDate)) return;
+
+    let response;
+    try {
+      response = await fetch(`${RATE_PROVIDER_URL}/${lookupDate}?from=${from}&to=${to}`);
+    } catch (error) {
+      throw httpError(502, `Could not load the ${from} → ${to} exchange rate for ${lookupDate}`);
+    }
+    if (response.status === 404 || response.status === 422) {
+      this.cache.set(key, null);
+      return;
+    }
+    if (!response.ok) {
+      throw httpError(502, `Could not load the ${from} → ${to} exchange rate for ${lookupDate}`);
+    }
+
+    const data = await response.json();
+    const rate = data.rates?.[to];
+    this.cache.set(key, rate ? { rate, date: data.date || lookupDate } : null);
+  },
+
+  // Rate for converting `from` into `to` on `date`; providers must have been load()ed first
+  get(companyId, from, to, date) {
+    const lookupDate = this.lookupDate(date);
+    if (from === to) return { rate: 1, date: lookupDate, source: 'Same currency', overrideId: null };
+
+    const override = this.findOverride(companyId, from, to, lookupDate);
+    if (override) return override;
+
+    const found = this.cache.get(`${from}:${to}:${lookupDate}`);
+    if (!found) {
+      throw httpError(409, `No ${from} → ${to} exchange rate is available for ${lookupDate}. An admin can set a manual rate.`);
+    }
+    return { ...found, source: this.PROVIDER_NAME, overrideId: null };
+  },
+
+  // Converts and returns the rate snapshot kept on the expense
+  convert(companyId, amount, from, to, date) {
+    const rate = this.get(companyId, from, to, date);
+
+    return {
+      amount: Math.round(amount * rate.rate * 100) / 100,
+      snapshot: {
+        from,
+        to,
+        rate: rate.rate,
+        rateDate: rate.date,
+        source: rate.source,
+        overrideId: rate.overrideId,
+        retrievedAt: new Date().toISOString()
+      }
+    };
+  }
+};
+
+// Expense policies, enforced again at submission since the app's own check runs in the browser.
+// Mirrors PolicyService in the app, including its messages.
+const Policies = {
+  formatAmount(amount, currency) {
+    const minorUnits = REFERENCE_DATA.currencies[currency]?.minorUnits ?? 2;
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: minorUnits,
+      maximumFractionDigits: minorUnits
+    }).format(amount);
+  },
+
+  // Base-currency amount of the expense's lines in the policy's categories
+  getCoveredAmount(policy, expense) {
+    return Workflow.sumAmounts(Workflow.getLineItems(expense)
+      .filter(line => !policy.categories.length || policy.categories.includes(line.category)));
+  },
+
+  // Same-day spend in the policy's categories from the employee's other live expenses, and from the
+  // other expenses being submitted with it in a report
+  getSameDayAmount(policy, expense, siblings) {
+    const others = [
+      ...siblings.filter(e => e.id !== expense.id),
+      ...Store.list('expenses', { companyId: expense.companyId, employeeId: expense.employeeId }).filter(e =>
+        e.id !== expense.id &&
+        !siblings.some(s => s.id === e.id) &&
+        ['pending', 'approved'].includes(e.status)
+      )
+    ].filter(e => e.date === expense.date);
+    return Workflow.sumAmounts(others.map(e => ({ amountInBaseCurrency: this.getCoveredAmount(policy, e) })));
+  },
+
+  check(policy, expense, siblings, baseCurrency) {
+    const money = amount => this.formatAmount(amount, baseCurrency);
+    const covered = this.getCoveredAmount(policy, expense);
+    const scope = policy.categories.length ? policy.categories.join('/') : 'expenses';
+
+    switch (policy.type) {
+      case 'category_cap': {
+        if (policy.period === 'day') {
+          const dayTotal = Workflow.sumAmounts([
+            { amountInBaseCurrency: covered },
+            { amountInBaseCurrency: this.getSameDayAmount(policy, expense, siblings) }
+          ]);
+          return dayTotal > policy.amount ?
+            `${scope} on ${expense.date} total ${money(dayTotal)}, over the daily cap of ${money(policy.amount)}` :
+            null;
+        }
+        return covered > policy.amount ? `${scope} of ${money(covered)} exceeds the cap of ${money(policy.amount)}` : null;
+      }
+      case 'receipt_required':
+        // Per diem and mileage are calculated, not receipted
+        if (expense.perDiem || expense.mileage) return null;
+        return covered > policy.amount && !(expense.receipts || []).length ?
+          `A receipt is required for ${scope} over ${money(policy.amount)}` :
+          null;
+      case 'no_weekends': {
+        const day = new Date(`${expense.date}T00:00:00Z`).getUTCDay();
+        return day === 0 || day === 6 ? `Weekend date (${expense.date}) is not allowed for ${scope}` : null;
+      }
+      case 'description_length':
+        return String(expense.description || '').trim().length < policy.minLength ?
+          `Description must be at least ${policy.minLength} characters` :
+          null;
+      default:
+        return null;
+    }
+  },
+
+  // Blocking violations stop the submission; warnings are returned to travel with the expense.
+  // `siblings` are the converted expenses submitted together in a report.
+  enforce(expense, siblings = []) {
+    const baseCurrency = Store.get('companies', expense.companyId).baseCurrency;
+    const categories = Workflow.getLineItems(expense).map(line => line.category);
+    const violations = Store.list('policies', { companyId: expense.companyId })
+      .filter(policy => policy.active)
+      .map(policy => ({ ...policy, categories: policy.categories || [] }))
+      .filter(policy => !policy.categories.length || categories.some(c => policy.categories.includes(c)))
+      .map(policy => ({ policy, message: this.check(policy, expense, siblings, baseCurrency) }))
+      .filter(result => result.message);
+
+    const blocking = violations.filter(v => v.policy.enforcement === 'block');
+    if (blocking.length) {
+      const label = expense.description || expense.merchant || 'Untitled expense';
+      throw httpError(400, `${label}: Policy violation: ${blocking.map(v => v.message).join('; ')}`);
+    }
+
+    const detectedAt = new Date().toISOString();
+    return violations.map(({ policy, message }) => ({
+      policyId: policy.id,
+      policyName: policy.name,
+      enforcement: policy.enforcement,
+      message,
+      detectedAt
+    }));
+  }
+};
+
+// Likely duplicate expenses, flagged at submission so only an admin can clear them.
+// Mirrors DuplicateService in the app, but compares receipts by the hashes stored with the files.
+const Duplicates = {
+  AMOUNT_TOLERANCE: 0.01, // relative difference still treated as the same amount
+  DATE_TOLERANCE_DAYS: 3,
+  MERCHANT_SIMILARITY: 0.8,
+  IMAGE_HASH_MAX_DISTANCE: 6, // differing bits out of 64
+
+  normalizeMerchant(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  },
+
+  levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  },
+
+  merchantSimilarity(a, b) {
+    const left = this.normalizeMerchant(a);
+    const right = this.normalizeMerchant(b);
+    if (!left && !right) return 1;
+    if (!left || !right) return 0;
+    if (left.includes(right) || right.includes(left)) return 1;
+
+    return 1 - this.levenshtein(left, right) / Math.max(left.length, right.length);
+  },
+
+  hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+      let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+      for (; bits; bits >>= 1) distance += bits & 1;
+    }
+    return distance;
+  },
+
+  // The stored receipt records behind an expense's receipt list
+  getReceipts(expense) {
+    return (expense.receipts || [])
+      .map(r => Store.data.receipts.find(stored => stored.id === r?.id && stored.companyId === expense.companyId))
+      .filter(Boolean);
+  },
+
+  matchReceipts(a, b) {
+    const left = this.getReceipts(a);
+    const right = this.getReceipts(b);
+
+    if (left.some(r => r.contentHash && right.some(o => o.contentHash === r.contentHash))) {
+      return 'identical receipt file';
+    }
+
+    const similarImage = left.some(r => typeof r.imageHash === 'string' && right.some(o =>
+      typeof o.imageHash === 'string' && o.imageHash.length === r.imageHash.length &&
+      this.hammingDistance(r.imageHash, o.imageHash) <= this.IMAGE_HASH_MAX_DISTANCE
+    ));
+    return similarImage ? 'matching receipt image' : null;
+  },
+
+  // Reasons the two expenses look like the same spend, or null when they don't.
+  // A matching receipt is enough on its own; otherwise the same employee must have a close amount, date and merchant.
+  compare(candidate, other) {
+    const receipt = this.matchReceipts(candidate, other);
+
+    const amount = Number(candidate.amount);
+    const otherAmount = Number(other.amount);
+    const amountClose = candidate.currency === other.currency &&
+      Math.abs(amount - otherAmount) <= Math.max(0.01, this.AMOUNT_TOLERANCE * Math.max(amount, otherAmount));
+
+    const dayGap = Math.abs(new Date(candidate.date) - new Date(other.date)) / 86400000;
+    const dateClose = dayGap <= this.DATE_TOLERANCE_DAYS;
+    const merchantClose = this.merchantSimilarity(candidate.merchant, other.merchant) >= this.MERCHANT_SIMILARITY;
+
+    const reasons = [
+      receipt,
+      amountClose ? 'same amount' : null,
+      dateClose ? (dayGap ? `dates ${Math.round(dayGap)} day(s) apart` : 'same date') : null,
+      merchantClose && other.merchant ? 'same merchant' : null
+    ].filter(Boolean);
+
+    if (receipt) return reasons;
+    if (candidate.employeeId === other.employeeId && amountClose && dateClose && merchantClose) return reasons;
+    return null;
+  },
+
+  isDismissed(a, b) {
+    const dismissedBy = (expense, otherId) => (expense.duplicateFlags || [])
+      .some(f => f.expenseId === otherId && f.dismissedAt);
+    return dismissedBy(a, b.id) || dismissedBy(b, a.id);
+  },
+
+  // Flags for the expense's likely duplicates among the company's submitted expenses; flags an admin
+  // already dismissed are kept
+  flag(expense) {
+    const dismissed = (expense.duplicateFlags || []).filter(f => f.dismissedAt);
+    const flaggedAt = new Date().toISOString();
+
+    const matches = Store.list('expenses', { companyId: expense.companyId })
+      .filter(other =>
+        other.id !== expense.id &&
+        !['draft', 'withdrawn'].includes(other.status) &&
+        !this.isDismissed(expense, other)
+      )
+      .map(other => ({ other, reasons: this.compare(expense, other) }))
+      .filter(match => match.reasons);
+
+    return [
+      ...dismissed,
+      ...matches.map(({ other, reasons }) => ({
+        expenseId: other.id,
+        employeeName: other.employeeName,
+        date: other.date,
+        amount: other.amount,
+        currency: other.currency,
+        reasons,
+        flaggedAt
+      }))
+    ];
+  }
+};
+
+// Mileage claims, recalculated at submission from the trip and the admin's tiered rates.
+// Mirrors MileageService in the app.
+const Mileage = {
+  KM_PER_MILE: 1.609344,
+
+  convertDistance(distance, fromUnit, toUnit) {
+    if (fromUnit === toUnit) return distance;
+    return fromUnit === 'mi' ? distance * this.KM_PER_MILE : distance / this.KM_PER_MILE;
+  },
+
+  // Distance the employee already claimed in the calendar year; pending claims count too
+  getYearToDate(expense, year, unit) {
+    const total = Store.list('expenses', { companyId: expense.companyId, employeeId: expense.employeeId })
+      .filter(e =>
+        e.mileage &&
+        e.id !== expense.id &&
+        ['pending', 'approved'].includes(e.status) &&
+        String(e.date).startsWith(year)
+      )
+      .reduce((sum, e) => sum + this.convertDistance(Number(e.mileage.distance) || 0, e.mileage.unit, unit), 0);
+
+    return Math.round(total * 10) / 10;
+  },
+
+  getDistance(mileage, label) {
+    const reading = value => (value === '' || value == null ? null : Number(value));
+    const start = reading(mileage.startOdometer);
+    const end = reading(mileage.endOdometer);
+    if (start != null && end != null) {
+      if (!(end > start)) {
+        throw httpError(400, `${label}: end odometer reading must be higher than the start`);
+      }
+      return Math.round((end - start) * 10) / 10;
+    }
+
+    const distance = Number(mileage.distance);
+    if (!(distance > 0)) {
+      throw httpError(400, `${label}: enter odometer readings or a trip distance`);
+    }
+    return distance;
+  },
+
+  // Replaces the claim's details with the server's calculation and refuses an amount that differs
+  check(expense, label) {
+    const claim = expense.mileage;
+    const rate = Store.list('mileageRates', { companyId: expense.companyId }).find(r => r.id === claim.rateId);
+    if (!rate) {
+      throw httpError(400, `${label}: the mileage rate no longer exists`);
+    }
+
+    const distance = this.getDistance(claim, label);
+    const yearToDate = this.getYearToDate(expense, String(expense.date).slice(0, 4), rate.unit);
+    const tiers = [...rate.tiers].sort((a, b) => a.from - b.from);
+
+    const segments = tiers.map((tier, index) => {
+      const tierEnd = tiers[index + 1]?.from ?? Infinity;
+      const covered = Math.max(0, Math.min(yearToDate + distance, tierEnd) - Math.max(yearToDate, tier.from));
+      return {
+        from: tier.from,
+        rate: tier.rate,
+        distance: Math.round(covered * 10) / 10,
+        amount: Math.round(covered * tier.rate * 100) / 100
+      };
+    }).filter(segment => segment.distance > 0);
+    const total = Math.round(segments.reduce((sum, segment) => sum + segment.amount, 0) * 100) / 100;
+
+    if (expense.currency !== rate.currency || Math.abs(total - Number(expense.amount)) >= 0.005) {
+      throw httpError(409, `${label}: this trip comes to ${Policies.formatAmount(total, rate.currency)} at the current rates; open the claim and submit it again`);
+    }
+
+    expense.mileage = {
+      rateId: rate.id,
+      vehicleType: rate.vehicleType,
+      unit: rate.unit,
+      startOdometer: claim.startOdometer == null || claim.startOdometer === '' ? null : Number(claim.startOdometer),
+      endOdometer: claim.endOdometer == null || claim.endOdometer === '' ? null : Number(claim.endOdometer),
+      distance,
+      origin: String(claim.origin || ''),
+      destination: String(claim.destination || ''),
+      yearToDateBefore: yearToDate,
+      segments
+    };
+  }
+};
+
+const Workflow = {
+  // Action name in the URL -> method, per collection
+  ACTIONS: {
+    expenses: {
+      'submit': 'submitExpense',
+      'withdraw': 'withdraw',
+      'approve': 'approve',
+      'reject': 'reject',
+      'request-changes': 'requestChanges',
+      'override': 'override',
+      'dismiss-duplicate': 'dismissDuplicate'
+    },
+    reports: {
+      'submit': 'submitReport',
+      'withdraw': 'withdraw',
+      'approve': 'approve',
+      'reject': 'reject',
+      'request-changes': 'requestChanges',
+      'reject-line': 'rejectLine',
+      'override': 'override'
+    }
+  },
+
+  LABELS: { expenses: 'Expense', reports: 'Report' },
+
+  today() {
+    return new Date().toISOString().split('T')[0];
+  },
+
+  getEmployee(companyId, id) {
+    return Store.data.employees.find(e => e.id === id && e.companyId === companyId) || null;
+  },
+
+  nameOf(companyId, id) {
+    return this.getEmployee(companyId, id)?.name || 'Unknown';
+  },
+
+  sumAmounts(items) {
+    return Math.round(items.reduce((sum, item) => sum + (Number(item.amountInBaseCurrency) || 0), 0) * 100) / 100;
+  },
+
+  getLineItems(expense) {
+    return expense.lineItems?.length ?
+      expense.lineItems :
+      [{ category: expense.category, amountInBaseCurrency: expense.amountInBaseCurrency }];
+  },
+
+  // Recomputes what rules and policies match against, since the client's figures are only a preview:
+  // mileage from the trip and the rates, then the base-currency amounts and the rate snapshot kept
+  // with them. `claimed` is the base amount the client showed, refused if the rate gives another.
+  convertExpense(expense, claimed) {
+    const label = expense.description || expense.merchant || 'Untitled expense';
+    const amount = Number(expense.amount);
+    if (!ExchangeRates.isCurrency(expense.currency)) {
+      throw httpError(400, `${label}: unknown currency`);
+    }
+    if (expense.mileage) {
+      Mileage.check(expense, label);
+    }
+
+    const lines = expense.lineItems?.length ? expense.lineItems : null;
+    if (lines) {
+      if (lines.some(line => !line.category || !(Number(line.amount) > 0))) {
+        throw httpError(400, `${label}: each line item needs a category and an amount`);
+      }
+      const linesTotal = Math.round(lines.reduce((sum, line) => sum + Number(line.amount), 0) * 100) / 100;
+      if (Math.abs(linesTotal - amount) >= 0.005) {
+        throw httpError(400, `${label}: line items add up to ${linesTotal.toFixed(2)} but the total is ${amount.toFixed(2)}`);
+      }
+    }
+
+    const baseCurrency = Store.get('companies', expense.companyId).baseCurrency;
+    const converted = ExchangeRates.convert(expense.companyId, amount, expense.currency, baseCurrency, expense.date);
+    if (claimed != null && Math.abs(Number(claimed) - converted.amount) >= 0.005) {
+      throw httpError(409, `${label}: the ${baseCurrency} amount does not match the exchange rate for ${expense.date}; reload and submit again`);
+    }
+
+    expense.amount = amount;
+    expense.amountInBaseCurrency = converted.amount;
+    expense.exchangeRate = converted.snapshot;
+
+    // Each line at the expense's rate; the last absorbs rounding so lines sum to the total
+    if (lines) {
+      const rate = amount ? converted.amount / amount : 0;
+      lines.forEach(line => {
+        line.amount = Number(line.amount);
+        line.amountInBaseCurrency = Math.round(line.amount * rate * 100) / 100;
+      });
+      const last = lines[lines.length - 1];
+      last.amountInBaseCurrency = Math.round((converted.amount - this.sumAmounts(lines.slice(0, -1))) * 100) / 100;
+    }
+
+    return converted;
+  },
+
+  // Submitting converts amounts, so rates the provider has to supply are fetched before the action
+  // runs; the action itself stays synchronous between its version check and the save
+  async loadRates(collection, record, body) {
+    const baseCurrency = Store.get('companies', record.companyId).baseCurrency;
+    const expenses = collection === 'reports' ?
+      this.getReportExpenses(record) :
+      [{ ...record, ...this.editableFields(body) }];
+
+    await Promise.all(expenses.map(e => ExchangeRates.load(record.companyId, e.currency, baseCurrency, e.date)));
+  },
+
+  // Fresh workflow state for a new record
+  initialState() {
+    return structuredClone(WORKFLOW_FIELDS);
+  },
+
+  // Applies a generic PUT's changes, refusing edits to approval state and to locked records
+  checkUpdate(collection, record, updates, auth) {
+    if (auth.role !== 'admin') {
+      if (record.employeeId !== auth.sub) {
+        throw httpError(403, 'You can only change your own records');
+      }
+      if (!EDITABLE_STATUSES.includes(record.status)) {
+        throw httpError(409, `This ${this.LABELS[collection].toLowerCase()} is ${record.status.replace('_', ' ')} and cannot be changed`);
+      }
+    }
+
+    const changed = Object.keys(WORKFLOW_FIELDS).filter(field =>
+      field in updates && JSON.stringify(updates[field]) !== JSON.stringify(record[field])
+    );
+    if (changed.length) {
+      throw httpError(403, `${changed.join(', ')} can only change through the workflow actions`);
+    }
+
+    delete updates.employeeId;
+    delete updates.employeeName;
+    COMPUTED_FIELDS.forEach(field => delete updates[field]);
+    // Payment state is recorded by admins running payments, never by the submitter
+    if (auth.role !== 'admin') delete updates.reimbursement;
+  },
+
+  checkDelete(collection, record, auth) {
+    if (auth.role === 'admin') return;
+    if (record.employeeId !== auth.sub) {
+      throw httpError(403, 'You can only delete your own records');
+    }
+    if (!EDITABLE_STATUSES.includes(record.status)) {
+      throw httpError(409, `This ${this.LABELS[collection].toLowerCase()} is ${record.status.replace('_', ' ')} and cannot be deleted`);
+    }
+  },
+
+  // Client changes to an editable record, without workflow state, ownership or payment state
+  editableFields(updates) {
+    const { id, companyId, employeeId, employeeName, version, reimbursement, ...fields } = updates;
+    [...Object.keys(WORKFLOW_FIELDS), ...COMPUTED_FIELDS].forEach(field => delete fields[field]);
+    return fields;
+  },
+
+  // Managers above the submitter, nearest first, stopping at the first missing manager or loop
+  getManagerChain(submitter) {
+    const chain = [];
+    const seen = new Set([submitter.id]);
+    let current = submitter;
+
+    while (current.managerId) {
+      const manager = this.getEmployee(submitter.companyId, current.managerId);
+      if (!manager) {
+        return { chain, issue: `${current.name}'s manager no longer exists` };
+      }
+      if (seen.has(manager.id)) {
+        return { chain, issue: `the reporting line above ${submitter.name} loops` };
+      }
+      seen.add(manager.id);
+      chain.push(manager);
+      current = manager;
+    }
+
+    return { chain, issue: null };
+  },
+
+  // Managers a manager_chain rule routes to, nearest first; the whole chain when none qualifies
+  getChainApprovers(rule, subject, submitter) {
+    const { chain, issue } = this.getManagerChain(submitter);
+    const levels = chain.map((manager, idx) => ({ ...manager, level: idx + 1 }));
+
+    let last = -1;
+    if (rule.chain?.mode === 'depth') {
+      last = rule.chain.depth - 1;
+    } else if (rule.chain?.mode === 'signing_limit') {
+      last = levels.findIndex(m => m.signingLimit != null && m.signingLimit >= subject.amountInBaseCurrency);
+    } else if (rule.chain?.mode === 'department_head') {
+      const headId = Store.data.departments.find(d => d.id === submitter.departmentId)?.headId;
+      last = headId === submitter.id ? 0 : levels.findIndex(m => m.id === headId);
+    }
+
+    const satisfied = last !== -1 && last < levels.length;
+    if (issue && !satisfied) {
+      throw httpError(409, `Cannot route for approval: ${issue}. Ask an admin to fix the reporting lines.`);
+    }
+
+    return satisfied ? levels.slice(0, last + 1) : levels;
+  },
+
+  // Rules without criteria apply to everything; with categories set only matching lines count
+  matchesRule(rule, subject, submitter) {
+    const criteria = rule.criteria;
+    if (!criteria) return true;
+
+    const lines = this.getLineItems(subject)
+      .filter(line => !criteria.categories?.length || criteria.categories.includes(line.category));
+    if (lines.length === 0) return false;
+
+    const amount = criteria.categories?.length ? this.sumAmounts(lines) : subject.amountInBaseCurrency;
+    if (criteria.minAmount != null && amount < criteria.minAmount) return false;
+    if (criteria.maxAmount != null && amount > criteria.maxAmount) return false;
+
+    const currencies = subject.currencies || [subject.currency];
+    if (criteria.currencies?.length && !currencies.some(c => criteria.currencies.includes(c))) return false;
+    if (criteria.submitterRoles?.length && !criteria.submitterRoles.includes(submitter.role)) return false;
+    if (criteria.managerIds?.length && !criteria.managerIds.includes(submitter.managerId)) return false;
+
+    return true;
+  },
+
+  // The submitter's manager when they approve, then every matching rule in sequence order
+  buildFlow(subject, submitter) {
+    const flow = [];
+    const escalation = rule => ({
+      slaHours: rule.slaHours || null,
+      escalationHours: rule.escalationHours || null,
+      escalationFallbackId: rule.escalationFallbackId || null,
+      escalatedTo: {}
+    });
+
+    const manager = submitter.managerId && this.getEmployee(submitter.companyId, submitter.managerId);
+    if (manager && submitter.isManagerApprover) {
+      flow.push({
+        approverId: manager.id,
+        approverName: manager.name,
+        approverRole: manager.role,
+        status: 'pending',
+        sequence: 1,
+        votes: []
+      });
+    }
+
+    Store.list('approvalRules', { companyId: submitter.companyId })
+      .filter(rule => this.matchesRule(rule, subject, submitter))
+      .sort((a, b) => a.sequence - b.sequence)
+      .forEach(rule => {
+        // Chain rules become one single-approver step per manager walked up to
+        if (rule.type === 'manager_chain') {
+          this.getChainApprovers(rule, subject, submitter)
+            .filter(m => !flow.some(step => step.approverId === m.id))
+            .forEach(m => {
+              flow.push({
+                approverId: m.id,
+                approverName: m.name,
+                approverRole: m.role,
+                ruleId: rule.id,
+                ruleName: rule.name,
+                chainLevel: m.level,
+                ...escalation(rule),
+                status: 'pending',
+                sequence: flow.length + 1,
+                votes: []
+              });
+            });
+          return;
+        }
+
+        flow.push({
+          ruleId: rule.id,
+          ruleName: rule.name,
+          ruleType: rule.type,
+          approvers: rule.approvers.map(a => ({ approverId: a.approverId, approverName: a.approverName })),
+          condition: rule.condition,
+          ...escalation(rule),
+          status: 'pending',
+          sequence: flow.length + 1,
+          votes: [],
+          approvalCount: 0,
+          requiredApprovals: rule.condition?.percentage ?
+            Math.ceil(rule.approvers.length * rule.condition.percentage / 100) :
+            rule.approvers.length
+        });
+      });
+
+    return flow;
+  },
+
+  // `subject` is what the rules match against; reports pass their combined lines
+  startApproval(record, subject, submitter) {
+    const now = new Date().toISOString();
+
+    record.status = 'pending';
+    record.submittedAt = now;
+    record.currentApproverIndex = 0;
+    record.approvalFlow = this.buildFlow(subject, submitter);
+
+    if (record.approvalFlow.length === 0) {
+      // No manager step and no matching rule: nobody needs to approve
+      record.status = 'approved';
+      record.decidedAt = now;
+    } else {
+      record.approvalFlow[0].activatedAt = now;
+    }
+  },
+
+  getStepApproverIds(step) {
+    return step.approverId ? [step.approverId] : (step.approvers || []).map(a => a.approverId);
+  },
+
+  // Follows active delegations from an approver to whoever currently acts for them
+  resolveApprover(companyId, employeeId, date = this.today()) {
+    const delegations = Store.list('delegations', { companyId })
+      .filter(d => d.startDate <= date && d.endDate >= date);
+    const visited = new Set([employeeId]);
+    let current = employeeId;
+
+    while (true) {
+      const delegation = delegations.find(d => d.employeeId === current);
+      if (!delegation || visited.has(delegation.delegateId)) break;
+      visited.add(delegation.delegateId);
+      current = delegation.delegateId;
+    }
+
+    return current;
+  },
+
+  // Validates a delegation as it will be stored; only admins set delegations for someone else
+  checkDelegation(delegation, auth) {
+    if (auth.role !== 'admin' && delegation.employeeId !== auth.sub) {
+      throw httpError(403, 'Only admins can set delegations for other employees');
+    }
+
+    const employee = this.getEmployee(auth.companyId, delegation.employeeId);
+    const delegate = this.getEmployee(auth.companyId, delegation.delegateId);
+    if (!employee || !delegate) {
+      throw httpError(400, 'Delegator and delegate must be employees of this company');
+    }
+    if (delegate.id === employee.id) {
+      throw httpError(400, 'An employee cannot delegate to themselves');
+    }
+
+    const isDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    if (!isDate(delegation.startDate) || !isDate(delegation.endDate) || delegation.endDate < delegation.startDate) {
+      throw httpError(400, 'End date must be on or after the start date');
+    }
+
+    const overlapping = Store.list('delegations', { companyId: auth.companyId })
+      .filter(d => d.id !== delegation.id && d.startDate <= delegation.endDate && d.endDate >= delegation.startDate);
+    if (overlapping.some(d => d.employeeId === employee.id)) {
+      throw httpError(409, 'A delegation already covers part of this period');
+    }
+
+    // Walk the delegate's own delegations in this period to catch loops
+    const visited = new Set([delegate.id]);
+    let current = delegate.id;
+    while (true) {
+      const next = overlapping.find(d => d.employeeId === current);
+      if (!next || visited.has(next.delegateId)) break;
+      if (next.delegateId === employee.id) {
+        throw httpError(409, 'This delegation would create a loop');
+      }
+      visited.add(next.delegateId);
+      current = next.delegateId;
+    }
+
+    delegation.employeeName = employee.name;
+    delegation.delegateName = delegate.name;
+  },
+
+  // Whether the user holds the seat directly, by delegation or by escalation
+  holdsSeat(companyId, step, approverId, userId) {
+    return approverId === userId ||
+      this.resolveApprover(companyId, approverId) === userId ||
+      step.escalatedTo?.[approverId] === userId;
+  },
+
+  // Whether the user approves or approved the record: a seat on any step, directly, by delegation or
+  // by escalation, or an entry in its history
+  isInvolved(record, userId) {
+    return (record.approvalFlow || []).some(step =>
+      this.getStepApproverIds(step).some(id => this.holdsSeat(record.companyId, step, id, userId))
+    ) || (record.approvals || []).some(a => a.approverId === userId);
+  },
+
+  // Drafts stay with their owner. Submitted records are seen by admins, by managers up the
+  // submitter's reporting line, and by whoever approves them or the report they belong to.
+  canSee(collection, record, auth) {
+    if (record.employeeId === auth.sub) return true;
+    if (record.status === 'draft') return false;
+    if (auth.role === 'admin') return true;
+
+    const submitter = this.getEmployee(record.companyId, record.employeeId);
+    if (submitter && this.getManagerChain(submitter).chain.some(m => m.id === auth.sub)) return true;
+    if (this.isInvolved(record, auth.sub)) return true;
+
+    const report = collection === 'expenses' && record.reportId && Store.data.reports.find(r => r.id === record.reportId);
+    return Boolean(report && this.isInvolved(report, auth.sub));
+  },
+
+  // Unvoted seat on the step the user may vote with, their own first
+  getActingFor(companyId, step, userId) {
+    const voted = (step.votes || []).map(v => v.approverId);
+    const open = this.getStepApproverIds(step).filter(id => !voted.includes(id));
+
+    if (open.includes(userId)) return userId;
+    return open.find(id => this.holdsSeat(companyId, step, id, userId)) || null;
+  },
+
+  // Current step and the seat the user votes with; submitters never vote on their own records
+  getVotableStep(record, user, label) {
+    if (record.status !== 'pending') {
+      throw httpError(409, `${label} is already ${record.status.replace('_', ' ')}`);
+    }
+
+    const step = record.approvalFlow[record.currentApproverIndex];
+    if (!step) {
+      throw httpError(409, 'No pending approval step');
+    }
+
+    if (record.employeeId === user.id) {
+      throw httpError(403, `You cannot vote on your own ${label.toLowerCase()}`);
+    }
+
+    step.votes = step.votes || [];
+    const approverId = this.getActingFor(record.companyId, step, user.id);
+
+    if (!approverId) {
+      const canAct = this.getStepApproverIds(step).some(id => this.holdsSeat(record.companyId, step, id, user.id));
+      throw httpError(403, canAct ? 'You have already voted on this step' : 'You are not an approver on the current step');
+    }
+
+    return { step, approverId };
+  },
+
+  // Adds the user's vote to the current step and its entry to the record's history
+  castVote(record, user, action, comment, label) {
+    const { step, approverId } = this.getVotableStep(record, user, label);
+    const timestamp = new Date().toISOString();
+    const vote = { approverId, approverName: user.name, action, timestamp };
+
+    if (approverId !== user.id) {
+      vote.approverName = this.nameOf(record.companyId, approverId);
+      vote.castById = user.id;
+      vote.castByName = user.name;
+    }
+    step.votes.push(vote);
+
+    record.approvals.push({
+      approverId: user.id,
+      approverName: user.name,
+      action,
+      comment,
+      step: step.sequence,
+      timestamp,
+      ...(vote.castById ? { onBehalfOfId: vote.approverId, onBehalfOfName: vote.approverName } : {})
+    });
+
+    if (comment) {
+      record.comments = record.comments || [];
+      record.comments.push({ userId: user.id, userName: user.name, comment, timestamp });
+    }
+
+    return { step, vote };
+  },
+
+  // Whether a rule step is complete; without a condition every approver must approve
+  checkApprovalCondition(step, vote) {
+    const condition = step.condition;
+    if (!condition) return step.approvalCount >= step.approvers.length;
+
+    if (condition.specificApproverId && vote.approverId === condition.specificApproverId) {
+      return true;
+    }
+    return Boolean(condition.percentage) && step.approvalCount / step.approvers.length * 100 >= condition.percentage;
+  },
+
+  advanceStep(record) {
+    record.currentApproverIndex++;
+
+    const nextStep = record.approvalFlow[record.currentApproverIndex];
+    if (nextStep) {
+      nextStep.activatedAt = new Date().toISOString();
+    }
+  },
+
+  approve(collection, record, user, { comment = '' }) {
+    const { step, vote } = this.castVote(record, user, 'approved', comment, this.LABELS[collection]);
+    step.approvalCount = step.votes.filter(v => v.action === 'approved').length;
+
+    if (!step.ruleType || this.checkApprovalCondition(step, vote)) {
+      step.status = 'approved';
+      this.advanceStep(record);
+    }
+
+    if (record.currentApproverIndex >= record.approvalFlow.length) {
+      record.status = 'approved';
+    }
+    this.afterDecision(collection, record);
+  },
+
+  reject(collection, record, user, { comment = '' }) {
+    const { step } = this.castVote(record, user, 'rejected', comment, this.LABELS[collection]);
+    step.status = 'rejected';
+    record.status = 'rejected';
+    this.afterDecision(collection, record);
+  },
+
+  // Returns the record to its submitter for edits instead of a final rejection
+  requestChanges(collection, record, user, { comment }) {
+    if (!comment) {
+      throw httpError(400, 'Please describe the changes needed');
+    }
+
+    const { step } = this.castVote(record, user, 'changes_requested', comment, this.LABELS[collection]);
+    step.status = 'changes_requested';
+    record.status = 'changes_requested';
+    this.afterDecision(collection, record);
+  },
+
+  withdraw(collection, record, user) {
+    const label = this.LABELS[collection];
+    if (record.employeeId !== user.id) {
+      throw httpError(403, `You can only withdraw your own ${label.toLowerCase()}s`);
+    }
+    if (collection === 'expenses' && record.reportId) {
+      throw httpError(409, 'This expense is part of a report; withdraw the report instead');
+    }
+    if (record.status !== 'pending') {
+      throw httpError(409, `This ${label.toLowerCase()} is ${record.status.replace('_', ' ')} and cannot be withdrawn`);
+    }
+
+    record.status = 'withdrawn';
+    record.approvals.push({
+      approverId: user.id,
+      approverName: user.name,
+      action: 'withdrawn',
+      comment: '',
+      timestamp: new Date().toISOString()
+    });
+    this.afterDecision(collection, record);
+  },
+
+  // Admin decision that bypasses the remaining approval steps
+  override(collection, record, user, { decision, reason }) {
+    const label = this.LABELS[collection];
+    if (user.role !== 'admin') {
+      throw httpError(403, 'Only admins can override approvals');
+    }
+    if (decision !== 'approved' && decision !== 'rejected') {
+      throw httpError(400, 'Invalid override decision');
+    }
+    if (!reason) {
+      throw httpError(400, 'An override reason is required');
+    }
+    if (record.status !== 'pending') {
+      throw httpError(409, `${label} is already ${record.status.replace('_', ' ')}`);
+    }
+    if (collection === 'expenses' && record.reportId) {
+      throw httpError(409, 'This expense is part of a report; override the report instead');
+    }
+
+    const skippedSteps = record.approvalFlow.slice(record.currentApproverIndex);
+    skippedSteps.forEach(step => {
+      step.status = 'overridden';
+    });
+
+    record.overrides = record.overrides || [];
+    record.overrides.push({
+      adminId: user.id,
+      adminName: user.name,
+      decision,
+      reason,
+      previousStatus: record.status,
+      skippedSteps: skippedSteps.map(step => step.sequence),
+      timestamp: new Date().toISOString()
+    });
+
+    record.status = decision;
+    record.currentApproverIndex = record.approvalFlow.length;
+    this.afterDecision(collection, record);
+  },
+
+  // Admin review of a duplicate flag: the expense and `expenseId` are not the same spend after all
+  dismissDuplicate(collection, expense, user, { expenseId }) {
+    if (user.role !== 'admin') {
+      throw httpError(403, 'Only admins can review duplicates');
+    }
+
+    const flag = (expense.duplicateFlags || []).find(f => f.expenseId === expenseId);
+    if (!flag) {
+      throw httpError(404, 'Duplicate flag not found');
+    }
+    if (flag.dismissedAt) {
+      throw httpError(409, 'This flag was already dismissed');
+    }
+
+    Object.assign(flag, {
+      dismissedAt: new Date().toISOString(),
+      dismissedById: user.id,
+      dismissedByName: user.name
+    });
+  },
+
+  // Submits a draft, or resubmits a withdrawn or returned expense as a new revision, with the
+  // client's final edits in the body
+  submitExpense(collection, expense, user, updates) {
+    if (expense.employeeId !== user.id) {
+      throw httpError(403, 'You can only submit your own expenses');
+    }
+    if (expense.reportId) {
+      throw httpError(409, 'This expense belongs to a report; submit the report instead');
+    }
+    if (!EDITABLE_STATUSES.includes(expense.status)) {
+      throw httpError(409, `This expense is ${expense.status.replace('_', ' ')} and cannot be submitted`);
+    }
+
+    const isResubmission = expense.status !== 'draft';
+    if (isResubmission) {
+      expense.revisions = expense.revisions || [];
+      expense.revisions.push({
+        revision: expense.revision || 1,
+        amount: expense.amount,
+        currency: expense.currency,
+        amountInBaseCurrency: expense.amountInBaseCurrency,
+        category: expense.category,
+        description: expense.description,
+        date: expense.date,
+        merchant: expense.merchant,
+        lineItems: expense.lineItems,
+        receipts: expense.receipts,
+        status: expense.status,
+        approvalFlow: expense.approvalFlow,
+        submittedAt: expense.submittedAt,
+        replacedAt: new Date().toISOString()
+      });
+    }
+
+    Object.assign(expense, this.editableFields(updates));
+    if (!(Number(expense.amount) > 0) || !expense.date || !expense.description) {
+      throw httpError(400, 'Amount, date and description are required');
+    }
+    this.convertExpense(expense, updates.amountInBaseCurrency);
+    expense.policyViolations = Policies.enforce(expense);
+    expense.duplicateFlags = Duplicates.flag(expense);
+
+    this.startApproval(expense, expense, user);
+
+    if (isResubmission) {
+      expense.revision = (expense.revision || 1) + 1;
+      expense.approvals.push({
+        approverId: user.id,
+        approverName: user.name,
+        action: 'resubmitted',
+        comment: `Revision ${expense.revision}`,
+        timestamp: expense.submittedAt
+      });
+    }
+  },
+
+  // A report's expenses that still belong to it
+  getReportExpenses(report) {
+    return report.expenseIds
+      .map(id => Store.data.expenses.find(e => e.id === id))
+      .filter(e => e && e.reportId === report.id && e.employeeId === report.employeeId);
+  },
+
+  submitReport(collection, report, user) {
+    if (report.employeeId !== user.id) {
+      throw httpError(403, 'You can only submit your own reports');
+    }
+    if (!EDITABLE_STATUSES.includes(report.status)) {
+      throw httpError(409, `This report is ${report.status.replace('_', ' ')} and cannot be submitted`);
+    }
+
+    const expenses = this.getReportExpenses(report);
+    if (!expenses.some(e => e.status !== 'rejected')) {
+      throw httpError(400, 'Add at least one expense before submitting the report');
+    }
+
+    // Converted copies; nothing is saved until the report's flow has been built
+    const included = expenses
+      .filter(e => e.status !== 'rejected')
+      .map(expense => {
+        const converted = structuredClone(expense);
+        this.convertExpense(converted, expense.amountInBaseCurrency);
+        return converted;
+      });
+    included.forEach(expense => {
+      expense.policyViolations = Policies.enforce(expense, included);
+      expense.duplicateFlags = Duplicates.flag(expense);
+    });
+
+    const company = Store.get('companies', report.companyId);
+    const isResubmission = report.status !== 'draft';
+    report.amountInBaseCurrency = this.sumAmounts(included);
+
+    // Stands in for an expense when matching rules: every line of every expense, at the combined total
+    this.startApproval(report, {
+      amountInBaseCurrency: report.amountInBaseCurrency,
+      currency: company.baseCurrency,
+      currencies: [...new Set(included.map(e => e.currency))],
+      lineItems: included.flatMap(e => this.getLineItems(e))
+    }, user);
+
+    if (isResubmission) {
+      report.revision = (report.revision || 1) + 1;
+      report.approvals.push({
+        approverId: user.id,
+        approverName: user.name,
+        action: 'resubmitted',
+        comment: `Revision ${report.revision}`,
+        timestamp: report.submittedAt
+      });
+    }
+
+    included.forEach(expense => {
+      Store.update('expenses', expense.id, {
+        amount: expense.amount,
+        amountInBaseCurrency: expense.amountInBaseCurrency,
+        exchangeRate: expense.exchangeRate,
+        lineItems: expense.lineItems,
+        mileage: expense.mileage,
+        policyViolations: expense.policyViolations,
+        duplicateFlags: expense.duplicateFlags
+      });
+    });
+    this.syncExpenses(report, expenses);
+  },
+
+  // Rejects one expense while the rest of the report carries on through the approval flow
+  rejectLine(collection, report, user, { expenseId, comment }) {
+    if (!comment) {
+      throw httpError(400, 'Rejection reason is required');
+    }
+
+    const { step, approverId } = this.getVotableStep(report, user, 'Report');
+    const expenses = this.getReportExpenses(report);
+    const expense = expenses.find(e => e.id === expenseId);
+
+    if (!expense || expense.status !== 'pending') {
+      throw httpError(409, 'This line cannot be rejected');
+    }
+
+    const approval = {
+      approverId: user.id,
+      approverName: user.name,
+      action: 'rejected',
+      comment,
+      step: step.sequence,
+      timestamp: new Date().toISOString(),
+      ...(approverId !== user.id ? { onBehalfOfId: approverId, onBehalfOfName: this.nameOf(report.companyId, approverId) } : {})
+    };
+
+    Store.update('expenses', expense.id, {
+      status: 'rejected',
+      approvals: [...(expense.approvals || []), approval]
+    });
+
+    report.approvals.push({
+      ...approval,
+      action: 'line_rejected',
+      comment: `${expense.description || expense.merchant || 'Untitled expense'}: ${comment}`
+    });
+    report.amountInBaseCurrency = this.sumAmounts(expenses.filter(e => e.status !== 'rejected'));
+
+    if (expenses.every(e => e.status === 'rejected')) {
+      step.status = 'rejected';
+      report.status = 'rejected';
+    }
+  },
+
+  // Hands stalled approver seats on the current step to the approver's manager or the rule's
+  // fallback. Only the escalation timer calls this, so it is the one writer of `escalatedTo`.
+  escalateStep(record, now = new Date()) {
+    const step = record.approvalFlow[record.currentApproverIndex];
+    if (record.status !== 'pending' || !step?.escalationHours || !step.activatedAt) return false;
+
+    const since = new Date(step.lastEscalatedAt || step.activatedAt);
+    if (now - since < step.escalationHours * 3600000) return false;
+
+    step.escalatedTo = step.escalatedTo || {};
+    const voted = (step.votes || []).map(v => v.approverId);
+    const moves = [];
+
+    this.getStepApproverIds(step)
+      .filter(id => !voted.includes(id))
+      .forEach(id => {
+        const holderId = step.escalatedTo[id] || id;
+        const holder = this.getEmployee(record.companyId, holderId);
+        const targetId = step.escalationFallbackId && step.escalationFallbackId !== holderId ?
+          step.escalationFallbackId :
+          holder?.managerId;
+
+        if (!targetId || targetId === holderId) return;
+        step.escalatedTo[id] = targetId;
+        moves.push(`${this.nameOf(record.companyId, holderId)} → ${this.nameOf(record.companyId, targetId)}`);
+      });
+
+    if (moves.length === 0) return false;
+
+    step.lastEscalatedAt = now.toISOString();
+    record.approvals.push({
+      approverId: null,
+      approverName: 'System',
+      action: 'escalated',
+      comment: `Step ${step.sequence} pending over ${step.escalationHours}h: ${moves.join(', ')}`,
+      step: step.sequence,
+      timestamp: now.toISOString()
+    });
+
+    return true;
+  },
+
+  // Escalates every overdue pending expense and report; run on a timer
+  escalateOverdue(now = new Date()) {
+    let count = 0;
+
+    WORKFLOW_RESOURCES.forEach(collection => {
+      Store.list(collection, { status: 'pending' }).forEach(record => {
+        const updated = structuredClone(record);
+        if (this.escalateStep(updated, now)) {
+          Store.update(collection, record.id, updated);
+          count++;
+        }
+      });
+    });
+
+    return count;
+  },
+
+  // Mirrors a report's outcome onto its expenses once it leaves review; rejected lines keep their status
+  afterDecision(collection, record) {
+    if (collection === 'reports' && record.status !== 'pending') {
+      this.syncExpenses(record, this.getReportExpenses(record));
+    }
+  },
+
+  // Expenses decided with their report get the decision time, since they carry no votes of their own
+  syncExpenses(report, expenses) {
+    const status = EDITABLE_STATUSES.includes(report.status) ? 'draft' : report.status;
+    const decidedAt = ['approved', 'rejected'].includes(report.status) ? new Date().toISOString() : null;
+
+    expenses
+      .filter(expense => expense.status !== 'rejected')
+      .forEach(expense => {
+        Store.update('expenses', expense.id, {
+          status,
+          submittedAt: report.submittedAt,
+          decidedAt,
+          approvalFlow: [],
+          currentApproverIndex: 0
+        });
+      });
+  },
+
+  // Runs an action on a copy of the record and saves it only if the action succeeds
+  async run(collection, id, action, auth, body) {
+    const method = this.ACTIONS[collection]?.[action];
+    if (!method) {
+      throw httpError(404, 'Unknown action');
+    }
+
+    if (action === 'submit') {
+      await this.loadRates(collection, getScoped(collection, id, auth), body);
+    }
+
+    const record = getScoped(collection, id, auth);
+    checkVersion(record, body.version);
+
+    const user = this.getEmployee(auth.companyId, auth.sub);
+    if (!user) {
+      throw httpError(401, 'Account no longer exists');
+    }
+
+    const updated = structuredClone(record);
+    this[method](collection, updated, user, body);
+    return Store.update(collection, id, updated);
+  }
+};
+
+// Refuses a change made against an older copy of the record than the one stored
+function checkVersion(record, version) {
+  if (version !== undefined && version !== (record.version || 0)) {
+    throw httpError(409, 'This record was changed by someone else; reload and try again');
+  }
+}
+
+// Refuses currency codes outside the bundled ISO 4217 list; drafts may leave the currency blank
+function checkCurrencies(collection, record) {
+  const invalid = (CURRENCY_FIELDS[collection] || []).find(field =>
+    record[field] != null && record[field] !== '' && !ExchangeRates.isCurrency(record[field])
+  );
+  if (invalid) {
+    throw httpError(400, `Unknown currency: ${String(record[invalid]).slice(0, 20)}`);
+  }
+}
+
+function sanitize(record) {
+  return Object.fromEntries(Object.entries(record).filter(([key]) => !SECRET_FIELDS.includes(key)));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (chunks.length === 0) return resolve({});
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(httpError(400, 'Invalid JSON body'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+// Path segments with percent-escapes decoded; malformed escapes are the client's fault
+function decodeSegments(pathname) {
+  try {
+    return pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (error) {
+    throw httpError(400, 'Malformed URL');
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function serveStatic(res, pathname) {
+  // Locally bundled third-party assets such as the OCR engine
+  if (pathname.startsWith('/vendor/')) {
+    const file = path.join(__dirname, pathname);
+    const type = VENDOR_TYPES[path.extname(file)];
+    if (!file.startsWith(VENDOR_DIR + path.sep) || !type || !fs.existsSync(file)) {
+      throw httpError(404, 'Not found');
+    }
+    res.writeHead(200, { 'Content-Type': type });
+    return fs.createReadStream(file).pipe(res);
+  }
+
+  const entry = STATIC_FILES[pathname];
+  if (!entry) {
+    throw httpError(404, 'Not found');
+  }
+
+  res.writeHead(200, { 'Content-Type': entry.type });
+  fs.createReadStream(path.join(__dirname, entry.file)).pipe(res);
+}
+
+// Company a record belongs to; companies own themselves
+const companyOf = (collection, record) => (collection === 'companies' ? record.id : record.companyId);
+
+const isVisible = (collection, record, auth) =>
+  companyOf(collection, record) === auth.companyId &&
+  (!OWNER_RESOURCES.includes(collection) || auth.role === 'admin' || record.employeeId === auth.sub) &&
+  (!WORKFLOW_RESOURCES.includes(collection) || Workflow.canSee(collection, record, auth));
+
+function getScoped(collection, id, auth) {
+  const record = Store.get(collection, id);
+  if (!isVisible(collection, record, auth)) {
+    throw httpError(404, 'Not found');
+  }
+  return record;
+}
+
+async function handleAuth(req, res, action) {
+  if (req.method !== 'POST') {
+    throw httpError(405, 'Method not allowed');
+  }
+
+  const body = await readBody(req);
+
+  switch (action) {
+    case 'signup': {
+      const { name, email, password, companyName, country, baseCurrency } = body;
+      if (!name || !email || !companyName || !password || password.length < 6) {
+        throw httpError(400, 'Name, email, company and a password of at least 6 characters are required');
+      }
+      checkCurrencies('companies', { baseCurrency });
+
+      const exists = Store.list('companies').some(c => c.name.toLowerCase() === companyName.toLowerCase());
+      if (exists) {
+        throw httpError(409, 'Company already exists');
+      }
+      if (Store.list('employees', { email }).length > 0) {
+        throw httpError(409, 'Email already registered');
+      }
+
+      const now = new Date().toISOString();
+      const company = Store.insert('companies', {
+        id: `COMP_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`,
+        name: companyName,
+        country,
+        baseCurrency: baseCurrency || 'USD',
+        createdAt: now
+      });
+      const admin = Store.insert('employees', await Auth.applyPassword({
+        id: `USR_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`,
+        companyId: company.id,
+        name,
+        email,
+        password,
+        role: 'admin',
+        managerId: null,
+        createdAt: now
+      }));
+
+      return sendJson(res, 201, Auth.issueSession(admin));
+    }
+
+    case 'signin': {
+      const { email, companyName, employeeId, password } = body;
+      let candidates;
+
+      if (companyName) {
+        const company = Store.list('companies').find(c => c.name.toLowerCase() === String(companyName).toLowerCase());
+        candidates = company ? Store.list('employees', { companyId: company.id, employeeId: String(employeeId) }) : [];
+      } else {
+        candidates = Store.list('employees', { email: String(email) });
+      }
+
+      for (const user of candidates) {
+        if (await Auth.verifyPassword(password, user)) {
+          return sendJson(res, 200, Auth.issueSession(user));
+        }
+      }
+      throw httpError(401, 'Invalid credentials');
+    }
+
+    // Replaces a one-time password set by an admin, or just changes the user's own password
+    case 'change-password': {
+      const auth = Auth.authenticate(req);
+      const user = Store.data.employees.find(e => e.id === auth.sub);
+      if (!user) {
+        throw httpError(401, 'Account no longer exists');
+      }
+
+      const { currentPassword, newPassword } = body;
+      if (!(await Auth.verifyPassword(currentPassword, user))) {
+        throw httpError(403, 'Current password is incorrect');
+      }
+      if (typeof newPassword !== 'string' || newPassword.length < 6) {
+        throw httpError(400, 'The new password must have at least 6 characters');
+      }
+      if (newPassword === currentPassword) {
+        throw httpError(400, 'Choose a password different from the current one');
+      }
+
+      const updated = Store.update('employees', user.id, { ...(await Auth.hashPassword(newPassword)), mustChangePassword: false });
+      return sendJson(res, 200, Auth.issueSession(updated));
+    }
+
+    case 'refresh': {
+      const payload = Auth.verify(body.refreshToken, 'refresh');
+      const user = Store.data.employees.find(e => e.id === payload.sub);
+      if (!user) {
+        throw httpError(401, 'Account no longer exists');
+      }
+      return sendJson(res, 200, Auth.issueSession(user));
+    }
+
+    default:
+      throw httpError(404, 'Unknown auth action');
+  }
+}
+
+async function handleApi(req, res, segments, query) {
+  if (segments[0] === 'auth') {
+    return handleAuth(req, res, segments[1]);
+  }
+
+  if (segments[0] === 'receipts' && segments[2] === 'file' && segments.length === 3 && req.method === 'GET') {
+    return Receipts.serve(res, segments[1], query.token);
+  }
+
+  const auth = Auth.authenticate(req);
+  if (Store.data.employees.find(e => e.id === auth.sub)?.mustChangePassword) {
+    throw httpError(403, 'Set a new password before continuing');
+  }
+
+  const [resource, id, action] = segments;
+  const collection = RESOURCES[resource];
+  const isWorkflow = WORKFLOW_RESOURCES.includes(collection);
+
+  if (!collection || segments.length > (isWorkflow ? 3 : 2)) {
+    throw httpError(404, 'Unknown resource');
+  }
+
+  if (req.method !== 'GET' && ADMIN_WRITE_RESOURCES.includes(collection) && auth.role !== 'admin') {
+    throw httpError(403, 'Only admins can change this resource');
+  }
+
+  // POST /api/expenses/:id/approve and the other workflow actions
+  if (action) {
+    if (req.method !== 'POST') throw httpError(405, 'Method not allowed');
+    const body = await readBody(req);
+    return sendJson(res, 200, sanitize(await Workflow.run(collection, id, action, auth, body)));
+  }
+
+  switch (req.method) {
+    case 'GET': {
+      if (id) {
+        const record = sanitize(getScoped(collection, id, auth));
+        if (collection === 'receipts') record.fileUrl = Receipts.fileUrl(record, auth);
+        return sendJson(res, 200, record);
+      }
+      const records = Store.list(collection, query).filter(r => isVisible(collection, r, auth));
+      return sendJson(res, 200, records.map(sanitize));
+    }
+    case 'POST': {
+      if (id) throw httpError(405, 'Method not allowed');
+      if (collection === 'companies') throw httpError(405, 'Companies are created through signup');
+      const record = await Auth.applyPassword({ ...(await readBody(req)), companyId: auth.companyId });
+      checkCurrencies(collection, record);
+      if (OWNER_RESOURCES.includes(collection) && auth.role !== 'admin') record.employeeId = auth.sub;
+      if (collection === 'delegations') Workflow.checkDelegation(record, auth);
+      // A password an admin chooses for someone else only works until they sign in and replace it
+      if (collection === 'employees') record.mustChangePassword = Boolean(record.passwordHash);
+      if (collection === 'receipts') return sendJson(res, 201, Receipts.create(record, auth));
+      if (isWorkflow) {
+        // Always created as the caller's draft; submitting is a workflow action
+        const owner = Workflow.getEmployee(auth.companyId, auth.sub);
+        Object.assign(record, { employeeId: auth.sub, employeeName: owner?.name || '' }, Workflow.initialState());
+        COMPUTED_FIELDS.forEach(field => delete record[field]);
+        delete record.reimbursement;
+      }
+      return sendJson(res, 201, sanitize(Store.insert(collection, record)));
+    }
+    case 'PUT': {
+      if (!id || collection === 'receipts') throw httpError(405, 'Method not allowed');
+      const { version, ...body } = await readBody(req);
+      const updates = await Auth.applyPassword(body);
+      checkCurrencies(collection, updates);
+      const record = getScoped(collection, id, auth);
+      checkVersion(record, version);
+      if (collection !== 'companies') updates.companyId = auth.companyId;
+      if (collection === 'employees') {
+        // Only a new password moves the flag, and one set by an admin for someone else is one-time too
+        delete updates.mustChangePassword;
+        if (updates.passwordHash) updates.mustChangePassword = id !== auth.sub;
+      }
+      if (OWNER_RESOURCES.includes(collection) && auth.role !== 'admin') delete updates.employeeId;
+      if (isWorkflow) Workflow.checkUpdate(collection, record, updates, auth);
+      if (collection === 'delegations') {
+        if (auth.role !== 'admin' && record.employeeId !== auth.sub) {
+          throw httpError(403, 'Only admins can change delegations for other employees');
+        }
+        const merged = { ...record, ...updates };
+        Workflow.checkDelegation(merged, auth);
+        Object.assign(updates, { employeeName: merged.employeeName, delegateName: merged.delegateName });
+      }
+      return sendJson(res, 200, sanitize(Store.update(collection, id, updates)));
+    }
+    case 'DELETE': {
+      if (!id) throw httpError(405, 'Method not allowed');
+      const record = getScoped(collection, id, auth);
+      if (collection === 'receipts') {
+        Receipts.remove(record, auth);
+        return sendJson(res, 204);
+      }
+      if (isWorkflow) Workflow.checkDelete(collection, record, auth);
+      if (collection === 'delegations' && auth.role !== 'admin' && record.employeeId !== auth.sub) {
+        throw httpError(403, 'Only admins can remove delegations for other employees');
+      }
+      Store.remove(collection, id);
+      return sendJson(res, 204);
+    }
+    default:
+      throw httpError(405, 'Method not allowed');
+  }
+}
+
+const server = http.createServer(async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    return res.end();
+  }
+
+  try {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const segments = decodeSegments(url.pathname);
+
+    if (segments[0] === 'api') {
+      await handleApi(req, res, segments.slice(1), Object.fromEntries(url.searchParams));
+    } else {
+      serveStatic(res, url.pathname);
+    }
+  } catch (error) {
+    if (!error.status) console.error(error);
+    sendJson(res, error.status || 500, { error: error.status ? error.message : 'Internal server error' });
+  }
+});
+
+// Hashes any plaintext passwords left in a store written by an older version
+async function migratePasswords() {
+  const plaintext = Store.data.employees.filter(e => e.password);
+  for (const employee of plaintext) {
+    Object.assign(employee, await Auth.applyPassword(employee));
+    delete employee.password;
+  }
+  if (plaintext.length > 0) Store.persist();
+}
+
+// Moves receipt files still embedded in the store by an older version out to RECEIPT_DIR
+function migrateReceipts() {
+  const embedded = Store.data.receipts.filter(r => r.dataUrl);
+  for (const receipt of embedded) {
+    const base64 = String(receipt.dataUrl).split(',')[1] || '';
+    fs.mkdirSync(RECEIPT_DIR, { recursive: true });
+    fs.writeFileSync(Receipts.filePath(receipt.id), Buffer.from(base64, 'base64'));
+    delete receipt.dataUrl;
+  }
+  if (embedded.length > 0) Store.persist();
+}
+
+if (!process.env.SESSION_SECRET) {
+  console.warn('SESSION_SECRET not set; sessions will not survive a restart');
+}
+
+Store.load();
+migrateReceipts();
+migratePasswords().then(() => {
+  server.listen(PORT, () => {
+    console.log(`ExpenseFlow running at http://localhost:${PORT}`);
+  });
+
+  setInterval(() => {
+    try {
+      Workflow.escalateOverdue();
+    } catch (error) {
+      console.error('Escalation check failed:', error);
+    }
+  }, ESCALATION_INTERVAL_MS);
+});